@@ -11,10 +11,14 @@ import ProtectedRoute from './components/Auth/ProtectedRoute';
 import HomePage from './pages/HomePage';
 import LoginPage from './pages/Auth/LoginPage';
 import RegisterPage from './pages/Auth/RegisterPage';
+import ResetPasswordPage from './pages/Auth/ResetPasswordPage';
+import VerifyEmailPage from './pages/Auth/VerifyEmailPage';
+import OidcCallbackPage from './pages/Auth/OidcCallbackPage';
 import DashboardPage from './pages/Dashboard/DashboardPage';
 import RoomPage from './pages/Room/RoomPage';
 import CreateRoomPage from './pages/Room/CreateRoomPage';
 import JoinRoomPage from './pages/Room/JoinRoomPage';
+import GuestJoinPage from './pages/Guest/GuestJoinPage';
 import ProfilePage from './pages/Profile/ProfilePage';
 import SettingsPage from './pages/Settings/SettingsPage';
 import NotFoundPage from './pages/NotFoundPage';
@@ -51,7 +55,11 @@ function App() {
         {/* Public routes */}
         <Route path="/" element={<HomePage />} />
         <Route path="/login" element={user ? <Navigate to="/dashboard" replace /> : <LoginPage />} />
-        <Route path="/register" element={user ? <Navigate to="/dashboard" replace /> : <RegisterPage />} />
+        <Route path="/register" element={user?.isVerified ? <Navigate to="/dashboard" replace /> : <RegisterPage />} />
+        <Route path="/reset-password" element={<ResetPasswordPage />} />
+        <Route path="/verify-email" element={<VerifyEmailPage />} />
+        <Route path="/oidc/callback" element={<OidcCallbackPage />} />
+        <Route path="/guest/:token" element={<GuestJoinPage />} />
 
         {/* Protected routes */}
         <Route path="/dashboard" element={
@@ -126,6 +134,7 @@ function AdminRoutes() {
       <Route path="/rooms" element={<AdminRoomsPage />} />
       <Route path="/recordings" element={<AdminRecordingsPage />} />
       <Route path="/analytics" element={<AdminAnalyticsPage />} />
+      <Route path="/audit" element={<AdminAuditPage />} />
     </Routes>
   );
 }
@@ -136,5 +145,6 @@ const AdminUsersPage = React.lazy(() => import('./pages/Admin/AdminUsersPage'));
 const AdminRoomsPage = React.lazy(() => import('./pages/Admin/AdminRoomsPage'));
 const AdminRecordingsPage = React.lazy(() => import('./pages/Admin/AdminRecordingsPage'));
 const AdminAnalyticsPage = React.lazy(() => import('./pages/Admin/AdminAnalyticsPage'));
+const AdminAuditPage = React.lazy(() => import('./pages/Admin/AdminAuditPage'));
 
 export default App; 
\ No newline at end of file
@@ -0,0 +1,239 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { apiService } from '../../services/api';
+
+const LIVE_REFRESH_INTERVAL = 5 * 1000;
+
+const formatDate = (value) => (value ? format(new Date(value), 'MMM d, yyyy HH:mm') : '—');
+
+const participantName = (participant) => (
+  participant.user
+    ? `${participant.user.firstName} ${participant.user.lastName} (@${participant.user.username})`
+    : participant.displayName || participant.guestId
+);
+
+// Side panel showing a room's stored state next to LiveKit's live view, with ownership and force-end controls
+const RoomInspectDrawer = ({ roomId, onClose }) => {
+  const queryClient = useQueryClient();
+  const [newOwnerId, setNewOwnerId] = useState('');
+
+  const { data, isLoading } = useQuery(
+    ['admin', 'rooms', roomId, 'live'],
+    () => apiService.rooms.adminGetLive(roomId).then(res => res.data.data),
+    { refetchInterval: LIVE_REFRESH_INTERVAL }
+  );
+
+  const refresh = () => queryClient.invalidateQueries(['admin', 'rooms']);
+
+  const endMutation = useMutation(
+    (deactivate) => apiService.rooms.adminEnd(roomId, deactivate),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        refresh();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to end room');
+      },
+    }
+  );
+
+  const transferMutation = useMutation(
+    (userId) => apiService.rooms.adminTransferOwnership(roomId, userId),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        setNewOwnerId('');
+        refresh();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to transfer ownership');
+      },
+    }
+  );
+
+  const handleEnd = (deactivate) => {
+    const message = deactivate
+      ? 'Disconnect everyone and deactivate this room so nobody can rejoin?'
+      : 'Disconnect everyone from this room?';
+    if (window.confirm(message)) {
+      endMutation.mutate(deactivate);
+    }
+  };
+
+  const room = data?.room;
+  const livekit = data?.livekit;
+  const ownerCandidates = (room?.participants || []).filter(p => p.user && p.role !== 'owner');
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} aria-hidden="true" />
+
+      <aside className="relative w-full max-w-lg h-full overflow-y-auto bg-white dark:bg-gray-800 shadow-xl p-6 space-y-6">
+        <div className="flex items-start justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">{room ? room.name : 'Loading...'}</h2>
+            {room && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {room.roomId} · {room.type}{room.isActive ? '' : ' · inactive'}
+              </p>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        {isLoading && <p className="text-sm text-gray-500 dark:text-gray-400">Loading room...</p>}
+
+        {room && (
+          <>
+            <dl className="grid grid-cols-2 gap-3 text-sm">
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Owner</dt>
+                <dd className="text-gray-900 dark:text-white">{room.owner ? `@${room.owner.username}` : 'Deleted user'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Last activity</dt>
+                <dd className="text-gray-900 dark:text-white">{formatDate(room.stats?.lastActivity)}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Calls</dt>
+                <dd className="text-gray-900 dark:text-white">{room.stats?.totalSessions ?? 0}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Created</dt>
+                <dd className="text-gray-900 dark:text-white">{formatDate(room.createdAt)}</dd>
+              </div>
+            </dl>
+
+            <section>
+              <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">
+                Live in LiveKit
+              </h3>
+              {!livekit.available && (
+                <p className="text-sm text-yellow-600 dark:text-yellow-400">LiveKit could not be reached.</p>
+              )}
+              {livekit.available && !livekit.room && (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No call is running in this room.</p>
+              )}
+              {livekit.room && (
+                <p className="text-sm text-gray-700 dark:text-gray-300 mb-2">
+                  {livekit.room.numParticipants} connected · {livekit.room.numPublishers} publishing
+                  {livekit.room.activeRecording && ' · recording'}
+                  {' · since '}{formatDate(livekit.room.createdAt)}
+                </p>
+              )}
+              {livekit.participants.length > 0 && (
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {livekit.participants.map(participant => (
+                    <li key={participant.sid} className="py-2 text-sm">
+                      <p className="text-gray-900 dark:text-white">
+                        {participant.name || participant.identity}
+                        <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{participant.metadata?.role}</span>
+                      </p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Joined {formatDate(participant.joinedAt)}
+                        {participant.tracks.length > 0 && ` · ${participant.tracks
+                          .map(track => `${String(track.source).toLowerCase()}${track.muted ? ' (muted)' : ''}`)
+                          .join(', ')}`}
+                      </p>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+
+            <section>
+              <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">
+                Participants on record
+              </h3>
+              {room.participants.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Nobody has joined this room.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {room.participants.map(participant => (
+                    <li key={participant.user?._id || participant.guestId} className="py-2 flex items-center justify-between text-sm">
+                      <span className="text-gray-900 dark:text-white">{participantName(participant)}</span>
+                      <span className="text-xs text-gray-500 dark:text-gray-400 capitalize">
+                        {participant.role}{participant.isActive && ' · in call'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+
+            <section className="space-y-2">
+              <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                Transfer ownership
+              </h3>
+              {ownerCandidates.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Only registered participants of the room can become its owner.
+                </p>
+              ) : (
+                <div className="flex space-x-2">
+                  <select
+                    value={newOwnerId}
+                    onChange={(e) => setNewOwnerId(e.target.value)}
+                    aria-label="New owner"
+                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                  >
+                    <option value="">Choose a participant</option>
+                    {ownerCandidates.map(participant => (
+                      <option key={participant.user._id} value={participant.user._id}>
+                        {participantName(participant)}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    disabled={!newOwnerId || transferMutation.isLoading}
+                    onClick={() => transferMutation.mutate(newOwnerId)}
+                    className="px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Transfer
+                  </button>
+                </div>
+              )}
+            </section>
+
+            <section className="space-y-2">
+              <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                Force end
+              </h3>
+              <div className="flex space-x-2">
+                <button
+                  type="button"
+                  disabled={endMutation.isLoading}
+                  onClick={() => handleEnd(false)}
+                  className="px-3 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                >
+                  End call
+                </button>
+                <button
+                  type="button"
+                  disabled={endMutation.isLoading || !room.isActive}
+                  onClick={() => handleEnd(true)}
+                  className="px-3 py-2 text-sm font-medium rounded-md border border-red-600 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 disabled:opacity-50"
+                >
+                  End and deactivate
+                </button>
+              </div>
+            </section>
+          </>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default RoomInspectDrawer;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { format } from 'date-fns';
+
+const CHART_HEIGHT = 120;
+
+// Label for a bucket start: hour of day for hourly series, calendar day otherwise
+const formatBucket = (date, interval) => format(new Date(date), interval === 'hour' ? 'MMM d, HH:mm' : 'MMM d');
+
+// Bar chart of one value per time bucket; hovering a bar shows its exact value
+const TimeSeriesChart = ({ title, points = [], interval = 'day', barClassName = 'fill-blue-500', formatValue = (value) => value.toLocaleString(), showTotal = true }) => {
+  const max = Math.max(0, ...points.map(point => point.value));
+  const total = points.reduce((sum, point) => sum + point.value, 0);
+  const barWidth = points.length > 0 ? 100 / points.length : 100;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+      <div className="flex items-baseline justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">{title}</h3>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Peak {formatValue(max)}
+          {showTotal && ` · Total ${formatValue(total)}`}
+        </p>
+      </div>
+
+      <svg
+        viewBox={`0 0 100 ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-32"
+        role="img"
+        aria-label={title}
+      >
+        {points.map((point, index) => {
+          const height = max > 0 ? (point.value / max) * CHART_HEIGHT : 0;
+          return (
+            <rect
+              key={point.date}
+              x={index * barWidth + barWidth * 0.1}
+              y={CHART_HEIGHT - height}
+              width={barWidth * 0.8}
+              height={height}
+              className={barClassName}
+            >
+              <title>{`${formatBucket(point.date, interval)}: ${formatValue(point.value)}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+
+      {points.length > 0 && (
+        <div className="mt-2 flex justify-between text-xs text-gray-500 dark:text-gray-400">
+          <span>{formatBucket(points[0].date, interval)}</span>
+          <span>{formatBucket(points[points.length - 1].date, interval)}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimeSeriesChart;
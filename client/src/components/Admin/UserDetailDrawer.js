@@ -0,0 +1,145 @@
+import React from 'react';
+import { useQuery } from 'react-query';
+import { format, formatDistanceStrict } from 'date-fns';
+import { apiService } from '../../services/api';
+
+const formatDate = (value) => (value ? format(new Date(value), 'MMM d, yyyy HH:mm') : '—');
+
+const Section = ({ title, empty, children }) => (
+  <section>
+    <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">{title}</h3>
+    {React.Children.count(children) === 0 ? (
+      <p className="text-sm text-gray-500 dark:text-gray-400">{empty}</p>
+    ) : (
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">{children}</ul>
+    )}
+  </section>
+);
+
+// Side panel with a user's account details, rooms, call sessions and login history
+const UserDetailDrawer = ({ userId, onClose }) => {
+  const { data: user } = useQuery(
+    ['admin', 'users', userId],
+    () => apiService.users.get(userId).then(res => res.data.data.user)
+  );
+
+  const { data: activity, isLoading } = useQuery(
+    ['admin', 'users', userId, 'activity'],
+    () => apiService.users.getActivity(userId).then(res => res.data.data)
+  );
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} aria-hidden="true" />
+
+      <aside className="relative w-full max-w-lg h-full overflow-y-auto bg-white dark:bg-gray-800 shadow-xl p-6 space-y-6">
+        <div className="flex items-start justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">
+              {user ? user.fullName : 'Loading...'}
+            </h2>
+            {user && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">@{user.username} · {user.email}</p>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        {user && (
+          <dl className="grid grid-cols-2 gap-3 text-sm">
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">Role</dt>
+              <dd className="text-gray-900 dark:text-white capitalize">{user.role}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">Status</dt>
+              <dd className="text-gray-900 dark:text-white">
+                {user.isActive ? 'Active' : 'Deactivated'}
+                {user.isLocked && ' · Locked'}
+              </dd>
+            </div>
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">Joined</dt>
+              <dd className="text-gray-900 dark:text-white">{formatDate(user.createdAt)}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">Last login</dt>
+              <dd className="text-gray-900 dark:text-white">{formatDate(user.lastLogin)}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">Calls</dt>
+              <dd className="text-gray-900 dark:text-white">{user.stats?.totalCalls ?? 0}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">Call minutes</dt>
+              <dd className="text-gray-900 dark:text-white">{user.stats?.totalDuration ?? 0}</dd>
+            </div>
+          </dl>
+        )}
+
+        {isLoading && <p className="text-sm text-gray-500 dark:text-gray-400">Loading activity...</p>}
+
+        {activity && (
+          <>
+            <Section title="Rooms" empty="Not a member of any room.">
+              {activity.rooms.map(room => (
+                <li key={room.id} className="py-2 flex items-center justify-between text-sm">
+                  <div>
+                    <p className="text-gray-900 dark:text-white">{room.name}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {room.roomId} · {room.type}{room.isActive ? '' : ' · inactive'}
+                    </p>
+                  </div>
+                  <span className="text-xs text-gray-500 dark:text-gray-400 capitalize">
+                    {room.isOwner ? 'owner' : room.role}
+                    {room.inCall && ' · in call'}
+                  </span>
+                </li>
+              ))}
+            </Section>
+
+            <Section title="Call sessions" empty="No calls yet.">
+              {activity.sessions.map(session => (
+                <li key={`${session.sessionId}-${session.joinedAt}`} className="py-2 text-sm">
+                  <p className="text-gray-900 dark:text-white">{session.roomName}</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {formatDate(session.joinedAt)}
+                    {' · '}
+                    {session.leftAt
+                      ? formatDistanceStrict(new Date(session.joinedAt), new Date(session.leftAt))
+                      : 'still in call'}
+                  </p>
+                </li>
+              ))}
+            </Section>
+
+            <Section title="Login history" empty="No logins recorded.">
+              {activity.logins.map(login => (
+                <li key={login.id} className="py-2 text-sm">
+                  <p className="text-gray-900 dark:text-white">
+                    {login.deviceName || login.userAgent || 'Unknown device'}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {formatDate(login.createdAt)}
+                    {login.ip && ` · ${login.ip}`}
+                    {' · '}
+                    {login.isActive ? `last used ${formatDate(login.lastUsedAt)}` : `ended (${login.revokedReason || 'expired'})`}
+                  </p>
+                </li>
+              ))}
+            </Section>
+          </>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default UserDetailDrawer;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { useQuery } from 'react-query';
+import { useAuth } from '../../contexts/AuthContext';
+import { apiService } from '../../services/api';
+
+const EmailVerificationNotice = ({ email, children }) => {
+  const { resendVerification, resendVerificationMutation } = useAuth();
+
+  // Tell the user when an unverified account is actually restricted
+  const { data: policy } = useQuery(
+    ['settings', 'public'],
+    () => apiService.settings.getPublic().then(res => res.data.data),
+    { staleTime: 5 * 60 * 1000 }
+  );
+
+  const restrictions = [
+    policy?.verification.requireForRoomCreation && 'create rooms',
+    policy?.verification.requireForRoomJoin && 'join rooms',
+  ].filter(Boolean);
+
+  return (
+    <div className="rounded-md bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-800 p-4 space-y-3">
+      <h3 className="text-sm font-medium text-blue-800 dark:text-blue-200">
+        Verify your email address
+      </h3>
+      <p className="text-sm text-blue-700 dark:text-blue-300">
+        We sent a verification link to <span className="font-medium">{email}</span>.
+        The link is valid for 24 hours.
+      </p>
+      {restrictions.length > 0 && (
+        <p className="text-sm text-blue-700 dark:text-blue-300">
+          You need a verified email address to {restrictions.join(' or ')}.
+        </p>
+      )}
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={resendVerification}
+          disabled={resendVerificationMutation.isLoading}
+          className="text-sm font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {resendVerificationMutation.isLoading ? 'Sending...' : 'Resend verification email'}
+        </button>
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationNotice;
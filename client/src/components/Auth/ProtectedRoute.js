@@ -1,13 +1,23 @@
 import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
+import { useQuery } from 'react-query';
 import { useAuth } from '../../contexts/AuthContext';
+import { apiService } from '../../services/api';
 import LoadingSpinner from '../UI/LoadingSpinner';
 
 const ProtectedRoute = ({ children, requireAdmin = false }) => {
   const { user, loading } = useAuth();
   const location = useLocation();
+  const needsTwoFactorCheck = requireAdmin && user?.role === 'admin' && !user.twoFactorEnabled;
 
-  if (loading) {
+  // Admins may have to enrol in two-factor authentication before using admin pages
+  const { data: policy, isLoading: policyLoading } = useQuery(
+    ['settings', 'public'],
+    () => apiService.settings.getPublic().then(res => res.data.data),
+    { enabled: needsTwoFactorCheck, staleTime: 5 * 60 * 1000 }
+  );
+
+  if (loading || (needsTwoFactorCheck && policyLoading)) {
     return <LoadingSpinner />;
   }
 
@@ -19,6 +29,10 @@ const ProtectedRoute = ({ children, requireAdmin = false }) => {
     return <Navigate to="/dashboard" replace />;
   }
 
+  if (needsTwoFactorCheck && policy?.security?.requireTwoFactorForAdmins) {
+    return <Navigate to="/settings" replace />;
+  }
+
   return children;
 };
 
@@ -0,0 +1,279 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { apiService } from '../../services/api';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+// Show the backup codes once, right after they are generated
+const BackupCodes = ({ codes, onDone }) => {
+  const copyCodes = () => {
+    navigator.clipboard.writeText(codes.join('\n'))
+      .then(() => toast.success('Backup codes copied'))
+      .catch(() => toast.error('Failed to copy backup codes'));
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-700 dark:text-gray-300">
+        Save these backup codes somewhere safe. Each code can be used once to sign in if you lose access to your
+        authenticator app. They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900 dark:text-white bg-gray-50 dark:bg-gray-900 rounded-md p-3">
+        {codes.map((code) => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="flex space-x-3">
+        <button
+          type="button"
+          onClick={copyCodes}
+          className="px-3 py-1 text-sm font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600"
+        >
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="px-3 py-1 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+        >
+          I have saved my codes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactorSettings = () => {
+  const queryClient = useQueryClient();
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [action, setAction] = useState(null); // 'disable' | 'regenerate'
+  const [backupCodes, setBackupCodes] = useState(null);
+
+  const { data: status } = useQuery(
+    ['auth', '2fa'],
+    () => apiService.auth.getTwoFactorStatus().then(res => res.data.data)
+  );
+
+  const handleError = (fallback) => (error) => {
+    toast.error(error.response?.data?.message || fallback);
+  };
+
+  // Refresh the status and the user profile, which carries twoFactorEnabled
+  const refreshStatus = () => {
+    queryClient.invalidateQueries(['auth', '2fa']);
+    queryClient.invalidateQueries(['user', 'profile']);
+  };
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+    setAction(null);
+  };
+
+  const setupMutation = useMutation(
+    () => apiService.auth.setupTwoFactor().then(res => res.data.data),
+    { onError: handleError('Failed to start two-factor setup') }
+  );
+
+  const enableMutation = useMutation(
+    (enableCode) => apiService.auth.enableTwoFactor(enableCode),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        setBackupCodes(response.data.data.backupCodes);
+        setupMutation.reset();
+        resetForm();
+        refreshStatus();
+      },
+      onError: handleError('Failed to enable two-factor authentication'),
+    }
+  );
+
+  const disableMutation = useMutation(
+    (disableData) => apiService.auth.disableTwoFactor(disableData),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        resetForm();
+        refreshStatus();
+      },
+      onError: handleError('Failed to disable two-factor authentication'),
+    }
+  );
+
+  const regenerateMutation = useMutation(
+    (regenerateCode) => apiService.auth.regenerateBackupCodes(regenerateCode),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        setBackupCodes(response.data.data.backupCodes);
+        resetForm();
+        refreshStatus();
+      },
+      onError: handleError('Failed to regenerate backup codes'),
+    }
+  );
+
+  const handleActionSubmit = (e) => {
+    e.preventDefault();
+    if (action === 'disable') {
+      disableMutation.mutate({ password, code });
+    } else {
+      regenerateMutation.mutate(code);
+    }
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  if (backupCodes) {
+    return <BackupCodes codes={backupCodes} onDone={() => setBackupCodes(null)} />;
+  }
+
+  // Enrolment
+  if (!status.enabled) {
+    const setup = setupMutation.data;
+
+    return (
+      <div className="space-y-4">
+        {status.required && (
+          <p className="text-sm text-amber-700 dark:text-amber-300 bg-amber-50 dark:bg-amber-900/30 rounded-md p-3">
+            Two-factor authentication is required for admin accounts. Enable it to use admin features.
+          </p>
+        )}
+        {!setup ? (
+          <div className="flex items-center justify-between">
+            <span className="text-gray-700 dark:text-gray-300">
+              Protect your account with an authenticator app
+            </span>
+            <button
+              type="button"
+              onClick={() => setupMutation.mutate()}
+              disabled={setupMutation.isLoading}
+              className="ml-4 px-3 py-1 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              Set up
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={(e) => { e.preventDefault(); enableMutation.mutate(code); }} className="space-y-3">
+            <p className="text-sm text-gray-700 dark:text-gray-300">
+              Add this account to your authenticator app by{' '}
+              <a href={setup.otpauthUrl} className="font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400">
+                opening the setup link
+              </a>
+              {' '}on your phone, or by entering this key manually:
+            </p>
+            <p className="font-mono text-sm text-gray-900 dark:text-white bg-gray-50 dark:bg-gray-900 rounded-md p-3 break-all">
+              {setup.secret.match(/.{1,4}/g).join(' ')}
+            </p>
+            <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Enter the 6-digit code from the app to confirm
+            </label>
+            <div className="flex space-x-3">
+              <input
+                id="twoFactorCode"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className={inputClassName}
+                placeholder="123456"
+              />
+              <button
+                type="submit"
+                disabled={enableMutation.isLoading}
+                className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                Enable
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-gray-700 dark:text-gray-300">
+            Enabled{status.enabledAt && ` since ${new Date(status.enabledAt).toLocaleDateString()}`}
+          </p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {status.backupCodesRemaining} backup codes remaining
+          </p>
+        </div>
+        {!action && (
+          <div className="flex space-x-3">
+            <button
+              type="button"
+              onClick={() => setAction('regenerate')}
+              className="px-3 py-1 text-sm font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600"
+            >
+              New backup codes
+            </button>
+            {!status.required && (
+              <button
+                type="button"
+                onClick={() => setAction('disable')}
+                className="px-3 py-1 text-sm font-medium rounded-md text-red-600 bg-red-50 hover:bg-red-100 dark:bg-red-900/30 dark:hover:bg-red-900/50"
+              >
+                Disable
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {action && (
+        <form onSubmit={handleActionSubmit} className="space-y-3">
+          {action === 'disable' && (
+            <input
+              type="password"
+              autoComplete="current-password"
+              required
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClassName}
+              placeholder="Current password"
+            />
+          )}
+          <input
+            type="text"
+            autoComplete="one-time-code"
+            required
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={inputClassName}
+            placeholder="Authentication or backup code"
+          />
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-3 py-1 text-sm font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={disableMutation.isLoading || regenerateMutation.isLoading}
+              className={`px-3 py-1 text-sm font-medium rounded-md text-white disabled:opacity-50 ${
+                action === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
+            >
+              {action === 'disable' ? 'Disable two-factor authentication' : 'Generate new codes'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
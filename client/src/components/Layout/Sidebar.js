@@ -20,6 +20,7 @@ const Sidebar = () => {
     { name: 'Rooms', href: '/admin/rooms', icon: '🏠' },
     { name: 'Recordings', href: '/admin/recordings', icon: '🎥' },
     { name: 'Analytics', href: '/admin/analytics', icon: '📈' },
+    { name: 'Audit Log', href: '/admin/audit', icon: '📜' },
   ];
 
   if (!user) return null;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { apiService } from '../../services/api';
+
+// Shows the secret calendar subscription URL and lets the user replace it
+const CalendarFeedSettings = () => {
+  const queryClient = useQueryClient();
+
+  const { data: feedUrl } = useQuery(
+    ['meetings', 'feed'],
+    () => apiService.meetings.getFeed().then(res => res.data.data.url)
+  );
+
+  const resetMutation = useMutation(
+    () => apiService.meetings.resetFeed(),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.setQueryData(['meetings', 'feed'], response.data.data.url);
+      },
+      onError: (error) => {
+        const message = error.response?.data?.message || 'Failed to reset calendar feed';
+        toast.error(message);
+      },
+    }
+  );
+
+  const copyUrl = () => {
+    navigator.clipboard.writeText(feedUrl)
+      .then(() => toast.success('Calendar feed URL copied'))
+      .catch(() => toast.error('Failed to copy calendar feed URL'));
+  };
+
+  const handleReset = () => {
+    if (window.confirm('Calendars subscribed with the current URL will stop updating. Continue?')) {
+      resetMutation.mutate();
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600 dark:text-gray-300">
+        Subscribe to this URL in your calendar app to see your scheduled meetings. Keep it private:
+        anyone with the link can read your meetings.
+      </p>
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          readOnly
+          value={feedUrl || ''}
+          onFocus={(e) => e.target.select()}
+          aria-label="Calendar feed URL"
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+        />
+        <button
+          type="button"
+          disabled={!feedUrl}
+          onClick={copyUrl}
+          className="px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          Copy
+        </button>
+      </div>
+      <button
+        type="button"
+        disabled={resetMutation.isLoading}
+        onClick={handleReset}
+        className="text-sm font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+      >
+        Reset URL
+      </button>
+    </div>
+  );
+};
+
+export default CalendarFeedSettings;
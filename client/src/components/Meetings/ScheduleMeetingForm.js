@@ -0,0 +1,348 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { apiService } from '../../services/api';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+const labelClassName = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+const WEEKDAYS = [
+  { value: 'MO', label: 'Mon' },
+  { value: 'TU', label: 'Tue' },
+  { value: 'WE', label: 'Wed' },
+  { value: 'TH', label: 'Thu' },
+  { value: 'FR', label: 'Fri' },
+  { value: 'SA', label: 'Sat' },
+  { value: 'SU', label: 'Sun' },
+];
+
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const timeZones = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [browserTimeZone];
+
+// Wall-clock value for a datetime-local input, rounded up to the next half hour
+const nextHalfHour = () => {
+  const date = new Date(Date.now() + 30 * 60 * 1000);
+  date.setMinutes(date.getMinutes() < 30 ? 30 : 60, 0, 0);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const initialForm = () => ({
+  roomId: '',
+  title: '',
+  description: '',
+  startsAt: nextHalfHour(),
+  durationMinutes: 30,
+  timeZone: browserTimeZone,
+  frequency: '',
+  interval: 1,
+  byDay: [],
+  ends: 'never',
+  count: 10,
+  until: '',
+  attendees: '',
+});
+
+// Adds minutes to a datetime-local value without involving the browser's time zone
+const addMinutes = (value, minutes) => {
+  const end = new Date(new Date(`${value}:00Z`).getTime() + minutes * 60 * 1000);
+  return end.toISOString().slice(0, 16);
+};
+
+// Form for scheduling a meeting in one of the user's rooms
+const ScheduleMeetingForm = ({ onScheduled, onCancel }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(initialForm);
+
+  const { data: rooms = [] } = useQuery(
+    ['rooms', 'my'],
+    () => apiService.rooms.getList({ type: 'my', limit: 50 }).then(res => res.data.data.rooms)
+  );
+
+  const scheduleMutation = useMutation(
+    (meetingData) => apiService.meetings.create(meetingData),
+    {
+      onSuccess: (response) => {
+        const { notFound } = response.data.data;
+        toast.success(response.data.message);
+        if (notFound.length > 0) {
+          toast.error(`No users found for: ${notFound.join(', ')}`);
+        }
+        queryClient.invalidateQueries(['meetings']);
+        setForm(initialForm());
+        if (onScheduled) onScheduled(response.data.data.meeting);
+      },
+      onError: (error) => {
+        const message = error.response?.data?.message || 'Failed to schedule meeting';
+        toast.error(message);
+      },
+    }
+  );
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const toggleDay = (day) => {
+    setForm({
+      ...form,
+      byDay: form.byDay.includes(day) ? form.byDay.filter(d => d !== day) : [...form.byDay, day],
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    // Times are sent without an offset so the server reads them in the chosen time zone
+    let recurrence = null;
+    if (form.frequency) {
+      recurrence = {
+        frequency: form.frequency,
+        interval: parseInt(form.interval, 10) || 1,
+        byDay: form.frequency === 'weekly' && form.byDay.length > 0 ? form.byDay : undefined,
+        count: form.ends === 'count' ? parseInt(form.count, 10) : undefined,
+        until: form.ends === 'until' ? form.until : undefined,
+      };
+    }
+
+    scheduleMutation.mutate({
+      roomId: form.roomId,
+      title: form.title,
+      description: form.description || undefined,
+      startsAt: form.startsAt,
+      endsAt: addMinutes(form.startsAt, parseInt(form.durationMinutes, 10)),
+      timeZone: form.timeZone,
+      recurrence,
+      attendees: form.attendees.split(/[\s,;]+/).filter(Boolean),
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="meeting-title" className={labelClassName}>Title</label>
+          <input
+            id="meeting-title"
+            name="title"
+            type="text"
+            required
+            maxLength={200}
+            value={form.title}
+            onChange={handleChange}
+            className={inputClassName}
+            placeholder="Weekly sync"
+          />
+        </div>
+        <div>
+          <label htmlFor="meeting-room" className={labelClassName}>Room</label>
+          <select
+            id="meeting-room"
+            name="roomId"
+            required
+            value={form.roomId}
+            onChange={handleChange}
+            className={inputClassName}
+          >
+            <option value="">Select a room</option>
+            {rooms.map((room) => (
+              <option key={room.roomId} value={room.roomId}>{room.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="meeting-description" className={labelClassName}>Description (Optional)</label>
+        <textarea
+          id="meeting-description"
+          name="description"
+          rows={2}
+          maxLength={2000}
+          value={form.description}
+          onChange={handleChange}
+          className={inputClassName}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="meeting-starts-at" className={labelClassName}>Starts</label>
+          <input
+            id="meeting-starts-at"
+            name="startsAt"
+            type="datetime-local"
+            required
+            value={form.startsAt}
+            onChange={handleChange}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor="meeting-duration" className={labelClassName}>Duration (minutes)</label>
+          <input
+            id="meeting-duration"
+            name="durationMinutes"
+            type="number"
+            required
+            min={5}
+            max={24 * 60}
+            step={5}
+            value={form.durationMinutes}
+            onChange={handleChange}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor="meeting-time-zone" className={labelClassName}>Time zone</label>
+          <select
+            id="meeting-time-zone"
+            name="timeZone"
+            value={form.timeZone}
+            onChange={handleChange}
+            className={inputClassName}
+          >
+            {timeZones.map((timeZone) => (
+              <option key={timeZone} value={timeZone}>{timeZone}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="meeting-frequency" className={labelClassName}>Repeat</label>
+          <select
+            id="meeting-frequency"
+            name="frequency"
+            value={form.frequency}
+            onChange={handleChange}
+            className={inputClassName}
+          >
+            <option value="">Does not repeat</option>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+          </select>
+        </div>
+        {form.frequency && (
+          <>
+            <div>
+              <label htmlFor="meeting-interval" className={labelClassName}>Every</label>
+              <input
+                id="meeting-interval"
+                name="interval"
+                type="number"
+                min={1}
+                max={365}
+                value={form.interval}
+                onChange={handleChange}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor="meeting-ends" className={labelClassName}>Ends</label>
+              <select
+                id="meeting-ends"
+                name="ends"
+                value={form.ends}
+                onChange={handleChange}
+                className={inputClassName}
+              >
+                <option value="never">Never</option>
+                <option value="count">After a number of meetings</option>
+                <option value="until">On a date</option>
+              </select>
+            </div>
+          </>
+        )}
+      </div>
+
+      {form.frequency === 'weekly' && (
+        <div className="flex flex-wrap gap-2">
+          {WEEKDAYS.map((day) => (
+            <button
+              key={day.value}
+              type="button"
+              onClick={() => toggleDay(day.value)}
+              className={`px-3 py-1 text-sm font-medium rounded-md ${
+                form.byDay.includes(day.value)
+                  ? 'text-white bg-blue-600 hover:bg-blue-700'
+                  : 'text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600'
+              }`}
+            >
+              {day.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {form.frequency && form.ends === 'count' && (
+        <div>
+          <label htmlFor="meeting-count" className={labelClassName}>Number of meetings</label>
+          <input
+            id="meeting-count"
+            name="count"
+            type="number"
+            min={1}
+            max={1000}
+            value={form.count}
+            onChange={handleChange}
+            className={inputClassName}
+          />
+        </div>
+      )}
+
+      {form.frequency && form.ends === 'until' && (
+        <div>
+          <label htmlFor="meeting-until" className={labelClassName}>Last date</label>
+          <input
+            id="meeting-until"
+            name="until"
+            type="date"
+            required
+            value={form.until}
+            onChange={handleChange}
+            className={inputClassName}
+          />
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="meeting-attendees" className={labelClassName}>Attendees</label>
+        <input
+          id="meeting-attendees"
+          name="attendees"
+          type="text"
+          value={form.attendees}
+          onChange={handleChange}
+          className={inputClassName}
+          placeholder="Usernames or emails, separated by commas"
+        />
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={scheduleMutation.isLoading}
+          className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          {scheduleMutation.isLoading ? 'Scheduling...' : 'Schedule'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ScheduleMeetingForm;
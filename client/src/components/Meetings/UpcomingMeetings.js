@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import { apiService } from '../../services/api';
+import ScheduleMeetingForm from './ScheduleMeetingForm';
+
+const STATUS_LABELS = {
+  pending: 'Not answered',
+  accepted: 'Going',
+  tentative: 'Maybe',
+  declined: 'Not going',
+};
+
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Start time in the viewer's time zone, plus the meeting's own zone when it differs
+const formatOccurrence = (occurrence, timeZone) => {
+  const startsAt = new Date(occurrence.startsAt);
+  const local = startsAt.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  if (!timeZone || timeZone === browserTimeZone) return local;
+
+  const zoned = startsAt.toLocaleString(undefined, { timeStyle: 'short', timeZone });
+  return `${local} (${zoned} ${timeZone})`;
+};
+
+// Dashboard card listing the user's upcoming scheduled meetings
+const UpcomingMeetings = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [isScheduling, setIsScheduling] = useState(false);
+
+  const { data: meetings = [], isLoading } = useQuery(
+    ['meetings'],
+    () => apiService.meetings.getList().then(res => res.data.data.meetings)
+  );
+
+  const handleError = (fallback) => (error) => {
+    toast.error(error.response?.data?.message || fallback);
+  };
+
+  const respondMutation = useMutation(
+    ({ meetingId, status }) => apiService.meetings.respond(meetingId, status),
+    {
+      onSuccess: () => queryClient.invalidateQueries(['meetings']),
+      onError: handleError('Failed to save response'),
+    }
+  );
+
+  const cancelMutation = useMutation(
+    (meetingId) => apiService.meetings.cancel(meetingId),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.invalidateQueries(['meetings']);
+      },
+      onError: handleError('Failed to cancel meeting'),
+    }
+  );
+
+  const downloadIcs = async (meeting) => {
+    try {
+      const response = await apiService.meetings.downloadIcs(meeting.id);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${meeting.title}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download calendar file');
+    }
+  };
+
+  const handleCancel = (meeting) => {
+    if (window.confirm(`Cancel "${meeting.title}" for everyone?`)) {
+      cancelMutation.mutate(meeting.id);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-medium text-gray-900 dark:text-white">
+          Upcoming Meetings
+        </h2>
+        {!isScheduling && (
+          <button
+            type="button"
+            onClick={() => setIsScheduling(true)}
+            className="px-3 py-1 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Schedule meeting
+          </button>
+        )}
+      </div>
+
+      {isScheduling && (
+        <div className="mb-6 border-b border-gray-200 dark:border-gray-700 pb-6">
+          <ScheduleMeetingForm
+            onScheduled={() => setIsScheduling(false)}
+            onCancel={() => setIsScheduling(false)}
+          />
+        </div>
+      )}
+
+      {!isLoading && meetings.length === 0 && (
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          No meetings in the next 30 days.
+        </p>
+      )}
+
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+        {meetings.map((meeting) => {
+          const isOrganizer = meeting.organizer?._id === user?.id;
+          const attendee = meeting.attendees.find(a => a.user?._id === user?.id);
+
+          return (
+            <li key={meeting.id} className="py-3 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                  {meeting.title}
+                </p>
+                <p className="text-sm text-gray-600 dark:text-gray-300">
+                  {formatOccurrence(meeting.nextOccurrence, meeting.timeZone)}
+                  {' · '}{meeting.durationMinutes} min
+                  {meeting.schedule && ` · ${meeting.schedule}`}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {isOrganizer
+                    ? `You organize · ${meeting.attendees.length} invited`
+                    : `Organized by ${meeting.organizer?.username}`}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                {attendee && (
+                  <select
+                    aria-label="Your response"
+                    value={attendee.status}
+                    disabled={respondMutation.isLoading}
+                    onChange={(e) => respondMutation.mutate({ meetingId: meeting.id, status: e.target.value })}
+                    className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  >
+                    {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                      <option key={status} value={status} disabled={status === 'pending'}>{label}</option>
+                    ))}
+                  </select>
+                )}
+                <button
+                  type="button"
+                  onClick={() => downloadIcs(meeting)}
+                  className="px-3 py-1 text-sm font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600"
+                >
+                  .ics
+                </button>
+                {isOrganizer && (
+                  <button
+                    type="button"
+                    disabled={cancelMutation.isLoading}
+                    onClick={() => handleCancel(meeting)}
+                    className="px-3 py-1 text-sm font-medium rounded-md text-red-600 bg-gray-100 hover:bg-gray-200 dark:text-red-400 dark:bg-gray-700 dark:hover:bg-gray-600 disabled:opacity-50"
+                  >
+                    Cancel
+                  </button>
+                )}
+                <Link
+                  to={`/room/${meeting.roomId}`}
+                  className="px-3 py-1 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
+                >
+                  Join
+                </Link>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default UpcomingMeetings;
@@ -0,0 +1,113 @@
+import React from 'react';
+import { Track } from 'livekit-client';
+import { useLiveKit } from '../../contexts/LiveKitContext';
+import ParticipantTile from './ParticipantTile';
+
+// In-call layout shared by members and guests
+const CallView = ({ onLeave, sidePanel = null, controls = null }) => {
+  const {
+    participants,
+    localParticipant,
+    activeSpeakers,
+    audioEnabled,
+    videoEnabled,
+    screenShareEnabled,
+    toggleAudio,
+    toggleVideo,
+    toggleScreenShare,
+    disconnectFromRoom,
+  } = useLiveKit();
+
+  // Viewers join with a token that cannot publish
+  const canPublish = localParticipant?.permissions?.canPublish !== false;
+  const screenSharers = [localParticipant, ...participants].filter(p => p?.isScreenShareEnabled);
+
+  const controlClassName = (isOn) => `p-3 text-white rounded-full ${
+    isOn ? 'bg-gray-700 hover:bg-gray-600' : 'bg-red-600 hover:bg-red-700'
+  }`;
+
+  const handleLeave = async () => {
+    await disconnectFromRoom();
+    if (onLeave) onLeave();
+  };
+
+  return (
+    <div className="h-screen bg-gray-900 flex flex-col">
+      <div className="flex-1 flex min-h-0">
+        <div className="flex-1 p-4 overflow-y-auto">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {/* Screen shares come first */}
+            {screenSharers.map((participant) => (
+              <div key={`${participant.identity}-screen`} className="md:col-span-2 lg:col-span-3">
+                <ParticipantTile
+                  participant={participant}
+                  isLocal={participant === localParticipant}
+                  source={Track.Source.ScreenShare}
+                />
+              </div>
+            ))}
+
+            {localParticipant && (
+              <ParticipantTile
+                participant={localParticipant}
+                isLocal
+                isSpeaking={activeSpeakers.includes(localParticipant.identity)}
+              />
+            )}
+
+            {participants.map((participant) => (
+              <ParticipantTile
+                key={participant.sid}
+                participant={participant}
+                isSpeaking={activeSpeakers.includes(participant.identity)}
+              />
+            ))}
+          </div>
+        </div>
+
+        {sidePanel}
+      </div>
+
+      {/* Controls */}
+      <div className="bg-gray-800 p-4">
+        <div className="flex justify-center space-x-4">
+          {canPublish && (
+            <>
+              <button
+                onClick={toggleAudio}
+                title={audioEnabled ? 'Mute microphone' : 'Unmute microphone'}
+                className={controlClassName(audioEnabled)}
+              >
+                {audioEnabled ? '🎤' : '🔇'}
+              </button>
+              <button
+                onClick={toggleVideo}
+                title={videoEnabled ? 'Turn camera off' : 'Turn camera on'}
+                className={controlClassName(videoEnabled)}
+              >
+                📹
+              </button>
+              <button
+                onClick={toggleScreenShare}
+                title={screenShareEnabled ? 'Stop sharing screen' : 'Share screen'}
+                className={`p-3 text-white rounded-full ${screenShareEnabled ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+              >
+                🖥️
+              </button>
+            </>
+          )}
+          {controls}
+          <button
+            onClick={handleLeave}
+            title="Leave call"
+            className="p-3 bg-red-600 text-white rounded-full hover:bg-red-700"
+          >
+            📞
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CallView;
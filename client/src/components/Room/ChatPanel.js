@@ -0,0 +1,145 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useInfiniteQuery, useMutation, useQueryClient } from 'react-query';
+import { useAuth } from '../../contexts/AuthContext';
+import { useChatChannel, useSocketEvent, SOCKET_EVENTS } from '../../contexts/SocketContext';
+import { apiService } from '../../services/api';
+
+// Add a message to the newest history page unless it is already there
+const addMessage = (data, message) => {
+  if (!data) return data;
+  if (data.pages.some(page => page.messages.some(m => m.id === message.id))) return data;
+
+  const [newest, ...older] = data.pages;
+  return {
+    ...data,
+    pages: [{ ...newest, messages: [message, ...newest.messages] }, ...older],
+  };
+};
+
+// In-call chat with history loaded on open and live updates over the chat channel
+const ChatPanel = ({ roomId }) => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [content, setContent] = useState('');
+  const [sendError, setSendError] = useState(null);
+  const bottomRef = useRef(null);
+
+  const queryKey = ['rooms', roomId, 'messages'];
+  const {
+    data,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery(
+    queryKey,
+    ({ pageParam }) => apiService.rooms.getMessages(roomId, { before: pageParam }).then(res => res.data.data),
+    {
+      getNextPageParam: (lastPage) => lastPage.pagination.before || undefined,
+      refetchOnWindowFocus: false,
+    }
+  );
+
+  // Pages arrive newest first; show the conversation oldest first
+  const messages = (data?.pages || []).flatMap(page => page.messages).reverse();
+  const newestId = messages.length > 0 ? messages[messages.length - 1].id : null;
+
+  useChatChannel(roomId);
+  useSocketEvent(SOCKET_EVENTS.CHAT_MESSAGE, (message) => {
+    if (message.roomId !== roomId) return;
+    queryClient.setQueryData(queryKey, (current) => addMessage(current, message));
+  });
+
+  // Keep the latest message in view
+  useEffect(() => {
+    if (bottomRef.current) {
+      bottomRef.current.scrollIntoView({ block: 'end' });
+    }
+  }, [newestId]);
+
+  const sendMutation = useMutation(
+    (text) => apiService.rooms.sendMessage(roomId, text),
+    {
+      onSuccess: (response) => {
+        setContent('');
+        setSendError(null);
+        queryClient.setQueryData(queryKey, (current) => addMessage(current, response.data.data.message));
+      },
+      onError: (error) => {
+        setSendError(error.response?.data?.message || 'Failed to send message');
+      },
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const text = content.trim();
+    if (text) sendMutation.mutate(text);
+  };
+
+  return (
+    <div className="flex flex-col h-full">
+      <h3 className="text-lg font-medium text-white mb-3">Chat</h3>
+
+      <div className="flex-1 overflow-y-auto space-y-3 min-h-0">
+        {hasNextPage && (
+          <button
+            type="button"
+            disabled={isFetchingNextPage}
+            onClick={() => fetchNextPage()}
+            className="w-full text-xs font-medium text-blue-400 hover:text-blue-300 disabled:opacity-50"
+          >
+            {isFetchingNextPage ? 'Loading...' : 'Load earlier messages'}
+          </button>
+        )}
+
+        {data && messages.length === 0 && (
+          <p className="text-sm text-gray-400">No messages yet.</p>
+        )}
+
+        {messages.map((message) => {
+          const isOwn = message.sender?._id === user?.id;
+          return (
+            <div key={message.id} className={isOwn ? 'text-right' : ''}>
+              <p className="text-xs text-gray-400">
+                {isOwn ? 'You' : message.senderName}
+                {' · '}{new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </p>
+              <p
+                className={`inline-block mt-1 px-3 py-2 rounded-lg text-sm text-left whitespace-pre-wrap break-words ${
+                  isOwn ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-100'
+                }`}
+              >
+                {message.content}
+              </p>
+            </div>
+          );
+        })}
+        <div ref={bottomRef} />
+      </div>
+
+      <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+        {sendError && <p className="text-xs text-red-400">{sendError}</p>}
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            maxLength={2000}
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            aria-label="Message"
+            className="flex-1 min-w-0 px-3 py-2 border border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-gray-700 text-white text-sm"
+            placeholder="Send a message"
+          />
+          <button
+            type="submit"
+            disabled={sendMutation.isLoading || !content.trim()}
+            className="px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            Send
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ChatPanel;
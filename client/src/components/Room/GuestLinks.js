@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { apiService } from '../../services/api';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-gray-700 text-white text-sm';
+
+// Expiry choices offered when creating a link, in hours
+const EXPIRY_OPTIONS = [
+  { hours: 1, label: '1 hour' },
+  { hours: 24, label: '1 day' },
+  { hours: 24 * 7, label: '7 days' },
+  { hours: 24 * 30, label: '30 days' },
+];
+
+const STATUS_CLASSES = {
+  active: 'text-green-400',
+  expired: 'text-gray-400',
+  exhausted: 'text-gray-400',
+  revoked: 'text-red-400',
+};
+
+const initialForm = { label: '', role: 'participant', expiresInHours: 24, maxUses: '' };
+
+// Owner panel for creating and revoking guest join links
+const GuestLinks = ({ roomId }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(initialForm);
+  const [createdLink, setCreatedLink] = useState(null);
+
+  const queryKey = ['rooms', roomId, 'guest-links'];
+  const { data: guestLinks = [] } = useQuery(
+    queryKey,
+    () => apiService.rooms.getGuestLinks(roomId).then(res => res.data.data.guestLinks)
+  );
+
+  const handleError = (fallback) => (error) => {
+    toast.error(error.response?.data?.message || fallback);
+  };
+
+  const createMutation = useMutation(
+    (linkData) => apiService.rooms.createGuestLink(roomId, linkData),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        setCreatedLink(response.data.data.guestLink);
+        setForm(initialForm);
+        queryClient.invalidateQueries(queryKey);
+      },
+      onError: handleError('Failed to create guest link'),
+    }
+  );
+
+  const revokeMutation = useMutation(
+    (linkId) => apiService.rooms.revokeGuestLink(roomId, linkId),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.invalidateQueries(queryKey);
+      },
+      onError: handleError('Failed to revoke guest link'),
+    }
+  );
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createMutation.mutate({
+      label: form.label || undefined,
+      role: form.role,
+      expiresAt: new Date(Date.now() + form.expiresInHours * 60 * 60 * 1000).toISOString(),
+      maxUses: form.maxUses ? parseInt(form.maxUses, 10) : null,
+    });
+  };
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(createdLink.url)
+      .then(() => toast.success('Guest link copied'))
+      .catch(() => toast.error('Failed to copy guest link'));
+  };
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-lg font-medium text-white">Guest links</h3>
+
+      {createdLink && (
+        <div className="space-y-2 rounded-md bg-gray-900 p-3">
+          <p className="text-sm text-gray-300">
+            Copy this link now. It will not be shown again.
+          </p>
+          <p className="font-mono text-xs text-white break-all">{createdLink.url}</p>
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              onClick={copyLink}
+              className="px-3 py-1 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+            >
+              Copy
+            </button>
+            <button
+              type="button"
+              onClick={() => setCreatedLink(null)}
+              className="px-3 py-1 text-sm font-medium rounded-md text-gray-200 bg-gray-700 hover:bg-gray-600"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <input
+          name="label"
+          type="text"
+          maxLength={100}
+          value={form.label}
+          onChange={handleChange}
+          className={inputClassName}
+          placeholder="Label (optional)"
+        />
+        <div className="grid grid-cols-2 gap-2">
+          <select name="role" value={form.role} onChange={handleChange} className={inputClassName}>
+            <option value="participant">Participant</option>
+            <option value="viewer">Viewer only</option>
+          </select>
+          <select name="expiresInHours" value={form.expiresInHours} onChange={handleChange} className={inputClassName}>
+            {EXPIRY_OPTIONS.map(option => (
+              <option key={option.hours} value={option.hours}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <input
+          name="maxUses"
+          type="number"
+          min={1}
+          max={1000}
+          value={form.maxUses}
+          onChange={handleChange}
+          className={inputClassName}
+          placeholder="Max uses (unlimited)"
+        />
+        <button
+          type="submit"
+          disabled={createMutation.isLoading}
+          className="w-full px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          Create guest link
+        </button>
+      </form>
+
+      <ul className="divide-y divide-gray-700">
+        {guestLinks.map((link) => (
+          <li key={link.id} className="py-3 flex items-start justify-between">
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-white truncate">
+                {link.label || 'Guest link'}
+                <span className={`ml-2 text-xs ${STATUS_CLASSES[link.status]}`}>{link.status}</span>
+              </p>
+              <p className="text-xs text-gray-400">
+                {link.role === 'viewer' ? 'Viewer' : 'Participant'}
+                {' · '}{link.uses}{link.maxUses ? `/${link.maxUses}` : ''} uses
+                {' · '}expires {new Date(link.expiresAt).toLocaleString()}
+              </p>
+            </div>
+            {link.status === 'active' && (
+              <button
+                type="button"
+                disabled={revokeMutation.isLoading}
+                onClick={() => revokeMutation.mutate(link.id)}
+                className="ml-2 px-2 py-1 text-xs font-medium rounded-md text-red-300 bg-red-900/30 hover:bg-red-900/50 disabled:opacity-50"
+              >
+                Revoke
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default GuestLinks;
@@ -0,0 +1,103 @@
+import React, { useEffect, useRef } from 'react';
+import { Track } from 'livekit-client';
+
+// Attaches a video track to a <video> element for as long as it is rendered
+const VideoTrack = ({ track, mirrored = false, fit = 'cover' }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    const element = videoRef.current;
+    if (!track || !element) return undefined;
+
+    track.attach(element);
+    return () => {
+      track.detach(element);
+    };
+  }, [track]);
+
+  return (
+    <video
+      ref={videoRef}
+      autoPlay
+      playsInline
+      muted
+      className={`w-full h-full ${fit === 'contain' ? 'object-contain' : 'object-cover'} ${mirrored ? 'transform -scale-x-100' : ''}`}
+    />
+  );
+};
+
+// Plays a remote audio track
+const AudioTrack = ({ track }) => {
+  const audioRef = useRef(null);
+
+  useEffect(() => {
+    const element = audioRef.current;
+    if (!track || !element) return undefined;
+
+    track.attach(element);
+    return () => {
+      track.detach(element);
+    };
+  }, [track]);
+
+  return <audio ref={audioRef} autoPlay />;
+};
+
+// Track of a publication that can be rendered: local tracks always, remote ones once subscribed
+const getPublishedTrack = (participant, source, isLocal) => {
+  const publication = participant.getTrack(source);
+  if (!publication || publication.isMuted) return null;
+  if (!isLocal && !publication.isSubscribed) return null;
+  return publication.track || null;
+};
+
+// Video tile for a participant's camera or screen share, with speaking and mute indicators
+const ParticipantTile = ({ participant, isLocal = false, isSpeaking = false, source = Track.Source.Camera }) => {
+  const isScreenShare = source === Track.Source.ScreenShare;
+  const name = isLocal ? 'You' : (participant.name || participant.identity);
+
+  const videoTrack = getPublishedTrack(participant, source, isLocal);
+  const audioTrack = !isLocal && getPublishedTrack(
+    participant,
+    isScreenShare ? Track.Source.ScreenShareAudio : Track.Source.Microphone,
+    false
+  );
+
+  return (
+    <div
+      className={`relative bg-gray-800 rounded-lg overflow-hidden aspect-video ${
+        isSpeaking && !isScreenShare ? 'ring-2 ring-green-500' : ''
+      }`}
+    >
+      {videoTrack ? (
+        <VideoTrack track={videoTrack} mirrored={isLocal && !isScreenShare} fit={isScreenShare ? 'contain' : 'cover'} />
+      ) : (
+        <div className="w-full h-full bg-gray-700 flex items-center justify-center">
+          <span className="w-16 h-16 rounded-full bg-gray-600 flex items-center justify-center text-2xl font-medium text-white">
+            {name.charAt(0).toUpperCase()}
+          </span>
+        </div>
+      )}
+
+      {audioTrack && <AudioTrack track={audioTrack} />}
+
+      <div className="absolute bottom-0 inset-x-0 p-2 flex items-center justify-between bg-gradient-to-t from-black/60 to-transparent">
+        <p className="text-sm font-medium text-white truncate">
+          {isScreenShare ? `${name} (screen)` : name}
+        </p>
+        {!isScreenShare && (
+          <div className="flex items-center space-x-1">
+            {!participant.isMicrophoneEnabled && (
+              <span title="Microphone off" className="px-1.5 py-0.5 rounded bg-red-600/80 text-xs text-white">🔇</span>
+            )}
+            {!participant.isCameraEnabled && (
+              <span title="Camera off" className="px-1.5 py-0.5 rounded bg-gray-900/80 text-xs text-white">📷✕</span>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ParticipantTile;
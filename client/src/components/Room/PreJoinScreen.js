@@ -0,0 +1,482 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocketEvent, SOCKET_EVENTS } from '../../contexts/SocketContext';
+import { apiService } from '../../services/api';
+
+const DEFAULT_DEVICE = 'default';
+
+// Constraint for a device picked in the lobby; "default" leaves the choice to the browser
+const deviceConstraint = (deviceId) => (
+  deviceId && deviceId !== DEFAULT_DEVICE ? { deviceId } : true
+);
+
+// Device ID handed to LiveKit, or undefined to use the browser default
+const chosenDevice = (deviceId) => (
+  deviceId && deviceId !== DEFAULT_DEVICE ? deviceId : undefined
+);
+
+// Camera, microphone and speaker lists; labels are only filled in once media access is granted
+const listDevices = async () => {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return {
+    audioinput: devices.filter(d => d.kind === 'audioinput'),
+    videoinput: devices.filter(d => d.kind === 'videoinput'),
+    audiooutput: devices.filter(d => d.kind === 'audiooutput'),
+  };
+};
+
+const supportsSpeakerSelection = typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+
+// Horizontal bar following the input level of the previewed microphone
+const MicLevelMeter = ({ stream }) => {
+  const [level, setLevel] = useState(0);
+
+  useEffect(() => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!stream || stream.getAudioTracks().length === 0 || !AudioContextClass) {
+      setLevel(0);
+      return undefined;
+    }
+
+    const audioContext = new AudioContextClass();
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 512;
+    audioContext.createMediaStreamSource(stream).connect(analyser);
+
+    const samples = new Uint8Array(analyser.fftSize);
+    let frame;
+    const tick = () => {
+      analyser.getByteTimeDomainData(samples);
+      let sum = 0;
+      for (let i = 0; i < samples.length; i += 1) {
+        const value = (samples[i] - 128) / 128;
+        sum += value * value;
+      }
+      // RMS of normal speech sits well below 0.5, so scale it up to fill the bar
+      setLevel(Math.min(1, Math.sqrt(sum / samples.length) * 4));
+      frame = requestAnimationFrame(tick);
+    };
+    tick();
+
+    return () => {
+      cancelAnimationFrame(frame);
+      audioContext.close();
+    };
+  }, [stream]);
+
+  return (
+    <div className="h-2 w-full rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden" aria-label="Microphone level">
+      <div className="h-full bg-green-500 transition-all duration-75" style={{ width: `${Math.round(level * 100)}%` }} />
+    </div>
+  );
+};
+
+const DeviceSelect = ({ id, label, devices, value, onChange, disabled }) => (
+  <div>
+    <label htmlFor={id} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+      {label}
+    </label>
+    <select
+      id={id}
+      value={value}
+      disabled={disabled}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm disabled:opacity-50"
+    >
+      <option value={DEFAULT_DEVICE}>System default</option>
+      {devices
+        .filter(device => device.deviceId && device.deviceId !== DEFAULT_DEVICE)
+        .map((device, index) => (
+          <option key={device.deviceId} value={device.deviceId}>
+            {device.label || `${label} ${index + 1}`}
+          </option>
+        ))}
+    </select>
+  </div>
+);
+
+// Lobby shown before entering a call: device check, room password and waiting for approval
+const PreJoinScreen = ({ roomId, roomDetails, onJoin, onCancel }) => {
+  const { user, updateUser } = useAuth();
+  const videoPreferences = user?.preferences?.video || {};
+  const settings = roomDetails?.settings || {};
+
+  const cameraAvailable = settings.videoEnabled !== false;
+  const microphoneAvailable = settings.audioEnabled !== false;
+  const cameraLocked = !cameraAvailable || !!settings.videoOffOnEntry;
+  const microphoneLocked = !microphoneAvailable || !!settings.muteOnEntry;
+
+  const [devices, setDevices] = useState({ audioinput: [], videoinput: [], audiooutput: [] });
+  const [camera, setCamera] = useState(videoPreferences.defaultCamera || DEFAULT_DEVICE);
+  const [microphone, setMicrophone] = useState(videoPreferences.defaultMicrophone || DEFAULT_DEVICE);
+  const [speaker, setSpeaker] = useState(videoPreferences.defaultSpeaker || DEFAULT_DEVICE);
+  const [videoEnabled, setVideoEnabled] = useState(videoPreferences.autoVideo !== false);
+  const [audioEnabled, setAudioEnabled] = useState(!videoPreferences.autoMute);
+  const [stream, setStream] = useState(null);
+  const [mediaError, setMediaError] = useState(null);
+  const [password, setPassword] = useState('');
+  const [joinError, setJoinError] = useState(null);
+  // idle | joining | waiting | connecting
+  const [status, setStatus] = useState('idle');
+  const [testingSpeaker, setTestingSpeaker] = useState(false);
+
+  const videoRef = useRef(null);
+  const speakerTestRef = useRef(null);
+
+  const sendVideo = videoEnabled && !cameraLocked;
+  const sendAudio = audioEnabled && !microphoneLocked;
+  const needsPassword = roomDetails?.type === 'password-protected';
+  // Release the preview before LiveKit opens the same devices
+  const previewing = status !== 'connecting';
+
+  // Preview the selected camera and microphone
+  useEffect(() => {
+    if (!previewing || (!sendVideo && !sendAudio) || !navigator.mediaDevices?.getUserMedia) {
+      setStream(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    let previewStream = null;
+
+    navigator.mediaDevices.getUserMedia({
+      video: sendVideo ? deviceConstraint(camera) : false,
+      audio: sendAudio ? deviceConstraint(microphone) : false,
+    })
+      .then((mediaStream) => {
+        if (cancelled) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        previewStream = mediaStream;
+        setStream(mediaStream);
+        setMediaError(null);
+        return listDevices().then(setDevices);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('Failed to preview media devices:', error);
+        setStream(null);
+        setMediaError(error.name === 'NotAllowedError'
+          ? 'Camera and microphone access was blocked. Allow it in your browser to be seen and heard.'
+          : 'Could not start the selected camera or microphone.');
+      });
+
+    return () => {
+      cancelled = true;
+      if (previewStream) {
+        previewStream.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, [previewing, sendVideo, sendAudio, camera, microphone]);
+
+  // Keep the device lists current as hardware is plugged in or removed
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.enumerateDevices) return undefined;
+
+    const refresh = () => {
+      listDevices().then(setDevices).catch(() => {});
+    };
+    refresh();
+    mediaDevices.addEventListener('devicechange', refresh);
+
+    return () => {
+      mediaDevices.removeEventListener('devicechange', refresh);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream && stream.getVideoTracks().length > 0 ? stream : null;
+    }
+  }, [stream]);
+
+  // Play a short tone through the selected speaker
+  const testSpeaker = async () => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const element = speakerTestRef.current;
+    if (!AudioContextClass || !element) return;
+
+    setTestingSpeaker(true);
+    const audioContext = new AudioContextClass();
+    try {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      const destination = audioContext.createMediaStreamDestination();
+      oscillator.frequency.value = 440;
+      gain.gain.value = 0.1;
+      oscillator.connect(gain).connect(destination);
+
+      if (supportsSpeakerSelection) {
+        await element.setSinkId(chosenDevice(speaker) || '');
+      }
+      element.srcObject = destination.stream;
+      oscillator.start();
+      await element.play();
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      oscillator.stop();
+    } catch (error) {
+      console.error('Speaker test failed:', error);
+      setMediaError('Could not play sound through the selected speaker.');
+    } finally {
+      element.srcObject = null;
+      audioContext.close();
+      setTestingSpeaker(false);
+    }
+  };
+
+  // Remember the chosen devices as the user's defaults
+  const saveDevicePreferences = async () => {
+    if (!user) return;
+    if (
+      camera === (videoPreferences.defaultCamera || DEFAULT_DEVICE) &&
+      microphone === (videoPreferences.defaultMicrophone || DEFAULT_DEVICE) &&
+      speaker === (videoPreferences.defaultSpeaker || DEFAULT_DEVICE)
+    ) {
+      return;
+    }
+
+    try {
+      // Preferences are merged one level deep, so send the whole video group
+      const response = await apiService.users.updateProfile({
+        preferences: {
+          video: {
+            ...videoPreferences,
+            defaultCamera: camera,
+            defaultMicrophone: microphone,
+            defaultSpeaker: speaker,
+          },
+        },
+      });
+      updateUser({ preferences: response.data.data.user.preferences });
+    } catch (error) {
+      console.error('Failed to save device preferences:', error);
+    }
+  };
+
+  const join = useCallback(async () => {
+    setJoinError(null);
+    setStatus('joining');
+
+    try {
+      const response = await apiService.rooms.join(roomId, needsPassword ? { password } : {});
+      if (response.status === 202) {
+        setStatus('waiting');
+        return;
+      }
+
+      setStatus('connecting');
+      await onJoin(response.data.data, {
+        audioEnabled: sendAudio,
+        videoEnabled: sendVideo,
+        audioDeviceId: chosenDevice(microphone),
+        videoDeviceId: chosenDevice(camera),
+        speakerDeviceId: chosenDevice(speaker),
+      });
+    } catch (error) {
+      setJoinError(error.response?.data?.message || 'Failed to join room');
+      setStatus('idle');
+    }
+  }, [roomId, needsPassword, password, onJoin, sendAudio, sendVideo, microphone, camera, speaker]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveDevicePreferences();
+    join();
+  };
+
+  // A moderator answered the join request
+  useSocketEvent(SOCKET_EVENTS.JOIN_REQUEST_RESOLVED, (payload) => {
+    if (payload.roomId !== roomId || status !== 'waiting') return;
+
+    if (payload.status === 'admitted') {
+      join();
+    } else {
+      setJoinError('Your request to join this room was denied');
+      setStatus('idle');
+    }
+  });
+
+  const withdraw = async () => {
+    try {
+      await apiService.rooms.withdrawJoinRequest(roomId);
+    } catch (error) {
+      console.error('Failed to withdraw join request:', error);
+    }
+    setStatus('idle');
+  };
+
+  const toggleClassName = (enabled) => `flex-1 px-3 py-2 rounded-md text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed ${
+    enabled
+      ? 'bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white hover:bg-gray-200 dark:hover:bg-gray-600'
+      : 'bg-red-600 text-white hover:bg-red-700'
+  }`;
+
+  const busy = status === 'joining' || status === 'connecting';
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-8 px-4">
+      <div className="max-w-4xl mx-auto bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+          {roomDetails?.name || 'Join Room'}
+        </h1>
+        {roomDetails?.description && (
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-300">{roomDetails.description}</p>
+        )}
+
+        <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-3">
+            <div className="relative bg-gray-900 rounded-lg overflow-hidden aspect-video">
+              <video
+                ref={videoRef}
+                autoPlay
+                playsInline
+                muted
+                className={`w-full h-full object-cover transform -scale-x-100 ${sendVideo && stream ? '' : 'hidden'}`}
+              />
+              {!(sendVideo && stream) && (
+                <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-400">
+                  Camera is off
+                </div>
+              )}
+            </div>
+
+            <div className="flex space-x-2">
+              <button
+                type="button"
+                disabled={microphoneLocked}
+                onClick={() => setAudioEnabled(!audioEnabled)}
+                className={toggleClassName(sendAudio)}
+              >
+                {sendAudio ? '🎤 Microphone on' : '🔇 Microphone off'}
+              </button>
+              <button
+                type="button"
+                disabled={cameraLocked}
+                onClick={() => setVideoEnabled(!videoEnabled)}
+                className={toggleClassName(sendVideo)}
+              >
+                {sendVideo ? '📹 Camera on' : '📷 Camera off'}
+              </button>
+            </div>
+
+            {!microphoneAvailable && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">Audio is disabled in this room.</p>
+            )}
+            {microphoneAvailable && settings.muteOnEntry && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Everyone joins muted. You can unmute once you are in the room.
+              </p>
+            )}
+            {!cameraAvailable && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">Video is disabled in this room.</p>
+            )}
+            {cameraAvailable && settings.videoOffOnEntry && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Everyone joins with the camera off. You can turn it on once you are in the room.
+              </p>
+            )}
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <DeviceSelect
+              id="camera"
+              label="Camera"
+              devices={devices.videoinput}
+              value={camera}
+              onChange={setCamera}
+              disabled={!cameraAvailable}
+            />
+
+            <div className="space-y-2">
+              <DeviceSelect
+                id="microphone"
+                label="Microphone"
+                devices={devices.audioinput}
+                value={microphone}
+                onChange={setMicrophone}
+                disabled={!microphoneAvailable}
+              />
+              <MicLevelMeter stream={sendAudio ? stream : null} />
+            </div>
+
+            {supportsSpeakerSelection && (
+              <DeviceSelect
+                id="speaker"
+                label="Speaker"
+                devices={devices.audiooutput}
+                value={speaker}
+                onChange={setSpeaker}
+              />
+            )}
+            <button
+              type="button"
+              disabled={testingSpeaker}
+              onClick={testSpeaker}
+              className="text-sm font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50"
+            >
+              {testingSpeaker ? 'Playing test sound...' : 'Test speaker'}
+            </button>
+            <audio ref={speakerTestRef} />
+
+            {needsPassword && (
+              <div>
+                <label htmlFor="roomPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Room password
+                </label>
+                <input
+                  type="password"
+                  id="roomPassword"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  disabled={status === 'waiting'}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  placeholder="Enter the room password"
+                />
+              </div>
+            )}
+
+            {mediaError && <p className="text-sm text-yellow-600 dark:text-yellow-400">{mediaError}</p>}
+            {joinError && <p className="text-sm text-red-600 dark:text-red-400">{joinError}</p>}
+
+            {status === 'waiting' ? (
+              <div className="rounded-md bg-blue-50 dark:bg-blue-900/30 p-4 space-y-2">
+                <p className="text-sm text-blue-800 dark:text-blue-200">
+                  Waiting for a moderator to let you in...
+                </p>
+                <button
+                  type="button"
+                  onClick={withdraw}
+                  className="text-sm font-medium text-blue-600 hover:text-blue-700"
+                >
+                  Withdraw request
+                </button>
+              </div>
+            ) : (
+              <div className="flex justify-end space-x-4">
+                <button
+                  type="button"
+                  onClick={onCancel}
+                  className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {busy ? 'Joining...' : 'Join now'}
+                </button>
+              </div>
+            )}
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PreJoinScreen;
@@ -2,7 +2,7 @@ import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
-import api from '../services/api';
+import api, { refreshAccessToken, onTokenRefreshed, clearStoredTokens } from '../services/api';
 
 // Initial state
 const initialState = {
@@ -92,6 +92,11 @@ export function AuthProvider({ children }) {
     }
   }, [state.token]);
 
+  // Pick up access tokens refreshed silently by the API client
+  useEffect(() => onTokenRefreshed((token) => {
+    dispatch({ type: AUTH_ACTIONS.SET_TOKEN, payload: token });
+  }), []);
+
   // Fetch user profile on mount if token exists
   useQuery(
     ['user', 'profile'],
@@ -105,21 +110,31 @@ export function AuthProvider({ children }) {
       onError: () => {
         // Token is invalid, clear auth
         dispatch({ type: AUTH_ACTIONS.CLEAR_AUTH });
-        localStorage.removeItem('token');
+        clearStoredTokens();
       },
     }
   );
 
-  // Login mutation
+  // Store the tokens of a completed login
+  const handleLoginSuccess = (response) => {
+    const { user, token, refreshToken } = response.data.data;
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    dispatch({ type: AUTH_ACTIONS.LOGIN_SUCCESS, payload: { user, token } });
+    toast.success('Login successful!');
+    if (!user.isVerified) {
+      toast('Your email address is not verified yet. Check your inbox for the verification link.', { icon: '✉️' });
+    }
+  };
+
+  // Login mutation; accounts with two-factor authentication get a challenge instead of tokens
   const loginMutation = useMutation(
     (credentials) => api.post('/api/auth/login', credentials),
     {
       onSuccess: (response) => {
-        const { user, token } = response.data.data;
-        localStorage.setItem('token', token);
-        dispatch({ type: AUTH_ACTIONS.LOGIN_SUCCESS, payload: { user, token } });
-        toast.success('Login successful!');
-        navigate('/dashboard');
+        if (!response.data.data.twoFactorRequired) {
+          handleLoginSuccess(response);
+        }
       },
       onError: (error) => {
         const message = error.response?.data?.message || 'Login failed';
@@ -128,16 +143,61 @@ export function AuthProvider({ children }) {
     }
   );
 
+  // Two-factor login mutation
+  const loginTwoFactorMutation = useMutation(
+    (challengeData) => api.post('/api/auth/login/2fa', challengeData),
+    {
+      onSuccess: handleLoginSuccess,
+      onError: (error) => {
+        const message = error.response?.data?.message || 'Verification failed';
+        toast.error(message);
+        // The challenge is gone, so start over from the password step
+        if (error.response?.data?.code === 'TWO_FACTOR_CHALLENGE_EXPIRED') {
+          loginMutation.reset();
+        }
+      },
+    }
+  );
+
+  // Single sign-on mutation, redeeming the one-time code from the OIDC callback
+  const ssoLoginMutation = useMutation(
+    (code) => api.post('/api/auth/oidc/exchange', { code }),
+    {
+      onSuccess: (response) => {
+        const { twoFactorRequired, redirectTo } = response.data.data;
+        if (twoFactorRequired) {
+          // Finish on the login page's code step
+          navigate('/login', {
+            replace: true,
+            state: { challenge: response.data.data, from: { pathname: redirectTo } },
+          });
+          return;
+        }
+        handleLoginSuccess(response);
+        navigate(redirectTo || '/dashboard', { replace: true });
+      },
+      onError: (error) => {
+        const message = error.response?.data?.message || 'Single sign-on failed';
+        toast.error(message);
+        navigate('/login', { replace: true });
+      },
+    }
+  );
+
   // Register mutation
   const registerMutation = useMutation(
     (userData) => api.post('/api/auth/register', userData),
     {
       onSuccess: (response) => {
-        const { user, token } = response.data.data;
+        const { user, token, refreshToken } = response.data.data;
         localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
         dispatch({ type: AUTH_ACTIONS.LOGIN_SUCCESS, payload: { user, token } });
         toast.success('Registration successful!');
-        navigate('/dashboard');
+        // Unverified accounts stay on the register page, which asks them to check their inbox
+        if (user.isVerified) {
+          navigate('/dashboard');
+        }
       },
       onError: (error) => {
         const message = error.response?.data?.message || 'Registration failed';
@@ -161,15 +221,10 @@ export function AuthProvider({ children }) {
     }
   );
 
-  // Refresh token mutation
+  // Refresh token mutation (the new token is picked up through onTokenRefreshed)
   const refreshTokenMutation = useMutation(
-    () => api.post('/api/auth/refresh'),
+    () => refreshAccessToken(),
     {
-      onSuccess: (response) => {
-        const { user, token } = response.data.data;
-        localStorage.setItem('token', token);
-        dispatch({ type: AUTH_ACTIONS.LOGIN_SUCCESS, payload: { user, token } });
-      },
       onError: () => {
         // Refresh failed, logout user
         handleLogout();
@@ -207,6 +262,31 @@ export function AuthProvider({ children }) {
     }
   );
 
+  // Verify email mutation
+  const verifyEmailMutation = useMutation(
+    (token) => api.post('/api/auth/verify-email', { token }),
+    {
+      onSuccess: () => {
+        dispatch({ type: AUTH_ACTIONS.UPDATE_USER, payload: { isVerified: true } });
+        toast.success('Email verified successfully');
+      },
+    }
+  );
+
+  // Resend verification email mutation
+  const resendVerificationMutation = useMutation(
+    () => api.post('/api/auth/resend-verification'),
+    {
+      onSuccess: () => {
+        toast.success('Verification email sent');
+      },
+      onError: (error) => {
+        const message = error.response?.data?.message || 'Failed to send verification email';
+        toast.error(message);
+      },
+    }
+  );
+
   // Forgot password mutation
   const forgotPasswordMutation = useMutation(
     (email) => api.post('/api/auth/forgot-password', { email }),
@@ -238,15 +318,33 @@ export function AuthProvider({ children }) {
 
   // Handle logout
   const handleLogout = () => {
-    localStorage.removeItem('token');
+    clearStoredTokens();
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
     queryClient.clear();
     navigate('/');
   };
 
   // Login function
-  const login = (credentials) => {
-    loginMutation.mutate(credentials);
+  const login = (credentials, redirectTo = '/dashboard') => {
+    loginMutation.mutate(credentials, {
+      onSuccess: (response) => {
+        if (!response.data.data.twoFactorRequired) {
+          navigate(redirectTo, { replace: true });
+        }
+      },
+    });
+  };
+
+  // Second login step for accounts with two-factor authentication
+  const loginTwoFactor = (challengeData, redirectTo = '/dashboard') => {
+    loginTwoFactorMutation.mutate(challengeData, {
+      onSuccess: () => navigate(redirectTo, { replace: true }),
+    });
+  };
+
+  // Single sign-on function
+  const loginWithSso = (code) => {
+    ssoLoginMutation.mutate(code);
   };
 
   // Register function
@@ -269,11 +367,26 @@ export function AuthProvider({ children }) {
     updateProfileMutation.mutate(profileData);
   };
 
+  // Merge fields saved elsewhere (e.g. preferences) into the current user
+  const updateUser = (fields) => {
+    dispatch({ type: AUTH_ACTIONS.UPDATE_USER, payload: fields });
+  };
+
   // Change password function
   const changePassword = (passwordData) => {
     changePasswordMutation.mutate(passwordData);
   };
 
+  // Verify email function
+  const verifyEmail = (token) => {
+    verifyEmailMutation.mutate(token);
+  };
+
+  // Resend verification email function
+  const resendVerification = () => {
+    resendVerificationMutation.mutate();
+  };
+
   // Forgot password function
   const forgotPassword = (email) => {
     forgotPasswordMutation.mutate(email);
@@ -304,21 +417,30 @@ export function AuthProvider({ children }) {
     
     // Mutations
     loginMutation,
+    loginTwoFactorMutation,
+    ssoLoginMutation,
     registerMutation,
     logoutMutation,
     refreshTokenMutation,
     updateProfileMutation,
     changePasswordMutation,
+    verifyEmailMutation,
+    resendVerificationMutation,
     forgotPasswordMutation,
     resetPasswordMutation,
     
     // Functions
     login,
+    loginTwoFactor,
+    loginWithSso,
     register,
     logout,
     refreshToken,
     updateProfile,
+    updateUser,
     changePassword,
+    verifyEmail,
+    resendVerification,
     forgotPassword,
     resetPassword,
     
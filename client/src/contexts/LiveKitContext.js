@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
-import { Room, RoomEvent, Track } from 'livekit-client';
+import { Room, RoomEvent } from 'livekit-client';
 import { useAuth } from './AuthContext';
+import { useSocketEvent, SOCKET_EVENTS } from './SocketContext';
 import { apiService } from '../services/api';
 import toast from 'react-hot-toast';
 
@@ -11,6 +12,7 @@ const initialState = {
   isConnected: false,
   participants: [],
   localParticipant: null,
+  activeSpeakers: [],
   audioEnabled: true,
   videoEnabled: true,
   screenShareEnabled: false,
@@ -28,9 +30,7 @@ const LIVEKIT_ACTIONS = {
   SET_CONNECTED: 'SET_CONNECTED',
   SET_PARTICIPANTS: 'SET_PARTICIPANTS',
   SET_LOCAL_PARTICIPANT: 'SET_LOCAL_PARTICIPANT',
-  ADD_PARTICIPANT: 'ADD_PARTICIPANT',
-  REMOVE_PARTICIPANT: 'REMOVE_PARTICIPANT',
-  UPDATE_PARTICIPANT: 'UPDATE_PARTICIPANT',
+  SET_ACTIVE_SPEAKERS: 'SET_ACTIVE_SPEAKERS',
   SET_AUDIO_ENABLED: 'SET_AUDIO_ENABLED',
   SET_VIDEO_ENABLED: 'SET_VIDEO_ENABLED',
   SET_SCREEN_SHARE_ENABLED: 'SET_SCREEN_SHARE_ENABLED',
@@ -74,22 +74,10 @@ function livekitReducer(state, action) {
         ...state,
         localParticipant: action.payload,
       };
-    case LIVEKIT_ACTIONS.ADD_PARTICIPANT:
+    case LIVEKIT_ACTIONS.SET_ACTIVE_SPEAKERS:
       return {
         ...state,
-        participants: [...state.participants, action.payload],
-      };
-    case LIVEKIT_ACTIONS.REMOVE_PARTICIPANT:
-      return {
-        ...state,
-        participants: state.participants.filter(p => p.identity !== action.payload),
-      };
-    case LIVEKIT_ACTIONS.UPDATE_PARTICIPANT:
-      return {
-        ...state,
-        participants: state.participants.map(p =>
-          p.identity === action.payload.identity ? { ...p, ...action.payload } : p
-        ),
+        activeSpeakers: action.payload,
       };
     case LIVEKIT_ACTIONS.SET_AUDIO_ENABLED:
       return {
@@ -156,133 +144,119 @@ export function LiveKitProvider({ children }) {
         participantName: participantName || user?.fullName,
       });
       
-      const { token, room } = response.data.data;
+      const { token, livekitUrl, room } = response.data.data;
       dispatch({ type: LIVEKIT_ACTIONS.SET_ROOM_TOKEN, payload: token });
       dispatch({ type: LIVEKIT_ACTIONS.SET_ROOM_DATA, payload: room });
       
-      return { token, room };
+      return { token, livekitUrl, room };
     } catch (error) {
       console.error('Failed to get room token:', error);
       throw error;
     }
   }, [user]);
 
-  // Update participant tracks
-  const updateParticipantTracks = useCallback((participant) => {
-    const audioTrack = participant.getTrack(Track.Source.Microphone);
-    const videoTrack = participant.getTrack(Track.Source.Camera);
-    const screenShareTrack = participant.getTrack(Track.Source.ScreenShare);
-
-    dispatch({
-      type: LIVEKIT_ACTIONS.UPDATE_PARTICIPANT,
-      payload: {
-        identity: participant.identity,
-        audioTrack: audioTrack?.isSubscribed ? audioTrack : null,
-        videoTrack: videoTrack?.isSubscribed ? videoTrack : null,
-        screenShareTrack: screenShareTrack?.isSubscribed ? screenShareTrack : null,
-        isAudioEnabled: audioTrack?.isMuted === false,
-        isVideoEnabled: videoTrack?.isMuted === false,
-        isScreenSharing: !!screenShareTrack?.isSubscribed,
-      },
-    });
+  // Re-read the room's participants; tiles read tracks straight from the participant objects,
+  // so a fresh array is what makes them re-render after track changes
+  const syncParticipants = useCallback((room) => {
+    dispatch({ type: LIVEKIT_ACTIONS.SET_PARTICIPANTS, payload: Array.from(room.participants.values()) });
+  }, []);
+
+  // Keep the local media flags in line with what is actually published
+  const syncLocalMedia = useCallback((room) => {
+    const { localParticipant } = room;
+    dispatch({ type: LIVEKIT_ACTIONS.SET_AUDIO_ENABLED, payload: localParticipant.isMicrophoneEnabled });
+    dispatch({ type: LIVEKIT_ACTIONS.SET_VIDEO_ENABLED, payload: localParticipant.isCameraEnabled });
+    dispatch({ type: LIVEKIT_ACTIONS.SET_SCREEN_SHARE_ENABLED, payload: localParticipant.isScreenShareEnabled });
   }, []);
 
   // Setup room event listeners
   const setupRoomEventListeners = useCallback((room) => {
     // Participant connected
     room.on(RoomEvent.ParticipantConnected, (participant) => {
-      console.log('Participant connected:', participant.identity);
-      dispatch({ type: LIVEKIT_ACTIONS.ADD_PARTICIPANT, payload: participant });
+      syncParticipants(room);
       toast.success(`${participant.name || participant.identity} joined the room`);
     });
 
     // Participant disconnected
     room.on(RoomEvent.ParticipantDisconnected, (participant) => {
-      console.log('Participant disconnected:', participant.identity);
-      dispatch({ type: LIVEKIT_ACTIONS.REMOVE_PARTICIPANT, payload: participant.identity });
-      toast.info(`${participant.name || participant.identity} left the room`);
-    });
-
-    // Local participant connected
-    room.on(RoomEvent.LocalParticipantConnected, (participant) => {
-      console.log('Local participant connected:', participant.identity);
-      dispatch({ type: LIVEKIT_ACTIONS.SET_LOCAL_PARTICIPANT, payload: participant });
+      syncParticipants(room);
+      toast(`${participant.name || participant.identity} left the room`);
     });
 
     // Track published
-    room.on(RoomEvent.TrackPublished, (publication, participant) => {
-      console.log('Track published:', publication.trackSid, 'by', participant.identity);
-      updateParticipantTracks(participant);
-    });
+    room.on(RoomEvent.TrackPublished, () => syncParticipants(room));
 
     // Track unpublished
-    room.on(RoomEvent.TrackUnpublished, (publication, participant) => {
-      console.log('Track unpublished:', publication.trackSid, 'by', participant.identity);
-      updateParticipantTracks(participant);
-    });
+    room.on(RoomEvent.TrackUnpublished, () => syncParticipants(room));
 
     // Track subscribed
-    room.on(RoomEvent.TrackSubscribed, (track, publication, participant) => {
-      console.log('Track subscribed:', track.sid, 'from', participant.identity);
-      updateParticipantTracks(participant);
-    });
+    room.on(RoomEvent.TrackSubscribed, () => syncParticipants(room));
 
     // Track unsubscribed
-    room.on(RoomEvent.TrackUnsubscribed, (track, publication, participant) => {
-      console.log('Track unsubscribed:', track.sid, 'from', participant.identity);
-      updateParticipantTracks(participant);
+    room.on(RoomEvent.TrackUnsubscribed, () => syncParticipants(room));
+
+    // Tracks muted and unmuted, including the local microphone muted by a moderator
+    const handleMuteChange = (publication, participant) => {
+      if (participant === room.localParticipant) syncLocalMedia(room);
+      syncParticipants(room);
+    };
+    room.on(RoomEvent.TrackMuted, handleMuteChange);
+    room.on(RoomEvent.TrackUnmuted, handleMuteChange);
+
+    // Local tracks published and unpublished, including a screen share ended from the browser UI
+    room.on(RoomEvent.LocalTrackPublished, () => {
+      syncLocalMedia(room);
+      syncParticipants(room);
+    });
+    room.on(RoomEvent.LocalTrackUnpublished, () => {
+      syncLocalMedia(room);
+      syncParticipants(room);
     });
 
     // Connection state changed
     room.on(RoomEvent.ConnectionStateChanged, (state) => {
-      console.log('Connection state changed:', state);
       dispatch({ type: LIVEKIT_ACTIONS.SET_CONNECTED, payload: state === 'connected' });
       
       if (state === 'disconnected') {
-        toast.info('Disconnected from room');
+        toast('Disconnected from room');
       } else if (state === 'reconnecting') {
-        toast.warning('Reconnecting to room...');
+        toast('Reconnecting to room...');
       }
     });
 
-    // Room metadata changed
-    room.on(RoomEvent.MetadataChanged, (metadata) => {
-      console.log('Room metadata changed:', metadata);
-    });
-
-    // Data received
-    room.on(RoomEvent.DataReceived, (payload, participant) => {
-      console.log('Data received:', payload, 'from', participant.identity);
+    // Drop the room once the connection is gone for good, e.g. after being removed by a moderator
+    room.on(RoomEvent.Disconnected, () => {
+      dispatch({ type: LIVEKIT_ACTIONS.RESET });
     });
 
     // Active speakers changed
     room.on(RoomEvent.ActiveSpeakersChanged, (speakers) => {
-      console.log('Active speakers changed:', speakers.map(s => s.identity));
+      dispatch({ type: LIVEKIT_ACTIONS.SET_ACTIVE_SPEAKERS, payload: speakers.map(s => s.identity) });
     });
 
     // Recording started
     room.on(RoomEvent.RecordingStarted, () => {
-      console.log('Recording started');
       dispatch({ type: LIVEKIT_ACTIONS.SET_RECORDING, payload: true });
-      toast.info('Recording started');
+      toast('Recording started');
     });
 
     // Recording stopped
     room.on(RoomEvent.RecordingStopped, () => {
-      console.log('Recording stopped');
       dispatch({ type: LIVEKIT_ACTIONS.SET_RECORDING, payload: false });
-      toast.info('Recording stopped');
+      toast('Recording stopped');
     });
-  }, [updateParticipantTracks]);
+  }, [syncParticipants, syncLocalMedia]);
+
+  // Connect to a room with an already issued token, e.g. one handed out through a guest link
+  // media: { audioEnabled, videoEnabled, audioDeviceId, videoDeviceId, speakerDeviceId } chosen before joining
+  const connectWithToken = useCallback(async (token, livekitUrl, roomData, media = {}) => {
+    const { audioEnabled = true, videoEnabled = true, audioDeviceId, videoDeviceId, speakerDeviceId } = media;
 
-  // Connect to room
-  const connectToRoom = useCallback(async (roomId, participantName = null) => {
     try {
       dispatch({ type: LIVEKIT_ACTIONS.SET_CONNECTING, payload: true });
       dispatch({ type: LIVEKIT_ACTIONS.CLEAR_ERROR });
-
-      // Get room token
-      const { token, room } = await getRoomToken(roomId, participantName);
+      dispatch({ type: LIVEKIT_ACTIONS.SET_ROOM_TOKEN, payload: token });
+      dispatch({ type: LIVEKIT_ACTIONS.SET_ROOM_DATA, payload: roomData });
 
       // Create room instance
       const livekitRoom = new Room({
@@ -291,22 +265,39 @@ export function LiveKitProvider({ children }) {
         publishDefaults: {
           simulcast: true,
         },
+        audioCaptureDefaults: audioDeviceId ? { deviceId: audioDeviceId } : undefined,
+        videoCaptureDefaults: videoDeviceId ? { deviceId: videoDeviceId } : undefined,
+        audioOutput: speakerDeviceId ? { deviceId: speakerDeviceId } : undefined,
       });
 
       // Set up room event listeners
       setupRoomEventListeners(livekitRoom);
 
       // Connect to room
-      await livekitRoom.connect(room.livekitUrl, token, {
+      await livekitRoom.connect(livekitUrl, token, {
         autoSubscribe: true,
       });
 
       dispatch({ type: LIVEKIT_ACTIONS.SET_ROOM, payload: livekitRoom });
+      dispatch({ type: LIVEKIT_ACTIONS.SET_LOCAL_PARTICIPANT, payload: livekitRoom.localParticipant });
       dispatch({ type: LIVEKIT_ACTIONS.SET_CONNECTED, payload: true });
       dispatch({ type: LIVEKIT_ACTIONS.SET_CONNECTING, payload: false });
+      syncParticipants(livekitRoom);
 
       toast.success('Connected to room successfully!');
 
+      // Publish camera and microphone as chosen before joining, unless the token only allows watching
+      if (livekitRoom.localParticipant.permissions?.canPublish !== false) {
+        try {
+          await livekitRoom.localParticipant.setMicrophoneEnabled(audioEnabled);
+          await livekitRoom.localParticipant.setCameraEnabled(videoEnabled);
+        } catch (error) {
+          console.error('Failed to enable camera and microphone:', error);
+          toast.error('Could not access your camera or microphone');
+        }
+      }
+      syncLocalMedia(livekitRoom);
+
       return livekitRoom;
     } catch (error) {
       console.error('Failed to connect to room:', error);
@@ -315,7 +306,25 @@ export function LiveKitProvider({ children }) {
       toast.error('Failed to connect to room');
       throw error;
     }
-  }, [getRoomToken, setupRoomEventListeners]);
+  }, [setupRoomEventListeners, syncParticipants, syncLocalMedia]);
+
+  // Connect to room
+  const connectToRoom = useCallback(async (roomId, participantName = null) => {
+    let tokenData;
+    try {
+      dispatch({ type: LIVEKIT_ACTIONS.SET_CONNECTING, payload: true });
+
+      // Get room token
+      tokenData = await getRoomToken(roomId, participantName);
+    } catch (error) {
+      dispatch({ type: LIVEKIT_ACTIONS.SET_ERROR, payload: error.message });
+      dispatch({ type: LIVEKIT_ACTIONS.SET_CONNECTING, payload: false });
+      toast.error('Failed to connect to room');
+      throw error;
+    }
+
+    return connectWithToken(tokenData.token, tokenData.livekitUrl, tokenData.room);
+  }, [getRoomToken, connectWithToken]);
 
   // Disconnect from room
   const disconnectFromRoom = useCallback(async () => {
@@ -337,11 +346,11 @@ export function LiveKitProvider({ children }) {
         if (state.audioEnabled) {
           await state.localParticipant.setMicrophoneEnabled(false);
           dispatch({ type: LIVEKIT_ACTIONS.SET_AUDIO_ENABLED, payload: false });
-          toast.info('Microphone muted');
+          toast('Microphone muted');
         } else {
           await state.localParticipant.setMicrophoneEnabled(true);
           dispatch({ type: LIVEKIT_ACTIONS.SET_AUDIO_ENABLED, payload: true });
-          toast.info('Microphone unmuted');
+          toast('Microphone unmuted');
         }
       } catch (error) {
         console.error('Error toggling audio:', error);
@@ -357,11 +366,11 @@ export function LiveKitProvider({ children }) {
         if (state.videoEnabled) {
           await state.localParticipant.setCameraEnabled(false);
           dispatch({ type: LIVEKIT_ACTIONS.SET_VIDEO_ENABLED, payload: false });
-          toast.info('Camera turned off');
+          toast('Camera turned off');
         } else {
           await state.localParticipant.setCameraEnabled(true);
           dispatch({ type: LIVEKIT_ACTIONS.SET_VIDEO_ENABLED, payload: true });
-          toast.info('Camera turned on');
+          toast('Camera turned on');
         }
       } catch (error) {
         console.error('Error toggling video:', error);
@@ -377,11 +386,11 @@ export function LiveKitProvider({ children }) {
         if (state.screenShareEnabled) {
           await state.localParticipant.setScreenShareEnabled(false);
           dispatch({ type: LIVEKIT_ACTIONS.SET_SCREEN_SHARE_ENABLED, payload: false });
-          toast.info('Screen sharing stopped');
+          toast('Screen sharing stopped');
         } else {
           await state.localParticipant.setScreenShareEnabled(true);
           dispatch({ type: LIVEKIT_ACTIONS.SET_SCREEN_SHARE_ENABLED, payload: true });
-          toast.info('Screen sharing started');
+          toast('Screen sharing started');
         }
       } catch (error) {
         console.error('Error toggling screen share:', error);
@@ -412,6 +421,12 @@ export function LiveKitProvider({ children }) {
     }
   }, []);
 
+  // Keep recording state in sync with server-side egress
+  useSocketEvent(SOCKET_EVENTS.RECORDING_UPDATED, (recording) => {
+    if (state.roomData && recording.roomId !== state.roomData.roomId) return;
+    dispatch({ type: LIVEKIT_ACTIONS.SET_RECORDING, payload: recording.isRecording });
+  });
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -429,6 +444,7 @@ export function LiveKitProvider({ children }) {
     isConnected: state.isConnected,
     participants: state.participants,
     localParticipant: state.localParticipant,
+    activeSpeakers: state.activeSpeakers,
     audioEnabled: state.audioEnabled,
     videoEnabled: state.videoEnabled,
     screenShareEnabled: state.screenShareEnabled,
@@ -439,6 +455,7 @@ export function LiveKitProvider({ children }) {
 
     // Functions
     connectToRoom,
+    connectWithToken,
     disconnectFromRoom,
     toggleAudio,
     toggleVideo,
@@ -0,0 +1,151 @@
+import React, { createContext, useContext, useEffect, useRef, useState, useCallback } from 'react';
+import { io } from 'socket.io-client';
+import { useAuth } from './AuthContext';
+
+// Socket server URL (same origin as the REST API)
+const SOCKET_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Events pushed by the server
+export const SOCKET_EVENTS = {
+  ROOM_UPDATED: 'room:updated',
+  ROOM_DELETED: 'room:deleted',
+  PARTICIPANT_JOINED: 'room:participant_joined',
+  PARTICIPANT_LEFT: 'room:participant_left',
+  PARTICIPANT_MUTED: 'room:participant_muted',
+  PARTICIPANT_REMOVED: 'room:participant_removed',
+  PARTICIPANT_UPDATED: 'room:participant_updated',
+  RECORDING_UPDATED: 'recording:updated',
+  INVITATION_RECEIVED: 'invitation:received',
+  INVITATION_UPDATED: 'invitation:updated',
+  JOIN_REQUESTED: 'lobby:join_requested',
+  JOIN_REQUEST_RESOLVED: 'lobby:join_request_resolved',
+  CHAT_MESSAGE: 'chat:message',
+};
+
+// Create context
+const SocketContext = createContext();
+
+// Provider component
+export function SocketProvider({ children }) {
+  const { token, isAuthenticated } = useAuth();
+  const [socket, setSocket] = useState(null);
+  const [isConnected, setIsConnected] = useState(false);
+
+  // Connect while authenticated, reconnecting whenever the token changes
+  useEffect(() => {
+    if (!isAuthenticated || !token) {
+      return undefined;
+    }
+
+    const newSocket = io(SOCKET_URL, {
+      auth: { token },
+      withCredentials: true,
+      transports: ['websocket', 'polling'],
+    });
+
+    newSocket.on('connect', () => setIsConnected(true));
+    newSocket.on('disconnect', () => setIsConnected(false));
+    newSocket.on('connect_error', (error) => {
+      console.error('Socket connection error:', error.message);
+      setIsConnected(false);
+    });
+
+    setSocket(newSocket);
+
+    return () => {
+      newSocket.disconnect();
+      setSocket(null);
+      setIsConnected(false);
+    };
+  }, [token, isAuthenticated]);
+
+  // Subscribe to a room channel
+  const subscribeToRoom = useCallback((roomId) => {
+    if (!socket) return Promise.resolve({ success: false });
+    return new Promise((resolve) => {
+      socket.emit('room:subscribe', roomId, resolve);
+    });
+  }, [socket]);
+
+  // Unsubscribe from a room channel
+  const unsubscribeFromRoom = useCallback((roomId) => {
+    if (!socket) return Promise.resolve({ success: false });
+    return new Promise((resolve) => {
+      socket.emit('room:unsubscribe', roomId, resolve);
+    });
+  }, [socket]);
+
+  // Value object
+  const value = {
+    socket,
+    isConnected,
+    subscribeToRoom,
+    unsubscribeFromRoom,
+  };
+
+  return (
+    <SocketContext.Provider value={value}>
+      {children}
+    </SocketContext.Provider>
+  );
+}
+
+// Custom hook to use socket context
+export function useSocket() {
+  const context = useContext(SocketContext);
+  if (!context) {
+    throw new Error('useSocket must be used within a SocketProvider');
+  }
+  return context;
+}
+
+// Custom hook to listen to a server event for the lifetime of a component
+export function useSocketEvent(event, handler) {
+  const { socket } = useSocket();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const listener = (payload) => handlerRef.current(payload);
+    socket.on(event, listener);
+
+    return () => {
+      socket.off(event, listener);
+    };
+  }, [socket, event]);
+}
+
+// Custom hook to follow a room channel while mounted
+export function useRoomChannel(roomId) {
+  const { socket, isConnected, subscribeToRoom, unsubscribeFromRoom } = useSocket();
+
+  useEffect(() => {
+    if (!roomId || !socket || !isConnected) return undefined;
+
+    subscribeToRoom(roomId);
+
+    return () => {
+      unsubscribeFromRoom(roomId);
+    };
+  }, [roomId, socket, isConnected, subscribeToRoom, unsubscribeFromRoom]);
+}
+
+// Custom hook to receive a room's chat while mounted; the server only admits current participants
+export function useChatChannel(roomId) {
+  const { socket, isConnected } = useSocket();
+
+  useEffect(() => {
+    if (!roomId || !socket || !isConnected) return undefined;
+
+    socket.emit('chat:subscribe', roomId);
+
+    return () => {
+      socket.emit('chat:unsubscribe', roomId);
+    };
+  }, [roomId, socket, isConnected]);
+}
@@ -10,6 +10,7 @@ import "@livekit/components-styles";
 
 import App from './App';
 import { AuthProvider } from './contexts/AuthContext';
+import { SocketProvider } from './contexts/SocketContext';
 import { ThemeProvider } from './contexts/ThemeContext';
 import { LiveKitProvider } from './contexts/LiveKitContext';
 import ErrorFallback from './components/ErrorFallback';
@@ -39,35 +40,37 @@ root.render(
           <BrowserRouter>
             <ThemeProvider>
               <AuthProvider>
-                <LiveKitProvider>
-                  <App />
-                  <Toaster
-                    position="top-right"
-                    toastOptions={{
-                      duration: 4000,
-                      style: {
-                        background: 'var(--surface-color)',
-                        color: 'var(--text-primary)',
-                        border: '1px solid var(--border-color)',
-                      },
-                      success: {
-                        iconTheme: {
-                          primary: 'var(--success-color)',
-                          secondary: 'white',
+                <SocketProvider>
+                  <LiveKitProvider>
+                    <App />
+                    <Toaster
+                      position="top-right"
+                      toastOptions={{
+                        duration: 4000,
+                        style: {
+                          background: 'var(--surface-color)',
+                          color: 'var(--text-primary)',
+                          border: '1px solid var(--border-color)',
                         },
-                      },
-                      error: {
-                        iconTheme: {
-                          primary: 'var(--error-color)',
-                          secondary: 'white',
+                        success: {
+                          iconTheme: {
+                            primary: 'var(--success-color)',
+                            secondary: 'white',
+                          },
                         },
-                      },
-                    }}
-                  />
-                  {process.env.NODE_ENV === 'development' && (
-                    <ReactQueryDevtools initialIsOpen={false} />
-                  )}
-                </LiveKitProvider>
+                        error: {
+                          iconTheme: {
+                            primary: 'var(--error-color)',
+                            secondary: 'white',
+                          },
+                        },
+                      }}
+                    />
+                    {process.env.NODE_ENV === 'development' && (
+                      <ReactQueryDevtools initialIsOpen={false} />
+                    )}
+                  </LiveKitProvider>
+                </SocketProvider>
               </AuthProvider>
             </ThemeProvider>
           </BrowserRouter>
@@ -0,0 +1,330 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery } from 'react-query';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { apiService } from '../../services/api';
+
+const PAGE_SIZE = 50;
+
+const ACTION_GROUPS = [
+  { value: '', label: 'All actions' },
+  { value: 'user.', label: 'Users' },
+  { value: 'room.', label: 'Rooms' },
+  { value: 'recording.', label: 'Recordings' },
+  { value: 'auth.', label: 'Passwords' },
+  { value: 'settings.', label: 'Settings' },
+];
+
+const inputClassName = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Field-by-field view of what an event changed, plus anything else recorded with it
+const EventDetails = ({ event }) => {
+  const before = event.changes?.before || {};
+  const after = event.changes?.after || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return (
+    <div className="space-y-3 text-sm">
+      {fields.length > 0 && (
+        <table className="min-w-full text-left">
+          <thead>
+            <tr className="text-xs uppercase text-gray-500 dark:text-gray-400">
+              <th className="pr-4 py-1 font-medium">Field</th>
+              <th className="pr-4 py-1 font-medium">Before</th>
+              <th className="py-1 font-medium">After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map(field => (
+              <tr key={field}>
+                <td className="pr-4 py-1 font-mono text-gray-700 dark:text-gray-300">{field}</td>
+                <td className="pr-4 py-1 font-mono text-red-700 dark:text-red-400 break-all">{formatValue(before[field])}</td>
+                <td className="py-1 font-mono text-green-700 dark:text-green-400 break-all">{formatValue(after[field])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {event.metadata && (
+        <p className="text-gray-700 dark:text-gray-300">
+          <span className="font-medium">Details:</span>{' '}
+          <span className="font-mono break-all">{JSON.stringify(event.metadata)}</span>
+        </p>
+      )}
+      <p className="text-gray-500 dark:text-gray-400 break-all">
+        {event.userAgent || 'Unknown user agent'}
+      </p>
+    </div>
+  );
+};
+
+const AdminAuditPage = () => {
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [action, setAction] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [actor, setActor] = useState(null);
+  const [page, setPage] = useState(1);
+  const [expandedId, setExpandedId] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  // Search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // Date inputs are whole local days
+  const filters = {
+    search: search || undefined,
+    action: action || undefined,
+    actor: actor?.id || undefined,
+    from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+    to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+  };
+  const params = { ...filters, page, limit: PAGE_SIZE };
+
+  const { data, isLoading } = useQuery(
+    ['admin', 'audit', params],
+    () => apiService.audit.getList(params).then(res => res.data.data),
+    { keepPreviousData: true }
+  );
+
+  const events = data?.events || [];
+  const pagination = data?.pagination;
+
+  const handleExport = async (exportFormat) => {
+    setExporting(true);
+    try {
+      const response = await apiService.audit.export({ ...filters, format: exportFormat });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-${format(new Date(), 'yyyy-MM-dd')}.${exportFormat}`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      if (response.headers['x-export-truncated'] === 'true') {
+        toast.error(`Only the newest ${response.headers['x-export-limit']} events were exported. Narrow the filters to export the rest.`);
+      }
+    } catch (error) {
+      toast.error('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Audit Log</h1>
+            {data?.retentionDays && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Events are kept for {data.retentionDays} days.
+              </p>
+            )}
+          </div>
+          <div className="space-x-2">
+            <button
+              type="button"
+              disabled={exporting}
+              onClick={() => handleExport('csv')}
+              className="px-3 py-2 text-sm font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 disabled:opacity-50"
+            >
+              Export CSV
+            </button>
+            <button
+              type="button"
+              disabled={exporting}
+              onClick={() => handleExport('json')}
+              className="px-3 py-2 text-sm font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 disabled:opacity-50"
+            >
+              Export JSON
+            </button>
+          </div>
+        </div>
+        <div className="flex flex-col md:flex-row gap-3">
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search by user, action, target or IP"
+            aria-label="Search audit events"
+            className={`flex-1 ${inputClassName}`}
+          />
+          <select
+            value={action}
+            onChange={(e) => { setAction(e.target.value); setPage(1); }}
+            aria-label="Action"
+            className={inputClassName}
+          >
+            {ACTION_GROUPS.map(group => (
+              <option key={group.value} value={group.value}>{group.label}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={from}
+            max={to || undefined}
+            onChange={(e) => { setFrom(e.target.value); setPage(1); }}
+            aria-label="From"
+            className={inputClassName}
+          />
+          <input
+            type="date"
+            value={to}
+            min={from || undefined}
+            onChange={(e) => { setTo(e.target.value); setPage(1); }}
+            aria-label="To"
+            className={inputClassName}
+          />
+        </div>
+        {actor && (
+          <div className="mt-3">
+            <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300">
+              Actions by @{actor.username}
+              <button
+                type="button"
+                onClick={() => { setActor(null); setPage(1); }}
+                className="ml-2"
+                aria-label="Clear actor filter"
+              >
+                ✕
+              </button>
+            </span>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 shadow rounded-lg">
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+            {pagination ? `${pagination.total.toLocaleString()} events` : 'Events'}
+          </h3>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {['Time', 'Actor', 'Action', 'Target', 'IP'].map(label => (
+                  <th
+                    key={label}
+                    className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider"
+                  >
+                    {label}
+                  </th>
+                ))}
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {isLoading && (
+                <tr>
+                  <td colSpan={6} className="px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                    Loading events...
+                  </td>
+                </tr>
+              )}
+              {!isLoading && events.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                    No events match these filters.
+                  </td>
+                </tr>
+              )}
+              {events.map(event => (
+                <React.Fragment key={event.id}>
+                  <tr className="hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                    <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      {format(new Date(event.createdAt), 'MMM d, yyyy HH:mm:ss')}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      {event.actor ? (
+                        <button
+                          type="button"
+                          onClick={() => { setActor({ id: event.actor, username: event.actorUsername }); setPage(1); }}
+                          className="text-blue-600 hover:text-blue-700"
+                          title="Show only this user's actions"
+                        >
+                          @{event.actorUsername}
+                        </button>
+                      ) : (
+                        <span className="text-gray-500 dark:text-gray-400">System</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm font-mono text-gray-900 dark:text-white whitespace-nowrap">
+                      {event.action}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300">
+                      <span className="capitalize">{event.target.type}</span>
+                      {event.target.label && ` · ${event.target.label}`}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      {event.ip || '—'}
+                    </td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      <button
+                        type="button"
+                        onClick={() => setExpandedId(expandedId === event.id ? null : event.id)}
+                        className="text-sm font-medium text-blue-600 hover:text-blue-700"
+                      >
+                        {expandedId === event.id ? 'Hide' : 'Details'}
+                      </button>
+                    </td>
+                  </tr>
+                  {expandedId === event.id && (
+                    <tr className="bg-gray-50 dark:bg-gray-900/40">
+                      <td colSpan={6} className="px-4 py-3">
+                        <EventDetails event={event} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination && pagination.pages > 1 && (
+          <div className="px-6 py-4 border-t border-gray-200 dark:border-gray-700 flex items-center justify-between">
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Page {pagination.page} of {pagination.pages}
+            </p>
+            <div className="space-x-2">
+              <button
+                type="button"
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+                className="px-3 py-1.5 text-sm font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                type="button"
+                disabled={page >= pagination.pages}
+                onClick={() => setPage(page + 1)}
+                className="px-3 py-1.5 text-sm font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminAuditPage;
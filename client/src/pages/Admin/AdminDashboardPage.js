@@ -1,124 +1,159 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { format } from 'date-fns';
+import { apiService } from '../../services/api';
+import TimeSeriesChart from '../../components/Admin/TimeSeriesChart';
 
-const AdminDashboardPage = () => {
-  return (
-    <div className="space-y-6">
-      <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
-        <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">
-          Admin Dashboard
-        </h1>
-        <p className="text-gray-600 dark:text-gray-300">
-          Welcome to the admin panel. Manage users, rooms, and system settings.
-        </p>
-      </div>
+const REFRESH_INTERVAL = 30 * 1000;
 
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
-          <div className="flex items-center">
-            <div className="flex-shrink-0">
-              <div className="w-8 h-8 bg-blue-500 rounded-md flex items-center justify-center">
-                <span className="text-white text-sm">👥</span>
-              </div>
-            </div>
-            <div className="ml-4">
-              <p className="text-sm font-medium text-gray-500 dark:text-gray-400">Total Users</p>
-              <p className="text-2xl font-semibold text-gray-900 dark:text-white">1,234</p>
-            </div>
-          </div>
-        </div>
+const RANGES = [
+  { days: 1, label: '24 hours' },
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+];
 
-        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
-          <div className="flex items-center">
-            <div className="flex-shrink-0">
-              <div className="w-8 h-8 bg-green-500 rounded-md flex items-center justify-center">
-                <span className="text-white text-sm">🏠</span>
-              </div>
-            </div>
-            <div className="ml-4">
-              <p className="text-sm font-medium text-gray-500 dark:text-gray-400">Active Rooms</p>
-              <p className="text-2xl font-semibold text-gray-900 dark:text-white">56</p>
-            </div>
-          </div>
-        </div>
+const formatNumber = (value) => (value ?? 0).toLocaleString();
 
-        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
-          <div className="flex items-center">
-            <div className="flex-shrink-0">
-              <div className="w-8 h-8 bg-yellow-500 rounded-md flex items-center justify-center">
-                <span className="text-white text-sm">🎥</span>
-              </div>
-            </div>
-            <div className="ml-4">
-              <p className="text-sm font-medium text-gray-500 dark:text-gray-400">Recordings</p>
-              <p className="text-2xl font-semibold text-gray-900 dark:text-white">89</p>
-            </div>
-          </div>
+const StatCard = ({ icon, color, label, value, detail }) => (
+  <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+    <div className="flex items-center">
+      <div className="flex-shrink-0">
+        <div className={`w-8 h-8 ${color} rounded-md flex items-center justify-center`}>
+          <span className="text-white text-sm">{icon}</span>
         </div>
+      </div>
+      <div className="ml-4">
+        <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{label}</p>
+        <p className="text-2xl font-semibold text-gray-900 dark:text-white">{value}</p>
+        {detail && <p className="text-xs text-gray-500 dark:text-gray-400">{detail}</p>}
+      </div>
+    </div>
+  </div>
+);
+
+const AdminDashboardPage = () => {
+  const [days, setDays] = useState(7);
+
+  const refreshOptions = { refetchInterval: REFRESH_INTERVAL, keepPreviousData: true };
+
+  const { data: userData, dataUpdatedAt } = useQuery(
+    ['admin', 'stats', 'users', days],
+    () => apiService.users.getStats({ days }).then(res => res.data.data),
+    refreshOptions
+  );
+
+  const { data: roomData } = useQuery(
+    ['admin', 'stats', 'rooms', days],
+    () => apiService.rooms.getStats({ days }).then(res => res.data.data),
+    refreshOptions
+  );
+
+  const { data: recordingStats } = useQuery(
+    ['admin', 'stats', 'recordings'],
+    () => apiService.recordings.getStats().then(res => res.data.data.stats),
+    refreshOptions
+  );
+
+  const userStats = userData?.stats;
+  const roomStats = roomData?.stats;
+  const interval = roomData?.interval || userData?.interval;
 
-        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
-          <div className="flex items-center">
-            <div className="flex-shrink-0">
-              <div className="w-8 h-8 bg-purple-500 rounded-md flex items-center justify-center">
-                <span className="text-white text-sm">📊</span>
-              </div>
-            </div>
-            <div className="ml-4">
-              <p className="text-sm font-medium text-gray-500 dark:text-gray-400">System Load</p>
-              <p className="text-2xl font-semibold text-gray-900 dark:text-white">23%</p>
-            </div>
-          </div>
+  const signups = (userData?.signups || []).map(point => ({ date: point.date, value: point.count }));
+  const concurrentRooms = (roomData?.activity || []).map(point => ({ date: point.date, value: point.concurrentRooms }));
+  const callMinutes = (roomData?.activity || []).map(point => ({ date: point.date, value: point.callMinutes }));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-1">
+            Admin Dashboard
+          </h1>
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Refreshes every {REFRESH_INTERVAL / 1000} seconds
+            {dataUpdatedAt > 0 && ` · Last updated ${format(dataUpdatedAt, 'HH:mm:ss')}`}
+          </p>
         </div>
+        <select
+          value={days}
+          onChange={(e) => setDays(parseInt(e.target.value, 10))}
+          aria-label="Time range"
+          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+        >
+          {RANGES.map(range => (
+            <option key={range.days} value={range.days}>Last {range.label}</option>
+          ))}
+        </select>
       </div>
 
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
-          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
-            Recent Activity
-          </h3>
-          <div className="space-y-4">
-            <div className="flex items-center">
-              <div className="w-2 h-2 bg-green-500 rounded-full mr-3"></div>
-              <div className="flex-1">
-                <p className="text-sm text-gray-900 dark:text-white">New user registered</p>
-                <p className="text-xs text-gray-500 dark:text-gray-400">2 minutes ago</p>
-              </div>
-            </div>
-            <div className="flex items-center">
-              <div className="w-2 h-2 bg-blue-500 rounded-full mr-3"></div>
-              <div className="flex-1">
-                <p className="text-sm text-gray-900 dark:text-white">Room created</p>
-                <p className="text-xs text-gray-500 dark:text-gray-400">5 minutes ago</p>
-              </div>
-            </div>
-            <div className="flex items-center">
-              <div className="w-2 h-2 bg-yellow-500 rounded-full mr-3"></div>
-              <div className="flex-1">
-                <p className="text-sm text-gray-900 dark:text-white">Recording started</p>
-                <p className="text-xs text-gray-500 dark:text-gray-400">10 minutes ago</p>
-              </div>
-            </div>
-          </div>
-        </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <StatCard
+          icon="👥"
+          color="bg-blue-500"
+          label="Total Users"
+          value={formatNumber(userStats?.totalUsers)}
+          detail={userStats && `${formatNumber(userStats.newUsers)} new in the last 30 days`}
+        />
+        <StatCard
+          icon="🏠"
+          color="bg-green-500"
+          label="Live Rooms"
+          value={formatNumber(roomStats?.liveRooms)}
+          detail={roomStats && `${formatNumber(roomStats.liveParticipants)} participants · ${formatNumber(roomStats.activeRooms)} active rooms`}
+        />
+        <StatCard
+          icon="🎥"
+          color="bg-yellow-500"
+          label="Recordings"
+          value={formatNumber(recordingStats?.totalRecordings)}
+          detail={recordingStats && `${formatNumber(recordingStats.activeRecordings)} in progress · ${formatNumber(recordingStats.failedRecordings)} failed`}
+        />
+        <StatCard
+          icon="📊"
+          color="bg-purple-500"
+          label="Call Minutes"
+          value={formatNumber(roomStats && Math.round(roomStats.totalDuration / 60))}
+          detail={roomStats && `${formatNumber(roomStats.totalSessions)} calls in total`}
+        />
+      </div>
 
-        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
-          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
-            Quick Actions
-          </h3>
-          <div className="space-y-3">
-            <button className="w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md">
-              View All Users
-            </button>
-            <button className="w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md">
-              Manage Rooms
-            </button>
-            <button className="w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md">
-              System Settings
-            </button>
-          </div>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <TimeSeriesChart title="Signups" points={signups} interval={interval} />
+        <TimeSeriesChart
+          title="Concurrent Rooms"
+          points={concurrentRooms}
+          interval={interval}
+          barClassName="fill-green-500"
+          showTotal={false}
+        />
+        <TimeSeriesChart
+          title="Call Minutes"
+          points={callMinutes}
+          interval={interval}
+          barClassName="fill-purple-500"
+        />
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+          Quick Actions
+        </h3>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <Link to="/admin/users" className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md">
+            View All Users
+          </Link>
+          <Link to="/admin/rooms" className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md">
+            Manage Rooms
+          </Link>
+          <Link to="/admin/recordings" className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md">
+            Manage Recordings
+          </Link>
         </div>
       </div>
     </div>
   );
 };
 
-export default AdminDashboardPage; 
\ No newline at end of file
+export default AdminDashboardPage;
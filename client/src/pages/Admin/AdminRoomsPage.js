@@ -1,31 +1,319 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { apiService } from '../../services/api';
+import RoomInspectDrawer from '../../components/Admin/RoomInspectDrawer';
+
+const PAGE_SIZE = 20;
+
+const COLUMNS = [
+  { key: 'name', label: 'Room', sortable: true },
+  { key: 'owner', label: 'Owner', sortable: false },
+  { key: 'status', label: 'Status', sortable: false },
+  { key: 'lastActivity', label: 'Last activity', sortable: true },
+  { key: 'createdAt', label: 'Created', sortable: true },
+];
+
+const inputClassName = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+
+// Finds rooms nobody has used for a while and deletes them after a preview
+const PurgeAbandonedRooms = () => {
+  const queryClient = useQueryClient();
+  const [inactiveDays, setInactiveDays] = useState(90);
+  const [preview, setPreview] = useState(null);
+
+  const purgeMutation = useMutation(
+    ({ dryRun }) => apiService.rooms.adminPurge({ inactiveDays, dryRun }),
+    {
+      onSuccess: (response) => {
+        const result = response.data.data;
+        if (result.dryRun) {
+          setPreview(result);
+        } else {
+          setPreview(null);
+          toast.success(`${result.purged} room${result.purged === 1 ? '' : 's'} purged`);
+          queryClient.invalidateQueries(['admin', 'rooms']);
+        }
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to purge rooms');
+      },
+    }
+  );
+
+  const handlePurge = () => {
+    if (window.confirm(`Permanently delete ${preview.rooms.length} rooms and their chat history?`)) {
+      purgeMutation.mutate({ dryRun: false });
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6 space-y-3">
+      <h3 className="text-lg font-medium text-gray-900 dark:text-white">Purge abandoned rooms</h3>
+      <p className="text-sm text-gray-600 dark:text-gray-300">
+        Rooms with no activity for the chosen number of days, no call in progress and no upcoming meetings.
+      </p>
+      <div className="flex items-center space-x-2">
+        <label htmlFor="inactiveDays" className="text-sm text-gray-700 dark:text-gray-300">Idle for at least</label>
+        <input
+          id="inactiveDays"
+          type="number"
+          min={7}
+          max={3650}
+          value={inactiveDays}
+          onChange={(e) => { setInactiveDays(parseInt(e.target.value, 10) || 7); setPreview(null); }}
+          className={`w-24 ${inputClassName}`}
+        />
+        <span className="text-sm text-gray-700 dark:text-gray-300">days</span>
+        <button
+          type="button"
+          disabled={purgeMutation.isLoading}
+          onClick={() => purgeMutation.mutate({ dryRun: true })}
+          className="px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          Find rooms
+        </button>
+      </div>
+
+      {preview && (
+        <div className="space-y-2">
+          {preview.rooms.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No abandoned rooms found.</p>
+          ) : (
+            <>
+              <ul className="max-h-48 overflow-y-auto text-sm text-gray-700 dark:text-gray-300 list-disc pl-5">
+                {preview.rooms.map(room => (
+                  <li key={room.id}>
+                    {room.name} ({room.roomId}) · last active {format(new Date(room.stats.lastActivity), 'MMM d, yyyy')}
+                  </li>
+                ))}
+              </ul>
+              {preview.hasMore && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">More rooms match; run the purge again afterwards.</p>
+              )}
+              <button
+                type="button"
+                disabled={purgeMutation.isLoading}
+                onClick={handlePurge}
+                className="px-3 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+              >
+                Purge {preview.rooms.length} rooms
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
 
 const AdminRoomsPage = () => {
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [type, setType] = useState('');
+  const [status, setStatus] = useState('');
+  const [sort, setSort] = useState({ sortBy: 'createdAt', sortOrder: 'desc' });
+  const [page, setPage] = useState(1);
+  const [inspectRoomId, setInspectRoomId] = useState(null);
+
+  // Search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const params = {
+    page,
+    limit: PAGE_SIZE,
+    search: search || undefined,
+    type: type || undefined,
+    status: status || undefined,
+    ...sort,
+  };
+
+  const { data, isLoading } = useQuery(
+    ['admin', 'rooms', 'list', params],
+    () => apiService.rooms.adminList(params).then(res => res.data.data),
+    { keepPreviousData: true }
+  );
+
+  const rooms = data?.rooms || [];
+  const pagination = data?.pagination;
+
+  const toggleSort = (key) => {
+    setSort(current => ({
+      sortBy: key,
+      sortOrder: current.sortBy === key && current.sortOrder === 'desc' ? 'asc' : 'desc',
+    }));
+    setPage(1);
+  };
+
   return (
     <div className="space-y-6">
       <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
         <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">
           Manage Rooms
         </h1>
-        <p className="text-gray-600 dark:text-gray-300">
-          View and manage video call rooms.
-        </p>
+        <div className="flex flex-col md:flex-row gap-3">
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search by name, room ID or description"
+            aria-label="Search rooms"
+            className={`flex-1 ${inputClassName}`}
+          />
+          <select
+            value={type}
+            onChange={(e) => { setType(e.target.value); setPage(1); }}
+            aria-label="Type"
+            className={inputClassName}
+          >
+            <option value="">All types</option>
+            <option value="public">Public</option>
+            <option value="private">Private</option>
+            <option value="password-protected">Password protected</option>
+          </select>
+          <select
+            value={status}
+            onChange={(e) => { setStatus(e.target.value); setPage(1); }}
+            aria-label="Status"
+            className={inputClassName}
+          >
+            <option value="">All statuses</option>
+            <option value="live">Live call</option>
+            <option value="active">Active</option>
+            <option value="inactive">Inactive</option>
+          </select>
+        </div>
       </div>
 
       <div className="bg-white dark:bg-gray-800 shadow rounded-lg">
         <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
           <h3 className="text-lg font-medium text-gray-900 dark:text-white">
-            All Rooms
+            {pagination ? `${pagination.total.toLocaleString()} rooms` : 'All Rooms'}
           </h3>
         </div>
-        <div className="p-6">
-          <p className="text-gray-600 dark:text-gray-300">
-            Room management functionality will be implemented here.
-          </p>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {COLUMNS.map(column => (
+                  <th
+                    key={column.key}
+                    className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider"
+                  >
+                    {column.sortable ? (
+                      <button type="button" onClick={() => toggleSort(column.key)} className="uppercase">
+                        {column.label}
+                        {sort.sortBy === column.key && (sort.sortOrder === 'asc' ? ' ▲' : ' ▼')}
+                      </button>
+                    ) : column.label}
+                  </th>
+                ))}
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {isLoading && (
+                <tr>
+                  <td colSpan={COLUMNS.length + 1} className="px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                    Loading rooms...
+                  </td>
+                </tr>
+              )}
+              {!isLoading && rooms.length === 0 && (
+                <tr>
+                  <td colSpan={COLUMNS.length + 1} className="px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                    No rooms match these filters.
+                  </td>
+                </tr>
+              )}
+              {rooms.map(room => (
+                <tr key={room.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                  <td className="px-4 py-3">
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">{room.name}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{room.roomId} · {room.type}</p>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300">
+                    {room.owner ? `@${room.owner.username}` : 'Deleted user'}
+                  </td>
+                  <td className="px-4 py-3 space-x-1 whitespace-nowrap">
+                    {room.isLive && (
+                      <span className="inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300">
+                        Live · {room.currentParticipantsCount}
+                      </span>
+                    )}
+                    <span
+                      className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium ${
+                        room.isActive
+                          ? 'bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300'
+                          : 'bg-gray-200 text-gray-700 dark:bg-gray-600 dark:text-gray-200'
+                      }`}
+                    >
+                      {room.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                    {room.stats?.lastActivity ? format(new Date(room.stats.lastActivity), 'MMM d, yyyy HH:mm') : '—'}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                    {format(new Date(room.createdAt), 'MMM d, yyyy')}
+                  </td>
+                  <td className="px-4 py-3 text-right whitespace-nowrap">
+                    <button
+                      type="button"
+                      onClick={() => setInspectRoomId(room.roomId)}
+                      className="text-sm font-medium text-blue-600 hover:text-blue-700"
+                    >
+                      Inspect
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </div>
+
+        {pagination && pagination.pages > 1 && (
+          <div className="px-6 py-4 border-t border-gray-200 dark:border-gray-700 flex items-center justify-between">
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Page {pagination.page} of {pagination.pages}
+            </p>
+            <div className="space-x-2">
+              <button
+                type="button"
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+                className="px-3 py-1.5 text-sm font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                type="button"
+                disabled={page >= pagination.pages}
+                onClick={() => setPage(page + 1)}
+                className="px-3 py-1.5 text-sm font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
       </div>
+
+      <PurgeAbandonedRooms />
+
+      {inspectRoomId && (
+        <RoomInspectDrawer roomId={inspectRoomId} onClose={() => setInspectRoomId(null)} />
+      )}
     </div>
   );
 };
 
-export default AdminRoomsPage; 
\ No newline at end of file
+export default AdminRoomsPage;
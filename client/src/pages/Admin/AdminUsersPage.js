@@ -1,31 +1,347 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { useAuth } from '../../contexts/AuthContext';
+import { apiService } from '../../services/api';
+import UserDetailDrawer from '../../components/Admin/UserDetailDrawer';
+
+const PAGE_SIZE = 20;
+
+const COLUMNS = [
+  { key: 'username', label: 'User', sortable: true },
+  { key: 'role', label: 'Role', sortable: true },
+  { key: 'status', label: 'Status', sortable: false },
+  { key: 'lastLogin', label: 'Last login', sortable: true },
+  { key: 'createdAt', label: 'Joined', sortable: true },
+];
+
+const selectClassName = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
 
 const AdminUsersPage = () => {
+  const { user: currentUser } = useAuth();
+  const queryClient = useQueryClient();
+
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [role, setRole] = useState('');
+  const [status, setStatus] = useState('');
+  const [sort, setSort] = useState({ sortBy: 'createdAt', sortOrder: 'desc' });
+  const [page, setPage] = useState(1);
+  const [selected, setSelected] = useState([]);
+  const [detailUserId, setDetailUserId] = useState(null);
+
+  // Search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const params = {
+    page,
+    limit: PAGE_SIZE,
+    search: search || undefined,
+    role: role || undefined,
+    isActive: status === 'active' ? 'true' : status === 'inactive' ? 'false' : undefined,
+    locked: status === 'locked' ? 'true' : undefined,
+    ...sort,
+  };
+
+  const { data, isLoading } = useQuery(
+    ['admin', 'users', 'list', params],
+    () => apiService.users.getList(params).then(res => res.data.data),
+    { keepPreviousData: true }
+  );
+
+  const users = data?.users || [];
+  const pagination = data?.pagination;
+
+  // Selection only applies to the rows on screen
+  useEffect(() => {
+    setSelected([]);
+  }, [data]);
+
+  const refresh = () => queryClient.invalidateQueries(['admin', 'users']);
+
+  const onError = (fallback) => (error) => {
+    toast.error(error.response?.data?.message || fallback);
+  };
+
+  const roleMutation = useMutation(
+    ({ userId, newRole }) => apiService.users.update(userId, { role: newRole }),
+    {
+      onSuccess: () => {
+        toast.success('Role updated');
+        refresh();
+      },
+      onError: onError('Failed to update role'),
+    }
+  );
+
+  const unlockMutation = useMutation(
+    (userId) => apiService.users.unlock(userId),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        refresh();
+      },
+      onError: onError('Failed to unlock user'),
+    }
+  );
+
+  const bulkMutation = useMutation(
+    ({ activate, userIds }) => (activate
+      ? apiService.users.bulkActivate(userIds)
+      : apiService.users.bulkDeactivate(userIds)),
+    {
+      onSuccess: (response) => {
+        const { modified, skipped } = response.data.data;
+        toast.success(`${modified} user${modified === 1 ? '' : 's'} updated${skipped ? ` (${skipped} skipped)` : ''}`);
+        refresh();
+      },
+      onError: onError('Failed to update users'),
+    }
+  );
+
+  const toggleSort = (key) => {
+    setSort(current => ({
+      sortBy: key,
+      sortOrder: current.sortBy === key && current.sortOrder === 'desc' ? 'asc' : 'desc',
+    }));
+    setPage(1);
+  };
+
+  const toggleSelected = (userId) => {
+    setSelected(current => (
+      current.includes(userId) ? current.filter(id => id !== userId) : [...current, userId]
+    ));
+  };
+
+  const allSelected = users.length > 0 && selected.length === users.length;
+
   return (
     <div className="space-y-6">
       <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
         <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">
           Manage Users
         </h1>
-        <p className="text-gray-600 dark:text-gray-300">
-          View and manage user accounts.
-        </p>
+        <div className="flex flex-col md:flex-row gap-3">
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search by name, username or email"
+            aria-label="Search users"
+            className={`flex-1 ${selectClassName}`}
+          />
+          <select
+            value={role}
+            onChange={(e) => { setRole(e.target.value); setPage(1); }}
+            aria-label="Role"
+            className={selectClassName}
+          >
+            <option value="">All roles</option>
+            <option value="user">User</option>
+            <option value="moderator">Moderator</option>
+            <option value="admin">Admin</option>
+          </select>
+          <select
+            value={status}
+            onChange={(e) => { setStatus(e.target.value); setPage(1); }}
+            aria-label="Status"
+            className={selectClassName}
+          >
+            <option value="">All statuses</option>
+            <option value="active">Active</option>
+            <option value="inactive">Deactivated</option>
+            <option value="locked">Locked</option>
+          </select>
+        </div>
       </div>
 
       <div className="bg-white dark:bg-gray-800 shadow rounded-lg">
-        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
           <h3 className="text-lg font-medium text-gray-900 dark:text-white">
-            All Users
+            {pagination ? `${pagination.total.toLocaleString()} users` : 'All Users'}
           </h3>
+          {selected.length > 0 && (
+            <div className="flex items-center space-x-2">
+              <span className="text-sm text-gray-500 dark:text-gray-400">{selected.length} selected</span>
+              <button
+                type="button"
+                disabled={bulkMutation.isLoading}
+                onClick={() => bulkMutation.mutate({ activate: true, userIds: selected })}
+                className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+              >
+                Activate
+              </button>
+              <button
+                type="button"
+                disabled={bulkMutation.isLoading}
+                onClick={() => bulkMutation.mutate({ activate: false, userIds: selected })}
+                className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+              >
+                Deactivate
+              </button>
+            </div>
+          )}
         </div>
-        <div className="p-6">
-          <p className="text-gray-600 dark:text-gray-300">
-            User management functionality will be implemented here.
-          </p>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                <th className="px-4 py-3">
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={() => setSelected(allSelected ? [] : users.map(u => u._id))}
+                    aria-label="Select all users on this page"
+                  />
+                </th>
+                {COLUMNS.map(column => (
+                  <th
+                    key={column.key}
+                    className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider"
+                  >
+                    {column.sortable ? (
+                      <button type="button" onClick={() => toggleSort(column.key)} className="uppercase">
+                        {column.label}
+                        {sort.sortBy === column.key && (sort.sortOrder === 'asc' ? ' ▲' : ' ▼')}
+                      </button>
+                    ) : column.label}
+                  </th>
+                ))}
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {isLoading && (
+                <tr>
+                  <td colSpan={COLUMNS.length + 2} className="px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                    Loading users...
+                  </td>
+                </tr>
+              )}
+              {!isLoading && users.length === 0 && (
+                <tr>
+                  <td colSpan={COLUMNS.length + 2} className="px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                    No users match these filters.
+                  </td>
+                </tr>
+              )}
+              {users.map(user => {
+                const isSelf = user._id === currentUser?.id;
+                return (
+                  <tr key={user._id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                    <td className="px-4 py-3">
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(user._id)}
+                        onChange={() => toggleSelected(user._id)}
+                        aria-label={`Select ${user.username}`}
+                      />
+                    </td>
+                    <td className="px-4 py-3">
+                      <p className="text-sm font-medium text-gray-900 dark:text-white">{user.fullName}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">@{user.username} · {user.email}</p>
+                    </td>
+                    <td className="px-4 py-3">
+                      <select
+                        value={user.role}
+                        disabled={isSelf || roleMutation.isLoading}
+                        onChange={(e) => roleMutation.mutate({ userId: user._id, newRole: e.target.value })}
+                        aria-label={`Role of ${user.username}`}
+                        className={`${selectClassName} py-1 disabled:opacity-50`}
+                      >
+                        <option value="user">User</option>
+                        <option value="moderator">Moderator</option>
+                        <option value="admin">Admin</option>
+                      </select>
+                    </td>
+                    <td className="px-4 py-3 space-x-1 whitespace-nowrap">
+                      <span
+                        className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium ${
+                          user.isActive
+                            ? 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300'
+                            : 'bg-gray-200 text-gray-700 dark:bg-gray-600 dark:text-gray-200'
+                        }`}
+                      >
+                        {user.isActive ? 'Active' : 'Deactivated'}
+                      </span>
+                      {user.isLocked && (
+                        <span className="inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300">
+                          Locked
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      {user.lastLogin ? format(new Date(user.lastLogin), 'MMM d, yyyy') : 'Never'}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      {format(new Date(user.createdAt), 'MMM d, yyyy')}
+                    </td>
+                    <td className="px-4 py-3 text-right space-x-3 whitespace-nowrap">
+                      {user.isLocked && (
+                        <button
+                          type="button"
+                          disabled={unlockMutation.isLoading}
+                          onClick={() => unlockMutation.mutate(user._id)}
+                          className="text-sm font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+                        >
+                          Unlock
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => setDetailUserId(user._id)}
+                        className="text-sm font-medium text-blue-600 hover:text-blue-700"
+                      >
+                        Details
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
         </div>
+
+        {pagination && pagination.pages > 1 && (
+          <div className="px-6 py-4 border-t border-gray-200 dark:border-gray-700 flex items-center justify-between">
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Page {pagination.page} of {pagination.pages}
+            </p>
+            <div className="space-x-2">
+              <button
+                type="button"
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+                className="px-3 py-1.5 text-sm font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                type="button"
+                disabled={page >= pagination.pages}
+                onClick={() => setPage(page + 1)}
+                className="px-3 py-1.5 text-sm font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
       </div>
+
+      {detailUserId && (
+        <UserDetailDrawer userId={detailUserId} onClose={() => setDetailUserId(null)} />
+      )}
     </div>
   );
 };
 
-export default AdminUsersPage; 
\ No newline at end of file
+export default AdminUsersPage;
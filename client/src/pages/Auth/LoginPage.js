@@ -1,20 +1,46 @@
 import React, { useState } from 'react';
-import { Link, useNavigate, useLocation } from 'react-router-dom';
+import { Link, useLocation, useSearchParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
 import { useAuth } from '../../contexts/AuthContext';
-import toast from 'react-hot-toast';
+import { apiService } from '../../services/api';
+
+// Messages for errors reported by the single sign-on callback
+const SSO_ERRORS = {
+  OIDC_ACCESS_DENIED: 'Sign-in was cancelled at your identity provider.',
+  OIDC_EMAIL_NOT_VERIFIED: 'Your identity provider did not confirm your email address.',
+  OIDC_ACCOUNT_NOT_VERIFIED: 'An unverified account already uses this email. Verify it, then try single sign-on again.',
+  OIDC_INVALID_STATE: 'The sign-in request expired. Please try again.',
+  ACCOUNT_DISABLED: 'Your account has been disabled.',
+};
 
 const LoginPage = () => {
   const [formData, setFormData] = useState({
     email: '',
     password: '',
   });
-  const [loading, setLoading] = useState(false);
-  
-  const { login } = useAuth();
-  const navigate = useNavigate();
+
+  const [code, setCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [ssoChallengeDismissed, setSsoChallengeDismissed] = useState(false);
+  const [searchParams] = useSearchParams();
+  const ssoError = searchParams.get('ssoError');
+
+  const { login, loginMutation, loginTwoFactor, loginTwoFactorMutation } = useAuth();
   const location = useLocation();
   
   const from = location.state?.from?.pathname || '/dashboard';
+  // Set by the verify email page
+  const { emailVerified } = location.state || {};
+  // Present once the password or single sign-on step asked for a second factor
+  const ssoChallengeExpired = loginTwoFactorMutation.error?.response?.data?.code === 'TWO_FACTOR_CHALLENGE_EXPIRED';
+  const ssoChallenge = !ssoChallengeDismissed && !ssoChallengeExpired ? location.state?.challenge : null;
+  const challenge = loginMutation.data?.data.data.twoFactorRequired ? loginMutation.data.data.data : ssoChallenge;
+
+  const { data: ssoConfig } = useQuery(
+    ['auth', 'oidc', 'config'],
+    () => apiService.auth.getOidcConfig().then(res => res.data.data),
+    { staleTime: Infinity }
+  );
 
   const handleChange = (e) => {
     setFormData({
@@ -23,21 +49,89 @@ const LoginPage = () => {
     });
   };
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
-    setLoading(true);
+    login(formData, from);
+  };
 
-    try {
-      await login(formData.email, formData.password);
-      toast.success('Login successful!');
-      navigate(from, { replace: true });
-    } catch (error) {
-      toast.error(error.message || 'Login failed');
-    } finally {
-      setLoading(false);
-    }
+  const handleCodeSubmit = (e) => {
+    e.preventDefault();
+    loginTwoFactor({ challengeToken: challenge.challengeToken, code }, from);
   };
 
+  if (challenge) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900 dark:text-white">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600 dark:text-gray-400">
+              {useBackupCode
+                ? 'Enter one of your backup codes.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+          </div>
+          <form className="mt-8 space-y-6" onSubmit={handleCodeSubmit}>
+            <div>
+              <label htmlFor="code" className="sr-only">
+                {useBackupCode ? 'Backup code' : 'Authentication code'}
+              </label>
+              <input
+                id="code"
+                name="code"
+                type="text"
+                inputMode={useBackupCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 placeholder-gray-500 dark:placeholder-gray-400 text-gray-900 dark:text-white text-center tracking-widest focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm bg-white dark:bg-gray-800"
+                placeholder={useBackupCode ? 'xxxx-xxxx' : '123456'}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loginTwoFactorMutation.isLoading}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loginTwoFactorMutation.isLoading ? 'Verifying...' : 'Verify'}
+              </button>
+            </div>
+
+            <div className="flex items-center justify-between text-sm">
+              <button
+                type="button"
+                onClick={() => {
+                  setUseBackupCode(!useBackupCode);
+                  setCode('');
+                }}
+                className="font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400"
+              >
+                {useBackupCode ? 'Use authenticator app' : 'Use a backup code'}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  loginMutation.reset();
+                  setSsoChallengeDismissed(true);
+                  setCode('');
+                }}
+                className="font-medium text-gray-600 hover:text-gray-500 dark:text-gray-400"
+              >
+                Back to sign in
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -55,6 +149,20 @@ const LoginPage = () => {
             </Link>
           </p>
         </div>
+        {ssoError && (
+          <div className="rounded-md bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 p-4">
+            <p className="text-sm text-red-700 dark:text-red-300">
+              {SSO_ERRORS[ssoError] || 'Single sign-on failed. Please try again.'}
+            </p>
+          </div>
+        )}
+        {emailVerified && (
+          <div className="rounded-md bg-green-50 dark:bg-green-900/30 border border-green-200 dark:border-green-800 p-4">
+            <p className="text-sm text-green-700 dark:text-green-300">
+              Your email address has been verified. Sign in to continue.
+            </p>
+          </div>
+        )}
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
           <div className="rounded-md shadow-sm -space-y-px">
             <div>
@@ -94,13 +202,31 @@ const LoginPage = () => {
           <div>
             <button
               type="submit"
-              disabled={loading}
+              disabled={loginMutation.isLoading}
               className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {loading ? 'Signing in...' : 'Sign in'}
+              {loginMutation.isLoading ? 'Signing in...' : 'Sign in'}
             </button>
           </div>
         </form>
+        {ssoConfig?.enabled && (
+          <div className="space-y-6">
+            <div className="relative">
+              <div className="absolute inset-0 flex items-center">
+                <div className="w-full border-t border-gray-300 dark:border-gray-600" />
+              </div>
+              <div className="relative flex justify-center text-sm">
+                <span className="px-2 bg-gray-50 dark:bg-gray-900 text-gray-500 dark:text-gray-400">or</span>
+              </div>
+            </div>
+            <a
+              href={apiService.auth.getOidcAuthorizeUrl(from)}
+              className="w-full flex justify-center py-2 px-4 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              Sign in with {ssoConfig.providerName}
+            </a>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,31 @@
+import React, { useEffect, useRef } from 'react';
+import { Navigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const OidcCallbackPage = () => {
+  const [searchParams] = useSearchParams();
+  const code = searchParams.get('code');
+  const { loginWithSso } = useAuth();
+  const submitted = useRef(false);
+
+  // Login codes are single use, so only redeem once
+  useEffect(() => {
+    if (code && !submitted.current) {
+      submitted.current = true;
+      loginWithSso(code);
+    }
+  }, [code, loginWithSso]);
+
+  if (!code) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+      <LoadingSpinner size="lg" />
+    </div>
+  );
+};
+
+export default OidcCallbackPage;
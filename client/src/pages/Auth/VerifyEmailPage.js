@@ -0,0 +1,60 @@
+import React, { useEffect, useRef } from 'react';
+import { Link, Navigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import EmailVerificationNotice from '../../components/Auth/EmailVerificationNotice';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, verifyEmail, verifyEmailMutation } = useAuth();
+  const submitted = useRef(false);
+
+  // Tokens are single use, so only submit once
+  useEffect(() => {
+    if (token && !submitted.current) {
+      submitted.current = true;
+      verifyEmail(token);
+    }
+  }, [token, verifyEmail]);
+
+  if (verifyEmailMutation.isSuccess) {
+    return user
+      ? <Navigate to="/dashboard" replace />
+      : <Navigate to="/login" state={{ emailVerified: true }} replace />;
+  }
+
+  if (token && !verifyEmailMutation.isError) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6">
+        <h2 className="text-center text-3xl font-extrabold text-gray-900 dark:text-white">
+          {token ? 'Verification failed' : 'Verify your email'}
+        </h2>
+        {token && (
+          <p className="text-center text-sm text-gray-600 dark:text-gray-400">
+            {verifyEmailMutation.error?.response?.data?.message || 'This verification link is invalid or has expired.'}
+          </p>
+        )}
+        {user && !user.isVerified && <EmailVerificationNotice email={user.email} />}
+        {!user && (
+          <p className="text-center text-sm text-gray-600 dark:text-gray-400">
+            <Link to="/login" className="font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400">
+              Sign in
+            </Link>
+            {' '}to request a new verification link.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -1,9 +1,43 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
 import { useAuth } from '../../contexts/AuthContext';
+import { useSocketEvent, SOCKET_EVENTS } from '../../contexts/SocketContext';
+import { apiService } from '../../services/api';
+import UpcomingMeetings from '../../components/Meetings/UpcomingMeetings';
 
 const DashboardPage = () => {
   const { user } = useAuth();
+  const queryClient = useQueryClient();
+
+  // Pending room invitations for the current user
+  const { data: invitations = [] } = useQuery(
+    ['invitations'],
+    () => apiService.invitations.getList().then(res => res.data.data.invitations)
+  );
+
+  // Refresh when a new invitation arrives
+  useSocketEvent(SOCKET_EVENTS.INVITATION_RECEIVED, () => {
+    queryClient.invalidateQueries(['invitations']);
+  });
+
+  // Accept or decline an invitation
+  const respondMutation = useMutation(
+    ({ invitationId, accept }) => (accept
+      ? apiService.invitations.accept(invitationId)
+      : apiService.invitations.decline(invitationId)),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.invalidateQueries(['invitations']);
+      },
+      onError: (error) => {
+        const message = error.response?.data?.message || 'Failed to respond to invitation';
+        toast.error(message);
+      },
+    }
+  );
 
   return (
     <div className="space-y-6">
@@ -16,6 +50,49 @@ const DashboardPage = () => {
         </p>
       </div>
 
+      {invitations.length > 0 && (
+        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+            Pending Invitations
+          </h2>
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {invitations.map((invitation) => (
+              <li key={invitation.id} className="py-3 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900 dark:text-white">
+                    {invitation.room.name}
+                  </p>
+                  <p className="text-sm text-gray-600 dark:text-gray-300">
+                    Invited by {invitation.invitedBy?.username || invitation.room.owner?.username}
+                    {' · '}expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    type="button"
+                    disabled={respondMutation.isLoading}
+                    onClick={() => respondMutation.mutate({ invitationId: invitation.id, accept: true })}
+                    className="px-3 py-1 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                  >
+                    Accept
+                  </button>
+                  <button
+                    type="button"
+                    disabled={respondMutation.isLoading}
+                    onClick={() => respondMutation.mutate({ invitationId: invitation.id, accept: false })}
+                    className="px-3 py-1 text-sm font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 disabled:opacity-50"
+                  >
+                    Decline
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <UpcomingMeetings />
+
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
           <div className="flex items-center">
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useQuery, useMutation } from 'react-query';
+import { useLiveKit } from '../../contexts/LiveKitContext';
+import { apiService } from '../../services/api';
+import CallView from '../../components/Room/CallView';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+// Shown instead of the join form when a link can no longer be used
+const LINK_ERRORS = {
+  GUEST_LINK_NOT_FOUND: 'This guest link is not valid. Check that you copied the whole link.',
+  GUEST_LINK_EXPIRED: 'This guest link has expired. Ask the host for a new one.',
+  GUEST_LINK_REVOKED: 'This guest link has been revoked by the host.',
+  GUEST_LINK_EXHAUSTED: 'This guest link has already been used the maximum number of times.',
+  ROOM_INACTIVE: 'This room is no longer active.',
+};
+
+const GuestJoinPage = () => {
+  const { token } = useParams();
+  const { room, connectWithToken } = useLiveKit();
+  const [displayName, setDisplayName] = useState('');
+  const [hasLeft, setHasLeft] = useState(false);
+
+  const { data: invitation, error, isLoading } = useQuery(
+    ['guest', token],
+    () => apiService.guest.get(token).then(res => res.data.data),
+    { retry: false }
+  );
+
+  const joinMutation = useMutation(
+    (name) => apiService.guest.join(token, name).then(res => res.data.data),
+    {
+      onSuccess: ({ token: roomToken, livekitUrl, room: roomData }) => {
+        setHasLeft(false);
+        connectWithToken(roomToken, livekitUrl, roomData).catch(() => {});
+      },
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    joinMutation.mutate(displayName.trim());
+  };
+
+  if (room) {
+    return <CallView onLeave={() => setHasLeft(true)} />;
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const errorCode = error?.response?.data?.code || joinMutation.error?.response?.data?.code;
+  const linkError = LINK_ERRORS[errorCode];
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+        {linkError || (error && !invitation) ? (
+          <div className="text-center space-y-4">
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">Unable to join</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              {linkError || 'Something went wrong while opening this link. Please try again.'}
+            </p>
+          </div>
+        ) : hasLeft ? (
+          <div className="text-center space-y-4">
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">You left the call</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Thanks for joining {invitation.room.name}.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div>
+              <p className="text-sm text-gray-600 dark:text-gray-300">You have been invited to join</p>
+              <h2 className="mt-1 text-2xl font-bold text-gray-900 dark:text-white">{invitation.room.name}</h2>
+              {invitation.room.description && (
+                <p className="mt-2 text-sm text-gray-600 dark:text-gray-300">{invitation.room.description}</p>
+              )}
+              {invitation.guestLink.role === 'viewer' && (
+                <p className="mt-2 text-sm text-gray-600 dark:text-gray-300">
+                  You will join as a viewer and will not be able to share your camera or microphone.
+                </p>
+              )}
+            </div>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label htmlFor="displayName" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Your name
+                </label>
+                <input
+                  id="displayName"
+                  type="text"
+                  required
+                  maxLength={50}
+                  autoComplete="name"
+                  value={displayName}
+                  onChange={(e) => setDisplayName(e.target.value)}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  placeholder="How others will see you"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={joinMutation.isLoading || !displayName.trim()}
+                className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {joinMutation.isLoading ? 'Joining...' : 'Join as guest'}
+              </button>
+            </form>
+          </>
+        )}
+        <p className="text-center text-sm text-gray-600 dark:text-gray-300">
+          Have an account?{' '}
+          <Link to="/login" className="font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400">
+            Sign in
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default GuestJoinPage;
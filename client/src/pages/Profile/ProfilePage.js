@@ -1,7 +1,100 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
+import { useMutation } from 'react-query';
 import { useAuth } from '../../contexts/AuthContext';
+import { apiService } from '../../services/api';
 import toast from 'react-hot-toast';
 
+const MAX_AVATAR_SIZE = 2 * 1024 * 1024; // matches the server limit
+
+// Current avatar with upload and remove controls
+const AvatarSettings = () => {
+  const { user, updateUser } = useAuth();
+  const fileInputRef = useRef(null);
+
+  const onError = (fallback) => (error) => {
+    toast.error(error.response?.data?.message || fallback);
+  };
+
+  const uploadMutation = useMutation(
+    (file) => apiService.users.uploadAvatar(file),
+    {
+      onSuccess: (response) => {
+        updateUser({ avatar: response.data.data.avatar });
+        toast.success('Avatar updated');
+      },
+      onError: onError('Failed to upload avatar'),
+    }
+  );
+
+  const removeMutation = useMutation(
+    () => apiService.users.removeAvatar(),
+    {
+      onSuccess: () => {
+        updateUser({ avatar: null });
+        toast.success('Avatar removed');
+      },
+      onError: onError('Failed to remove avatar'),
+    }
+  );
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_AVATAR_SIZE) {
+      toast.error('Avatar must be 2MB or smaller');
+      return;
+    }
+    uploadMutation.mutate(file);
+  };
+
+  const busy = uploadMutation.isLoading || removeMutation.isLoading;
+  const initials = `${user?.firstName?.[0] || ''}${user?.lastName?.[0] || ''}`.toUpperCase() || user?.username?.[0]?.toUpperCase();
+
+  return (
+    <div className="flex items-center space-x-4">
+      {user?.avatar ? (
+        <img src={user.avatar} alt="" className="h-16 w-16 rounded-full object-cover" />
+      ) : (
+        <div className="h-16 w-16 rounded-full bg-blue-600 flex items-center justify-center text-xl font-semibold text-white">
+          {initials}
+        </div>
+      )}
+      <div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/png,image/jpeg,image/gif,image/webp"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        <div className="space-x-2">
+          <button
+            type="button"
+            disabled={busy}
+            onClick={() => fileInputRef.current.click()}
+            className="px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {uploadMutation.isLoading ? 'Uploading...' : 'Upload photo'}
+          </button>
+          {user?.avatar && (
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => removeMutation.mutate()}
+              className="px-3 py-2 text-sm font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 disabled:opacity-50"
+            >
+              Remove
+            </button>
+          )}
+        </div>
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">PNG, JPEG, GIF or WebP, up to 2MB.</p>
+      </div>
+    </div>
+  );
+};
+
 const ProfilePage = () => {
   const { user, updateProfile } = useAuth();
   const [formData, setFormData] = useState({
@@ -38,6 +131,10 @@ const ProfilePage = () => {
           Profile Settings
         </h1>
 
+        <div className="mb-6">
+          <AvatarSettings />
+        </div>
+
         <form onSubmit={handleSubmit} className="space-y-6">
           <div>
             <label htmlFor="username" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
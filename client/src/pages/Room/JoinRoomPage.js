@@ -19,9 +19,7 @@ const JoinRoomPage = () => {
     setLoading(true);
 
     try {
-      // Here you would typically validate the room ID with an API call
-      // For now, we'll just navigate to the room
-      toast.success('Joining room...');
+      // The room page checks devices and handles passwords and approval before connecting
       navigate(`/room/${roomId.trim()}`);
     } catch (error) {
       toast.error('Failed to join room');
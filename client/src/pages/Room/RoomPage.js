@@ -1,89 +1,116 @@
-import React from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { useAuth } from '../../contexts/AuthContext';
 import { useLiveKit } from '../../contexts/LiveKitContext';
+import { useRoomChannel } from '../../contexts/SocketContext';
+import { apiService } from '../../services/api';
+import CallView from '../../components/Room/CallView';
+import GuestLinks from '../../components/Room/GuestLinks';
+import ChatPanel from '../../components/Room/ChatPanel';
+import PreJoinScreen from '../../components/Room/PreJoinScreen';
 
 const RoomPage = () => {
   const { roomId } = useParams();
-  const { room, participants, localParticipant, connectToRoom, disconnectFromRoom } = useLiveKit();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { room, connectWithToken, disconnectFromRoom } = useLiveKit();
+  const [activePanel, setActivePanel] = useState(null);
 
-  React.useEffect(() => {
-    if (roomId && !room) {
-      connectToRoom(roomId);
-    }
+  // Receive real-time room notifications while in the call
+  useRoomChannel(roomId);
 
-    return () => {
-      if (room) {
-        disconnectFromRoom();
-      }
-    };
-  }, [roomId, room, connectToRoom, disconnectFromRoom]);
+  // Room details, used by the pre-join screen and to show owner-only tools
+  const { data: roomDetails, isLoading } = useQuery(
+    ['rooms', roomId],
+    () => apiService.rooms.get(roomId).then(res => res.data.data.room),
+    { enabled: !!roomId }
+  );
+  const isOwner = !!user && roomDetails?.owner?._id === user.id;
+  const chatEnabled = roomDetails?.settings?.chatEnabled !== false;
 
-  if (!room) {
+  const togglePanel = (panel) => {
+    setActivePanel(activePanel === panel ? null : panel);
+  };
+
+  const handleJoin = useCallback((joinData, media) => (
+    connectWithToken(joinData.token, joinData.livekitUrl, joinData.room, media)
+  ), [connectWithToken]);
+
+  const leaveRoom = useCallback(() => navigate('/dashboard'), [navigate]);
+
+  // Leave the call when navigating away from the page
+  const disconnectRef = useRef(disconnectFromRoom);
+  disconnectRef.current = disconnectFromRoom;
+  useEffect(() => () => {
+    disconnectRef.current();
+  }, []);
+
+  if (isLoading) {
     return (
       <div className="flex items-center justify-center h-screen">
-        <div className="text-center">
-          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
-          <p className="mt-4 text-gray-600 dark:text-gray-300">Connecting to room...</p>
-        </div>
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
       </div>
     );
   }
 
+  if (!room) {
+    return (
+      <PreJoinScreen
+        roomId={roomId}
+        roomDetails={roomDetails}
+        onJoin={handleJoin}
+        onCancel={leaveRoom}
+      />
+    );
+  }
+
+  const panelButtonClassName = (panel) => `p-3 text-white rounded-full ${
+    activePanel === panel ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'
+  }`;
+
   return (
-    <div className="h-screen bg-gray-900 flex flex-col">
-      <div className="flex-1 p-4">
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 h-full">
-          {/* Local participant video */}
-          {localParticipant && (
-            <div className="bg-gray-800 rounded-lg overflow-hidden">
-              <div className="aspect-video bg-gray-700 flex items-center justify-center">
-                <span className="text-white text-lg">Local Video</span>
-              </div>
-              <div className="p-4">
-                <p className="text-white font-medium">You</p>
-              </div>
+    <CallView
+      onLeave={leaveRoom}
+      sidePanel={
+        <>
+          {/* Chat stays mounted so history loads on join and new messages keep arriving */}
+          {chatEnabled && (
+            <div className={`w-80 bg-gray-800 border-l border-gray-700 p-4 ${activePanel === 'chat' ? '' : 'hidden'}`}>
+              <ChatPanel roomId={roomId} />
             </div>
           )}
-
-          {/* Remote participants */}
-          {participants.map((participant) => (
-            <div key={participant.sid} className="bg-gray-800 rounded-lg overflow-hidden">
-              <div className="aspect-video bg-gray-700 flex items-center justify-center">
-                <span className="text-white text-lg">Remote Video</span>
-              </div>
-              <div className="p-4">
-                <p className="text-white font-medium">{participant.identity}</p>
-              </div>
+          {isOwner && activePanel === 'guestLinks' && (
+            <div className="w-80 bg-gray-800 border-l border-gray-700 p-4 overflow-y-auto">
+              <GuestLinks roomId={roomId} />
             </div>
-          ))}
-        </div>
-      </div>
-
-      {/* Controls */}
-      <div className="bg-gray-800 p-4">
-        <div className="flex justify-center space-x-4">
-          <button
-            onClick={() => {/* Toggle mute */}}
-            className="p-3 bg-gray-700 text-white rounded-full hover:bg-gray-600"
-          >
-            🎤
-          </button>
-          <button
-            onClick={() => {/* Toggle video */}}
-            className="p-3 bg-gray-700 text-white rounded-full hover:bg-gray-600"
-          >
-            📹
-          </button>
-          <button
-            onClick={disconnectFromRoom}
-            className="p-3 bg-red-600 text-white rounded-full hover:bg-red-700"
-          >
-            📞
-          </button>
-        </div>
-      </div>
-    </div>
+          )}
+        </>
+      }
+      controls={
+        <>
+          {chatEnabled && (
+            <button
+              onClick={() => togglePanel('chat')}
+              title="Chat"
+              className={panelButtonClassName('chat')}
+            >
+              💬
+            </button>
+          )}
+          {isOwner && (
+            <button
+              onClick={() => togglePanel('guestLinks')}
+              title="Guest links"
+              className={panelButtonClassName('guestLinks')}
+            >
+              🔗
+            </button>
+          )}
+        </>
+      }
+    />
   );
 };
 
-export default RoomPage; 
\ No newline at end of file
+export default RoomPage;
@@ -1,8 +1,37 @@
 import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
 import { useTheme } from '../../contexts/ThemeContext';
+import { apiService } from '../../services/api';
+import TwoFactorSettings from '../../components/Auth/TwoFactorSettings';
+import CalendarFeedSettings from '../../components/Meetings/CalendarFeedSettings';
 
 const SettingsPage = () => {
   const { theme, toggleTheme } = useTheme();
+  const queryClient = useQueryClient();
+
+  // Devices signed in to this account
+  const { data: sessions = [] } = useQuery(
+    ['auth', 'sessions'],
+    () => apiService.auth.getSessions().then(res => res.data.data.sessions)
+  );
+
+  // Revoke one session, or every session but this one
+  const revokeMutation = useMutation(
+    (sessionId) => (sessionId
+      ? apiService.auth.revokeSession(sessionId)
+      : apiService.auth.revokeOtherSessions()),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.invalidateQueries(['auth', 'sessions']);
+      },
+      onError: (error) => {
+        const message = error.response?.data?.message || 'Failed to revoke session';
+        toast.error(message);
+      },
+    }
+  );
   const [settings, setSettings] = useState({
     notifications: true,
     autoJoin: false,
@@ -99,6 +128,68 @@ const SettingsPage = () => {
             </div>
           </div>
 
+          {/* Calendar Feed */}
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+              Calendar Feed
+            </h3>
+            <CalendarFeedSettings />
+          </div>
+
+          {/* Two-Factor Authentication */}
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+              Two-Factor Authentication
+            </h3>
+            <TwoFactorSettings />
+          </div>
+
+          {/* Active Sessions */}
+          <div>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                Active Sessions
+              </h3>
+              {sessions.length > 1 && (
+                <button
+                  type="button"
+                  disabled={revokeMutation.isLoading}
+                  onClick={() => revokeMutation.mutate()}
+                  className="text-sm font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+                >
+                  Sign out other devices
+                </button>
+              )}
+            </div>
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {sessions.map((session) => (
+                <li key={session.id} className="py-3 flex items-center justify-between">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                      {session.deviceName || session.userAgent || 'Unknown device'}
+                      {session.isCurrent && (
+                        <span className="ml-2 text-xs text-green-600 dark:text-green-400">This device</span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-600 dark:text-gray-300">
+                      {session.ip} · last active {new Date(session.lastUsedAt).toLocaleString()}
+                    </p>
+                  </div>
+                  {!session.isCurrent && (
+                    <button
+                      type="button"
+                      disabled={revokeMutation.isLoading}
+                      onClick={() => revokeMutation.mutate(session.id)}
+                      className="ml-4 px-3 py-1 text-sm font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 disabled:opacity-50"
+                    >
+                      Revoke
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+
           {/* About */}
           <div className="border-t border-gray-200 dark:border-gray-700 pt-6">
             <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
@@ -10,6 +10,64 @@ const api = axios.create({
   },
 });
 
+// Auth endpoints that must never trigger a silent refresh
+const NO_REFRESH_URLS = ['/api/auth/login', '/api/auth/login/2fa', '/api/auth/oidc/exchange', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout'];
+
+// Listeners notified whenever the access token is silently refreshed
+const tokenRefreshListeners = new Set();
+
+// Refresh in flight, shared so concurrent 401s trigger a single rotation
+let refreshPromise = null;
+
+// Subscribe to silently refreshed access tokens; returns an unsubscribe function
+export const onTokenRefreshed = (listener) => {
+  tokenRefreshListeners.add(listener);
+  return () => tokenRefreshListeners.delete(listener);
+};
+
+// Rotate the refresh token. Tabs share localStorage, so a Web Lock keeps them from
+// presenting the same refresh token twice (which the server treats as token theft).
+const rotateTokens = async (staleToken) => {
+  const currentToken = localStorage.getItem('token');
+  if (staleToken && currentToken && currentToken !== staleToken) {
+    // Another tab already refreshed
+    return currentToken;
+  }
+
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token available');
+  }
+
+  const response = await axios.post(`${api.defaults.baseURL}/api/auth/refresh`, { refreshToken });
+  const { token, refreshToken: nextRefreshToken } = response.data.data;
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', nextRefreshToken);
+  return token;
+};
+
+// Get a fresh access token, optionally skipping the rotation if staleToken was already replaced
+export const refreshAccessToken = (staleToken) => {
+  if (!refreshPromise) {
+    const rotate = () => rotateTokens(staleToken);
+    refreshPromise = (navigator.locks ? navigator.locks.request('auth-token-refresh', rotate) : rotate())
+      .then((token) => {
+        tokenRefreshListeners.forEach(listener => listener(token));
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Forget stored credentials
+export const clearStoredTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
@@ -51,6 +109,30 @@ api.interceptors.response.use(
       console.error(`API Error: ${error.config.method?.toUpperCase()} ${error.config.url} - ${duration}ms`, error);
     }
 
+    // Silently refresh an expired access token once, then replay the request
+    const originalRequest = error.config;
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_URLS.includes(originalRequest.url) &&
+      localStorage.getItem('refreshToken')
+    ) {
+      originalRequest._retry = true;
+      const staleToken = originalRequest.headers?.Authorization?.split(' ')[1];
+
+      return refreshAccessToken(staleToken)
+        .then((token) => {
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        })
+        .catch(() => {
+          clearStoredTokens();
+          window.location.href = '/login';
+          return Promise.reject(error);
+        });
+    }
+
     // Handle different error types
     if (error.response) {
       // Server responded with error status
@@ -58,8 +140,8 @@ api.interceptors.response.use(
       
       switch (status) {
         case 401:
-          // Unauthorized - clear token and redirect to login
-          localStorage.removeItem('token');
+          // Unauthorized - clear tokens and redirect to login
+          clearStoredTokens();
           window.location.href = '/login';
           break;
         
@@ -121,6 +203,19 @@ export const endpoints = {
     changePassword: '/api/auth/change-password',
     forgotPassword: '/api/auth/forgot-password',
     resetPassword: '/api/auth/reset-password',
+    verifyEmail: '/api/auth/verify-email',
+    resendVerification: '/api/auth/resend-verification',
+    loginTwoFactor: '/api/auth/login/2fa',
+    twoFactor: '/api/auth/2fa',
+    twoFactorSetup: '/api/auth/2fa/setup',
+    twoFactorEnable: '/api/auth/2fa/enable',
+    twoFactorDisable: '/api/auth/2fa/disable',
+    twoFactorBackupCodes: '/api/auth/2fa/backup-codes',
+    oidcConfig: '/api/auth/oidc/config',
+    oidcAuthorize: '/api/auth/oidc/authorize',
+    oidcExchange: '/api/auth/oidc/exchange',
+    sessions: '/api/auth/sessions',
+    session: (sessionId) => `/api/auth/sessions/${sessionId}`,
   },
 
   // Rooms
@@ -132,6 +227,54 @@ export const endpoints = {
     delete: (roomId) => `/api/rooms/${roomId}`,
     join: (roomId) => `/api/rooms/${roomId}/join`,
     leave: (roomId) => `/api/rooms/${roomId}/leave`,
+    invitations: (roomId) => `/api/rooms/${roomId}/invitations`,
+    invitation: (roomId, invitationId) => `/api/rooms/${roomId}/invitations/${invitationId}`,
+    lobby: (roomId) => `/api/rooms/${roomId}/lobby`,
+    admit: (roomId, ticketId) => `/api/rooms/${roomId}/lobby/${ticketId}/admit`,
+    deny: (roomId, ticketId) => `/api/rooms/${roomId}/lobby/${ticketId}/deny`,
+    mute: (roomId, userId) => `/api/rooms/${roomId}/participants/${userId}/mute`,
+    kick: (roomId, userId) => `/api/rooms/${roomId}/participants/${userId}/kick`,
+    ban: (roomId, userId) => `/api/rooms/${roomId}/participants/${userId}/ban`,
+    bans: (roomId) => `/api/rooms/${roomId}/bans`,
+    unban: (roomId, userId) => `/api/rooms/${roomId}/bans/${userId}`,
+    role: (roomId, userId) => `/api/rooms/${roomId}/participants/${userId}/role`,
+    permissions: (roomId, userId) => `/api/rooms/${roomId}/participants/${userId}/permissions`,
+    transferOwnership: (roomId) => `/api/rooms/${roomId}/transfer-ownership`,
+    guestLinks: (roomId) => `/api/rooms/${roomId}/guest-links`,
+    guestLink: (roomId, linkId) => `/api/rooms/${roomId}/guest-links/${linkId}`,
+    messages: (roomId) => `/api/rooms/${roomId}/messages`,
+    stats: '/api/rooms/stats/overview',
+    adminList: '/api/rooms/admin',
+    adminPurge: '/api/rooms/admin/purge',
+    adminLive: (roomId) => `/api/rooms/admin/${roomId}/live`,
+    adminEnd: (roomId) => `/api/rooms/admin/${roomId}/end`,
+    adminTransferOwnership: (roomId) => `/api/rooms/admin/${roomId}/transfer-ownership`,
+  },
+
+  // Guest links
+  guest: {
+    get: (token) => `/api/guest/${token}`,
+    join: (token) => `/api/guest/${token}/join`,
+  },
+
+  // Meetings
+  meetings: {
+    list: '/api/meetings',
+    create: '/api/meetings',
+    get: (meetingId) => `/api/meetings/${meetingId}`,
+    update: (meetingId) => `/api/meetings/${meetingId}`,
+    cancel: (meetingId) => `/api/meetings/${meetingId}`,
+    respond: (meetingId) => `/api/meetings/${meetingId}/respond`,
+    ics: (meetingId) => `/api/meetings/${meetingId}/ics`,
+    feed: '/api/meetings/feed',
+    resetFeed: '/api/meetings/feed/reset',
+  },
+
+  // Invitations
+  invitations: {
+    list: '/api/invitations',
+    accept: (invitationId) => `/api/invitations/${invitationId}/accept`,
+    decline: (invitationId) => `/api/invitations/${invitationId}/decline`,
   },
 
   // Tokens
@@ -150,20 +293,39 @@ export const endpoints = {
     list: (roomId) => `/api/recordings/room/${roomId}`,
     get: (recordingId) => `/api/recordings/${recordingId}`,
     delete: (recordingId) => `/api/recordings/${recordingId}`,
+    download: (recordingId) => `/api/recordings/${recordingId}/download`,
     stats: '/api/recordings/stats/overview',
   },
 
   // Users
   users: {
     profile: '/api/users/profile',
+    avatar: '/api/users/profile/avatar',
     list: '/api/users',
     get: (userId) => `/api/users/${userId}`,
     update: (userId) => `/api/users/${userId}`,
     delete: (userId) => `/api/users/${userId}`,
     activate: (userId) => `/api/users/${userId}/activate`,
     deactivate: (userId) => `/api/users/${userId}/deactivate`,
+    unlock: (userId) => `/api/users/${userId}/unlock`,
+    activity: (userId) => `/api/users/${userId}/activity`,
+    bulkActivate: '/api/users/bulk/activate',
+    bulkDeactivate: '/api/users/bulk/deactivate',
     stats: '/api/users/stats/overview',
   },
+
+  // Settings
+  settings: {
+    public: '/api/settings/public',
+    get: '/api/settings',
+    update: '/api/settings',
+  },
+
+  // Audit log
+  audit: {
+    list: '/api/audit',
+    export: '/api/audit/export',
+  },
 };
 
 // API service functions
@@ -173,12 +335,27 @@ export const apiService = {
     login: (credentials) => api.post(endpoints.auth.login, credentials),
     register: (userData) => api.post(endpoints.auth.register, userData),
     logout: () => api.post(endpoints.auth.logout),
-    refresh: () => api.post(endpoints.auth.refresh),
+    refresh: (refreshToken) => api.post(endpoints.auth.refresh, { refreshToken }),
     getProfile: () => api.get(endpoints.auth.me),
     updateProfile: (profileData) => api.put(endpoints.auth.me, profileData),
     changePassword: (passwordData) => api.post(endpoints.auth.changePassword, passwordData),
     forgotPassword: (email) => api.post(endpoints.auth.forgotPassword, { email }),
     resetPassword: (resetData) => api.post(endpoints.auth.resetPassword, resetData),
+    verifyEmail: (token) => api.post(endpoints.auth.verifyEmail, { token }),
+    resendVerification: () => api.post(endpoints.auth.resendVerification),
+    loginTwoFactor: (challengeData) => api.post(endpoints.auth.loginTwoFactor, challengeData),
+    getTwoFactorStatus: () => api.get(endpoints.auth.twoFactor),
+    setupTwoFactor: () => api.post(endpoints.auth.twoFactorSetup),
+    enableTwoFactor: (code) => api.post(endpoints.auth.twoFactorEnable, { code }),
+    disableTwoFactor: (disableData) => api.post(endpoints.auth.twoFactorDisable, disableData),
+    regenerateBackupCodes: (code) => api.post(endpoints.auth.twoFactorBackupCodes, { code }),
+    getOidcConfig: () => api.get(endpoints.auth.oidcConfig),
+    // Full URL the browser navigates to for single sign-on
+    getOidcAuthorizeUrl: (redirectTo) => `${api.defaults.baseURL}${endpoints.auth.oidcAuthorize}?${new URLSearchParams({ redirectTo })}`,
+    exchangeOidcCode: (code) => api.post(endpoints.auth.oidcExchange, { code }),
+    getSessions: () => api.get(endpoints.auth.sessions),
+    revokeSession: (sessionId) => api.delete(endpoints.auth.session(sessionId)),
+    revokeOtherSessions: () => api.delete(endpoints.auth.sessions),
   },
 
   // Room functions
@@ -190,6 +367,58 @@ export const apiService = {
     delete: (roomId) => api.delete(endpoints.rooms.delete(roomId)),
     join: (roomId, joinData) => api.post(endpoints.rooms.join(roomId), joinData),
     leave: (roomId) => api.post(endpoints.rooms.leave(roomId)),
+    invite: (roomId, invitees) => api.post(endpoints.rooms.invitations(roomId), { invitees }),
+    getInvitations: (roomId) => api.get(endpoints.rooms.invitations(roomId)),
+    revokeInvitation: (roomId, invitationId) => api.delete(endpoints.rooms.invitation(roomId, invitationId)),
+    getLobby: (roomId) => api.get(endpoints.rooms.lobby(roomId)),
+    admit: (roomId, ticketId) => api.post(endpoints.rooms.admit(roomId, ticketId)),
+    deny: (roomId, ticketId) => api.post(endpoints.rooms.deny(roomId, ticketId)),
+    withdrawJoinRequest: (roomId) => api.delete(endpoints.rooms.lobby(roomId)),
+    muteParticipant: (roomId, userId, source) => api.post(endpoints.rooms.mute(roomId, userId), { source }),
+    kickParticipant: (roomId, userId) => api.post(endpoints.rooms.kick(roomId, userId)),
+    banParticipant: (roomId, userId, reason) => api.post(endpoints.rooms.ban(roomId, userId), { reason }),
+    getBans: (roomId) => api.get(endpoints.rooms.bans(roomId)),
+    unbanUser: (roomId, userId) => api.delete(endpoints.rooms.unban(roomId, userId)),
+    setParticipantRole: (roomId, userId, role) => api.put(endpoints.rooms.role(roomId, userId), { role }),
+    setParticipantPermissions: (roomId, userId, permissions) => api.put(endpoints.rooms.permissions(roomId, userId), { permissions }),
+    transferOwnership: (roomId, userId) => api.post(endpoints.rooms.transferOwnership(roomId), { userId }),
+    getGuestLinks: (roomId) => api.get(endpoints.rooms.guestLinks(roomId)),
+    createGuestLink: (roomId, linkData) => api.post(endpoints.rooms.guestLinks(roomId), linkData),
+    revokeGuestLink: (roomId, linkId) => api.delete(endpoints.rooms.guestLink(roomId, linkId)),
+    getMessages: (roomId, params) => api.get(endpoints.rooms.messages(roomId), { params }),
+    sendMessage: (roomId, content) => api.post(endpoints.rooms.messages(roomId), { content }),
+    getStats: (params) => api.get(endpoints.rooms.stats, { params }),
+    adminList: (params) => api.get(endpoints.rooms.adminList, { params }),
+    adminPurge: (purgeData) => api.post(endpoints.rooms.adminPurge, purgeData),
+    adminGetLive: (roomId) => api.get(endpoints.rooms.adminLive(roomId)),
+    adminEnd: (roomId, deactivate = false) => api.post(endpoints.rooms.adminEnd(roomId), { deactivate }),
+    adminTransferOwnership: (roomId, userId) => api.post(endpoints.rooms.adminTransferOwnership(roomId), { userId }),
+  },
+
+  // Guest functions
+  guest: {
+    get: (token) => api.get(endpoints.guest.get(token)),
+    join: (token, displayName) => api.post(endpoints.guest.join(token), { displayName }),
+  },
+
+  // Meeting functions
+  meetings: {
+    getList: (params) => api.get(endpoints.meetings.list, { params }),
+    create: (meetingData) => api.post(endpoints.meetings.create, meetingData),
+    get: (meetingId) => api.get(endpoints.meetings.get(meetingId)),
+    update: (meetingId, meetingData) => api.put(endpoints.meetings.update(meetingId), meetingData),
+    cancel: (meetingId) => api.delete(endpoints.meetings.cancel(meetingId)),
+    respond: (meetingId, status) => api.post(endpoints.meetings.respond(meetingId), { status }),
+    downloadIcs: (meetingId) => api.get(endpoints.meetings.ics(meetingId), { responseType: 'blob' }),
+    getFeed: () => api.get(endpoints.meetings.feed),
+    resetFeed: () => api.post(endpoints.meetings.resetFeed),
+  },
+
+  // Invitation functions
+  invitations: {
+    getList: () => api.get(endpoints.invitations.list),
+    accept: (invitationId) => api.post(endpoints.invitations.accept(invitationId)),
+    decline: (invitationId) => api.post(endpoints.invitations.decline(invitationId)),
   },
 
   // Token functions
@@ -208,6 +437,7 @@ export const apiService = {
     getList: (roomId) => api.get(endpoints.recordings.list(roomId)),
     get: (recordingId) => api.get(endpoints.recordings.get(recordingId)),
     delete: (recordingId) => api.delete(endpoints.recordings.delete(recordingId)),
+    getDownloadUrl: (recordingId) => api.get(endpoints.recordings.download(recordingId)),
     getStats: () => api.get(endpoints.recordings.stats),
   },
 
@@ -215,13 +445,36 @@ export const apiService = {
   users: {
     getProfile: () => api.get(endpoints.users.profile),
     updateProfile: (profileData) => api.put(endpoints.users.profile, profileData),
+    uploadAvatar: (file) => {
+      const formData = new FormData();
+      formData.append('avatar', file);
+      return api.post(endpoints.users.avatar, formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+    },
+    removeAvatar: () => api.delete(endpoints.users.avatar),
     getList: (params) => api.get(endpoints.users.list, { params }),
     get: (userId) => api.get(endpoints.users.get(userId)),
     update: (userId, userData) => api.put(endpoints.users.update(userId), userData),
     delete: (userId) => api.delete(endpoints.users.delete(userId)),
     activate: (userId) => api.post(endpoints.users.activate(userId)),
     deactivate: (userId) => api.post(endpoints.users.deactivate(userId)),
-    getStats: () => api.get(endpoints.users.stats),
+    unlock: (userId) => api.post(endpoints.users.unlock(userId)),
+    getActivity: (userId) => api.get(endpoints.users.activity(userId)),
+    bulkActivate: (userIds) => api.post(endpoints.users.bulkActivate, { userIds }),
+    bulkDeactivate: (userIds) => api.post(endpoints.users.bulkDeactivate, { userIds }),
+    getStats: (params) => api.get(endpoints.users.stats, { params }),
+  },
+
+  // Settings functions
+  settings: {
+    getPublic: () => api.get(endpoints.settings.public),
+    get: () => api.get(endpoints.settings.get),
+    update: (settings) => api.put(endpoints.settings.update, settings),
+  },
+
+  // Audit log functions
+  audit: {
+    getList: (params) => api.get(endpoints.audit.list, { params }),
+    export: (params) => api.get(endpoints.audit.export, { params, responseType: 'blob' }),
   },
 };
 
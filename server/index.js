@@ -1,5 +1,6 @@
 require('dotenv').config();
 const express = require('express');
+const http = require('http');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
@@ -9,14 +10,28 @@ const path = require('path');
 const connectDB = require('./config/database');
 const { connectRedis } = require('./config/redis');
 const { logger, logRequest } = require('./utils/logger');
+const socketGateway = require('./services/socket');
+const scheduler = require('./services/scheduler');
+const mailService = require('./services/mail');
+const meetingService = require('./services/meetings');
+const auditService = require('./services/audit');
+const Room = require('./models/Room');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const authRoutes = require('./routes/auth');
 const roomRoutes = require('./routes/rooms');
 const tokenRoutes = require('./routes/tokens');
 const userRoutes = require('./routes/users');
 const recordingRoutes = require('./routes/recordings');
+const webhookRoutes = require('./routes/webhooks');
+const invitationRoutes = require('./routes/invitations');
+const settingsRoutes = require('./routes/settings');
+const guestRoutes = require('./routes/guest');
+const meetingRoutes = require('./routes/meetings');
+const auditRoutes = require('./routes/audit');
+const fileRoutes = require('./routes/files');
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 5000;
 
 // Trust proxy for load balancer
@@ -40,6 +55,14 @@ app.use(helmet({
   }
 }));
 
+// LiveKit webhooks need the raw body for signature verification and must not
+// be throttled, so they are mounted before rate limiting and body parsing
+app.use('/api/webhooks', webhookRoutes);
+
+// Signed file downloads carry their own authorization and are fetched for every
+// avatar on screen, so they are not throttled either
+app.use('/api/files', fileRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -58,7 +81,8 @@ app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  exposedHeaders: ['X-Export-Truncated', 'X-Export-Limit']
 }));
 
 // Body parsing middleware
@@ -85,6 +109,11 @@ app.use('/api/rooms', roomRoutes);
 app.use('/api/tokens', tokenRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/recordings', recordingRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/guest', guestRoutes);
+app.use('/api/meetings', meetingRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -135,7 +164,16 @@ const startServer = async () => {
   try {
     await connectDB();
     await connectRedis();
-    app.listen(PORT, () => {
+    await socketGateway.initialize(server);
+
+    // Background maintenance tasks
+    scheduler.register('sweep-expired-invitations', 60 * 60 * 1000, () => Room.sweepExpiredInvitations());
+    scheduler.register('send-meeting-reminders', 60 * 1000, () => meetingService.sendReminders());
+    scheduler.register('purge-audit-events', 24 * 60 * 60 * 1000, () => auditService.purgeExpired());
+    scheduler.start();
+    await mailService.start();
+
+    server.listen(PORT, () => {
       logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
     });
   } catch (error) {
@@ -1,8 +1,58 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { getCache } = require('../config/redis');
+const Room = require('../models/Room');
+const Setting = require('../models/Setting');
+const { getCache, setCache } = require('../config/redis');
+const { AuthenticationError } = require('./errorHandler');
 const { logger } = require('../utils/logger');
 
+// Lifetime of an access token in seconds, read from JWT_EXPIRES_IN exactly the way jwt.sign reads it
+const getAccessTokenLifetime = () => {
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }));
+  return Math.max(exp - iat, 1);
+};
+
+// Check whether the login session behind an access token has been revoked
+const isSessionRevoked = async (sessionId) => {
+  if (!sessionId) return false;
+  return !!(await getCache(`revoked-session:${sessionId}`));
+};
+
+// Reject access tokens issued for the given login sessions.
+// Access tokens outlive a revoked session by at most their own lifetime; remember revocations that long.
+const revokeSessionAccess = async (sessionIds) => {
+  const ttl = getAccessTokenLifetime();
+  await Promise.all(sessionIds.map(sessionId =>
+    setCache(`revoked-session:${sessionId}`, true, ttl)
+  ));
+};
+
+// Resolve the active user behind a JWT, throwing when it is revoked or invalid.
+// Used by transports that cannot go through Express middleware (e.g. Socket.IO).
+const verifyAuthToken = async (token) => {
+  if (!token) {
+    throw new AuthenticationError('Access token required');
+  }
+
+  const isBlacklisted = await getCache(`blacklist:${token}`);
+  if (isBlacklisted) {
+    throw new AuthenticationError('This token has been revoked');
+  }
+
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (await isSessionRevoked(decoded.sid)) {
+    throw new AuthenticationError('This session has been revoked');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user || !user.isActive) {
+    throw new AuthenticationError('The user associated with this token is not available');
+  }
+
+  return user;
+};
+
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
   try {
@@ -27,6 +77,14 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Reject tokens of revoked login sessions
+    if (await isSessionRevoked(decoded.sid)) {
+      return res.status(401).json({
+        error: 'Session revoked',
+        message: 'This session has been revoked. Please log in again'
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.id).select('-password');
@@ -45,8 +103,9 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    // Add user and login session to request object
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
 
   } catch (error) {
@@ -73,9 +132,16 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Check whether admins must enrol in two-factor authentication before using admin features.
+// Off unless an admin turns it on, so existing admins are not locked out before they enrol.
+const isTwoFactorRequiredForAdmins = async () => {
+  const settings = await Setting.getSettings();
+  return settings.security?.requireTwoFactorForAdmins === true;
+};
+
 // Middleware to check if user has required role
 const requireRole = (roles) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         error: 'Authentication required',
@@ -93,6 +159,22 @@ const requireRole = (roles) => {
       });
     }
 
+    try {
+      if (userRole === 'admin' && !req.user.twoFactor?.enabled && await isTwoFactorRequiredForAdmins()) {
+        return res.status(403).json({
+          error: 'Two-factor authentication required',
+          message: 'Enable two-factor authentication to use admin features',
+          code: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+    } catch (error) {
+      logger.error('Two-factor policy check error:', error);
+      return res.status(500).json({
+        error: 'Server error',
+        message: 'An error occurred while checking permissions'
+      });
+    }
+
     next();
   };
 };
@@ -103,6 +185,36 @@ const requireAdmin = requireRole('admin');
 // Middleware to check if user is moderator or admin
 const requireModerator = requireRole(['admin', 'moderator']);
 
+// Middleware to enforce the admin-configured email verification policy
+// for an action ('requireForRoomCreation' or 'requireForRoomJoin')
+const requireVerifiedEmail = (policy) => {
+  return async (req, res, next) => {
+    try {
+      if (req.user.isVerified || req.user.role === 'admin') {
+        return next();
+      }
+
+      const settings = await Setting.getSettings();
+      if (!settings.verification?.[policy]) {
+        return next();
+      }
+
+      return res.status(403).json({
+        error: 'Email not verified',
+        message: 'Please verify your email address to continue',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+
+    } catch (error) {
+      logger.error('Email verification check error:', error);
+      return res.status(500).json({
+        error: 'Server error',
+        message: 'An error occurred while checking email verification'
+      });
+    }
+  };
+};
+
 // Middleware to check if user owns the resource or is admin
 const requireOwnership = (resourceField = 'userId') => {
   return (req, res, next) => {
@@ -143,16 +255,15 @@ const requireRoomAccess = async (req, res, next) => {
       return next();
     }
 
-    // Check if user is room participant
+    // Check if user is an active room participant; guest entries have no user
     const participantRoom = await Room.findOne({
       roomId,
-      'participants.user': userId,
-      'participants.isActive': true
+      participants: { $elemMatch: { user: userId, isActive: true } }
     });
 
     if (participantRoom) {
       const participant = participantRoom.participants.find(
-        p => p.user.toString() === userId.toString()
+        p => p.user?.toString() === userId.toString() && p.isActive
       );
       req.roomRole = participant.role;
       return next();
@@ -226,10 +337,15 @@ const optionalAuth = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (await isSessionRevoked(decoded.sid)) {
+      return next(); // Continue without authentication
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
     if (user && user.isActive) {
       req.user = user;
+      req.sessionId = decoded.sid;
     }
 
     next();
@@ -253,10 +369,14 @@ const authRateLimit = {
 };
 
 module.exports = {
+  verifyAuthToken,
+  revokeSessionAccess,
   authenticateToken,
+  isTwoFactorRequiredForAdmins,
   requireRole,
   requireAdmin,
   requireModerator,
+  requireVerifiedEmail,
   requireOwnership,
   requireRoomAccess,
   requireRoomPermission,
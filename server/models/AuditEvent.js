@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// One security-relevant action: who did what to which target, from where, and what changed
+const auditEventSchema = new mongoose.Schema({
+  // Null for anonymous actions such as resetting a forgotten password
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept as it was when the action happened
+  actorUsername: {
+    type: String,
+    default: null
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ['user', 'room', 'recording', 'settings'],
+      required: true
+    },
+    id: {
+      type: String,
+      default: null
+    },
+    label: {
+      type: String,
+      default: null
+    }
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  // Only the fields that changed, with their values before and after
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// Instance method to shape the event for API responses and exports
+auditEventSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    actor: this.actor,
+    actorUsername: this.actorUsername,
+    action: this.action,
+    target: {
+      type: this.target.type,
+      id: this.target.id,
+      label: this.target.label
+    },
+    ip: this.ip,
+    userAgent: this.userAgent,
+    changes: this.changes,
+    metadata: this.metadata,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to delete events older than the retention period; returns the number removed
+auditEventSchema.statics.purgeOlderThan = async function(days) {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const result = await this.deleteMany({ createdAt: { $lt: cutoff } });
+  return result.deletedCount;
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { isValidTimeZone, parseRRule, formatRRule, describeRRule, getOccurrences, getSeriesEnd } = require('../utils/recurrence');
+
+const meetingSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  roomId: {
+    type: String,
+    required: true
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Meeting title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  // First occurrence
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  timeZone: {
+    type: String,
+    default: 'UTC'
+  },
+  // RRULE value (without the "RRULE:" prefix), null for one-off meetings
+  recurrence: {
+    type: String,
+    default: null
+  },
+  // End of the last occurrence, null when the series never ends
+  seriesEndsAt: {
+    type: Date,
+    default: null
+  },
+  attendees: [{
+    // Registered attendees reference a user; external attendees only have an email
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'tentative'],
+      default: 'pending'
+    }
+  }],
+  // iCalendar identity; SEQUENCE increases whenever attendees must update their copy
+  uid: {
+    type: String,
+    default: () => `${uuidv4()}@video-call-app`
+  },
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  // Start of the occurrence reminders were last sent for
+  reminderSentFor: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the length of each occurrence in minutes
+meetingSchema.virtual('durationMinutes').get(function() {
+  return Math.round((this.endsAt - this.startsAt) / 60000);
+});
+
+// Indexes for better query performance
+meetingSchema.index({ organizer: 1, status: 1 });
+meetingSchema.index({ 'attendees.user': 1, status: 1 });
+meetingSchema.index({ room: 1 });
+meetingSchema.index({ status: 1, startsAt: 1, seriesEndsAt: 1 });
+meetingSchema.index({ uid: 1 }, { unique: true });
+
+// Pre-validate middleware to check times and normalize the recurrence rule
+meetingSchema.pre('validate', function(next) {
+  if (!isValidTimeZone(this.timeZone)) {
+    this.invalidate('timeZone', 'Time zone must be a valid IANA time zone, e.g. Europe/Berlin');
+  }
+
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End time must be after the start time');
+  }
+
+  if (this.recurrence) {
+    try {
+      this.recurrence = formatRRule(parseRRule(this.recurrence));
+    } catch (error) {
+      this.invalidate('recurrence', error.message);
+    }
+  }
+
+  if (!this.errors) {
+    this.seriesEndsAt = getSeriesEnd(this);
+  }
+
+  next();
+});
+
+// Instance method to list occurrences overlapping a time window
+meetingSchema.methods.getOccurrences = function(options) {
+  return getOccurrences(this, options);
+};
+
+// Instance method to get the current or next occurrence, or null once the series is over
+meetingSchema.methods.getNextOccurrence = function(from = new Date()) {
+  return getOccurrences(this, { from, limit: 1 })[0] || null;
+};
+
+// Instance method to check if a user organizes or attends the meeting
+meetingSchema.methods.isAttendee = function(userId) {
+  const id = userId.toString();
+  const organizerId = this.organizer._id ? this.organizer._id.toString() : this.organizer.toString();
+
+  return organizerId === id || this.attendees.some(a => {
+    if (!a.user) return false;
+    return (a.user._id ? a.user._id.toString() : a.user.toString()) === id;
+  });
+};
+
+// Instance method to describe the meeting for iCalendar output (organizer and attendees populated)
+meetingSchema.methods.toICalEvent = function(joinUrl) {
+  const nameOf = (user) => [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username;
+
+  return {
+    uid: this.uid,
+    sequence: this.sequence,
+    title: this.title,
+    description: this.description,
+    startsAt: this.startsAt,
+    endsAt: this.endsAt,
+    timeZone: this.timeZone,
+    recurrence: this.recurrence,
+    url: joinUrl,
+    cancelled: this.status === 'cancelled',
+    updatedAt: this.updatedAt,
+    organizer: this.organizer?.email ? { name: nameOf(this.organizer), email: this.organizer.email } : null,
+    attendees: this.attendees.map(a => ({
+      name: a.user?.email ? nameOf(a.user) : a.name,
+      email: a.user?.email || a.email,
+      status: a.status
+    }))
+  };
+};
+
+// Instance method to shape the meeting for API responses
+meetingSchema.methods.toPublicJSON = function(from = new Date()) {
+  return {
+    id: this._id,
+    roomId: this.roomId,
+    title: this.title,
+    description: this.description,
+    startsAt: this.startsAt,
+    endsAt: this.endsAt,
+    durationMinutes: this.durationMinutes,
+    timeZone: this.timeZone,
+    recurrence: this.recurrence,
+    schedule: this.recurrence ? describeRRule(this.recurrence) : null,
+    seriesEndsAt: this.seriesEndsAt,
+    nextOccurrence: this.status === 'scheduled' ? this.getNextOccurrence(from) : null,
+    organizer: this.organizer,
+    attendees: this.attendees.map(a => ({
+      id: a._id,
+      user: a.user,
+      email: a.user ? undefined : a.email,
+      name: a.name,
+      status: a.status
+    })),
+    status: this.status,
+    sequence: this.sequence,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to find scheduled meetings a user organizes or attends that have not ended
+meetingSchema.statics.findUpcomingForUser = function(userId, from = new Date()) {
+  return this.find({
+    status: 'scheduled',
+    $and: [
+      { $or: [{ organizer: userId }, { 'attendees.user': userId }] },
+      { $or: [{ seriesEndsAt: null }, { seriesEndsAt: { $gt: from } }] }
+    ]
+  })
+    .populate('organizer', 'username firstName lastName avatar email')
+    .populate('attendees.user', 'username firstName lastName avatar email');
+};
+
+// Static method to find scheduled meetings that may have an occurrence starting before a time
+meetingSchema.statics.findActiveBefore = function(until, from = new Date()) {
+  return this.find({
+    status: 'scheduled',
+    startsAt: { $lte: until },
+    $or: [{ seriesEndsAt: null }, { seriesEndsAt: { $gt: from } }]
+  });
+};
+
+module.exports = mongoose.model('Meeting', meetingSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  roomId: {
+    type: String,
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Name shown with the message, kept as it was when the message was sent
+  senderName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  content: {
+    type: String,
+    required: [true, 'Message content is required'],
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+messageSchema.index({ roomId: 1, _id: -1 });
+messageSchema.index({ room: 1 });
+
+// Instance method to shape the message for API responses and events
+messageSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    roomId: this.roomId,
+    sender: this.sender,
+    senderName: this.senderName,
+    content: this.content,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to page through a room's history, newest first, starting before a message ID
+messageSchema.statics.findHistory = function(roomId, { before, limit = 50 } = {}) {
+  const query = { roomId };
+  if (before) {
+    query._id = { $lt: before };
+  }
+
+  return this.find(query)
+    .sort({ _id: -1 })
+    .limit(limit)
+    .populate('sender', 'username firstName lastName avatar');
+};
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+const recordingSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  roomId: {
+    type: String,
+    required: true
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  egressId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'processing', 'ready', 'failed', 'deleted'],
+    default: 'pending'
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  stoppedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  format: {
+    type: String,
+    enum: ['mp4', 'ogg', 'webm'],
+    default: 'mp4'
+  },
+  layout: {
+    type: String,
+    default: 'grid'
+  },
+  // Where the file lives in the configured storage backend; downloads use signed URLs
+  storageKey: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: 0 // in bytes
+  },
+  duration: {
+    type: Number,
+    default: 0 // in seconds
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the egress is still running
+recordingSchema.virtual('isRecording').get(function() {
+  return ['pending', 'active'].includes(this.status);
+});
+
+// Indexes for better query performance
+recordingSchema.index({ room: 1, createdAt: -1 });
+recordingSchema.index({ egressId: 1 }, { unique: true, sparse: true });
+recordingSchema.index({ status: 1 });
+recordingSchema.index({ startedBy: 1 });
+recordingSchema.index({ createdAt: -1 });
+
+// Instance method to apply a normalized LiveKit egress info
+recordingSchema.methods.applyEgressInfo = function(egress) {
+  if (egress.egressId) this.egressId = egress.egressId;
+  this.status = this.constructor.statusFromEgress(egress.status);
+
+  if (egress.startedAt && !this.startedAt) this.startedAt = egress.startedAt;
+  if (egress.endedAt) this.endedAt = egress.endedAt;
+  if (egress.error) this.error = egress.error;
+
+  if (egress.file) {
+    // Recordings started before keys were assigned up front only know egress' filename
+    if (egress.file.filename && !this.storageKey) this.storageKey = egress.file.filename;
+    if (egress.file.size) this.size = egress.file.size;
+    if (egress.file.duration) this.duration = egress.file.duration;
+  }
+
+  // Fall back to wall-clock duration when egress did not report one
+  if (!this.duration && this.startedAt && this.endedAt) {
+    this.duration = Math.floor((this.endedAt - this.startedAt) / 1000);
+  }
+
+  return this;
+};
+
+// Instance method to shape the recording for API responses
+recordingSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    roomId: this.roomId,
+    sessionId: this.sessionId,
+    egressId: this.egressId,
+    status: this.status,
+    isRecording: this.isRecording,
+    format: this.format,
+    layout: this.layout,
+    isDownloadable: this.status === 'ready' && !!this.storageKey,
+    size: this.size,
+    duration: this.duration,
+    error: this.error,
+    startedBy: this.startedBy,
+    stoppedBy: this.stoppedBy,
+    startedAt: this.startedAt,
+    endedAt: this.endedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to map a LiveKit egress status onto a recording status
+recordingSchema.statics.statusFromEgress = function(egressStatus) {
+  switch (egressStatus) {
+    case 'starting':
+    case 'active':
+      return 'active';
+    case 'ending':
+      return 'processing';
+    case 'complete':
+    case 'limit_reached':
+      return 'ready';
+    case 'failed':
+    case 'aborted':
+      return 'failed';
+    default:
+      return 'pending';
+  }
+};
+
+// Static method to find the running recording of a room
+recordingSchema.statics.findActiveByRoom = function(roomObjectId) {
+  return this.findOne({
+    room: roomObjectId,
+    status: { $in: ['pending', 'active'] }
+  });
+};
+
+// Static method to find visible recordings of a room
+recordingSchema.statics.findByRoom = function(roomObjectId) {
+  return this.find({
+    room: roomObjectId,
+    status: { $ne: 'deleted' }
+  })
+    .populate('startedBy', 'username firstName lastName avatar')
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('Recording', recordingSchema);
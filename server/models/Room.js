@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Guest link tokens are stored hashed; only the creator ever sees the raw token
+const hashGuestToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Participants and attendance entries are keyed by user id, or by LiveKit identity for guests
+const participantKey = (p) => p.guestId || (p.user && p.user.toString());
 
 const roomSchema = new mongoose.Schema({
   name: {
@@ -48,10 +57,6 @@ const roomSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  recordingUrl: {
-    type: String,
-    default: null
-  },
   settings: {
     videoEnabled: {
       type: Boolean,
@@ -107,11 +112,30 @@ const roomSchema = new mongoose.Schema({
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true
+      required: function() {
+        return !this.isGuest;
+      }
+    },
+    isGuest: {
+      type: Boolean,
+      default: false
+    },
+    guestId: {
+      type: String,
+      default: null
+    },
+    displayName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Display name cannot exceed 50 characters']
+    },
+    guestLink: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
     },
     role: {
       type: String,
-      enum: ['owner', 'admin', 'moderator', 'participant'],
+      enum: ['owner', 'admin', 'moderator', 'participant', 'viewer'],
       default: 'participant'
     },
     joinedAt: {
@@ -190,6 +214,69 @@ const roomSchema = new mongoose.Schema({
       }
     }
   }],
+  bannedUsers: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    bannedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Ban reason cannot exceed 200 characters']
+    }
+  }],
+  guestLinks: [{
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Label cannot exceed 100 characters']
+    },
+    role: {
+      type: String,
+      enum: ['participant', 'viewer'],
+      default: 'participant'
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    maxUses: {
+      type: Number,
+      default: null, // unlimited
+      min: [1, 'Max uses must be at least 1']
+    },
+    uses: {
+      type: Number,
+      default: 0
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  }],
   sessions: [{
     sessionId: {
       type: String,
@@ -208,6 +295,14 @@ const roomSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
+      guestId: {
+        type: String,
+        default: null
+      },
+      displayName: {
+        type: String,
+        default: null
+      },
       joinedAt: {
         type: Date,
         default: Date.now
@@ -222,10 +317,6 @@ const roomSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
-      recordingUrl: {
-        type: String,
-        default: null
-      },
       startedAt: {
         type: Date,
         default: null
@@ -247,7 +338,7 @@ const roomSchema = new mongoose.Schema({
     },
     totalDuration: {
       type: Number,
-      default: 0
+      default: 0 // in seconds
     },
     lastActivity: {
       type: Date,
@@ -289,6 +380,7 @@ roomSchema.index({ type: 1 });
 roomSchema.index({ isActive: 1 });
 roomSchema.index({ category: 1 });
 roomSchema.index({ 'participants.user': 1 });
+roomSchema.index({ 'guestLinks.tokenHash': 1 });
 roomSchema.index({ createdAt: -1 });
 
 // Pre-save middleware to generate room ID if not provided
@@ -299,6 +391,43 @@ roomSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to hash password
+roomSchema.pre('save', async function(next) {
+  // Only hash the password if it has been modified (or is new)
+  if (!this.password || !this.isModified('password')) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance method to compare password (requires the password field to be selected)
+roomSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
+
+  // Rooms created before passwords were hashed hold plain text; hash it on first successful use
+  if (!this.password.startsWith('$2')) {
+    // Compare fixed-length digests so the check takes the same time whatever the input
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    const isMatch = crypto.timingSafeEqual(digest(candidatePassword), digest(this.password));
+    if (isMatch) {
+      this.markModified('password');
+      await this.save();
+    }
+    return isMatch;
+  }
+
+  try {
+    return await bcrypt.compare(candidatePassword, this.password);
+  } catch (error) {
+    throw new Error('Password comparison failed');
+  }
+};
+
 // Instance method to generate unique room ID
 roomSchema.methods.generateRoomId = function() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -309,51 +438,210 @@ roomSchema.methods.generateRoomId = function() {
   return result;
 };
 
+// Instance method to get the currently open call session
+roomSchema.methods.getOpenSession = function() {
+  return this.sessions.find(s => !s.endedAt);
+};
+
+// Instance method to open a call session if none is open (does not save)
+roomSchema.methods.openSession = function(sessionId = uuidv4(), startedAt = new Date()) {
+  let session = this.getOpenSession();
+
+  if (!session) {
+    this.sessions.push({
+      sessionId,
+      startedAt,
+      participants: []
+    });
+    session = this.sessions[this.sessions.length - 1];
+  }
+
+  return session;
+};
+
+// Instance method to close a participant's open attendance interval, returns seconds attended
+roomSchema.methods.closeAttendance = function(userId, leftAt = new Date()) {
+  const session = this.getOpenSession();
+  if (!session) return 0;
+
+  const interval = session.participants.find(a =>
+    participantKey(a) === userId.toString() && !a.leftAt
+  );
+  if (!interval) return 0;
+
+  interval.leftAt = leftAt;
+  return Math.max(0, Math.floor((leftAt - interval.joinedAt) / 1000));
+};
+
 // Instance method to add participant
 roomSchema.methods.addParticipant = function(userId, role = 'participant') {
-  const existingParticipant = this.participants.find(p => p.user.toString() === userId.toString());
-  
+  const now = new Date();
+  const existingParticipant = this.getParticipant(userId);
+  const wasActive = !!(existingParticipant && existingParticipant.isActive);
+
   if (existingParticipant) {
     existingParticipant.isActive = true;
     existingParticipant.leftAt = null;
-    existingParticipant.stats.lastSeen = new Date();
+    existingParticipant.stats.lastSeen = now;
   } else {
     this.participants.push({
       user: userId,
       role,
-      joinedAt: new Date(),
+      joinedAt: now,
       isActive: true
     });
+    this.stats.totalParticipants += 1;
   }
-  
-  this.stats.lastActivity = new Date();
+
+  // Start a new attendance interval, opening a session for the first participant
+  if (!wasActive) {
+    const session = this.openSession(undefined, now);
+    session.participants.push({ user: userId, joinedAt: now });
+  }
+
+  this.stats.lastActivity = now;
   return this.save();
 };
 
-// Instance method to remove participant
-roomSchema.methods.removeParticipant = function(userId) {
-  const participant = this.participants.find(p => p.user.toString() === userId.toString());
-  
-  if (participant) {
+// Instance method to add a guest participant, who has no User document
+roomSchema.methods.addGuestParticipant = function(guestId, displayName, role = 'participant', guestLinkId = null) {
+  const now = new Date();
+  const existingParticipant = this.getParticipant(guestId);
+  const wasActive = !!(existingParticipant && existingParticipant.isActive);
+
+  if (existingParticipant) {
+    existingParticipant.isActive = true;
+    existingParticipant.leftAt = null;
+    existingParticipant.stats.lastSeen = now;
+  } else {
+    // Guests cannot moderate, record or share their screen
+    this.participants.push({
+      isGuest: true,
+      guestId,
+      displayName,
+      guestLink: guestLinkId,
+      role,
+      joinedAt: now,
+      isActive: true,
+      permissions: {
+        canMute: false,
+        canUnmute: role !== 'viewer',
+        canShareScreen: false,
+        canChat: this.settings.allowParticipantsToChat,
+        canRecord: false,
+        canKick: false
+      }
+    });
+    this.stats.totalParticipants += 1;
+  }
+
+  if (!wasActive) {
+    const session = this.openSession(undefined, now);
+    session.participants.push({
+      guestId,
+      displayName: existingParticipant ? existingParticipant.displayName : displayName,
+      joinedAt: now
+    });
+  }
+
+  this.stats.lastActivity = now;
+  return this.save();
+};
+
+// Instance method to remove participant (a user id or a guest identity)
+roomSchema.methods.removeParticipant = async function(userId) {
+  const now = new Date();
+  const participant = this.getParticipant(userId);
+
+  if (participant && participant.isActive) {
     participant.isActive = false;
-    participant.leftAt = new Date();
-    this.stats.lastActivity = new Date();
+    participant.leftAt = now;
+    participant.stats.lastSeen = now;
+    participant.stats.totalTime += this.closeAttendance(userId, now);
+    this.stats.lastActivity = now;
   }
-  
+
+  // Close the session once the last participant has left
+  if (this.getOpenSession() && this.currentParticipantsCount === 0) {
+    return this.endSession(now);
+  }
+
+  return this.save();
+};
+
+// Instance method to open a call session
+roomSchema.methods.startSession = function(sessionId, startedAt = new Date()) {
+  this.openSession(sessionId, startedAt);
+  this.stats.lastActivity = new Date();
   return this.save();
 };
 
+// Instance method to close the open call session and release remaining participants
+roomSchema.methods.endSession = async function(endedAt = new Date()) {
+  this.participants.forEach(p => {
+    if (p.isActive) {
+      p.isActive = false;
+      p.leftAt = endedAt;
+      p.stats.lastSeen = endedAt;
+      p.stats.totalTime += this.closeAttendance(participantKey(p), endedAt);
+    }
+  });
+
+  const session = this.getOpenSession();
+  if (session) {
+    session.endedAt = endedAt;
+    this.stats.totalSessions += 1;
+    this.stats.totalDuration += Math.floor((endedAt - session.startedAt) / 1000);
+  }
+
+  this.stats.lastActivity = new Date();
+  await this.save();
+
+  if (session) {
+    await this.rollupSessionStats(session);
+  }
+
+  return this;
+};
+
+// Instance method to roll a closed session's attendance up into User.stats
+roomSchema.methods.rollupSessionStats = function(session) {
+  const secondsByUser = session.participants.reduce((acc, attendance) => {
+    if (!attendance.user) return acc;
+    const key = attendance.user.toString();
+    const leftAt = attendance.leftAt || session.endedAt;
+    acc[key] = (acc[key] || 0) + Math.max(0, Math.floor((leftAt - attendance.joinedAt) / 1000));
+    return acc;
+  }, {});
+
+  const updates = Object.keys(secondsByUser).map(userId => ({
+    updateOne: {
+      filter: { _id: userId },
+      update: {
+        $inc: {
+          'stats.totalCalls': 1,
+          'stats.totalDuration': Math.round(secondsByUser[userId] / 60) // User stats are in minutes
+        },
+        $set: { 'stats.lastCallDate': session.endedAt }
+      }
+    }
+  }));
+
+  if (updates.length === 0) return Promise.resolve();
+  return this.model('User').bulkWrite(updates);
+};
+
 // Instance method to check if user is participant
 roomSchema.methods.isParticipant = function(userId) {
   return this.participants.some(p => 
-    p.user.toString() === userId.toString() && p.isActive
+    participantKey(p) === userId.toString() && p.isActive
   );
 };
 
 // Instance method to check if user has permission
 roomSchema.methods.hasPermission = function(userId, permission) {
   const participant = this.participants.find(p => 
-    p.user.toString() === userId.toString() && p.isActive
+    participantKey(p) === userId.toString() && p.isActive
   );
   
   if (!participant) return false;
@@ -363,6 +651,216 @@ roomSchema.methods.hasPermission = function(userId, permission) {
   return participant.permissions[permission] || false;
 };
 
+// Instance method to check if an active participant may send chat messages
+roomSchema.methods.canChat = function(userId) {
+  const participant = this.participants.find(p =>
+    participantKey(p) === userId.toString() && p.isActive
+  );
+
+  if (!participant || !this.settings.chatEnabled) return false;
+  if (participant.role === 'owner') return true;
+  if (!participant.permissions.canChat) return false;
+
+  // With participant chat turned off only moderators and admins can write
+  return this.settings.allowParticipantsToChat || ['admin', 'moderator'].includes(participant.role);
+};
+
+// Instance method to get a participant by user id or guest identity
+roomSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(p => participantKey(p) === userId.toString());
+};
+
+// Instance method to change a participant's role
+roomSchema.methods.setParticipantRole = function(userId, role) {
+  const participant = this.getParticipant(userId);
+  if (!participant) return null;
+
+  participant.role = role;
+  return this.save().then(() => participant);
+};
+
+// Instance method to override a participant's permissions
+roomSchema.methods.setParticipantPermissions = function(userId, permissions) {
+  const participant = this.getParticipant(userId);
+  if (!participant) return null;
+
+  Object.keys(permissions).forEach(key => {
+    participant.permissions[key] = permissions[key];
+  });
+  return this.save().then(() => participant);
+};
+
+// Instance method to hand the room over to another participant; the previous owner becomes an admin
+roomSchema.methods.transferOwnership = function(userId) {
+  const newOwner = this.getParticipant(userId);
+  if (!newOwner) return null;
+
+  const previousOwner = this.getParticipant(this.owner);
+  if (previousOwner) {
+    previousOwner.role = 'admin';
+  }
+
+  newOwner.role = 'owner';
+  this.owner = newOwner.user;
+  return this.save().then(() => ({ newOwner, previousOwner }));
+};
+
+// Instance method to check if user is banned
+roomSchema.methods.isBanned = function(userId) {
+  return this.bannedUsers.some(b => b.user.toString() === userId.toString());
+};
+
+// Instance method to ban a user, releasing them from the call
+roomSchema.methods.banUser = function(userId, bannedBy, reason) {
+  if (!this.isBanned(userId)) {
+    this.bannedUsers.push({ user: userId, bannedBy, reason });
+  }
+
+  // A ban also voids any invitation
+  this.invitedUsers = this.invitedUsers.filter(i => i.user.toString() !== userId.toString());
+
+  return this.removeParticipant(userId);
+};
+
+// Instance method to lift a ban; returns false if the user was not banned
+roomSchema.methods.unbanUser = async function(userId) {
+  if (!this.isBanned(userId)) return false;
+
+  this.bannedUsers = this.bannedUsers.filter(b => b.user.toString() !== userId.toString());
+  await this.save();
+  return true;
+};
+
+// Instance method to find a user's invitation that is still usable
+roomSchema.methods.getInvitation = function(userId) {
+  const now = new Date();
+  return this.invitedUsers.find(i =>
+    i.user.toString() === userId.toString() &&
+    (i.status === 'accepted' || (i.status === 'pending' && i.expiresAt > now))
+  );
+};
+
+// Instance method to check if user has accepted an invitation
+roomSchema.methods.hasAcceptedInvitation = function(userId) {
+  const invitation = this.getInvitation(userId);
+  return !!invitation && invitation.status === 'accepted';
+};
+
+// Instance method to invite users, refreshing pending or declined invitations
+roomSchema.methods.inviteUsers = async function(userIds, invitedBy) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+  const invitations = [];
+
+  userIds.forEach(userId => {
+    let invitation = this.invitedUsers.find(i => i.user.toString() === userId.toString());
+
+    if (invitation && invitation.status === 'accepted') {
+      return;
+    }
+
+    if (invitation) {
+      invitation.status = 'pending';
+      invitation.invitedBy = invitedBy;
+      invitation.invitedAt = now;
+      invitation.expiresAt = expiresAt;
+    } else {
+      this.invitedUsers.push({ user: userId, invitedBy, invitedAt: now, expiresAt });
+      invitation = this.invitedUsers[this.invitedUsers.length - 1];
+    }
+
+    invitations.push(invitation);
+  });
+
+  await this.save();
+  return invitations;
+};
+
+// Instance method to accept or decline a pending invitation
+roomSchema.methods.respondToInvitation = function(invitationId, status) {
+  const invitation = this.invitedUsers.id(invitationId);
+
+  if (!invitation || invitation.status !== 'pending' || invitation.expiresAt <= new Date()) {
+    return null;
+  }
+
+  invitation.status = status;
+  return this.save().then(() => invitation);
+};
+
+// Instance method to describe whether a guest link can still be used
+roomSchema.methods.getGuestLinkStatus = function(link) {
+  if (link.revokedAt) return 'revoked';
+  if (link.expiresAt <= new Date()) return 'expired';
+  if (link.maxUses && link.uses >= link.maxUses) return 'exhausted';
+  return 'active';
+};
+
+// Instance method to find the guest link for a raw token
+roomSchema.methods.getGuestLink = function(token) {
+  const tokenHash = hashGuestToken(token);
+  return this.guestLinks.find(link => link.tokenHash === tokenHash);
+};
+
+// Instance method to create a guest link; the raw token is only returned here
+roomSchema.methods.createGuestLink = async function({ role, expiresAt, maxUses, label }, createdBy) {
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  this.guestLinks.push({
+    tokenHash: hashGuestToken(token),
+    label,
+    role,
+    expiresAt,
+    maxUses: maxUses || null,
+    createdBy
+  });
+
+  await this.save();
+  return { link: this.guestLinks[this.guestLinks.length - 1], token };
+};
+
+// Instance method to count one use of a guest link; false if it ran out in the meantime
+roomSchema.methods.redeemGuestLink = async function(link) {
+  const match = { _id: link._id, revokedAt: null, expiresAt: { $gt: new Date() } };
+  if (link.maxUses) {
+    match.uses = { $lt: link.maxUses };
+  }
+
+  // Claim the use atomically so concurrent redemptions cannot exceed maxUses
+  const result = await this.constructor.updateOne(
+    { _id: this._id, guestLinks: { $elemMatch: match } },
+    { $inc: { 'guestLinks.$.uses': 1 } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to find the room a guest link token belongs to
+roomSchema.statics.findByGuestToken = function(token) {
+  return this.findOne({ 'guestLinks.tokenHash': hashGuestToken(token) });
+};
+
+// Static method to find pending invitations for a user
+roomSchema.statics.findPendingInvitations = function(userId) {
+  return this.find({
+    isActive: true,
+    invitedUsers: {
+      $elemMatch: { user: userId, status: 'pending', expiresAt: { $gt: new Date() } }
+    }
+  })
+    .select('roomId name description type owner invitedUsers')
+    .populate('owner', 'username firstName lastName avatar')
+    .populate('invitedUsers.invitedBy', 'username firstName lastName avatar');
+};
+
+// Static method to remove pending invitations that have expired
+roomSchema.statics.sweepExpiredInvitations = async function() {
+  const result = await this.updateMany(
+    { 'invitedUsers.expiresAt': { $lte: new Date() } },
+    { $pull: { invitedUsers: { status: 'pending', expiresAt: { $lte: new Date() } } } }
+  );
+  return { modified: result.modifiedCount };
+};
+
 // Static method to find active rooms
 roomSchema.statics.findActive = function() {
   return this.find({ isActive: true });
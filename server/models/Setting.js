@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { getCache, setCache, deleteCache } = require('../config/redis');
+
+// Settings change rarely but are read on hot paths such as joining a room
+const SETTINGS_CACHE_KEY = 'settings:global';
+const SETTINGS_CACHE_TTL = 5 * 60; // 5 minutes
+
+// Application-wide settings managed by admins; stored as a single document
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true,
+    immutable: true
+  },
+  verification: {
+    requireForRoomCreation: {
+      type: Boolean,
+      default: false
+    },
+    requireForRoomJoin: {
+      type: Boolean,
+      default: false
+    }
+  },
+  security: {
+    requireTwoFactorForAdmins: {
+      type: Boolean,
+      default: false
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the settings, creating the defaults on first use
+settingSchema.statics.getSettings = async function() {
+  const cached = await getCache(SETTINGS_CACHE_KEY);
+  if (cached) {
+    return cached;
+  }
+
+  const settings = await this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  await setCache(SETTINGS_CACHE_KEY, settings, SETTINGS_CACHE_TTL);
+  return settings;
+};
+
+// Static method to apply a partial update, e.g. { 'verification.requireForRoomJoin': true }
+settingSchema.statics.updateSettings = async function(updates, updatedBy) {
+  const settings = await this.findOneAndUpdate(
+    { key: 'global' },
+    { $set: { ...updates, updatedBy } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  ).lean();
+
+  await deleteCache(SETTINGS_CACHE_KEY);
+  return settings;
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
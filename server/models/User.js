@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const totp = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -42,6 +44,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Storage key of an uploaded avatar; avatar then points at the redirect that serves it
+  avatarKey: {
+    type: String,
+    default: null,
+    select: false
+  },
   role: {
     type: String,
     enum: ['user', 'admin', 'moderator'],
@@ -67,6 +75,62 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Linked single sign-on identities
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Encrypted TOTP secret
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrolment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashed single-use recovery codes
+    backupCodes: {
+      type: [String],
+      select: false,
+      default: undefined
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Bumped to invalidate the user's calendar feed URL
+  calendarFeedVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  },
   preferences: {
     theme: {
       type: String,
@@ -165,6 +229,7 @@ userSchema.virtual('isLocked').get(function() {
 // userSchema.index({ username: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -199,20 +264,56 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// Instance method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Instance method to generate a short-lived JWT access token bound to a login session
+userSchema.methods.generateAuthToken = function(sessionId) {
   const payload = {
     id: this._id,
+    sid: sessionId,
     email: this.email,
     username: this.username,
     role: this.role
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
+// Instance method to check a TOTP or backup code; requires the twoFactor secrets to be selected.
+// Accepted codes are consumed, so the document is saved on success.
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (!this.twoFactor?.enabled || !this.twoFactor.secret) {
+    return { valid: false };
+  }
+
+  const step = totp.verifyCode(totp.decryptSecret(this.twoFactor.secret), code);
+  if (step !== null) {
+    if (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep) {
+      return { valid: false };
+    }
+    this.twoFactor.lastUsedStep = step;
+    await this.save();
+    return { valid: true, method: 'totp' };
+  }
+
+  const hash = totp.hashBackupCode(code);
+  const backupCodes = this.twoFactor.backupCodes || [];
+  if (backupCodes.includes(hash)) {
+    this.twoFactor.backupCodes = backupCodes.filter(h => h !== hash);
+    await this.save();
+    return { valid: true, method: 'backup_code', backupCodesRemaining: this.twoFactor.backupCodes.length };
+  }
+
+  return { valid: false };
+};
+
+// Instance method to replace the backup codes; returns the plain codes to show once
+userSchema.methods.generateBackupCodes = function() {
+  const codes = totp.generateBackupCodes();
+  this.twoFactor.backupCodes = codes.map(totp.hashBackupCode);
+  return codes;
+};
+
 // Instance method to increment login attempts
 userSchema.methods.incLoginAttempts = function() {
   // If we have a previous lock that has expired, restart at 1
@@ -241,6 +342,13 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+// Instance method to lift a lockout from failed logins
+userSchema.methods.unlock = function() {
+  this.loginAttempts = 0;
+  this.lockUntil = null;
+  return this.save();
+};
+
 // Static method to find user by credentials
 userSchema.statics.findByCredentials = async function(email, password) {
   const user = await this.findOne({ email }).select('+password');
@@ -266,6 +374,64 @@ userSchema.statics.findByCredentials = async function(email, password) {
   return user;
 };
 
+// Static method to find the user of a single sign-on identity.
+// Identities link to an existing account whose email both sides have verified; otherwise an account is created.
+userSchema.statics.findOrCreateFromOidc = async function(provider, claims) {
+  const linked = await this.findOne({ 'identities.provider': provider, 'identities.subject': claims.sub });
+  if (linked) {
+    return { user: linked, created: false, linked: false };
+  }
+
+  // Never link or create accounts from an address the provider has not verified
+  const email = claims.email?.toLowerCase();
+  if (!email || (claims.email_verified !== true && claims.email_verified !== 'true')) {
+    const error = new Error('Your identity provider did not supply a verified email address');
+    error.code = 'OIDC_EMAIL_NOT_VERIFIED';
+    throw error;
+  }
+
+  const identity = { provider, subject: claims.sub, email };
+
+  const existing = await this.findOne({ email });
+  if (existing) {
+    // Anyone can register an unverified address; linking it would hand that account's sessions to the provider user
+    if (!existing.isVerified) {
+      const error = new Error('Verify the email address of your existing account before signing in with single sign-on');
+      error.code = 'OIDC_ACCOUNT_NOT_VERIFIED';
+      throw error;
+    }
+
+    existing.identities.push(identity);
+    await existing.save();
+    return { user: existing, created: false, linked: true };
+  }
+
+  // Derive a free username from the provider's preferred username or the email local part
+  const base = (claims.preferred_username || email.split('@')[0])
+    .replace(/[^a-zA-Z0-9_]/g, '_')
+    .slice(0, 24)
+    .padEnd(3, '_');
+  let username = base;
+  while (await this.usernameExists(username)) {
+    username = `${base}_${crypto.randomBytes(2).toString('hex')}`;
+  }
+
+  const [firstName, ...rest] = (claims.name || '').trim().split(/\s+/);
+  const user = await this.create({
+    username,
+    email,
+    // Password login stays unusable until the user resets it
+    password: crypto.randomBytes(32).toString('hex'),
+    firstName: (claims.given_name || firstName || username).slice(0, 50),
+    lastName: (claims.family_name || rest.join(' ') || '-').slice(0, 50),
+    avatar: claims.picture || null,
+    isVerified: true,
+    identities: [identity]
+  });
+
+  return { user, created: true, linked: true };
+};
+
 // Static method to check if email exists
 userSchema.statics.emailExists = async function(email) {
   const user = await this.findOne({ email });
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Only the most recent rotated tokens are kept for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+// Hash a refresh token secret for storage
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// A device login; its rotating refresh tokens form one token family
+const userSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false,
+    default: []
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_changed', 'account_disabled', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for whether the session can still be refreshed
+userSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes for better query performance
+userSessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB drop sessions a week after they expire
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Instance method to issue the next refresh token of the family
+userSessionSchema.methods.issueRefreshToken = function() {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+  if (this.tokenHash) {
+    this.previousTokenHashes = [this.tokenHash, ...(this.previousTokenHashes || [])].slice(0, MAX_PREVIOUS_TOKENS);
+  }
+  this.tokenHash = hashToken(secret);
+  this.lastUsedAt = new Date();
+  this.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  return `${this._id}.${secret}`;
+};
+
+// Instance method to revoke the session
+userSessionSchema.methods.revoke = function(reason = 'revoked') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Instance method to shape the session for API responses
+userSessionSchema.methods.toPublicJSON = function(currentSessionId) {
+  return {
+    id: this._id,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    isCurrent: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+// Static method to start a session; returns the session and its first refresh token
+userSessionSchema.statics.createForUser = async function(user, { userAgent, ip, deviceName } = {}) {
+  const session = new this({ user: user._id, userAgent, ip, deviceName });
+  const refreshToken = session.issueRefreshToken();
+  await session.save();
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for the next one.
+// Presenting an already-rotated token revokes the whole family.
+userSessionSchema.statics.rotate = async function(refreshToken) {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    return { error: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  const session = await this.findById(sessionId).select('+tokenHash +previousTokenHashes');
+  if (!session) {
+    return { error: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  const hash = hashToken(secret);
+
+  if (session.previousTokenHashes.includes(hash)) {
+    await session.revoke('reuse_detected');
+    return { error: 'REFRESH_TOKEN_REUSED', session };
+  }
+
+  if (session.tokenHash !== hash) {
+    return { error: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  if (!session.isActive) {
+    return { error: session.revokedAt ? 'SESSION_REVOKED' : 'SESSION_EXPIRED', session };
+  }
+
+  // Swap the hash atomically so concurrent refreshes cannot both succeed
+  const nextToken = session.issueRefreshToken();
+  const updated = await this.updateOne(
+    { _id: session._id, tokenHash: hash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: session.tokenHash,
+        previousTokenHashes: session.previousTokenHashes,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt
+      }
+    }
+  );
+
+  if (updated.modifiedCount === 0) {
+    await this.updateOne({ _id: session._id }, { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } });
+    return { error: 'REFRESH_TOKEN_REUSED', session };
+  }
+
+  return { session, refreshToken: nextToken };
+};
+
+// Static method to list a user's active sessions
+userSessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user, optionally keeping one; returns the revoked IDs
+userSessionSchema.statics.revokeAllForUser = async function(userId, reason = 'revoked', exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await this.find(filter).select('_id');
+  await this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return sessions.map(s => s._id.toString());
+};
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
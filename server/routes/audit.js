@@ -0,0 +1,204 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditEvent = require('../models/AuditEvent');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { asyncHandler, sendSuccessResponse, ValidationError } = require('../middleware/errorHandler');
+const auditService = require('../services/audit');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const TARGET_TYPES = ['user', 'room', 'recording', 'settings'];
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+  ['createdAt', event => event.createdAt.toISOString()],
+  ['action', event => event.action],
+  ['actorId', event => event.actor],
+  ['actorUsername', event => event.actorUsername],
+  ['targetType', event => event.target.type],
+  ['targetId', event => event.target.id],
+  ['targetLabel', event => event.target.label],
+  ['ip', event => event.ip],
+  ['userAgent', event => event.userAgent],
+  ['before', event => (event.changes?.before ? JSON.stringify(event.changes.before) : '')],
+  ['after', event => (event.changes?.after ? JSON.stringify(event.changes.after) : '')],
+  ['metadata', event => (event.metadata ? JSON.stringify(event.metadata) : '')]
+];
+
+// Validation rules
+const filterValidation = [
+  query('action')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Action cannot exceed 100 characters'),
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Actor must be a valid user ID'),
+  query('targetType')
+    .optional()
+    .isIn(TARGET_TYPES)
+    .withMessage(`Target type must be one of ${TARGET_TYPES.join(', ')}`),
+  query('targetId')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Target ID cannot exceed 100 characters'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters')
+];
+
+const listAuditValidation = [
+  ...filterValidation,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const exportAuditValidation = [
+  ...filterValidation,
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().reduce((acc, error) => {
+      acc[error.path] = error.msg;
+      return acc;
+    }, {});
+
+    throw new ValidationError('Validation failed', formattedErrors);
+  }
+  next();
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to turn the shared query filters into a Mongo query
+const buildAuditQuery = ({ action, actor, targetType, targetId, from, to, search }) => {
+  const filter = {};
+  if (action) {
+    // "user." matches every user action, "user.deleted" only that one
+    filter.action = action.endsWith('.')
+      ? { $regex: `^${escapeRegex(action)}` }
+      : action;
+  }
+  if (actor) filter.actor = actor;
+  if (targetType) filter['target.type'] = targetType;
+  if (targetId) filter['target.id'] = targetId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+  if (search && search.trim()) {
+    const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+    filter.$or = [
+      { actorUsername: pattern },
+      { action: pattern },
+      { 'target.label': pattern },
+      { ip: pattern }
+    ];
+  }
+  return filter;
+};
+
+// Quote a CSV field when it contains a delimiter, quote or line break; neutralise spreadsheet formulas
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value.toString();
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// @route   GET /api/audit
+// @desc    List audit events, newest first (admin only)
+// @access  Private (Admin)
+router.get('/', authenticateToken, requireAdmin, listAuditValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const filter = buildAuditQuery(req.query);
+
+  const [events, total] = await Promise.all([
+    AuditEvent.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditEvent.countDocuments(filter)
+  ]);
+
+  sendSuccessResponse(res, {
+    events: events.map(event => event.toPublicJSON()),
+    retentionDays: auditService.retentionDays,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// @route   GET /api/audit/export
+// @desc    Download matching audit events as CSV or JSON (admin only)
+// @access  Private (Admin)
+router.get('/export', authenticateToken, requireAdmin, exportAuditValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const format = req.query.format || 'csv';
+  const filter = buildAuditQuery(req.query);
+
+  // Fetch one extra event to know whether the export was cut off
+  const events = await AuditEvent.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(MAX_EXPORT_ROWS + 1);
+  const truncated = events.length > MAX_EXPORT_ROWS;
+  if (truncated) events.pop();
+
+  logger.info('Audit log exported', {
+    userId: req.user._id,
+    username: req.user.username,
+    format,
+    rows: events.length,
+    truncated
+  });
+
+  const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  // Only the newest MAX_EXPORT_ROWS events are exported; the client warns when more matched
+  res.set('X-Export-Truncated', truncated ? 'true' : 'false');
+  res.set('X-Export-Limit', String(MAX_EXPORT_ROWS));
+
+  if (format === 'json') {
+    return res.type('application/json').send(JSON.stringify(events.map(event => event.toPublicJSON()), null, 2));
+  }
+
+  const lines = [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...events.map(event => CSV_COLUMNS.map(([, value]) => toCsvField(value(event))).join(','))
+  ];
+  res.type('text/csv; charset=utf-8').send(lines.join('\r\n'));
+}));
+
+module.exports = router;
@@ -1,10 +1,16 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const { body, param, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
-const { authenticateToken, authRateLimit } = require('../middleware/auth');
+const UserSession = require('../models/UserSession');
+const { authenticateToken, revokeSessionAccess, isTwoFactorRequiredForAdmins, authRateLimit } = require('../middleware/auth');
 const { asyncHandler, sendSuccessResponse, sendErrorResponse, ValidationError } = require('../middleware/errorHandler');
-const { setCache, deleteCache } = require('../config/redis');
+const { setCache, getCache, deleteCache, getRedisClient } = require('../config/redis');
+const mailService = require('../services/mail');
+const auditService = require('../services/audit');
+const oidcService = require('../services/oidc');
+const totp = require('../utils/totp');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -12,6 +18,19 @@ const router = express.Router();
 // Rate limiting for auth endpoints
 const authLimiter = rateLimit(authRateLimit);
 
+// Email verification
+const VERIFICATION_TOKEN_TTL = 24 * 60 * 60; // 24 hours
+const VERIFICATION_RESEND_COOLDOWN = 60; // 1 minute between emails
+const MAX_VERIFICATION_RESENDS = 5; // per day
+
+// Two-factor authentication
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60; // 5 minutes to enter the code
+const MAX_TWO_FACTOR_ATTEMPTS = 5; // per challenge
+const TWO_FACTOR_ISSUER = process.env.APP_NAME || 'Video Call App';
+
+// Single sign-on
+const OIDC_LOGIN_CODE_TTL = 60; // seconds for the client to redeem the login code
+
 // Validation rules
 const registerValidation = [
   body('username')
@@ -60,6 +79,60 @@ const changePasswordValidation = [
     .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
 ];
 
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+const oidcExchangeValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Login code is required')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeValidation
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -74,6 +147,103 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Helper function to open a login session for the requesting device and issue its tokens
+const issueTokens = async (req, user) => {
+  const { session, refreshToken } = await UserSession.createForUser(user, {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    deviceName: typeof req.body.deviceName === 'string' ? req.body.deviceName : undefined
+  });
+
+  return {
+    token: user.generateAuthToken(session._id),
+    refreshToken
+  };
+};
+
+// Helper function to open a session for a fully authenticated user and send the login response
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(req, user);
+
+  // Cache user session
+  await setCache(`session:${user._id}`, {
+    userId: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role
+  }, 24 * 60 * 60); // 24 hours
+
+  logger.info('User logged in successfully', {
+    userId: user._id,
+    username: user.username,
+    email: user.email
+  });
+
+  sendSuccessResponse(res, {
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      fullName: user.fullName,
+      role: user.role,
+      isVerified: user.isVerified,
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      avatar: user.avatar,
+      preferences: user.preferences,
+      lastLogin: user.lastLogin
+    },
+    token,
+    refreshToken,
+    ...extra
+  }, 'Login successful');
+};
+
+// Helper function to finish a first-factor login: challenge accounts with two-factor
+// authentication, sign everyone else in right away
+const beginLogin = async (req, res, user, extra = {}) => {
+  if (user.twoFactor?.enabled) {
+    const challengeToken = crypto.randomBytes(32).toString('hex');
+    await setCache(`2fa-challenge:${challengeToken}`, {
+      userId: user._id.toString()
+    }, TWO_FACTOR_CHALLENGE_TTL);
+
+    logger.info('Two-factor challenge issued', {
+      userId: user._id,
+      username: user.username
+    });
+
+    return sendSuccessResponse(res, {
+      twoFactorRequired: true,
+      challengeToken,
+      expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+      ...extra
+    }, 'Two-factor authentication required');
+  }
+
+  await completeLogin(req, res, user, extra);
+};
+
+// Helper function to issue a verification token and email it, replacing any previous token
+const sendVerificationEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const previousToken = await getCache(`verify-email:user:${user._id}`);
+  if (previousToken) {
+    await deleteCache(`verify-email:${previousToken}`);
+  }
+
+  await setCache(`verify-email:${token}`, {
+    userId: user._id.toString(),
+    email: user.email
+  }, VERIFICATION_TOKEN_TTL);
+  await setCache(`verify-email:user:${user._id}`, token, VERIFICATION_TOKEN_TTL);
+
+  await mailService.sendEmailVerification(user, token);
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -110,8 +280,15 @@ router.post('/register', authLimiter, registerValidation, handleValidationErrors
 
   await user.save();
 
-  // Generate token
-  const token = user.generateAuthToken();
+  // The account is usable right away; a mail outage should not fail registration
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    logger.error('Failed to send verification email:', error);
+  }
+
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(req, user);
 
   // Cache user session
   await setCache(`session:${user._id}`, {
@@ -140,12 +317,13 @@ router.post('/register', authLimiter, registerValidation, handleValidationErrors
       avatar: user.avatar,
       preferences: user.preferences
     },
-    token
+    token,
+    refreshToken
   }, 'User registered successfully', 201);
 }));
 
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user; accounts with two-factor authentication get a challenge to complete instead
 // @access  Public
 router.post('/login', authLimiter, loginValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const { email, password } = req.body;
@@ -153,39 +331,169 @@ router.post('/login', authLimiter, loginValidation, handleValidationErrors, asyn
   // Find user by credentials
   const user = await User.findByCredentials(email, password);
 
-  // Generate token
-  const token = user.generateAuthToken();
+  await beginLogin(req, res, user);
+}));
 
-  // Cache user session
-  await setCache(`session:${user._id}`, {
-    userId: user._id,
-    username: user.username,
-    email: user.email,
-    role: user.role
-  }, 24 * 60 * 60); // 24 hours
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a two-factor login with an authenticator or backup code
+// @access  Public
+router.post('/login/2fa', authLimiter, twoFactorLoginValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+  const challengeKey = `2fa-challenge:${challengeToken}`;
 
-  logger.info('User logged in successfully', {
-    userId: user._id,
-    username: user.username,
-    email: user.email
-  });
+  const challenge = await getCache(challengeKey);
+  if (!challenge) {
+    return sendErrorResponse(res, {
+      message: 'Your sign-in attempt has expired. Please sign in again',
+      statusCode: 401,
+      code: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+    });
+  }
+
+  const user = await User.findById(challenge.userId)
+    .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+  if (!user || !user.isActive) {
+    await deleteCache(challengeKey);
+    return sendErrorResponse(res, {
+      message: 'Your sign-in attempt has expired. Please sign in again',
+      statusCode: 401,
+      code: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+    });
+  }
+
+  const result = await user.verifyTwoFactorCode(code);
+  if (!result.valid) {
+    // Limit guesses per challenge
+    const client = getRedisClient();
+    const attemptsKey = `2fa-challenge-attempts:${challengeToken}`;
+    const attempts = await client.incr(attemptsKey);
+    if (attempts === 1) {
+      await client.expire(attemptsKey, TWO_FACTOR_CHALLENGE_TTL);
+    }
+
+    if (attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+      await deleteCache(challengeKey);
+      await deleteCache(attemptsKey);
+      logger.warn('Two-factor challenge discarded after too many attempts', { userId: user._id });
+      return sendErrorResponse(res, {
+        message: 'Too many invalid codes. Please sign in again',
+        statusCode: 401,
+        code: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+      });
+    }
+
+    return sendErrorResponse(res, {
+      message: 'Invalid authentication code',
+      statusCode: 401,
+      code: 'INVALID_TWO_FACTOR_CODE'
+    });
+  }
+
+  await deleteCache(challengeKey);
+  await deleteCache(`2fa-challenge-attempts:${challengeToken}`);
 
+  if (result.method === 'backup_code') {
+    logger.warn('Backup code used to sign in', {
+      userId: user._id,
+      backupCodesRemaining: result.backupCodesRemaining
+    });
+  }
+
+  await completeLogin(req, res, user);
+}));
+
+// @route   GET /api/auth/oidc/config
+// @desc    Whether single sign-on is available, for the login page
+// @access  Public
+router.get('/oidc/config', (req, res) => {
   sendSuccessResponse(res, {
-    user: {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      fullName: user.fullName,
-      role: user.role,
-      isVerified: user.isVerified,
-      avatar: user.avatar,
-      preferences: user.preferences,
-      lastLogin: user.lastLogin
-    },
-    token
-  }, 'Login successful');
+    enabled: oidcService.isEnabled(),
+    providerName: oidcService.config.providerName
+  });
+});
+
+// @route   GET /api/auth/oidc/authorize
+// @desc    Redirect the browser to the identity provider
+// @access  Public
+router.get('/oidc/authorize', authLimiter, asyncHandler(async (req, res) => {
+  if (!oidcService.isEnabled()) {
+    return sendErrorResponse(res, {
+      message: 'Single sign-on is not configured',
+      statusCode: 404,
+      code: 'OIDC_NOT_CONFIGURED'
+    });
+  }
+
+  // Only same-origin paths, so the callback cannot be turned into an open redirect
+  const { redirectTo } = req.query;
+  const safeRedirect = typeof redirectTo === 'string' && /^\/(?![/\\])/.test(redirectTo) ? redirectTo : '/dashboard';
+
+  res.redirect(await oidcService.createAuthorizationUrl(safeRedirect));
+}));
+
+// @route   GET /api/auth/oidc/callback
+// @desc    Handle the identity provider redirect and hand a one-time login code to the client
+// @access  Public
+router.get('/oidc/callback', asyncHandler(async (req, res) => {
+  const clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const fail = (code) => res.redirect(`${clientUrl}/login?ssoError=${encodeURIComponent(code)}`);
+
+  if (req.query.error) {
+    logger.warn('OIDC provider returned an error', { error: req.query.error, description: req.query.error_description });
+    return fail(req.query.error === 'access_denied' ? 'OIDC_ACCESS_DENIED' : 'OIDC_PROVIDER_ERROR');
+  }
+
+  try {
+    const { claims, redirectTo } = await oidcService.handleCallback({
+      code: req.query.code,
+      state: req.query.state
+    });
+
+    const { user, created, linked } = await User.findOrCreateFromOidc(oidcService.config.issuer, claims);
+    if (!user.isActive) {
+      return fail('ACCOUNT_DISABLED');
+    }
+
+    if (created) {
+      logger.info('User created from single sign-on', { userId: user._id, username: user.username, email: user.email });
+    } else if (linked) {
+      logger.info('Single sign-on identity linked', { userId: user._id, email: user.email });
+    }
+
+    const loginCode = crypto.randomBytes(32).toString('hex');
+    await setCache(`oidc-login:${loginCode}`, {
+      userId: user._id.toString(),
+      redirectTo
+    }, OIDC_LOGIN_CODE_TTL);
+
+    res.redirect(`${clientUrl}/oidc/callback?code=${loginCode}`);
+  } catch (error) {
+    logger.error('OIDC login failed:', error);
+    fail(oidcService.clientErrorCode(error));
+  }
+}));
+
+// @route   POST /api/auth/oidc/exchange
+// @desc    Exchange the one-time login code from the callback for tokens
+// @access  Public
+router.post('/oidc/exchange', authLimiter, oidcExchangeValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  // Login codes are single use
+  const value = await getRedisClient().getDel(`oidc-login:${req.body.code}`);
+  const login = value ? JSON.parse(value) : null;
+
+  const user = login && await User.findById(login.userId);
+  if (!user || !user.isActive) {
+    return sendErrorResponse(res, {
+      message: 'Single sign-on expired. Please try again',
+      statusCode: 401,
+      code: 'OIDC_LOGIN_EXPIRED'
+    });
+  }
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  await beginLogin(req, res, user, { redirectTo: login.redirectTo });
 }));
 
 // @route   POST /api/auth/logout
@@ -199,6 +507,15 @@ router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
     await setCache(`blacklist:${token}`, true, 24 * 60 * 60); // 24 hours
   }
 
+  // End the login session so its refresh token stops working
+  if (req.sessionId) {
+    const session = await UserSession.findOne({ _id: req.sessionId, user: req.user._id });
+    if (session) {
+      await session.revoke('logout');
+    }
+    await revokeSessionAccess([req.sessionId]);
+  }
+
   // Remove session from cache
   await deleteCache(`session:${req.user._id}`);
 
@@ -211,42 +528,125 @@ router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
 }));
 
 // @route   POST /api/auth/refresh
-// @desc    Refresh access token
-// @access  Private
-router.post('/refresh', authenticateToken, asyncHandler(async (req, res) => {
-  // Generate new token
-  const token = req.user.generateAuthToken();
+// @desc    Exchange a refresh token for a new access and refresh token pair
+// @access  Public (refresh token)
+router.post('/refresh', refreshValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const result = await UserSession.rotate(req.body.refreshToken);
+
+  if (result.error === 'REFRESH_TOKEN_REUSED') {
+    // A rotated token came back: assume it leaked and cut off the whole family
+    await revokeSessionAccess([result.session._id.toString()]);
+    logger.warn('Refresh token reuse detected, session revoked', {
+      sessionId: result.session._id,
+      userId: result.session.user,
+      ip: req.ip
+    });
+  }
+
+  if (result.error) {
+    return sendErrorResponse(res, {
+      message: 'Invalid or expired refresh token',
+      statusCode: 401,
+      code: result.error
+    });
+  }
+
+  const user = await User.findById(result.session.user);
+  if (!user || !user.isActive) {
+    await result.session.revoke('account_disabled');
+    return sendErrorResponse(res, {
+      message: 'The user associated with this session is not available',
+      statusCode: 401,
+      code: 'ACCOUNT_UNAVAILABLE'
+    });
+  }
+
+  // Generate new access token
+  const token = user.generateAuthToken(result.session._id);
 
   // Update session cache
-  await setCache(`session:${req.user._id}`, {
-    userId: req.user._id,
-    username: req.user.username,
-    email: req.user.email,
-    role: req.user.role
+  await setCache(`session:${user._id}`, {
+    userId: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role
   }, 24 * 60 * 60); // 24 hours
 
   logger.info('Token refreshed', {
-    userId: req.user._id,
-    username: req.user.username
+    userId: user._id,
+    username: user.username
   });
 
   sendSuccessResponse(res, {
     token,
+    refreshToken: result.refreshToken,
     user: {
-      id: req.user._id,
-      username: req.user.username,
-      email: req.user.email,
-      firstName: req.user.firstName,
-      lastName: req.user.lastName,
-      fullName: req.user.fullName,
-      role: req.user.role,
-      isVerified: req.user.isVerified,
-      avatar: req.user.avatar,
-      preferences: req.user.preferences
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      fullName: user.fullName,
+      role: user.role,
+      isVerified: user.isVerified,
+      avatar: user.avatar,
+      preferences: user.preferences
     }
   }, 'Token refreshed successfully');
 }));
 
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active login sessions
+// @access  Private
+router.get('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const sessions = await UserSession.findActiveByUser(req.user._id);
+
+  sendSuccessResponse(res, {
+    sessions: sessions.map(session => session.toPublicJSON(req.sessionId))
+  }, 'Sessions retrieved successfully');
+}));
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's login sessions
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateToken, sessionIdValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const session = await UserSession.findOne({ _id: sessionId, user: req.user._id, revokedAt: null });
+  if (!session) {
+    return sendErrorResponse(res, {
+      message: 'Session not found',
+      statusCode: 404,
+      code: 'SESSION_NOT_FOUND'
+    });
+  }
+
+  await session.revoke('revoked');
+  await revokeSessionAccess([sessionId]);
+
+  logger.info('Session revoked', {
+    userId: req.user._id,
+    sessionId
+  });
+
+  sendSuccessResponse(res, null, 'Session revoked successfully');
+}));
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke every login session except the current one
+// @access  Private
+router.delete('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const revokedSessionIds = await UserSession.revokeAllForUser(req.user._id, 'revoked', req.sessionId);
+  await revokeSessionAccess(revokedSessionIds);
+
+  logger.info('Other sessions revoked', {
+    userId: req.user._id,
+    count: revokedSessionIds.length
+  });
+
+  sendSuccessResponse(res, { revoked: revokedSessionIds.length }, 'Other sessions revoked successfully');
+}));
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -261,6 +661,7 @@ router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
       fullName: req.user.fullName,
       role: req.user.role,
       isVerified: req.user.isVerified,
+      twoFactorEnabled: !!req.user.twoFactor?.enabled,
       avatar: req.user.avatar,
       preferences: req.user.preferences,
       stats: req.user.stats,
@@ -341,10 +742,17 @@ router.post('/change-password', authenticateToken, changePasswordValidation, han
   req.user.password = newPassword;
   await req.user.save();
 
-  // Blacklist all existing tokens for this user
-  // In a real app, you might want to implement a more sophisticated token management system
+  // Sign out every other device
+  const revokedSessionIds = await UserSession.revokeAllForUser(req.user._id, 'password_changed', req.sessionId);
+  await revokeSessionAccess(revokedSessionIds);
   await deleteCache(`session:${req.user._id}`);
 
+  await auditService.record(req, {
+    action: 'auth.password_changed',
+    target: { type: 'user', id: req.user._id, label: req.user.username },
+    metadata: { revokedSessions: revokedSessionIds.length }
+  });
+
   logger.info('Password changed', {
     userId: req.user._id,
     username: req.user.username
@@ -353,6 +761,279 @@ router.post('/change-password', authenticateToken, changePasswordValidation, han
   sendSuccessResponse(res, null, 'Password changed successfully');
 }));
 
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.backupCodes');
+
+  sendSuccessResponse(res, {
+    enabled: !!user.twoFactor?.enabled,
+    enabledAt: user.twoFactor?.enabledAt || null,
+    backupCodesRemaining: user.twoFactor?.backupCodes?.length || 0,
+    required: user.role === 'admin' && await isTwoFactorRequiredForAdmins()
+  });
+}));
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrolment; returns a secret and otpauth URI for the authenticator app
+// @access  Private
+router.post('/2fa/setup', authenticateToken, asyncHandler(async (req, res) => {
+  if (req.user.twoFactor?.enabled) {
+    return sendErrorResponse(res, {
+      message: 'Two-factor authentication is already enabled',
+      statusCode: 400,
+      code: 'TWO_FACTOR_ALREADY_ENABLED'
+    });
+  }
+
+  const secret = totp.generateSecret();
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { 'twoFactor.pendingSecret': totp.encryptSecret(secret) } }
+  );
+
+  sendSuccessResponse(res, {
+    secret,
+    otpauthUrl: totp.buildOtpauthUrl({
+      secret,
+      accountName: req.user.email,
+      issuer: TWO_FACTOR_ISSUER
+    })
+  }, 'Scan the code with your authenticator app, then confirm with a code');
+}));
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code from the authenticator app; returns backup codes
+// @access  Private
+router.post('/2fa/enable', authenticateToken, twoFactorCodeValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor?.enabled) {
+    return sendErrorResponse(res, {
+      message: 'Two-factor authentication is already enabled',
+      statusCode: 400,
+      code: 'TWO_FACTOR_ALREADY_ENABLED'
+    });
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    return sendErrorResponse(res, {
+      message: 'Start two-factor setup first',
+      statusCode: 400,
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+  }
+
+  const step = totp.verifyCode(totp.decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+  if (step === null) {
+    return sendErrorResponse(res, {
+      message: 'Invalid authentication code',
+      statusCode: 400,
+      code: 'INVALID_TWO_FACTOR_CODE'
+    });
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const backupCodes = user.generateBackupCodes();
+  await user.save();
+
+  logger.info('Two-factor authentication enabled', {
+    userId: user._id,
+    username: user.username
+  });
+
+  sendSuccessResponse(res, { backupCodes }, 'Two-factor authentication enabled');
+}));
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable', authenticateToken, disableTwoFactorValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  if (req.user.role === 'admin' && await isTwoFactorRequiredForAdmins()) {
+    return sendErrorResponse(res, {
+      message: 'Two-factor authentication is required for admin accounts',
+      statusCode: 403,
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+  }
+
+  const user = await User.findById(req.user._id)
+    .select('+password +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+  if (!user.twoFactor?.enabled) {
+    return sendErrorResponse(res, {
+      message: 'Two-factor authentication is not enabled',
+      statusCode: 400,
+      code: 'TWO_FACTOR_NOT_ENABLED'
+    });
+  }
+
+  if (!await user.comparePassword(password)) {
+    return sendErrorResponse(res, {
+      message: 'Password is incorrect',
+      statusCode: 400,
+      code: 'INVALID_PASSWORD'
+    });
+  }
+
+  const result = await user.verifyTwoFactorCode(code);
+  if (!result.valid) {
+    return sendErrorResponse(res, {
+      message: 'Invalid authentication code',
+      statusCode: 400,
+      code: 'INVALID_TWO_FACTOR_CODE'
+    });
+  }
+
+  user.twoFactor = { enabled: false, enabledAt: null };
+  await user.save();
+
+  logger.info('Two-factor authentication disabled', {
+    userId: user._id,
+    username: user.username
+  });
+
+  sendSuccessResponse(res, null, 'Two-factor authentication disabled');
+}));
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the backup codes; requires a current authentication code
+// @access  Private
+router.post('/2fa/backup-codes', authenticateToken, twoFactorCodeValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+  if (!user.twoFactor?.enabled) {
+    return sendErrorResponse(res, {
+      message: 'Two-factor authentication is not enabled',
+      statusCode: 400,
+      code: 'TWO_FACTOR_NOT_ENABLED'
+    });
+  }
+
+  const result = await user.verifyTwoFactorCode(req.body.code);
+  if (!result.valid) {
+    return sendErrorResponse(res, {
+      message: 'Invalid authentication code',
+      statusCode: 400,
+      code: 'INVALID_TWO_FACTOR_CODE'
+    });
+  }
+
+  const backupCodes = user.generateBackupCodes();
+  await user.save();
+
+  logger.info('Two-factor backup codes regenerated', {
+    userId: user._id,
+    username: user.username
+  });
+
+  sendSuccessResponse(res, { backupCodes }, 'Backup codes regenerated');
+}));
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with token
+// @access  Public
+router.post('/verify-email', authLimiter, verifyEmailValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const verificationData = await getCache(`verify-email:${token}`);
+  const user = verificationData && await User.findById(verificationData.userId);
+
+  // The token is only valid for the address it was sent to
+  if (!user || user.email !== verificationData.email) {
+    return sendErrorResponse(res, {
+      message: 'Invalid or expired verification link',
+      statusCode: 400,
+      code: 'INVALID_VERIFICATION_TOKEN'
+    });
+  }
+
+  if (!user.isVerified) {
+    user.isVerified = true;
+    await user.save();
+
+    logger.info('Email verified', {
+      userId: user._id,
+      email: user.email
+    });
+  }
+
+  await deleteCache(`verify-email:${token}`);
+  await deleteCache(`verify-email:user:${user._id}`);
+
+  sendSuccessResponse(res, {
+    user: {
+      id: user._id,
+      email: user.email,
+      isVerified: user.isVerified
+    }
+  }, 'Email verified successfully');
+}));
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/resend-verification', authenticateToken, asyncHandler(async (req, res) => {
+  if (req.user.isVerified) {
+    return sendErrorResponse(res, {
+      message: 'Your email address is already verified',
+      statusCode: 400,
+      code: 'EMAIL_ALREADY_VERIFIED'
+    });
+  }
+
+  const client = getRedisClient();
+  const userId = req.user._id.toString();
+
+  // Short cooldown between emails
+  const cooldownKey = `verify-email:cooldown:${userId}`;
+  const cooldownSet = await client.set(cooldownKey, '1', { NX: true, EX: VERIFICATION_RESEND_COOLDOWN });
+  if (!cooldownSet) {
+    const retryAfter = Math.max(await client.ttl(cooldownKey), 1);
+    res.set('Retry-After', String(retryAfter));
+    return sendErrorResponse(res, {
+      message: `Please wait ${retryAfter} seconds before requesting another email`,
+      statusCode: 429,
+      code: 'VERIFICATION_RESEND_THROTTLED'
+    });
+  }
+
+  // Daily cap
+  const countKey = `verify-email:resends:${userId}`;
+  const count = await client.incr(countKey);
+  if (count === 1) {
+    await client.expire(countKey, 24 * 60 * 60);
+  }
+  if (count > MAX_VERIFICATION_RESENDS) {
+    const retryAfter = Math.max(await client.ttl(countKey), 1);
+    res.set('Retry-After', String(retryAfter));
+    return sendErrorResponse(res, {
+      message: 'Too many verification emails requested. Please try again later',
+      statusCode: 429,
+      code: 'VERIFICATION_RESEND_LIMIT'
+    });
+  }
+
+  await sendVerificationEmail(req.user);
+
+  logger.info('Verification email resent', {
+    userId: req.user._id,
+    email: req.user.email
+  });
+
+  sendSuccessResponse(res, {
+    resendAvailableIn: VERIFICATION_RESEND_COOLDOWN
+  }, 'Verification email sent');
+}));
+
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset email
 // @access  Public
@@ -371,8 +1052,7 @@ router.post('/forgot-password', authLimiter, [
   }
 
   // Generate reset token
-  const resetToken = require('crypto').randomBytes(32).toString('hex');
-  const resetTokenExpiry = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+  const resetToken = crypto.randomBytes(32).toString('hex');
 
   // Store reset token in cache
   await setCache(`reset:${resetToken}`, {
@@ -380,12 +1060,17 @@ router.post('/forgot-password', authLimiter, [
     email: user.email
   }, 60 * 60); // 1 hour
 
-  // TODO: Send email with reset link
-  // For now, just log the token
-  logger.info('Password reset token generated', {
+  await mailService.sendPasswordReset(user, resetToken);
+
+  await auditService.record(req, {
+    action: 'auth.password_reset_requested',
+    target: { type: 'user', id: user._id, label: user.username },
+    actor: user
+  });
+
+  logger.info('Password reset email queued', {
     userId: user._id,
-    email: user.email,
-    resetToken
+    email: user.email
   });
 
   sendSuccessResponse(res, null, 'If the email exists, a password reset link has been sent');
@@ -433,9 +1118,18 @@ router.post('/reset-password', authLimiter, [
   // Delete reset token
   await deleteCache(`reset:${token}`);
 
-  // Blacklist all existing sessions
+  // Sign out every device
+  const revokedSessionIds = await UserSession.revokeAllForUser(user._id, 'password_changed');
+  await revokeSessionAccess(revokedSessionIds);
   await deleteCache(`session:${user._id}`);
 
+  await auditService.record(req, {
+    action: 'auth.password_reset',
+    target: { type: 'user', id: user._id, label: user.username },
+    actor: user,
+    metadata: { revokedSessions: revokedSessionIds.length }
+  });
+
   logger.info('Password reset successfully', {
     userId: user._id,
     email: user.email
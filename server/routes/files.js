@@ -0,0 +1,58 @@
+const express = require('express');
+const User = require('../models/User');
+const { asyncHandler, sendErrorResponse, NotFoundError } = require('../middleware/errorHandler');
+const storageService = require('../services/storage');
+
+const router = express.Router();
+
+// Files are embedded by the client app on another origin
+const allowCrossOrigin = (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+
+// @route   GET /api/files/avatars/:userId
+// @desc    Redirect to a signed URL for a user's uploaded avatar
+// @access  Public
+router.get('/avatars/:userId', asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.userId).select('+avatarKey');
+  if (!user || !user.avatarKey) {
+    throw new NotFoundError('Avatar not found');
+  }
+
+  const { url } = await storageService.getSignedUrl(user.avatarKey);
+
+  // Browsers may reuse the redirect while the signed URL is still valid
+  allowCrossOrigin(res);
+  res.set('Cache-Control', 'private, max-age=300');
+  res.redirect(302, url);
+}));
+
+// @route   GET /api/files/local/*
+// @desc    Serve a locally stored file through a signed, time-limited URL
+// @access  Public (signed URL)
+router.get('/local/*', asyncHandler(async (req, res) => {
+  const file = storageService.verifyLocalDownload(req.params[0], req.query);
+  if (!file) {
+    return sendErrorResponse(res, {
+      message: 'Download link is invalid or has expired',
+      statusCode: 403,
+      code: 'INVALID_DOWNLOAD_LINK'
+    });
+  }
+
+  allowCrossOrigin(res);
+  res.set('Cache-Control', `private, max-age=${Math.max(0, Math.floor((file.expiresAt - Date.now()) / 1000))}`);
+  if (file.filename) {
+    res.attachment(file.filename);
+  }
+
+  res.sendFile(file.path, (error) => {
+    if (error && !res.headersSent) {
+      sendErrorResponse(res, {
+        message: 'File not found',
+        statusCode: 404,
+        code: 'FILE_NOT_FOUND'
+      });
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
+const Room = require('../models/Room');
+const { asyncHandler, sendSuccessResponse, sendErrorResponse, ValidationError } = require('../middleware/errorHandler');
+const livekitService = require('../services/livekit');
+const socketGateway = require('../services/socket');
+const { deleteCache } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+const guestJoinValidation = [
+  body('displayName')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Display name must be between 1 and 50 characters')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().reduce((acc, error) => {
+      acc[error.path] = error.msg;
+      return acc;
+    }, {});
+
+    throw new ValidationError('Validation failed', formattedErrors);
+  }
+  next();
+};
+
+const GUEST_LINK_ERRORS = {
+  revoked: 'This guest link has been revoked',
+  expired: 'This guest link has expired',
+  exhausted: 'This guest link has reached its maximum number of uses'
+};
+
+// Helper function to resolve a guest link token, sending an error response when it cannot be used
+const findGuestLink = async (req, res) => {
+  const room = await Room.findByGuestToken(req.params.token);
+  const link = room && room.getGuestLink(req.params.token);
+
+  if (!link) {
+    sendErrorResponse(res, {
+      message: 'Guest link not found',
+      statusCode: 404,
+      code: 'GUEST_LINK_NOT_FOUND'
+    });
+    return {};
+  }
+
+  const status = room.getGuestLinkStatus(link);
+  if (status !== 'active') {
+    sendErrorResponse(res, {
+      message: GUEST_LINK_ERRORS[status],
+      statusCode: 410,
+      code: `GUEST_LINK_${status.toUpperCase()}`
+    });
+    return {};
+  }
+
+  if (!room.isActive) {
+    sendErrorResponse(res, {
+      message: 'Room is not active',
+      statusCode: 400,
+      code: 'ROOM_INACTIVE'
+    });
+    return {};
+  }
+
+  return { room, link };
+};
+
+// @route   GET /api/guest/:token
+// @desc    Get the room a guest link opens
+// @access  Public (guest link holders)
+router.get('/:token', asyncHandler(async (req, res) => {
+  const { room, link } = await findGuestLink(req, res);
+  if (!room) return;
+
+  sendSuccessResponse(res, {
+    room: {
+      roomId: room.roomId,
+      name: room.name,
+      description: room.description
+    },
+    guestLink: {
+      role: link.role,
+      expiresAt: link.expiresAt
+    }
+  }, 'Guest link retrieved successfully');
+}));
+
+// @route   POST /api/guest/:token/join
+// @desc    Join a room as a guest and get a restricted LiveKit token
+// @access  Public (guest link holders)
+router.post('/:token/join', guestJoinValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { displayName } = req.body;
+
+  const { room, link } = await findGuestLink(req, res);
+  if (!room) return;
+
+  // Check room capacity
+  if (room.currentParticipantsCount >= room.maxParticipants) {
+    return sendErrorResponse(res, {
+      message: 'Room is at maximum capacity',
+      statusCode: 400,
+      code: 'ROOM_FULL'
+    });
+  }
+
+  // Another guest may have taken the last use since the link was loaded
+  if (!await room.redeemGuestLink(link)) {
+    return sendErrorResponse(res, {
+      message: GUEST_LINK_ERRORS.exhausted,
+      statusCode: 410,
+      code: 'GUEST_LINK_EXHAUSTED'
+    });
+  }
+
+  // Guests have no User document; their LiveKit identity keys the participant entry
+  const guestId = `guest-${uuidv4()}`;
+  await room.addGuestParticipant(guestId, displayName, link.role, link._id);
+
+  const participant = room.getParticipant(guestId);
+  const tokenData = await livekitService.generateRoomToken(
+    room.roomId,
+    displayName,
+    guestId,
+    {
+      canPublish: link.role !== 'viewer',
+      canPublishData: participant.permissions.canChat,
+      canUpdateMetadata: false,
+      canShareScreen: false,
+      metadata: {
+        isGuest: true,
+        role: participant.role
+      }
+    }
+  );
+
+  // Clear room cache
+  await deleteCache(`room:${room.roomId}`);
+
+  socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.PARTICIPANT_JOINED, {
+    roomId: room.roomId,
+    guest: {
+      id: guestId,
+      displayName
+    },
+    currentParticipantsCount: room.currentParticipantsCount
+  });
+
+  logger.info('Guest joined room', {
+    guestId,
+    displayName,
+    guestLinkId: link._id,
+    roomId: room.roomId,
+    roomName: room.name,
+    role: participant.role
+  });
+
+  sendSuccessResponse(res, {
+    room: {
+      id: room._id,
+      roomId: room.roomId,
+      name: room.name,
+      description: room.description,
+      type: room.type,
+      settings: room.settings,
+      currentParticipantsCount: room.currentParticipantsCount,
+      maxParticipants: room.maxParticipants
+    },
+    guest: {
+      id: guestId,
+      displayName,
+      role: participant.role
+    },
+    token: tokenData.token,
+    livekitUrl: tokenData.livekitUrl
+  }, 'Joined room as guest successfully');
+}));
+
+module.exports = router;
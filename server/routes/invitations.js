@@ -0,0 +1,105 @@
+const express = require('express');
+const Room = require('../models/Room');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, sendSuccessResponse, sendErrorResponse, NotFoundError } = require('../middleware/errorHandler');
+const socketGateway = require('../services/socket');
+const { deleteCache } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Shared handler for accepting or declining an invitation
+const respondToInvitation = (status) => asyncHandler(async (req, res) => {
+  const { invitationId } = req.params;
+
+  const room = await Room.findOne({
+    invitedUsers: { $elemMatch: { _id: invitationId, user: req.user._id } }
+  });
+  if (!room) {
+    throw new NotFoundError('Invitation not found');
+  }
+
+  const invitation = await room.respondToInvitation(invitationId, status);
+  if (!invitation) {
+    return sendErrorResponse(res, {
+      message: 'Invitation is no longer pending or has expired',
+      statusCode: 400,
+      code: 'INVITATION_NOT_PENDING'
+    });
+  }
+
+  // Clear room cache
+  await deleteCache(`room:${room.roomId}`);
+
+  // Let the inviter know about the response
+  socketGateway.emitToUser(invitation.invitedBy, socketGateway.EVENTS.INVITATION_UPDATED, {
+    invitationId: invitation._id,
+    roomId: room.roomId,
+    user: {
+      id: req.user._id,
+      username: req.user.username,
+      fullName: req.user.fullName
+    },
+    status
+  });
+
+  logger.info(`Invitation ${status}`, {
+    invitationId,
+    roomId: room.roomId,
+    userId: req.user._id,
+    username: req.user.username
+  });
+
+  sendSuccessResponse(res, {
+    invitation: {
+      id: invitation._id,
+      status: invitation.status,
+      room: {
+        id: room._id,
+        roomId: room.roomId,
+        name: room.name,
+        type: room.type
+      }
+    }
+  }, `Invitation ${status} successfully`);
+});
+
+// @route   GET /api/invitations
+// @desc    Get pending invitations for the current user
+// @access  Private
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const rooms = await Room.findPendingInvitations(req.user._id);
+
+  const invitations = rooms.map(room => {
+    const invitation = room.getInvitation(req.user._id);
+    return {
+      id: invitation._id,
+      status: invitation.status,
+      invitedBy: invitation.invitedBy,
+      invitedAt: invitation.invitedAt,
+      expiresAt: invitation.expiresAt,
+      room: {
+        id: room._id,
+        roomId: room.roomId,
+        name: room.name,
+        description: room.description,
+        type: room.type,
+        owner: room.owner
+      }
+    };
+  });
+
+  sendSuccessResponse(res, { invitations }, 'Invitations retrieved successfully');
+}));
+
+// @route   POST /api/invitations/:invitationId/accept
+// @desc    Accept an invitation
+// @access  Private
+router.post('/:invitationId/accept', authenticateToken, respondToInvitation('accepted'));
+
+// @route   POST /api/invitations/:invitationId/decline
+// @desc    Decline an invitation
+// @access  Private
+router.post('/:invitationId/decline', authenticateToken, respondToInvitation('declined'));
+
+module.exports = router;
@@ -0,0 +1,484 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Meeting = require('../models/Meeting');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler, sendSuccessResponse, sendErrorResponse, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const meetingService = require('../services/meetings');
+const { WEEKDAYS, isValidTimeZone, formatRRule, zonedTimeToUtc } = require('../utils/recurrence');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 30;
+const MAX_WINDOW_DAYS = 366;
+const MAX_OCCURRENCES = 500;
+const USER_FIELDS = 'username firstName lastName avatar email';
+
+// Validation rules
+const meetingValidation = (isUpdate) => {
+  const required = (field) => (isUpdate ? field.optional() : field);
+
+  return [
+    required(body('title'))
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Title must be between 1 and 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Description cannot exceed 2000 characters'),
+    required(body('startsAt'))
+      .isISO8601()
+      .withMessage('Start time must be an ISO 8601 date-time'),
+    required(body('endsAt'))
+      .isISO8601()
+      .withMessage('End time must be an ISO 8601 date-time'),
+    body('timeZone')
+      .optional()
+      .isString()
+      .withMessage('Time zone must be an IANA time zone name'),
+    body('recurrence')
+      .optional({ nullable: true })
+      .custom(value => typeof value === 'string' || (typeof value === 'object' && (value.rrule || value.frequency)))
+      .withMessage('Recurrence must be an RRULE or an object with a frequency'),
+    body('recurrence.frequency')
+      .optional()
+      .isIn(['daily', 'weekly', 'monthly'])
+      .withMessage('Frequency must be daily, weekly or monthly'),
+    body('recurrence.interval')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Interval must be between 1 and 365'),
+    body('recurrence.byDay')
+      .optional()
+      .isArray({ min: 1, max: 7 })
+      .withMessage('byDay must be an array of weekdays'),
+    body('recurrence.byDay.*')
+      .isIn(WEEKDAYS)
+      .withMessage(`Each weekday must be one of ${WEEKDAYS.join(', ')}`),
+    body('recurrence.count')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Count must be between 1 and 1000'),
+    body('recurrence.until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until must be an ISO 8601 date'),
+    body('attendees')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('Attendees must be an array of at most 100 usernames or emails'),
+    body('attendees.*')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Each attendee must be a username or email')
+  ];
+};
+
+const createMeetingValidation = [
+  body('roomId')
+    .isString()
+    .notEmpty()
+    .withMessage('Room ID is required'),
+  ...meetingValidation(false)
+];
+
+const updateMeetingValidation = meetingValidation(true);
+
+const listMeetingsValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+];
+
+const respondValidation = [
+  body('status')
+    .isIn(['accepted', 'declined', 'tentative'])
+    .withMessage('Status must be accepted, declined or tentative')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().reduce((acc, error) => {
+      acc[error.path] = error.msg;
+      return acc;
+    }, {});
+
+    throw new ValidationError('Validation failed', formattedErrors);
+  }
+  next();
+};
+
+// Helper function to read a date-time; values without an offset are wall-clock times in the meeting's time zone
+const parseDateTime = (value, timeZone) => {
+  const local = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!local || !isValidTimeZone(timeZone)) return new Date(value);
+
+  const [, year, month, day, hour, minute, second] = local;
+  // A plain date means the end of that day
+  return zonedTimeToUtc(hour === undefined
+    ? { year: +year, month: +month, day: +day, hour: 23, minute: 59, second: 59 }
+    : { year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +(second || 0) }, timeZone);
+};
+
+// Helper function to turn the request's recurrence into an RRULE value; the model validates it
+const toRRule = (recurrence, timeZone) => {
+  if (!recurrence) return null;
+  if (typeof recurrence === 'string') return recurrence;
+  if (recurrence.rrule) return recurrence.rrule;
+
+  return formatRRule({
+    freq: recurrence.frequency.toUpperCase(),
+    interval: parseInt(recurrence.interval) || 1,
+    byDay: recurrence.byDay,
+    count: recurrence.count ? parseInt(recurrence.count) : undefined,
+    until: recurrence.until ? parseDateTime(recurrence.until, timeZone) : undefined
+  });
+};
+
+// Helper function to identify an attendee by user ID or email
+const attendeeKey = (attendee) => (attendee.user ? (attendee.user._id || attendee.user).toString() : attendee.email);
+
+// Helper function to resolve usernames and emails; unknown emails become external attendees
+const resolveAttendees = async (invitees, organizerId, existing = []) => {
+  const emails = invitees.filter(i => i.includes('@')).map(i => i.toLowerCase());
+  const usernames = invitees.filter(i => !i.includes('@'));
+  const users = await User.find({
+    isActive: true,
+    $or: [{ email: { $in: emails } }, { username: { $in: usernames } }]
+  }).select('username email');
+
+  const notFound = usernames.filter(username => !users.some(u => u.username === username));
+  const external = emails.filter(email => !users.some(u => u.email === email));
+
+  const attendees = [
+    ...users
+      .filter(u => u._id.toString() !== organizerId.toString())
+      .map(u => ({ user: u._id })),
+    ...[...new Set(external)].map(email => ({ email }))
+  ].map(attendee => {
+    // Keep earlier responses of people who stay on the list
+    const previous = existing.find(a => attendeeKey(a) === attendeeKey(attendee));
+    return previous ? { ...attendee, name: previous.name, status: previous.status } : attendee;
+  });
+
+  return { attendees, notFound };
+};
+
+// Helper function to find a meeting the current user organizes or attends
+const findMeetingForUser = async (meetingId, userId) => {
+  const meeting = await Meeting.findById(meetingId)
+    .populate('organizer', USER_FIELDS)
+    .populate('attendees.user', USER_FIELDS);
+
+  if (!meeting || !meeting.isAttendee(userId)) {
+    throw new NotFoundError('Meeting not found');
+  }
+
+  return meeting;
+};
+
+// Helper function to reject changes by anyone but the organizer
+const requireOrganizer = (meeting, req, res, action) => {
+  if (meeting.organizer._id.toString() === req.user._id.toString()) return true;
+
+  sendErrorResponse(res, {
+    message: `Only the organizer can ${action} this meeting`,
+    statusCode: 403,
+    code: 'INSUFFICIENT_PERMISSIONS'
+  });
+  return false;
+};
+
+// @route   GET /api/meetings/feed
+// @desc    Get the current user's calendar feed URL
+// @access  Private
+router.get('/feed', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+calendarFeedVersion');
+
+  sendSuccessResponse(res, { url: meetingService.getFeedUrl(user) });
+}));
+
+// @route   POST /api/meetings/feed/reset
+// @desc    Replace the calendar feed URL, invalidating the old one
+// @access  Private
+router.post('/feed/reset', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $inc: { calendarFeedVersion: 1 } },
+    { new: true }
+  ).select('+calendarFeedVersion');
+
+  logger.info('Calendar feed URL reset', { userId: user._id });
+
+  sendSuccessResponse(res, { url: meetingService.getFeedUrl(user) }, 'Calendar feed URL reset successfully');
+}));
+
+// @route   GET /api/meetings/feed/:userId/:token.ics
+// @desc    Calendar feed of a user's meetings, for subscribing from calendar apps
+// @access  Public (secret URL)
+router.get('/feed/:userId/:token.ics', asyncHandler(async (req, res) => {
+  const { userId, token } = req.params;
+
+  const user = /^[a-f0-9]{24}$/i.test(userId) ? await meetingService.findFeedUser(userId, token) : null;
+  if (!user) {
+    throw new NotFoundError('Calendar feed not found');
+  }
+
+  const calendar = await meetingService.buildFeed(user);
+
+  res.set('Cache-Control', 'private, max-age=300');
+  res.type('text/calendar; charset=utf-8').send(calendar);
+}));
+
+// @route   GET /api/meetings
+// @desc    List the current user's upcoming meetings and their occurrences
+// @access  Private
+router.get('/', authenticateToken, listMeetingsValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+  const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + DEFAULT_WINDOW_DAYS * DAY);
+
+  if (to <= from || to - from > MAX_WINDOW_DAYS * DAY) {
+    throw new ValidationError('Validation failed', {
+      to: `to must be after from and within ${MAX_WINDOW_DAYS} days of it`
+    });
+  }
+
+  const meetings = await Meeting.findUpcomingForUser(req.user._id, from);
+
+  const occurrences = meetings
+    .flatMap(meeting => meeting.getOccurrences({ from, to, limit: MAX_OCCURRENCES }).map(occurrence => ({
+      meetingId: meeting._id,
+      roomId: meeting.roomId,
+      title: meeting.title,
+      ...occurrence
+    })))
+    .sort((a, b) => a.startsAt - b.startsAt)
+    .slice(0, MAX_OCCURRENCES);
+
+  const upcoming = meetings
+    .map(meeting => meeting.toPublicJSON(from))
+    .filter(meeting => meeting.nextOccurrence)
+    .sort((a, b) => a.nextOccurrence.startsAt - b.nextOccurrence.startsAt);
+
+  sendSuccessResponse(res, { meetings: upcoming, occurrences, from, to });
+}));
+
+// @route   POST /api/meetings
+// @desc    Schedule a meeting in a room and email invitations
+// @access  Private
+router.post('/', authenticateToken, createMeetingValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { roomId, title, description, startsAt, endsAt, timeZone = 'UTC', recurrence, attendees: invitees = [] } = req.body;
+
+  const room = await Room.findOne({ roomId, isActive: true });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Check if user is owner, admin or moderator
+  const isOwner = room.owner.toString() === req.user._id.toString();
+  const participant = room.participants.find(p =>
+    p.user?.toString() === req.user._id.toString() &&
+    ['owner', 'admin', 'moderator'].includes(p.role)
+  );
+
+  if (!isOwner && !participant) {
+    return sendErrorResponse(res, {
+      message: 'Only room owners, admins and moderators can schedule meetings',
+      statusCode: 403,
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  const { attendees, notFound } = await resolveAttendees(invitees, req.user._id);
+
+  const meeting = new Meeting({
+    room: room._id,
+    roomId: room.roomId,
+    organizer: req.user._id,
+    title,
+    description,
+    startsAt: parseDateTime(startsAt, timeZone),
+    endsAt: parseDateTime(endsAt, timeZone),
+    timeZone,
+    recurrence: toRRule(recurrence, timeZone),
+    attendees
+  });
+
+  await meeting.save();
+  await meeting.populate([
+    { path: 'organizer', select: USER_FIELDS },
+    { path: 'attendees.user', select: USER_FIELDS }
+  ]);
+
+  await meetingService.sendInvitations(meeting);
+
+  logger.info('Meeting scheduled', {
+    meetingId: meeting._id,
+    roomId: room.roomId,
+    organizer: req.user._id,
+    attendeeCount: meeting.attendees.length,
+    recurring: !!meeting.recurrence
+  });
+
+  sendSuccessResponse(res, { meeting: meeting.toPublicJSON(), notFound }, 'Meeting scheduled successfully', 201);
+}));
+
+// @route   GET /api/meetings/:meetingId
+// @desc    Get meeting details
+// @access  Private (organizer and attendees)
+router.get('/:meetingId', authenticateToken, asyncHandler(async (req, res) => {
+  const meeting = await findMeetingForUser(req.params.meetingId, req.user._id);
+
+  sendSuccessResponse(res, {
+    meeting: meeting.toPublicJSON(),
+    occurrences: meeting.status === 'scheduled' ? meeting.getOccurrences({ from: new Date(), limit: 10 }) : []
+  });
+}));
+
+// @route   GET /api/meetings/:meetingId/ics
+// @desc    Download a meeting as an iCalendar file
+// @access  Private (organizer and attendees)
+router.get('/:meetingId/ics', authenticateToken, asyncHandler(async (req, res) => {
+  const meeting = await findMeetingForUser(req.params.meetingId, req.user._id);
+
+  res.set('Content-Disposition', `attachment; filename="meeting-${meeting._id}.ics"`);
+  res.type('text/calendar; charset=utf-8').send(meetingService.buildInvite(meeting, 'PUBLISH'));
+}));
+
+// @route   PUT /api/meetings/:meetingId
+// @desc    Update a meeting and email the changes to attendees
+// @access  Private (organizer)
+router.put('/:meetingId', authenticateToken, updateMeetingValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const meeting = await findMeetingForUser(req.params.meetingId, req.user._id);
+  if (!requireOrganizer(meeting, req, res, 'update')) return;
+
+  if (meeting.status === 'cancelled') {
+    return sendErrorResponse(res, {
+      message: 'Cancelled meetings cannot be updated',
+      statusCode: 400,
+      code: 'MEETING_CANCELLED'
+    });
+  }
+
+  const { title, description, startsAt, endsAt, timeZone, recurrence, attendees: invitees } = req.body;
+  const previousAttendees = [...meeting.attendees];
+
+  if (title !== undefined) meeting.title = title;
+  if (description !== undefined) meeting.description = description;
+  if (timeZone !== undefined) meeting.timeZone = timeZone;
+  if (startsAt !== undefined) meeting.startsAt = parseDateTime(startsAt, meeting.timeZone);
+  if (endsAt !== undefined) meeting.endsAt = parseDateTime(endsAt, meeting.timeZone);
+  if (recurrence !== undefined) meeting.recurrence = toRRule(recurrence, meeting.timeZone);
+
+  // Attendees have to respond again when the schedule changes
+  const rescheduled = ['startsAt', 'endsAt', 'timeZone', 'recurrence'].some(path => meeting.isModified(path));
+
+  let notFound = [];
+  if (invitees !== undefined) {
+    const resolved = await resolveAttendees(invitees, meeting.organizer._id, previousAttendees);
+    meeting.attendees = resolved.attendees;
+    notFound = resolved.notFound;
+  }
+  if (rescheduled) {
+    meeting.attendees.forEach(attendee => { attendee.status = 'pending'; });
+    meeting.reminderSentFor = null;
+  }
+
+  meeting.sequence += 1;
+  await meeting.save();
+  await meeting.populate([
+    { path: 'organizer', select: USER_FIELDS },
+    { path: 'attendees.user', select: USER_FIELDS }
+  ]);
+
+  // Removed attendees get a cancellation, new ones an invitation and everyone else an update
+  const previousKeys = previousAttendees.map(attendeeKey);
+  const currentKeys = meeting.attendees.map(attendeeKey);
+  const removed = previousAttendees.filter(a => !currentKeys.includes(attendeeKey(a)));
+  const added = meeting.attendees.filter(a => !previousKeys.includes(attendeeKey(a)));
+  const kept = meeting.attendees.filter(a => previousKeys.includes(attendeeKey(a)));
+
+  await Promise.all([
+    removed.length && meetingService.sendInvitations(meeting, {
+      method: 'CANCEL',
+      recipients: meetingService.getRecipients(meeting, removed)
+    }),
+    added.length && meetingService.sendInvitations(meeting, {
+      recipients: meetingService.getRecipients(meeting, added)
+    }),
+    kept.length && meetingService.sendInvitations(meeting, {
+      isUpdate: true,
+      recipients: meetingService.getRecipients(meeting, kept)
+    })
+  ]);
+
+  logger.info('Meeting updated', {
+    meetingId: meeting._id,
+    updatedBy: req.user._id,
+    sequence: meeting.sequence,
+    rescheduled
+  });
+
+  sendSuccessResponse(res, { meeting: meeting.toPublicJSON(), notFound }, 'Meeting updated successfully');
+}));
+
+// @route   POST /api/meetings/:meetingId/respond
+// @desc    Accept, decline or tentatively accept a meeting
+// @access  Private (attendees)
+router.post('/:meetingId/respond', authenticateToken, respondValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const meeting = await findMeetingForUser(req.params.meetingId, req.user._id);
+
+  const attendee = meeting.attendees.find(a => a.user && a.user._id.toString() === req.user._id.toString());
+  if (!attendee) {
+    return sendErrorResponse(res, {
+      message: 'Only attendees can respond to a meeting',
+      statusCode: 400,
+      code: 'NOT_AN_ATTENDEE'
+    });
+  }
+
+  attendee.status = req.body.status;
+  await meeting.save();
+
+  sendSuccessResponse(res, { meeting: meeting.toPublicJSON() }, 'Response saved successfully');
+}));
+
+// @route   DELETE /api/meetings/:meetingId
+// @desc    Cancel a meeting and email a cancellation to attendees
+// @access  Private (organizer)
+router.delete('/:meetingId', authenticateToken, asyncHandler(async (req, res) => {
+  const meeting = await findMeetingForUser(req.params.meetingId, req.user._id);
+  if (!requireOrganizer(meeting, req, res, 'cancel')) return;
+
+  if (meeting.status === 'cancelled') {
+    return sendErrorResponse(res, {
+      message: 'Meeting is already cancelled',
+      statusCode: 400,
+      code: 'MEETING_CANCELLED'
+    });
+  }
+
+  await meetingService.cancel(meeting);
+
+  logger.info('Meeting cancelled', {
+    meetingId: meeting._id,
+    cancelledBy: req.user._id
+  });
+
+  sendSuccessResponse(res, { meeting: meeting.toPublicJSON() }, 'Meeting cancelled successfully');
+}));
+
+module.exports = router;
@@ -1,9 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Room = require('../models/Room');
+const Recording = require('../models/Recording');
 const { authenticateToken, requireRoomAccess, requireAdmin } = require('../middleware/auth');
 const { asyncHandler, sendSuccessResponse, sendErrorResponse, ValidationError, NotFoundError } = require('../middleware/errorHandler');
 const livekitService = require('../services/livekit');
+const socketGateway = require('../services/socket');
+const storageService = require('../services/storage');
+const auditService = require('../services/audit');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -42,6 +46,13 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Helper function to check whether a user may watch a room's recordings
+const canViewRecordings = (room, user) => (
+  room.owner.toString() === user._id.toString() ||
+  room.isParticipant(user._id) ||
+  user.role === 'admin'
+);
+
 // @route   POST /api/recordings/start
 // @desc    Start recording a room
 // @access  Private (Room owner or admin only)
@@ -56,7 +67,7 @@ router.post('/start', authenticateToken, startRecordingValidation, handleValidat
 
   // Check if user is owner or admin
   const participant = room.participants.find(p => 
-    p.user.toString() === req.user._id.toString() && 
+    p.user?.toString() === req.user._id.toString() && 
     ['owner', 'admin'].includes(p.role) &&
     p.isActive
   );
@@ -79,7 +90,8 @@ router.post('/start', authenticateToken, startRecordingValidation, handleValidat
   }
 
   // Check if room is already being recorded
-  if (room.isRecording) {
+  const activeRecording = await Recording.findActiveByRoom(room._id);
+  if (activeRecording) {
     return sendErrorResponse(res, {
       message: 'Room is already being recorded',
       statusCode: 400,
@@ -87,43 +99,63 @@ router.post('/start', authenticateToken, startRecordingValidation, handleValidat
     });
   }
 
+  // Create the recording before calling LiveKit so failures are tracked
+  const recording = new Recording({
+    room: room._id,
+    roomId: room.roomId,
+    sessionId: room.getOpenSession()?.sessionId || null,
+    startedBy: req.user._id,
+    layout: options.layout || 'grid'
+  });
+  recording.storageKey = storageService.recordingKey(room.roomId, recording._id);
+  await recording.save();
+
   try {
-    // Generate recording token
-    const tokenData = livekitService.generateRecordingToken(room.roomId, {
-      metadata: {
-        roomId: room.roomId,
-        roomName: room.name,
-        recordedBy: req.user._id.toString(),
-        recordedByUsername: req.user.username,
-        ...options
-      }
-    });
+    // Start a room composite egress on LiveKit, writing straight into storage
+    const egress = await livekitService.startRoomCompositeEgress(room.roomId, recording.storageKey, options);
+
+    recording.applyEgressInfo(egress);
+    if (!recording.startedAt) recording.startedAt = new Date();
+    await recording.save();
 
     // Update room recording status
     room.isRecording = true;
-    room.recordingUrl = null; // Will be updated when recording stops
     await room.save();
 
+    socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.RECORDING_UPDATED, recording.toPublicJSON());
+
+    await auditService.record(req, {
+      action: 'recording.started',
+      target: { type: 'recording', id: recording._id, label: room.name },
+      metadata: { roomId: room.roomId, egressId: recording.egressId }
+    });
+
     logger.info('Recording started', {
       userId: req.user._id,
       username: req.user.username,
       roomId: room.roomId,
       roomName: room.name,
+      recordingId: recording._id,
+      egressId: recording.egressId,
       options
     });
 
     sendSuccessResponse(res, {
-      recordingId: `recording-${Date.now()}`,
+      recordingId: recording._id,
       roomId: room.roomId,
       roomName: room.name,
-      token: tokenData.token,
-      livekitUrl: tokenData.livekitUrl,
-      startedAt: new Date().toISOString(),
+      recording: recording.toPublicJSON(),
+      startedAt: recording.startedAt.toISOString(),
       options
     }, 'Recording started successfully');
 
   } catch (error) {
     logger.error('Failed to start recording:', error);
+
+    recording.status = 'failed';
+    recording.error = error.message;
+    await recording.save();
+
     return sendErrorResponse(res, {
       message: 'Failed to start recording',
       statusCode: 500,
@@ -146,7 +178,7 @@ router.post('/stop', authenticateToken, stopRecordingValidation, handleValidatio
 
   // Check if user is owner or admin
   const participant = room.participants.find(p => 
-    p.user.toString() === req.user._id.toString() && 
+    p.user?.toString() === req.user._id.toString() && 
     ['owner', 'admin'].includes(p.role) &&
     p.isActive
   );
@@ -159,8 +191,14 @@ router.post('/stop', authenticateToken, stopRecordingValidation, handleValidatio
     });
   }
 
-  // Check if room is being recorded
-  if (!room.isRecording) {
+  // Find the recording within this room
+  const recording = await Recording.findOne({ _id: recordingId, room: room._id });
+  if (!recording) {
+    throw new NotFoundError('Recording not found');
+  }
+
+  // Check if the recording is running
+  if (!recording.isRecording) {
     return sendErrorResponse(res, {
       message: 'Room is not being recorded',
       statusCode: 400,
@@ -169,28 +207,41 @@ router.post('/stop', authenticateToken, stopRecordingValidation, handleValidatio
   }
 
   try {
-    // Stop recording (in a real implementation, you would call LiveKit's stop recording API)
-    // For now, we'll just update the room status
-    
+    // Stop the egress on LiveKit
+    const egress = await livekitService.stopEgress(recording.egressId);
+
+    recording.applyEgressInfo(egress);
+    recording.stoppedBy = req.user._id;
+    if (!recording.endedAt) recording.endedAt = new Date();
+    await recording.save();
+
     // Update room recording status
     room.isRecording = false;
-    room.recordingUrl = `https://example.com/recordings/${recordingId}.mp4`; // Placeholder URL
     await room.save();
 
+    socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.RECORDING_UPDATED, recording.toPublicJSON());
+
+    await auditService.record(req, {
+      action: 'recording.stopped',
+      target: { type: 'recording', id: recording._id, label: room.name },
+      metadata: { roomId: room.roomId, status: recording.status }
+    });
+
     logger.info('Recording stopped', {
       userId: req.user._id,
       username: req.user.username,
       roomId: room.roomId,
       roomName: room.name,
-      recordingId
+      recordingId,
+      status: recording.status
     });
 
     sendSuccessResponse(res, {
       recordingId,
       roomId: room.roomId,
       roomName: room.name,
-      recordingUrl: room.recordingUrl,
-      stoppedAt: new Date().toISOString()
+      recording: recording.toPublicJSON(),
+      stoppedAt: recording.endedAt.toISOString()
     }, 'Recording stopped successfully');
 
   } catch (error) {
@@ -214,30 +265,15 @@ router.get('/room/:roomId', authenticateToken, requireRoomAccess, asyncHandler(a
     throw new NotFoundError('Room not found');
   }
 
-  // Get recordings from room sessions
-  const recordings = room.sessions
-    .filter(session => session.recording.isRecording || session.recording.recordingUrl)
-    .map(session => ({
-      id: session.sessionId,
-      roomId: room.roomId,
-      roomName: room.name,
-      startedAt: session.recording.startedAt,
-      endedAt: session.recording.endedAt,
-      recordingUrl: session.recording.recordingUrl,
-      isRecording: session.recording.isRecording,
-      duration: session.recording.startedAt && session.recording.endedAt 
-        ? Math.floor((new Date(session.recording.endedAt) - new Date(session.recording.startedAt)) / 1000)
-        : null
-    }));
+  const recordings = await Recording.findByRoom(room._id);
 
   sendSuccessResponse(res, {
-    recordings,
+    recordings: recordings.map(recording => recording.toPublicJSON()),
     room: {
       id: room._id,
       roomId: room.roomId,
       name: room.name,
-      isRecording: room.isRecording,
-      recordingUrl: room.recordingUrl
+      isRecording: room.isRecording
     }
   }, 'Recordings retrieved successfully');
 }));
@@ -248,18 +284,21 @@ router.get('/room/:roomId', authenticateToken, requireRoomAccess, asyncHandler(a
 router.get('/:recordingId', authenticateToken, asyncHandler(async (req, res) => {
   const { recordingId } = req.params;
 
-  // Find room that contains this recording
-  const room = await Room.findOne({
-    'sessions.sessionId': recordingId
-  });
+  const recording = await Recording.findOne({ _id: recordingId, status: { $ne: 'deleted' } })
+    .populate('startedBy', 'username firstName lastName avatar')
+    .populate('stoppedBy', 'username firstName lastName avatar');
 
+  if (!recording) {
+    throw new NotFoundError('Recording not found');
+  }
+
+  const room = await Room.findById(recording.room);
   if (!room) {
     throw new NotFoundError('Recording not found');
   }
 
   // Check if user is a participant
-  const isParticipant = room.isParticipant(req.user._id);
-  if (!isParticipant) {
+  if (!canViewRecordings(room, req.user)) {
     return sendErrorResponse(res, {
       message: 'You do not have access to this recording',
       statusCode: 403,
@@ -267,31 +306,58 @@ router.get('/:recordingId', authenticateToken, asyncHandler(async (req, res) =>
     });
   }
 
-  // Find the specific session/recording
-  const session = room.sessions.find(s => s.sessionId === recordingId);
-  if (!session) {
+  sendSuccessResponse(res, {
+    recording: {
+      ...recording.toPublicJSON(),
+      roomName: room.name
+    }
+  }, 'Recording details retrieved successfully');
+}));
+
+// @route   GET /api/recordings/:recordingId/download
+// @desc    Get a time-limited signed URL for a finished recording
+// @access  Private (Room participants only)
+router.get('/:recordingId/download', authenticateToken, asyncHandler(async (req, res) => {
+  const { recordingId } = req.params;
+
+  const recording = await Recording.findOne({ _id: recordingId, status: { $ne: 'deleted' } });
+  if (!recording) {
     throw new NotFoundError('Recording not found');
   }
 
-  const recording = {
-    id: session.sessionId,
-    roomId: room.roomId,
-    roomName: room.name,
-    startedAt: session.recording.startedAt,
-    endedAt: session.recording.endedAt,
-    recordingUrl: session.recording.recordingUrl,
-    isRecording: session.recording.isRecording,
-    duration: session.recording.startedAt && session.recording.endedAt 
-      ? Math.floor((new Date(session.recording.endedAt) - new Date(session.recording.startedAt)) / 1000)
-      : null,
-    participants: session.participants.map(p => ({
-      user: p.user,
-      joinedAt: p.joinedAt,
-      leftAt: p.leftAt
-    }))
-  };
-
-  sendSuccessResponse(res, { recording }, 'Recording details retrieved successfully');
+  const room = await Room.findById(recording.room);
+  if (!room) {
+    throw new NotFoundError('Recording not found');
+  }
+
+  if (!canViewRecordings(room, req.user)) {
+    return sendErrorResponse(res, {
+      message: 'You do not have access to this recording',
+      statusCode: 403,
+      code: 'ACCESS_DENIED'
+    });
+  }
+
+  if (recording.status !== 'ready' || !recording.storageKey) {
+    return sendErrorResponse(res, {
+      message: 'Recording is not ready for download yet',
+      statusCode: 409,
+      code: 'RECORDING_NOT_READY'
+    });
+  }
+
+  const startedAt = (recording.startedAt || recording.createdAt).toISOString().slice(0, 16).replace(':', '-');
+  const { url, expiresAt } = await storageService.getSignedUrl(recording.storageKey, {
+    filename: `${room.name}-${startedAt}.${recording.format}`
+  });
+
+  await auditService.record(req, {
+    action: 'recording.downloaded',
+    target: { type: 'recording', id: recording._id, label: room.name },
+    metadata: { roomId: room.roomId, expiresAt }
+  });
+
+  sendSuccessResponse(res, { url, expiresAt }, 'Download link created');
 }));
 
 // @route   DELETE /api/recordings/:recordingId
@@ -300,23 +366,24 @@ router.get('/:recordingId', authenticateToken, asyncHandler(async (req, res) =>
 router.delete('/:recordingId', authenticateToken, asyncHandler(async (req, res) => {
   const { recordingId } = req.params;
 
-  // Find room that contains this recording
-  const room = await Room.findOne({
-    'sessions.sessionId': recordingId
-  });
+  const recording = await Recording.findOne({ _id: recordingId, status: { $ne: 'deleted' } });
+  if (!recording) {
+    throw new NotFoundError('Recording not found');
+  }
 
+  const room = await Room.findById(recording.room);
   if (!room) {
     throw new NotFoundError('Recording not found');
   }
 
   // Check if user is owner or admin
   const participant = room.participants.find(p => 
-    p.user.toString() === req.user._id.toString() && 
+    p.user?.toString() === req.user._id.toString() && 
     ['owner', 'admin'].includes(p.role) &&
     p.isActive
   );
 
-  if (!participant) {
+  if (!participant && req.user.role !== 'admin') {
     return sendErrorResponse(res, {
       message: 'Only room owners and admins can delete recordings',
       statusCode: 403,
@@ -324,15 +391,41 @@ router.delete('/:recordingId', authenticateToken, asyncHandler(async (req, res)
     });
   }
 
-  // Find and remove the session
-  const sessionIndex = room.sessions.findIndex(s => s.sessionId === recordingId);
-  if (sessionIndex === -1) {
-    throw new NotFoundError('Recording not found');
+  // A running recording must be stopped first
+  if (recording.isRecording) {
+    return sendErrorResponse(res, {
+      message: 'Stop the recording before deleting it',
+      statusCode: 400,
+      code: 'RECORDING_IN_PROGRESS'
+    });
   }
 
-  // Remove the session
-  room.sessions.splice(sessionIndex, 1);
-  await room.save();
+  // Remove the file, then soft delete the recording so it still counts in history
+  if (recording.storageKey) {
+    try {
+      await storageService.delete(recording.storageKey);
+    } catch (error) {
+      logger.error('Failed to delete recording file:', { recordingId, storageKey: recording.storageKey, error: error.message });
+      return sendErrorResponse(res, {
+        message: 'Failed to delete recording file',
+        statusCode: 502,
+        code: 'STORAGE_DELETE_FAILED'
+      });
+    }
+  }
+
+  const previousStatus = recording.status;
+  recording.status = 'deleted';
+  recording.deletedAt = new Date();
+  await recording.save();
+
+  await auditService.record(req, {
+    action: 'recording.deleted',
+    target: { type: 'recording', id: recording._id, label: room.name },
+    before: { status: previousStatus },
+    after: { status: recording.status },
+    metadata: { roomId: room.roomId }
+  });
 
   logger.info('Recording deleted', {
     userId: req.user._id,
@@ -349,51 +442,43 @@ router.delete('/:recordingId', authenticateToken, asyncHandler(async (req, res)
 // @desc    Get recording statistics overview (admin only)
 // @access  Private (Admin)
 router.get('/stats/overview', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
-  // Get all rooms with recordings
-  const roomsWithRecordings = await Room.find({
-    'sessions.recording.recordingUrl': { $exists: true, $ne: null }
-  });
+  const visible = { status: { $ne: 'deleted' } };
 
-  let totalRecordings = 0;
-  let totalDuration = 0;
-  let activeRecordings = 0;
-
-  roomsWithRecordings.forEach(room => {
-    room.sessions.forEach(session => {
-      if (session.recording.recordingUrl || session.recording.isRecording) {
-        totalRecordings++;
-        
-        if (session.recording.isRecording) {
-          activeRecordings++;
-        } else if (session.recording.startedAt && session.recording.endedAt) {
-          const duration = Math.floor((new Date(session.recording.endedAt) - new Date(session.recording.startedAt)) / 1000);
-          totalDuration += duration;
-        }
-      }
-    });
-  });
+  const totalRecordings = await Recording.countDocuments(visible);
+  const activeRecordings = await Recording.countDocuments({ status: { $in: ['pending', 'active'] } });
+  const processingRecordings = await Recording.countDocuments({ status: 'processing' });
+  const failedRecordings = await Recording.countDocuments({ status: 'failed' });
 
   // Get recordings from last 30 days
   const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-  let recentRecordings = 0;
-
-  roomsWithRecordings.forEach(room => {
-    room.sessions.forEach(session => {
-      if (session.recording.startedAt && new Date(session.recording.startedAt) >= thirtyDaysAgo) {
-        recentRecordings++;
+  const recentRecordings = await Recording.countDocuments({ ...visible, createdAt: { $gte: thirtyDaysAgo } });
+
+  // Sum duration and size over finished recordings
+  const [totals = { count: 0, totalDuration: 0, totalSize: 0 }] = await Recording.aggregate([
+    { $match: { status: 'ready' } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        totalDuration: { $sum: '$duration' },
+        totalSize: { $sum: '$size' }
       }
-    });
-  });
+    }
+  ]);
 
   sendSuccessResponse(res, {
     stats: {
       totalRecordings,
-      totalDuration, // in seconds
+      readyRecordings: totals.count,
       activeRecordings,
+      processingRecordings,
+      failedRecordings,
       recentRecordings,
-      averageDuration: totalRecordings > 0 ? Math.floor(totalDuration / totalRecordings) : 0
+      totalDuration: totals.totalDuration, // in seconds
+      totalSize: totals.totalSize, // in bytes
+      averageDuration: totals.count > 0 ? Math.floor(totals.totalDuration / totals.count) : 0
     }
   }, 'Recording statistics retrieved successfully');
 }));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
@@ -1,12 +1,21 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { ParticipantInfo_State, TrackType, TrackSource } = require('livekit-server-sdk');
+const { body, param, query, validationResult } = require('express-validator');
 const Room = require('../models/Room');
 const User = require('../models/User');
-const { authenticateToken, requireRoomAccess, requireRoomPermission } = require('../middleware/auth');
+const Meeting = require('../models/Meeting');
+const Message = require('../models/Message');
+const { authenticateToken, requireAdmin, requireRoomAccess, requireRoomPermission, requireVerifiedEmail } = require('../middleware/auth');
 const { asyncHandler, sendSuccessResponse, sendErrorResponse, ValidationError, NotFoundError } = require('../middleware/errorHandler');
 const livekitService = require('../services/livekit');
-const { setCache, getCache, deleteCache } = require('../config/redis');
+const socketGateway = require('../services/socket');
+const lobbyService = require('../services/lobby');
+const mailService = require('../services/mail');
+const meetingService = require('../services/meetings');
+const auditService = require('../services/audit');
+const { setCache, getCache, deleteCache, getRedisClient } = require('../config/redis');
 const { logger } = require('../utils/logger');
+const { buildWindow, bucketIndexExpression, countSeries, intervalSeries } = require('../utils/timeseries');
 
 const router = express.Router();
 
@@ -47,6 +56,157 @@ const createRoomValidation = [
     .withMessage('Settings must be an object')
 ];
 
+const inviteValidation = [
+  body('invitees')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Invitees must be an array of 1 to 50 usernames or emails'),
+  body('invitees.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each invitee must be a username or email')
+];
+
+const moderationValidation = [
+  // Registered users are moderated by user id, guests by their guest identity
+  param('userId')
+    .matches(/^([a-f0-9]{24}|guest-[a-f0-9-]{36})$/i)
+    .withMessage('Invalid user or guest ID'),
+  body('source')
+    .optional()
+    .isIn(['microphone', 'camera', 'screen_share', 'screen_share_audio'])
+    .withMessage('Source must be microphone, camera, screen_share or screen_share_audio'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
+// Permissions that can be overridden per participant
+const PARTICIPANT_PERMISSIONS = ['canMute', 'canUnmute', 'canShareScreen', 'canChat', 'canRecord', 'canKick'];
+
+const roleValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('role')
+    .isIn(['admin', 'moderator', 'participant'])
+    .withMessage('Role must be admin, moderator or participant')
+];
+
+const permissionsValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('permissions')
+    .isObject()
+    .custom(permissions => Object.keys(permissions).every(key => PARTICIPANT_PERMISSIONS.includes(key)))
+    .withMessage(`Permissions may only include ${PARTICIPANT_PERMISSIONS.join(', ')}`),
+  body('permissions.*')
+    .isBoolean({ strict: true })
+    .withMessage('Permission values must be booleans')
+];
+
+const transferOwnershipValidation = [
+  body('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const ADMIN_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  name: 'name',
+  lastActivity: 'stats.lastActivity'
+};
+
+const adminListRoomsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  query('type')
+    .optional()
+    .isIn(['public', 'private', 'password-protected'])
+    .withMessage('Room type must be public, private, or password-protected'),
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive', 'live'])
+    .withMessage('Status must be active, inactive or live'),
+  query('owner')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid owner ID'),
+  query('sortBy')
+    .optional()
+    .isIn(Object.keys(ADMIN_SORT_FIELDS))
+    .withMessage(`Sort field must be one of ${Object.keys(ADMIN_SORT_FIELDS).join(', ')}`),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+const forceEndValidation = [
+  body('deactivate')
+    .optional()
+    .isBoolean()
+    .withMessage('deactivate must be a boolean')
+];
+
+// Rooms idle for this long with no live call and nothing scheduled count as abandoned
+const DEFAULT_ABANDONED_DAYS = 90;
+const MAX_PURGE_BATCH = 500;
+
+const purgeRoomsValidation = [
+  body('inactiveDays')
+    .optional()
+    .isInt({ min: 7, max: 3650 })
+    .withMessage('Inactive days must be between 7 and 3650'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+];
+
+// Guest links last a day by default and at most 30 days
+const DEFAULT_GUEST_LINK_TTL = 24 * 60 * 60 * 1000;
+const MAX_GUEST_LINK_TTL = 30 * 24 * 60 * 60 * 1000;
+
+const guestLinkValidation = [
+  body('role')
+    .optional()
+    .isIn(['participant', 'viewer'])
+    .withMessage('Role must be participant or viewer'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => {
+      const expiresAt = new Date(value).getTime();
+      return expiresAt > Date.now() && expiresAt <= Date.now() + MAX_GUEST_LINK_TTL;
+    })
+    .withMessage('Expiry must be in the future and within 30 days'),
+  body('maxUses')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max uses must be between 1 and 1000'),
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Label cannot exceed 100 characters')
+];
+
 const joinRoomValidation = [
   body('password')
     .optional()
@@ -54,6 +214,32 @@ const joinRoomValidation = [
     .withMessage('Password is required for password-protected rooms')
 ];
 
+const messageHistoryValidation = [
+  query('before')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const sendMessageValidation = [
+  body('content')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters')
+];
+
+const statsValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Days must be between 1 and 90')
+];
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -68,10 +254,177 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Role hierarchy used to stop moderators from acting on higher-ranked participants
+const ROLE_RANK = { viewer: 0, participant: 0, moderator: 1, admin: 2, owner: 3 };
+
+// Guest participants are keyed by their LiveKit identity instead of a user id
+const isGuestIdentity = (id) => /^guest-[a-f0-9-]{36}$/i.test(id || '');
+
+// Helper function to check whether a user is the room owner or holds a moderator role or above
+const isRoomModerator = (room, userId) => {
+  if (room.owner.toString() === userId.toString()) return true;
+
+  const participant = room.getParticipant(userId);
+  return !!participant && ROLE_RANK[participant.role] >= ROLE_RANK.moderator;
+};
+
+// Helper function to check whether a user may moderate another user in a room.
+// Only moderators and above moderate, and only participants ranked below them.
+const canModerate = (room, actorId, targetId) => {
+  if (actorId.toString() === targetId.toString()) return false;
+  if (room.owner.toString() === targetId.toString()) return false;
+  if (!isRoomModerator(room, actorId)) return false;
+
+  const actorRank = room.owner.toString() === actorId.toString()
+    ? ROLE_RANK.owner
+    : ROLE_RANK[room.getParticipant(actorId).role];
+  const target = room.getParticipant(targetId);
+  if (!target) return true;
+
+  return actorRank > ROLE_RANK[target.role];
+};
+
+// Helper function to push a participant's role and permissions to their LiveKit session
+const syncParticipantToLiveKit = async (room, participant) => {
+  if (!participant.isActive) return;
+
+  const user = await User.findById(participant.user).select('username avatar');
+  const isOwner = participant.role === 'owner';
+
+  await livekitService.updateParticipant(room.roomId, participant.user.toString(), {
+    metadata: {
+      userId: participant.user.toString(),
+      username: user?.username,
+      avatar: user?.avatar,
+      role: participant.role
+    },
+    canPublishData: isOwner || participant.permissions.canChat,
+    canShareScreen: isOwner || participant.permissions.canShareScreen
+  });
+};
+
+// Helper function to describe a participant in API responses and events
+const formatParticipantUpdate = (room, participant) => ({
+  roomId: room.roomId,
+  userId: participant.user,
+  role: participant.role,
+  permissions: participant.permissions
+});
+
+// Helper function to hand a room to one of its participants and tell everyone in it; null if the user is not a participant
+const handOverRoom = async (room, userId) => {
+  const result = await room.transferOwnership(userId);
+  if (!result) return null;
+
+  await syncParticipantToLiveKit(room, result.newOwner);
+  if (result.previousOwner) {
+    await syncParticipantToLiveKit(room, result.previousOwner);
+  }
+
+  // Clear room cache
+  await deleteCache(`room:${room.roomId}`);
+
+  socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.ROOM_UPDATED, {
+    roomId: room.roomId,
+    owner: room.owner
+  });
+  [result.newOwner, result.previousOwner].filter(Boolean).forEach(participant => {
+    socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.PARTICIPANT_UPDATED, formatParticipantUpdate(room, participant));
+  });
+
+  return result;
+};
+
+// Helper function to delete a room along with its LiveKit room, meetings, chat history, cache and lobby
+const destroyRoom = async (room) => {
+  // Delete room from LiveKit
+  await livekitService.deleteRoom(room.roomId);
+
+  // Delete room from database
+  await Room.findByIdAndDelete(room._id);
+
+  // Cancel meetings scheduled in the room and notify their attendees
+  await meetingService.cancelForRoom(room._id);
+
+  // Delete the room's chat history
+  await Message.deleteMany({ room: room._id });
+
+  // Clear room cache and lobby
+  await deleteCache(`room:${room.roomId}`);
+  await lobbyService.clear(room.roomId);
+
+  socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.ROOM_DELETED, { roomId: room.roomId });
+};
+
+// Helper function to describe a guest link in API responses
+const formatGuestLink = (room, link) => ({
+  id: link._id,
+  label: link.label,
+  role: link.role,
+  expiresAt: link.expiresAt,
+  maxUses: link.maxUses,
+  uses: link.uses,
+  status: room.getGuestLinkStatus(link),
+  createdBy: link.createdBy,
+  createdAt: link.createdAt,
+  revokedAt: link.revokedAt
+});
+
+// Helper function to escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to describe a room in the admin console
+const formatAdminRoom = (room) => ({
+  id: room._id,
+  roomId: room.roomId,
+  name: room.name,
+  type: room.type,
+  category: room.category,
+  isActive: room.isActive,
+  isLive: (room.sessions || []).some(session => !session.endedAt),
+  owner: room.owner,
+  currentParticipantsCount: room.currentParticipantsCount,
+  maxParticipants: room.maxParticipants,
+  stats: room.stats,
+  createdAt: room.createdAt
+});
+
+// LiveKit reports times as Unix seconds
+const fromUnixSeconds = (value) => (value ? new Date(Number(value) * 1000) : null);
+
+// Lock a user out of a room's password check after 5 failures for 15 minutes
+const MAX_PASSWORD_ATTEMPTS = 5;
+const PASSWORD_LOCK_TIME = 15 * 60; // seconds
+
+const passwordAttemptsKey = (roomId, userId) => `room-password-attempts:${roomId}:${userId}`;
+
+// Helper function to get the remaining lock time in seconds (0 when not locked)
+const getPasswordLockTime = async (roomId, userId) => {
+  const client = getRedisClient();
+  const key = passwordAttemptsKey(roomId, userId);
+  const attempts = parseInt(await client.get(key)) || 0;
+
+  if (attempts < MAX_PASSWORD_ATTEMPTS) return 0;
+  return Math.max(await client.ttl(key), 1);
+};
+
+// Helper function to record a failed password attempt
+const recordFailedPasswordAttempt = async (roomId, userId) => {
+  const client = getRedisClient();
+  const key = passwordAttemptsKey(roomId, userId);
+  const attempts = await client.incr(key);
+
+  // The window starts with the first failure
+  if (attempts === 1) {
+    await client.expire(key, PASSWORD_LOCK_TIME);
+  }
+  return attempts;
+};
+
 // @route   POST /api/rooms
 // @desc    Create a new room
 // @access  Private
-router.post('/', authenticateToken, createRoomValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+router.post('/', authenticateToken, requireVerifiedEmail('requireForRoomCreation'), createRoomValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const {
     name,
     description,
@@ -92,6 +445,14 @@ router.post('/', authenticateToken, createRoomValidation, handleValidationErrors
     });
   }
 
+  if (type === 'password-protected' && !password) {
+    return sendErrorResponse(res, {
+      message: 'Password is required for password-protected rooms',
+      statusCode: 400,
+      code: 'PASSWORD_REQUIRED'
+    });
+  }
+
   // Check if room name already exists
   const existingRoom = await Room.findOne({ name });
   if (existingRoom) {
@@ -112,6 +473,12 @@ router.post('/', authenticateToken, createRoomValidation, handleValidationErrors
     category,
     tags,
     owner: req.user._id,
+    // Owner is registered up front but only counts as present once they join
+    participants: [{
+      user: req.user._id,
+      role: 'owner',
+      isActive: false
+    }],
     settings: {
       ...settings,
       videoEnabled: settings.videoEnabled !== false,
@@ -124,9 +491,6 @@ router.post('/', authenticateToken, createRoomValidation, handleValidationErrors
 
   await room.save();
 
-  // Add owner as participant
-  await room.addParticipant(req.user._id, 'owner');
-
   // Cache room data
   await setCache(`room:${room.roomId}`, {
     id: room._id,
@@ -173,7 +537,7 @@ router.post('/', authenticateToken, createRoomValidation, handleValidationErrors
 // @desc    Get user's rooms and public rooms
 // @access  Private
 router.get('/', authenticateToken, asyncHandler(async (req, res) => {
-  const { type = 'all', page = 1, limit = 10, category } = req.query;
+  const { type = 'all', page = 1, limit = 10 } = req.query;
   const skip = (page - 1) * limit;
 
   let rooms = [];
@@ -238,6 +602,347 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
   }, 'Rooms retrieved successfully');
 }));
 
+// @route   GET /api/rooms/stats/overview
+// @desc    Get room statistics overview with call activity over the last `days` days (admin only)
+// @access  Private (Admin)
+router.get('/stats/overview', authenticateToken, requireAdmin, statsValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const totalRooms = await Room.countDocuments();
+  const activeRooms = await Room.countDocuments({ isActive: true });
+  const liveRooms = await Room.countDocuments({ sessions: { $elemMatch: { endedAt: null } } });
+
+  // Get rooms created in last 30 days
+  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const newRooms = await Room.countDocuments({ createdAt: { $gte: thirtyDaysAgo } });
+
+  const [liveParticipants = { count: 0 }] = await Room.aggregate([
+    { $unwind: '$participants' },
+    { $match: { 'participants.isActive': true } },
+    { $count: 'count' }
+  ]);
+
+  // Sum lifetime session counts and durations
+  const [totals = { totalSessions: 0, totalDuration: 0 }] = await Room.aggregate([
+    {
+      $group: {
+        _id: null,
+        totalSessions: { $sum: '$stats.totalSessions' },
+        totalDuration: { $sum: '$stats.totalDuration' }
+      }
+    }
+  ]);
+
+  const range = buildWindow(parseInt(req.query.days, 10) || 30);
+
+  const creationBuckets = await Room.aggregate([
+    { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+    { $group: { _id: bucketIndexExpression('$createdAt', range), count: { $sum: 1 } } }
+  ]);
+
+  // Sessions overlapping the window; open sessions count up to now
+  const sessions = await Room.aggregate([
+    { $match: { 'sessions.startedAt': { $lt: range.end } } },
+    { $unwind: '$sessions' },
+    {
+      $match: {
+        'sessions.startedAt': { $lt: range.end },
+        $or: [{ 'sessions.endedAt': null }, { 'sessions.endedAt': { $gt: range.start } }]
+      }
+    },
+    { $project: { _id: 0, start: '$sessions.startedAt', end: '$sessions.endedAt' } }
+  ]);
+
+  const activity = intervalSeries(range, sessions).map(point => ({
+    date: point.date,
+    concurrentRooms: point.concurrent,
+    callMinutes: point.minutes
+  }));
+
+  sendSuccessResponse(res, {
+    stats: {
+      totalRooms,
+      activeRooms,
+      liveRooms,
+      liveParticipants: liveParticipants.count,
+      newRooms,
+      totalSessions: totals.totalSessions,
+      totalDuration: totals.totalDuration // in seconds
+    },
+    interval: range.interval,
+    roomsCreated: countSeries(range, creationBuckets),
+    activity
+  }, 'Room statistics retrieved successfully');
+}));
+
+// @route   GET /api/rooms/admin
+// @desc    Search every room in the system, including inactive ones (admin only)
+// @access  Private (Admin)
+router.get('/admin', authenticateToken, requireAdmin, adminListRoomsValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { search, type, status, owner, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  // Build query
+  const query = {};
+  if (type) query.type = type;
+  if (owner) query.owner = owner;
+  if (status === 'active') query.isActive = true;
+  if (status === 'inactive') query.isActive = false;
+  if (status === 'live') query.sessions = { $elemMatch: { endedAt: null } };
+  if (search && search.trim()) {
+    const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+    query.$or = [
+      { name: pattern },
+      { roomId: pattern },
+      { description: pattern }
+    ];
+  }
+
+  const rooms = await Room.find(query)
+    .select('-sessions.participants -sessions.recording -guestLinks -invitedUsers -bannedUsers')
+    .populate('owner', 'username firstName lastName email')
+    .sort({ [ADMIN_SORT_FIELDS[sortBy]]: sortOrder === 'asc' ? 1 : -1, _id: 1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Room.countDocuments(query);
+
+  sendSuccessResponse(res, {
+    rooms: rooms.map(formatAdminRoom),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  }, 'Rooms retrieved successfully');
+}));
+
+// @route   POST /api/rooms/admin/purge
+// @desc    Delete abandoned rooms: idle for `inactiveDays`, no live call and no upcoming meetings (admin only)
+// @access  Private (Admin)
+router.post('/admin/purge', authenticateToken, requireAdmin, purgeRoomsValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const inactiveDays = parseInt(req.body.inactiveDays, 10) || DEFAULT_ABANDONED_DAYS;
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - inactiveDays * 24 * 60 * 60 * 1000);
+
+  const idleRooms = await Room.find({
+    'stats.lastActivity': { $lt: cutoff },
+    'participants.isActive': { $ne: true },
+    sessions: { $not: { $elemMatch: { endedAt: null } } }
+  })
+    .select('-sessions.participants -sessions.recording -guestLinks -invitedUsers -bannedUsers')
+    .populate('owner', 'username firstName lastName email')
+    .sort({ 'stats.lastActivity': 1 })
+    .limit(MAX_PURGE_BATCH);
+
+  // Keep rooms that still have meetings coming up
+  const bookedRoomIds = (await Meeting.distinct('room', {
+    room: { $in: idleRooms.map(room => room._id) },
+    status: 'scheduled',
+    $or: [{ seriesEndsAt: null }, { seriesEndsAt: { $gt: now } }]
+  })).map(id => id.toString());
+  const abandonedRooms = idleRooms.filter(room => !bookedRoomIds.includes(room._id.toString()));
+
+  if (!dryRun) {
+    for (const room of abandonedRooms) {
+      await destroyRoom(room);
+      await auditService.record(req, {
+        action: 'room.purged',
+        target: { type: 'room', id: room.roomId, label: room.name },
+        before: { owner: room.owner?._id, lastActivity: room.stats.lastActivity },
+        metadata: { inactiveDays }
+      });
+    }
+
+    logger.info('Abandoned rooms purged by admin', {
+      count: abandonedRooms.length,
+      inactiveDays,
+      roomIds: abandonedRooms.map(room => room.roomId),
+      purgedBy: req.user._id,
+      purgedByUsername: req.user.username
+    });
+  }
+
+  sendSuccessResponse(res, {
+    dryRun,
+    inactiveDays,
+    rooms: abandonedRooms.map(formatAdminRoom),
+    purged: dryRun ? 0 : abandonedRooms.length,
+    hasMore: idleRooms.length === MAX_PURGE_BATCH
+  }, dryRun ? 'Abandoned rooms found' : 'Abandoned rooms purged successfully');
+}));
+
+// @route   GET /api/rooms/admin/:roomId/live
+// @desc    Inspect a room's stored participants alongside what LiveKit reports right now (admin only)
+// @access  Private (Admin)
+router.get('/admin/:roomId/live', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const room = await Room.findOne({ roomId: req.params.roomId })
+    .populate('owner', 'username firstName lastName email')
+    .populate('participants.user', 'username firstName lastName email');
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  const [info, participants] = await Promise.all([
+    livekitService.getRoomInfo(room.roomId),
+    livekitService.listParticipants(room.roomId)
+  ]);
+
+  sendSuccessResponse(res, {
+    room: {
+      ...formatAdminRoom(room),
+      participants: room.participants.map(p => ({
+        user: p.user,
+        isGuest: p.isGuest,
+        guestId: p.guestId,
+        displayName: p.displayName,
+        role: p.role,
+        isActive: p.isActive,
+        joinedAt: p.joinedAt,
+        leftAt: p.leftAt
+      }))
+    },
+    livekit: {
+      // null participants means LiveKit could not be reached
+      available: participants !== null,
+      room: info && {
+        sid: info.sid,
+        numParticipants: info.numParticipants || 0,
+        numPublishers: info.numPublishers || 0,
+        activeRecording: !!info.activeRecording,
+        createdAt: fromUnixSeconds(info.creationTime)
+      },
+      participants: (participants || []).map(p => ({
+        sid: p.sid,
+        identity: p.identity,
+        name: p.name,
+        state: ParticipantInfo_State[p.state],
+        joinedAt: fromUnixSeconds(p.joinedAt),
+        isPublisher: !!p.isPublisher,
+        metadata: p.metadata ? livekitService.parseParticipantMetadata(p.metadata) : {},
+        tracks: (p.tracks || []).map(track => ({
+          sid: track.sid,
+          type: TrackType[track.type],
+          source: TrackSource[track.source],
+          muted: !!track.muted
+        }))
+      }))
+    }
+  }, 'Live room state retrieved successfully');
+}));
+
+// @route   POST /api/rooms/admin/:roomId/end
+// @desc    Force-end a room's call, disconnecting everyone; optionally deactivate the room (admin only)
+// @access  Private (Admin)
+router.post('/admin/:roomId/end', authenticateToken, requireAdmin, forceEndValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const room = await Room.findOne({ roomId: req.params.roomId });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Deleting the LiveKit room disconnects every participant
+  const disconnected = await livekitService.deleteRoom(room.roomId);
+
+  const wasActive = room.isActive;
+  room.isRecording = false;
+  if (req.body.deactivate === true || req.body.deactivate === 'true') {
+    room.isActive = false;
+  }
+  await room.endSession();
+
+  await auditService.record(req, {
+    action: 'room.force_ended',
+    target: { type: 'room', id: room.roomId, label: room.name },
+    before: { isActive: wasActive },
+    after: { isActive: room.isActive },
+    metadata: { disconnected }
+  });
+
+  // Clear room cache and lobby
+  await deleteCache(`room:${room.roomId}`);
+  await lobbyService.clear(room.roomId);
+
+  socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.ROOM_UPDATED, {
+    roomId: room.roomId,
+    status: room.status,
+    isActive: room.isActive,
+    currentParticipantsCount: 0
+  });
+  socketGateway.removeFromChat(room.roomId);
+
+  logger.info('Room force-ended by admin', {
+    roomId: room.roomId,
+    roomName: room.name,
+    deactivated: !room.isActive,
+    endedBy: req.user._id,
+    endedByUsername: req.user.username
+  });
+
+  sendSuccessResponse(res, {
+    room: formatAdminRoom(room),
+    disconnected
+  }, 'Room ended successfully');
+}));
+
+// @route   POST /api/rooms/admin/:roomId/transfer-ownership
+// @desc    Hand a room over to another of its participants on the owner's behalf (admin only)
+// @access  Private (Admin)
+router.post('/admin/:roomId/transfer-ownership', authenticateToken, requireAdmin, transferOwnershipValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { userId } = req.body;
+
+  const room = await Room.findOne({ roomId: req.params.roomId });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  if (room.isBanned(userId)) {
+    return sendErrorResponse(res, {
+      message: 'Ownership cannot be transferred to a banned user',
+      statusCode: 400,
+      code: 'USER_BANNED'
+    });
+  }
+
+  if (room.owner.toString() === userId) {
+    return sendErrorResponse(res, {
+      message: 'This user already owns the room',
+      statusCode: 400,
+      code: 'ALREADY_OWNER'
+    });
+  }
+
+  const previousOwner = room.owner;
+  const result = await handOverRoom(room, userId);
+  if (!result) {
+    throw new NotFoundError('Participant not found');
+  }
+
+  await auditService.record(req, {
+    action: 'room.ownership_transferred',
+    target: { type: 'room', id: room.roomId, label: room.name },
+    before: { owner: previousOwner },
+    after: { owner: room.owner }
+  });
+
+  logger.info('Room ownership transferred by admin', {
+    roomId: room.roomId,
+    previousOwner,
+    newOwner: userId,
+    transferredBy: req.user._id,
+    transferredByUsername: req.user.username
+  });
+
+  sendSuccessResponse(res, {
+    room: {
+      id: room._id,
+      roomId: room.roomId,
+      owner: room.owner
+    }
+  }, 'Ownership transferred successfully');
+}));
+
 // @route   GET /api/rooms/:roomId
 // @desc    Get room details
 // @access  Private
@@ -271,6 +976,9 @@ router.get('/:roomId', authenticateToken, asyncHandler(async (req, res) => {
       settings: room.settings,
       participants: room.participants.filter(p => p.isActive).map(p => ({
         user: p.user,
+        isGuest: p.isGuest,
+        guestId: p.guestId,
+        displayName: p.displayName,
         role: p.role,
         joinedAt: p.joinedAt,
         permissions: p.permissions
@@ -290,11 +998,11 @@ router.get('/:roomId', authenticateToken, asyncHandler(async (req, res) => {
 // @route   POST /api/rooms/:roomId/join
 // @desc    Join a room
 // @access  Private
-router.post('/:roomId/join', authenticateToken, joinRoomValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+router.post('/:roomId/join', authenticateToken, requireVerifiedEmail('requireForRoomJoin'), joinRoomValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const { roomId } = req.params;
   const { password } = req.body;
 
-  const room = await Room.findOne({ roomId });
+  const room = await Room.findOne({ roomId }).select('+password');
   if (!room) {
     throw new NotFoundError('Room not found');
   }
@@ -307,6 +1015,15 @@ router.post('/:roomId/join', authenticateToken, joinRoomValidation, handleValida
     });
   }
 
+  // Banned users cannot rejoin
+  if (room.isBanned(req.user._id)) {
+    return sendErrorResponse(res, {
+      message: 'You have been banned from this room',
+      statusCode: 403,
+      code: 'USER_BANNED'
+    });
+  }
+
   // Check room capacity
   if (room.currentParticipantsCount >= room.maxParticipants) {
     return sendErrorResponse(res, {
@@ -316,6 +1033,19 @@ router.post('/:roomId/join', authenticateToken, joinRoomValidation, handleValida
     });
   }
 
+  // Private rooms admit only the owner, users with an accepted invitation and meeting attendees
+  const isOwner = room.owner.toString() === req.user._id.toString();
+  if (
+    room.type === 'private' && !isOwner && !room.hasAcceptedInvitation(req.user._id) &&
+    !(await Meeting.exists({ room: room._id, status: 'scheduled', 'attendees.user': req.user._id }))
+  ) {
+    return sendErrorResponse(res, {
+      message: 'An accepted invitation is required to join this room',
+      statusCode: 403,
+      code: 'INVITATION_REQUIRED'
+    });
+  }
+
   // Check password for password-protected rooms
   if (room.type === 'password-protected') {
     if (!password) {
@@ -326,38 +1056,100 @@ router.post('/:roomId/join', authenticateToken, joinRoomValidation, handleValida
       });
     }
 
+    const lockTime = await getPasswordLockTime(room.roomId, req.user._id);
+    if (lockTime > 0) {
+      res.set('Retry-After', lockTime.toString());
+      return sendErrorResponse(res, {
+        message: 'Too many incorrect password attempts, please try again later',
+        statusCode: 429,
+        code: 'TOO_MANY_PASSWORD_ATTEMPTS'
+      });
+    }
+
     const isPasswordValid = await room.comparePassword(password);
     if (!isPasswordValid) {
+      const attempts = await recordFailedPasswordAttempt(room.roomId, req.user._id);
+      logger.warn('Incorrect room password', {
+        roomId: room.roomId,
+        userId: req.user._id,
+        attempts,
+        ip: req.ip
+      });
+
       return sendErrorResponse(res, {
         message: 'Incorrect password',
         statusCode: 400,
         code: 'INVALID_PASSWORD'
       });
     }
+
+    await getRedisClient().del(passwordAttemptsKey(room.roomId, req.user._id));
   }
 
   // Check if user is already a participant
   const isParticipant = room.isParticipant(req.user._id);
+  const isModerator = isRoomModerator(room, req.user._id);
+
+  // Rooms requiring approval send everyone but moderators through the lobby
+  if (room.settings.requireApprovalToJoin && !isModerator && !isParticipant) {
+    const ticket = await lobbyService.getTicket(room.roomId, req.user._id);
+
+    if (ticket && ticket.status === 'denied') {
+      await lobbyService.removeTicket(room.roomId, req.user._id);
+      return sendErrorResponse(res, {
+        message: 'Your request to join this room was denied',
+        statusCode: 403,
+        code: 'JOIN_REQUEST_DENIED'
+      });
+    }
+
+    if (ticket && ticket.status === 'admitted') {
+      // Tickets are single use
+      await lobbyService.removeTicket(room.roomId, req.user._id);
+    } else {
+      const { ticket: pendingTicket, created } = await lobbyService.requestToJoin(room.roomId, req.user);
+
+      // Let the room's moderators know someone is knocking
+      if (created) {
+        const moderatorIds = room.participants
+          .filter(p => ['owner', 'admin', 'moderator'].includes(p.role))
+          .map(p => p.user.toString());
+        new Set([room.owner.toString(), ...moderatorIds]).forEach(userId => {
+          socketGateway.emitToUser(userId, socketGateway.EVENTS.JOIN_REQUESTED, pendingTicket);
+        });
+      }
+
+      return sendSuccessResponse(res, {
+        ticket: {
+          ticketId: pendingTicket.ticketId,
+          status: pendingTicket.status,
+          requestedAt: pendingTicket.requestedAt
+        }
+      }, 'Waiting for a moderator to admit you', 202);
+    }
+  }
+
   if (!isParticipant) {
     // Add user as participant
     await room.addParticipant(req.user._id, 'participant');
   }
 
   // Generate LiveKit token
-  const tokenData = livekitService.generateRoomToken(
+  const participant = room.getParticipant(req.user._id);
+  const tokenData = await livekitService.generateRoomToken(
     room.roomId,
     req.user.fullName,
     req.user._id.toString(),
     {
-      isAdmin: room.owner.toString() === req.user._id.toString(),
-      isModerator: room.participants.find(p => 
-        p.user.toString() === req.user._id.toString() && 
-        ['owner', 'admin', 'moderator'].includes(p.role)
-      ) !== undefined,
+      isAdmin: isOwner,
+      isModerator,
+      canPublishData: isOwner || participant.permissions.canChat,
+      canShareScreen: isOwner || participant.permissions.canShareScreen,
       metadata: {
         userId: req.user._id.toString(),
         username: req.user.username,
-        avatar: req.user.avatar
+        avatar: req.user.avatar,
+        role: participant.role
       }
     }
   );
@@ -365,6 +1157,18 @@ router.post('/:roomId/join', authenticateToken, joinRoomValidation, handleValida
   // Clear room cache
   await deleteCache(`room:${roomId}`);
 
+  socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.PARTICIPANT_JOINED, {
+    roomId: room.roomId,
+    user: {
+      id: req.user._id,
+      username: req.user.username,
+      fullName: req.user.fullName,
+      avatar: req.user.avatar
+    },
+    currentParticipantsCount: room.currentParticipantsCount
+  });
+  socketGateway.addToChat(room.roomId, req.user._id);
+
   logger.info('User joined room', {
     userId: req.user._id,
     username: req.user.username,
@@ -405,6 +1209,13 @@ router.post('/:roomId/leave', authenticateToken, asyncHandler(async (req, res) =
   // Clear room cache
   await deleteCache(`room:${roomId}`);
 
+  socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.PARTICIPANT_LEFT, {
+    roomId: room.roomId,
+    userId: req.user._id,
+    currentParticipantsCount: room.currentParticipantsCount
+  });
+  socketGateway.removeFromChat(room.roomId, req.user._id);
+
   logger.info('User left room', {
     userId: req.user._id,
     username: req.user.username,
@@ -415,12 +1226,855 @@ router.post('/:roomId/leave', authenticateToken, asyncHandler(async (req, res) =
   sendSuccessResponse(res, null, 'Left room successfully');
 }));
 
+// @route   GET /api/rooms/:roomId/lobby
+// @desc    List users waiting to be admitted
+// @access  Private (Room owner, admin or moderator)
+router.get('/:roomId/lobby', authenticateToken, asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+
+  const room = await Room.findOne({ roomId });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Check if user is owner, admin or moderator
+  if (!isRoomModerator(room, req.user._id)) {
+    return sendErrorResponse(res, {
+      message: 'Only room owners, admins and moderators can view the lobby',
+      statusCode: 403,
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  const tickets = await lobbyService.listPending(room.roomId);
+
+  sendSuccessResponse(res, { tickets }, 'Lobby retrieved successfully');
+}));
+
+// Shared handler for admitting or denying a lobby ticket
+const resolveLobbyTicket = (status) => asyncHandler(async (req, res) => {
+  const { roomId, ticketId } = req.params;
+
+  const room = await Room.findOne({ roomId });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Check if user is owner, admin or moderator
+  if (!isRoomModerator(room, req.user._id)) {
+    return sendErrorResponse(res, {
+      message: 'Only room owners, admins and moderators can manage the lobby',
+      statusCode: 403,
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  const ticket = await lobbyService.resolveTicket(room.roomId, ticketId, status, req.user._id);
+  if (!ticket) {
+    throw new NotFoundError('Join request not found');
+  }
+
+  // Tell the knocking user, who retries the join to get a token once admitted
+  socketGateway.emitToUser(ticket.userId, socketGateway.EVENTS.JOIN_REQUEST_RESOLVED, {
+    roomId: room.roomId,
+    ticketId: ticket.ticketId,
+    status: ticket.status
+  });
+
+  sendSuccessResponse(res, { ticket }, `Join request ${status} successfully`);
+});
+
+// @route   POST /api/rooms/:roomId/lobby/:ticketId/admit
+// @desc    Admit a user waiting in the lobby
+// @access  Private (Room owner, admin or moderator)
+router.post('/:roomId/lobby/:ticketId/admit', authenticateToken, resolveLobbyTicket('admitted'));
+
+// @route   POST /api/rooms/:roomId/lobby/:ticketId/deny
+// @desc    Deny a user waiting in the lobby
+// @access  Private (Room owner, admin or moderator)
+router.post('/:roomId/lobby/:ticketId/deny', authenticateToken, resolveLobbyTicket('denied'));
+
+// @route   DELETE /api/rooms/:roomId/lobby
+// @desc    Withdraw the current user's join request
+// @access  Private
+router.delete('/:roomId/lobby', authenticateToken, asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+
+  await lobbyService.removeTicket(roomId, req.user._id);
+
+  sendSuccessResponse(res, null, 'Join request withdrawn successfully');
+}));
+
+// @route   POST /api/rooms/:roomId/participants/:userId/mute
+// @desc    Mute a participant's published tracks
+// @access  Private (Moderators and above with canMute)
+router.post('/:roomId/participants/:userId/mute', authenticateToken, requireRoomPermission('canMute'), moderationValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { source = 'microphone' } = req.body;
+  const { room } = req;
+
+  if (!room.isParticipant(userId)) {
+    throw new NotFoundError('Participant not found');
+  }
+
+  if (!canModerate(room, req.user._id, userId)) {
+    return sendErrorResponse(res, {
+      message: 'You cannot moderate this participant',
+      statusCode: 403,
+      code: 'CANNOT_MODERATE_PARTICIPANT'
+    });
+  }
+
+  const mutedTracks = await livekitService.muteParticipantTracks(room.roomId, userId, source);
+
+  socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.PARTICIPANT_MUTED, {
+    roomId: room.roomId,
+    userId,
+    source,
+    mutedBy: req.user._id
+  });
+
+  logger.info('Participant muted', {
+    roomId: room.roomId,
+    userId,
+    source,
+    mutedBy: req.user._id,
+    mutedTracks: mutedTracks.length
+  });
+
+  sendSuccessResponse(res, { mutedTracks }, 'Participant muted successfully');
+}));
+
+// @route   POST /api/rooms/:roomId/participants/:userId/kick
+// @desc    Remove a participant from the call
+// @access  Private (Moderators and above with canKick)
+router.post('/:roomId/participants/:userId/kick', authenticateToken, requireRoomPermission('canKick'), moderationValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { room } = req;
+
+  if (!room.isParticipant(userId)) {
+    throw new NotFoundError('Participant not found');
+  }
+
+  if (!canModerate(room, req.user._id, userId)) {
+    return sendErrorResponse(res, {
+      message: 'You cannot moderate this participant',
+      statusCode: 403,
+      code: 'CANNOT_MODERATE_PARTICIPANT'
+    });
+  }
+
+  await livekitService.removeParticipant(room.roomId, userId);
+  await room.removeParticipant(userId);
+
+  // Clear room cache
+  await deleteCache(`room:${room.roomId}`);
+
+  const payload = { roomId: room.roomId, userId, banned: false };
+  socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.PARTICIPANT_REMOVED, {
+    ...payload,
+    currentParticipantsCount: room.currentParticipantsCount
+  });
+  socketGateway.emitToUser(userId, socketGateway.EVENTS.PARTICIPANT_REMOVED, payload);
+  socketGateway.removeFromChat(room.roomId, userId);
+
+  logger.info('Participant kicked', {
+    roomId: room.roomId,
+    userId,
+    kickedBy: req.user._id
+  });
+
+  sendSuccessResponse(res, null, 'Participant removed successfully');
+}));
+
+// @route   POST /api/rooms/:roomId/participants/:userId/ban
+// @desc    Remove a user from the call and prevent them from rejoining
+// @access  Private (Moderators and above with canKick)
+router.post('/:roomId/participants/:userId/ban', authenticateToken, requireRoomPermission('canKick'), moderationValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { reason } = req.body;
+  const { room } = req;
+  const isGuest = isGuestIdentity(userId);
+
+  if (isGuest) {
+    if (!room.isParticipant(userId)) {
+      throw new NotFoundError('Participant not found');
+    }
+  } else if (!await User.exists({ _id: userId })) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (!canModerate(room, req.user._id, userId)) {
+    return sendErrorResponse(res, {
+      message: 'You cannot moderate this participant',
+      statusCode: 403,
+      code: 'CANNOT_MODERATE_PARTICIPANT'
+    });
+  }
+
+  await livekitService.removeParticipant(room.roomId, userId);
+  if (isGuest) {
+    // Guest identities are single use and have no account to ban, so removing the guest keeps them out
+    await room.removeParticipant(userId);
+  } else {
+    await room.banUser(userId, req.user._id, reason);
+    await lobbyService.removeTicket(room.roomId, userId);
+  }
+
+  // Clear room cache
+  await deleteCache(`room:${room.roomId}`);
+
+  const payload = { roomId: room.roomId, userId, banned: true };
+  socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.PARTICIPANT_REMOVED, {
+    ...payload,
+    currentParticipantsCount: room.currentParticipantsCount
+  });
+  socketGateway.emitToUser(userId, socketGateway.EVENTS.PARTICIPANT_REMOVED, payload);
+  socketGateway.removeFromChat(room.roomId, userId);
+
+  logger.info('User banned from room', {
+    roomId: room.roomId,
+    userId,
+    bannedBy: req.user._id,
+    reason
+  });
+
+  sendSuccessResponse(res, null, 'User banned successfully');
+}));
+
+// @route   GET /api/rooms/:roomId/bans
+// @desc    List users banned from a room
+// @access  Private (Participants with canKick)
+router.get('/:roomId/bans', authenticateToken, requireRoomPermission('canKick'), asyncHandler(async (req, res) => {
+  await req.room.populate([
+    { path: 'bannedUsers.user', select: 'username firstName lastName avatar' },
+    { path: 'bannedUsers.bannedBy', select: 'username firstName lastName avatar' }
+  ]);
+
+  sendSuccessResponse(res, {
+    bans: req.room.bannedUsers.map(ban => ({
+      user: ban.user,
+      bannedBy: ban.bannedBy,
+      bannedAt: ban.bannedAt,
+      reason: ban.reason
+    }))
+  }, 'Bans retrieved successfully');
+}));
+
+// @route   DELETE /api/rooms/:roomId/bans/:userId
+// @desc    Lift a ban
+// @access  Private (Participants with canKick)
+router.delete('/:roomId/bans/:userId', authenticateToken, requireRoomPermission('canKick'), moderationValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { room } = req;
+
+  const unbanned = await room.unbanUser(userId);
+  if (!unbanned) {
+    throw new NotFoundError('Ban not found');
+  }
+
+  // Clear room cache
+  await deleteCache(`room:${room.roomId}`);
+
+  logger.info('User unbanned from room', {
+    roomId: room.roomId,
+    userId,
+    unbannedBy: req.user._id
+  });
+
+  sendSuccessResponse(res, null, 'Ban lifted successfully');
+}));
+
+// @route   PUT /api/rooms/:roomId/participants/:userId/role
+// @desc    Promote or demote a participant
+// @access  Private (Room owner only)
+router.put('/:roomId/participants/:userId/role', authenticateToken, roleValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { roomId, userId } = req.params;
+  const { role } = req.body;
+
+  const room = await Room.findOne({ roomId });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Check if user is owner
+  if (room.owner.toString() !== req.user._id.toString()) {
+    return sendErrorResponse(res, {
+      message: 'Only room owners can change participant roles',
+      statusCode: 403,
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  if (room.owner.toString() === userId) {
+    return sendErrorResponse(res, {
+      message: 'Transfer ownership to change the owner\'s role',
+      statusCode: 400,
+      code: 'CANNOT_CHANGE_OWNER_ROLE'
+    });
+  }
+
+  const participant = await room.setParticipantRole(userId, role);
+  if (!participant) {
+    throw new NotFoundError('Participant not found');
+  }
+
+  await syncParticipantToLiveKit(room, participant);
+
+  // Clear room cache
+  await deleteCache(`room:${roomId}`);
+
+  socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.PARTICIPANT_UPDATED, formatParticipantUpdate(room, participant));
+
+  logger.info('Participant role changed', {
+    roomId: room.roomId,
+    userId,
+    role,
+    changedBy: req.user._id
+  });
+
+  sendSuccessResponse(res, { participant: formatParticipantUpdate(room, participant) }, 'Participant role updated successfully');
+}));
+
+// @route   PUT /api/rooms/:roomId/participants/:userId/permissions
+// @desc    Override a participant's permissions
+// @access  Private (Room owner only)
+router.put('/:roomId/participants/:userId/permissions', authenticateToken, permissionsValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { roomId, userId } = req.params;
+  const { permissions } = req.body;
+
+  const room = await Room.findOne({ roomId });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Check if user is owner
+  if (room.owner.toString() !== req.user._id.toString()) {
+    return sendErrorResponse(res, {
+      message: 'Only room owners can change participant permissions',
+      statusCode: 403,
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  const participant = await room.setParticipantPermissions(userId, permissions);
+  if (!participant) {
+    throw new NotFoundError('Participant not found');
+  }
+
+  await syncParticipantToLiveKit(room, participant);
+
+  // Clear room cache
+  await deleteCache(`room:${roomId}`);
+
+  socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.PARTICIPANT_UPDATED, formatParticipantUpdate(room, participant));
+
+  logger.info('Participant permissions changed', {
+    roomId: room.roomId,
+    userId,
+    permissions,
+    changedBy: req.user._id
+  });
+
+  sendSuccessResponse(res, { participant: formatParticipantUpdate(room, participant) }, 'Participant permissions updated successfully');
+}));
+
+// @route   POST /api/rooms/:roomId/transfer-ownership
+// @desc    Hand the room over to another participant
+// @access  Private (Room owner only)
+router.post('/:roomId/transfer-ownership', authenticateToken, transferOwnershipValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+  const { userId } = req.body;
+
+  const room = await Room.findOne({ roomId });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Check if user is owner
+  if (room.owner.toString() !== req.user._id.toString()) {
+    return sendErrorResponse(res, {
+      message: 'Only room owners can transfer ownership',
+      statusCode: 403,
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  if (room.isBanned(userId)) {
+    return sendErrorResponse(res, {
+      message: 'Ownership cannot be transferred to a banned user',
+      statusCode: 400,
+      code: 'USER_BANNED'
+    });
+  }
+
+  if (room.owner.toString() === userId) {
+    return sendErrorResponse(res, {
+      message: 'You already own this room',
+      statusCode: 400,
+      code: 'ALREADY_OWNER'
+    });
+  }
+
+  const result = await handOverRoom(room, userId);
+  if (!result) {
+    throw new NotFoundError('Participant not found');
+  }
+
+  await auditService.record(req, {
+    action: 'room.ownership_transferred',
+    target: { type: 'room', id: room.roomId, label: room.name },
+    before: { owner: req.user._id },
+    after: { owner: room.owner }
+  });
+
+  logger.info('Room ownership transferred', {
+    roomId: room.roomId,
+    previousOwner: req.user._id,
+    newOwner: userId
+  });
+
+  sendSuccessResponse(res, {
+    room: {
+      id: room._id,
+      roomId: room.roomId,
+      owner: room.owner
+    }
+  }, 'Ownership transferred successfully');
+}));
+
+// @route   GET /api/rooms/:roomId/sessions
+// @desc    Get call sessions with per-participant attendance
+// @access  Private (Room participants only)
+router.get('/:roomId/sessions', authenticateToken, requireRoomAccess, asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const room = await Room.findOne({ roomId })
+    .populate('sessions.participants.user', 'username firstName lastName avatar');
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Newest sessions first
+  const sessions = room.sessions
+    .slice()
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .slice(skip, skip + parseInt(limit))
+    .map(session => ({
+      sessionId: session.sessionId,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt,
+      isOpen: !session.endedAt,
+      duration: Math.floor(((session.endedAt || new Date()) - session.startedAt) / 1000),
+      participants: session.participants.map(attendance => ({
+        user: attendance.user,
+        guestId: attendance.guestId,
+        displayName: attendance.displayName,
+        joinedAt: attendance.joinedAt,
+        leftAt: attendance.leftAt,
+        duration: Math.floor(((attendance.leftAt || session.endedAt || new Date()) - attendance.joinedAt) / 1000)
+      }))
+    }));
+
+  sendSuccessResponse(res, {
+    sessions,
+    stats: room.stats,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: room.sessions.length,
+      pages: Math.ceil(room.sessions.length / limit)
+    }
+  }, 'Sessions retrieved successfully');
+}));
+
+// @route   POST /api/rooms/:roomId/invitations
+// @desc    Invite users to a room by username or email
+// @access  Private (Room owner, admin or moderator)
+router.post('/:roomId/invitations', authenticateToken, inviteValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+  const { invitees } = req.body;
+
+  const room = await Room.findOne({ roomId });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Check if user is owner, admin or moderator
+  if (!isRoomModerator(room, req.user._id)) {
+    return sendErrorResponse(res, {
+      message: 'Only room owners, admins and moderators can invite users',
+      statusCode: 403,
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  // Resolve usernames and emails to users
+  const emails = invitees.filter(i => i.includes('@')).map(i => i.toLowerCase());
+  const usernames = invitees.filter(i => !i.includes('@'));
+  const users = await User.find({
+    isActive: true,
+    $or: [{ email: { $in: emails } }, { username: { $in: usernames } }]
+  }).select('username email firstName lastName avatar');
+
+  const notFound = invitees.filter(i => !users.some(u => u.username === i || u.email === i.toLowerCase()));
+  const inviteeUsers = users.filter(u => u._id.toString() !== room.owner.toString());
+
+  const invitations = await room.inviteUsers(inviteeUsers.map(u => u._id), req.user._id);
+
+  // Notify invited users in real time
+  invitations.forEach(invitation => {
+    socketGateway.emitToUser(invitation.user, socketGateway.EVENTS.INVITATION_RECEIVED, {
+      invitationId: invitation._id,
+      room: {
+        roomId: room.roomId,
+        name: room.name,
+        type: room.type
+      },
+      invitedBy: {
+        id: req.user._id,
+        username: req.user.username,
+        fullName: req.user.fullName
+      },
+      expiresAt: invitation.expiresAt
+    });
+  });
+
+  // Email invited users; a mail queue outage should not fail the invitation
+  await Promise.all(invitations.map(invitation => {
+    const user = inviteeUsers.find(u => u._id.toString() === invitation.user.toString());
+    return mailService.sendRoomInvitation(user, room, req.user, invitation).catch(error => {
+      logger.error('Failed to queue invitation email:', error);
+    });
+  }));
+
+  logger.info('Users invited to room', {
+    roomId: room.roomId,
+    invitedBy: req.user._id,
+    invitedCount: invitations.length
+  });
+
+  sendSuccessResponse(res, {
+    invitations: invitations.map(invitation => {
+      const user = inviteeUsers.find(u => u._id.toString() === invitation.user.toString());
+      return {
+        id: invitation._id,
+        user: {
+          id: user._id,
+          username: user.username,
+          fullName: user.fullName,
+          avatar: user.avatar
+        },
+        status: invitation.status,
+        invitedAt: invitation.invitedAt,
+        expiresAt: invitation.expiresAt
+      };
+    }),
+    notFound
+  }, 'Invitations sent successfully', 201);
+}));
+
+// @route   GET /api/rooms/:roomId/invitations
+// @desc    List a room's invitations
+// @access  Private (Room owner, admin or moderator)
+router.get('/:roomId/invitations', authenticateToken, asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+
+  const room = await Room.findOne({ roomId })
+    .populate('invitedUsers.user', 'username firstName lastName avatar')
+    .populate('invitedUsers.invitedBy', 'username firstName lastName avatar');
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Check if user is owner, admin or moderator
+  if (!isRoomModerator(room, req.user._id)) {
+    return sendErrorResponse(res, {
+      message: 'Only room owners, admins and moderators can view invitations',
+      statusCode: 403,
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  sendSuccessResponse(res, {
+    invitations: room.invitedUsers.map(invitation => ({
+      id: invitation._id,
+      user: invitation.user,
+      invitedBy: invitation.invitedBy,
+      status: invitation.status,
+      invitedAt: invitation.invitedAt,
+      expiresAt: invitation.expiresAt,
+      isExpired: invitation.status === 'pending' && invitation.expiresAt <= new Date()
+    }))
+  }, 'Invitations retrieved successfully');
+}));
+
+// @route   DELETE /api/rooms/:roomId/invitations/:invitationId
+// @desc    Revoke an invitation
+// @access  Private (Room owner, admin or moderator)
+router.delete('/:roomId/invitations/:invitationId', authenticateToken, asyncHandler(async (req, res) => {
+  const { roomId, invitationId } = req.params;
+
+  const room = await Room.findOne({ roomId });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Check if user is owner, admin or moderator
+  if (!isRoomModerator(room, req.user._id)) {
+    return sendErrorResponse(res, {
+      message: 'Only room owners, admins and moderators can revoke invitations',
+      statusCode: 403,
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  const invitation = room.invitedUsers.id(invitationId);
+  if (!invitation) {
+    throw new NotFoundError('Invitation not found');
+  }
+
+  invitation.deleteOne();
+  await room.save();
+
+  logger.info('Invitation revoked', {
+    roomId: room.roomId,
+    invitationId,
+    revokedBy: req.user._id
+  });
+
+  sendSuccessResponse(res, null, 'Invitation revoked successfully');
+}));
+
+// @route   POST /api/rooms/:roomId/guest-links
+// @desc    Create a shareable guest link
+// @access  Private (Room owner only)
+router.post('/:roomId/guest-links', authenticateToken, guestLinkValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+  const { role = 'participant', expiresAt, maxUses, label } = req.body;
+
+  const room = await Room.findOne({ roomId });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Check if user is owner
+  if (room.owner.toString() !== req.user._id.toString()) {
+    return sendErrorResponse(res, {
+      message: 'Only room owners can create guest links',
+      statusCode: 403,
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  const { link, token } = await room.createGuestLink({
+    role,
+    expiresAt: expiresAt ? new Date(expiresAt) : new Date(Date.now() + DEFAULT_GUEST_LINK_TTL),
+    maxUses,
+    label
+  }, req.user._id);
+
+  logger.info('Guest link created', {
+    roomId: room.roomId,
+    guestLinkId: link._id,
+    role: link.role,
+    expiresAt: link.expiresAt,
+    maxUses: link.maxUses,
+    createdBy: req.user._id
+  });
+
+  // The token is only returned once; the room stores a hash
+  sendSuccessResponse(res, {
+    guestLink: {
+      ...formatGuestLink(room, link),
+      token,
+      url: mailService.getClientUrl(`/guest/${token}`)
+    }
+  }, 'Guest link created successfully', 201);
+}));
+
+// @route   GET /api/rooms/:roomId/guest-links
+// @desc    List a room's guest links
+// @access  Private (Room owner only)
+router.get('/:roomId/guest-links', authenticateToken, asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+
+  const room = await Room.findOne({ roomId })
+    .populate('guestLinks.createdBy', 'username firstName lastName avatar');
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Check if user is owner
+  if (room.owner.toString() !== req.user._id.toString()) {
+    return sendErrorResponse(res, {
+      message: 'Only room owners can view guest links',
+      statusCode: 403,
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  sendSuccessResponse(res, {
+    guestLinks: room.guestLinks
+      .slice()
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(link => formatGuestLink(room, link))
+  }, 'Guest links retrieved successfully');
+}));
+
+// @route   DELETE /api/rooms/:roomId/guest-links/:linkId
+// @desc    Revoke a guest link and disconnect guests who joined with it
+// @access  Private (Room owner only)
+router.delete('/:roomId/guest-links/:linkId', authenticateToken, asyncHandler(async (req, res) => {
+  const { roomId, linkId } = req.params;
+
+  const room = await Room.findOne({ roomId });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  // Check if user is owner
+  if (room.owner.toString() !== req.user._id.toString()) {
+    return sendErrorResponse(res, {
+      message: 'Only room owners can revoke guest links',
+      statusCode: 403,
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  const link = room.guestLinks.id(linkId);
+  if (!link) {
+    throw new NotFoundError('Guest link not found');
+  }
+
+  if (!link.revokedAt) {
+    link.revokedAt = new Date();
+    await room.save();
+  }
+
+  // Guest tokens stay valid until they expire, so remove the guests from the call as well
+  const guests = room.participants.filter(p =>
+    p.isGuest && p.isActive && p.guestLink && p.guestLink.toString() === link._id.toString()
+  );
+  await Promise.all(guests.map(guest => livekitService.removeParticipant(room.roomId, guest.guestId)));
+
+  // Clear room cache
+  await deleteCache(`room:${roomId}`);
+
+  logger.info('Guest link revoked', {
+    roomId: room.roomId,
+    guestLinkId: link._id,
+    disconnectedGuests: guests.length,
+    revokedBy: req.user._id
+  });
+
+  sendSuccessResponse(res, { guestLink: formatGuestLink(room, link) }, 'Guest link revoked successfully');
+}));
+
+// @route   GET /api/rooms/:roomId/messages
+// @desc    Get a page of chat history, newest first
+// @access  Private (current and past participants)
+router.get('/:roomId/messages', authenticateToken, messageHistoryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+  const limit = parseInt(req.query.limit) || 50;
+
+  const room = await Room.findOne({ roomId });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  const isOwner = room.owner.toString() === req.user._id.toString();
+  if (!isOwner && req.user.role !== 'admin') {
+    // Same rule as a LiveKit token: banned, kicked and departed users lose access to the history
+    if (room.isBanned(req.user._id)) {
+      return sendErrorResponse(res, {
+        message: 'You have been banned from this room',
+        statusCode: 403,
+        code: 'USER_BANNED'
+      });
+    }
+
+    if (!room.isParticipant(req.user._id)) {
+      return sendErrorResponse(res, {
+        message: 'Join the room to read its chat',
+        statusCode: 403,
+        code: 'NOT_A_PARTICIPANT'
+      });
+    }
+  }
+
+  // Fetch one extra message to know whether older ones remain
+  const messages = await Message.findHistory(roomId, { before: req.query.before, limit: limit + 1 });
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+
+  sendSuccessResponse(res, {
+    messages: page.map(message => message.toPublicJSON()),
+    pagination: {
+      limit,
+      hasMore,
+      before: hasMore ? page[page.length - 1]._id : null
+    }
+  });
+}));
+
+// @route   POST /api/rooms/:roomId/messages
+// @desc    Send a chat message to everyone in the room
+// @access  Private (participants allowed to chat)
+router.post('/:roomId/messages', authenticateToken, sendMessageValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+
+  const room = await Room.findOne({ roomId });
+  if (!room) {
+    throw new NotFoundError('Room not found');
+  }
+
+  if (!room.settings.chatEnabled) {
+    return sendErrorResponse(res, {
+      message: 'Chat is disabled in this room',
+      statusCode: 403,
+      code: 'CHAT_DISABLED'
+    });
+  }
+
+  if (!room.isParticipant(req.user._id)) {
+    return sendErrorResponse(res, {
+      message: 'Join the room to chat',
+      statusCode: 403,
+      code: 'NOT_A_PARTICIPANT'
+    });
+  }
+
+  if (!room.canChat(req.user._id)) {
+    return sendErrorResponse(res, {
+      message: 'You are not allowed to chat in this room',
+      statusCode: 403,
+      code: 'CHAT_NOT_ALLOWED'
+    });
+  }
+
+  const message = await Message.create({
+    room: room._id,
+    roomId,
+    sender: req.user._id,
+    senderName: req.user.username,
+    content: req.body.content
+  });
+  await message.populate('sender', 'username firstName lastName avatar');
+
+  socketGateway.emitToChat(roomId, socketGateway.EVENTS.CHAT_MESSAGE, message.toPublicJSON());
+
+  sendSuccessResponse(res, { message: message.toPublicJSON() }, 'Message sent', 201);
+}));
+
 // @route   PUT /api/rooms/:roomId
 // @desc    Update room settings
 // @access  Private (Room owner or admin)
 router.put('/:roomId', authenticateToken, requireRoomAccess, asyncHandler(async (req, res) => {
   const { roomId } = req.params;
-  const { name, description, settings, maxParticipants, category, tags } = req.body;
+  const { name, description, settings, maxParticipants, category, tags, password } = req.body;
 
   const room = await Room.findOne({ roomId });
   if (!room) {
@@ -429,7 +2083,7 @@ router.put('/:roomId', authenticateToken, requireRoomAccess, asyncHandler(async
 
   // Check if user is owner or admin
   const participant = room.participants.find(p => 
-    p.user.toString() === req.user._id.toString() && 
+    p.user?.toString() === req.user._id.toString() && 
     ['owner', 'admin'].includes(p.role)
   );
 
@@ -441,6 +2095,33 @@ router.put('/:roomId', authenticateToken, requireRoomAccess, asyncHandler(async
     });
   }
 
+  // Rotate the room password
+  if (password !== undefined) {
+    if (room.owner.toString() !== req.user._id.toString()) {
+      return sendErrorResponse(res, {
+        message: 'Only room owners can change the room password',
+        statusCode: 403,
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    if (room.type !== 'password-protected') {
+      return sendErrorResponse(res, {
+        message: 'Only password-protected rooms have a password',
+        statusCode: 400,
+        code: 'ROOM_NOT_PASSWORD_PROTECTED'
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < 4) {
+      throw new ValidationError('Validation failed', {
+        password: 'Password must be at least 4 characters long'
+      });
+    }
+
+    room.password = password;
+  }
+
   // Update room fields
   if (name) room.name = name;
   if (description !== undefined) room.description = description;
@@ -456,9 +2137,18 @@ router.put('/:roomId', authenticateToken, requireRoomAccess, asyncHandler(async
   // Clear room cache
   await deleteCache(`room:${roomId}`);
 
+  socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.ROOM_UPDATED, {
+    roomId: room.roomId,
+    name: room.name,
+    description: room.description,
+    maxParticipants: room.maxParticipants,
+    settings: room.settings
+  });
+
   logger.info('Room updated', {
     roomId: room.roomId,
     roomName: room.name,
+    passwordChanged: password !== undefined,
     updatedBy: req.user._id,
     updatedByUsername: req.user.username
   });
@@ -501,14 +2191,13 @@ router.delete('/:roomId', authenticateToken, requireRoomAccess, asyncHandler(asy
     });
   }
 
-  // Delete room from LiveKit
-  await livekitService.deleteRoom(room.roomId);
+  await destroyRoom(room);
 
-  // Delete room from database
-  await Room.findByIdAndDelete(room._id);
-
-  // Clear room cache
-  await deleteCache(`room:${roomId}`);
+  await auditService.record(req, {
+    action: 'room.deleted',
+    target: { type: 'room', id: room.roomId, label: room.name },
+    before: { owner: room.owner, type: room.type, isActive: room.isActive }
+  });
 
   logger.info('Room deleted', {
     roomId: room.roomId,
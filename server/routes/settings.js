@@ -0,0 +1,130 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Setting = require('../models/Setting');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { asyncHandler, sendSuccessResponse, ValidationError } = require('../middleware/errorHandler');
+const auditService = require('../services/audit');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Settings admins may change, as dotted paths into the Setting document
+const EDITABLE_SETTINGS = [
+  'verification.requireForRoomCreation',
+  'verification.requireForRoomJoin',
+  'security.requireTwoFactorForAdmins'
+];
+
+// Validation rules
+const updateSettingsValidation = [
+  body('verification')
+    .optional()
+    .isObject()
+    .withMessage('Verification settings must be an object'),
+  body('verification.requireForRoomCreation')
+    .optional()
+    .isBoolean()
+    .withMessage('requireForRoomCreation must be a boolean'),
+  body('verification.requireForRoomJoin')
+    .optional()
+    .isBoolean()
+    .withMessage('requireForRoomJoin must be a boolean'),
+  body('security')
+    .optional()
+    .isObject()
+    .withMessage('Security settings must be an object'),
+  body('security.requireTwoFactorForAdmins')
+    .optional()
+    .isBoolean()
+    .withMessage('requireTwoFactorForAdmins must be a boolean')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().reduce((acc, error) => {
+      acc[error.path] = error.msg;
+      return acc;
+    }, {});
+
+    throw new ValidationError('Validation failed', formattedErrors);
+  }
+  next();
+};
+
+// Helper function to shape settings for API responses
+const formatSettings = (settings) => ({
+  verification: {
+    requireForRoomCreation: !!settings.verification?.requireForRoomCreation,
+    requireForRoomJoin: !!settings.verification?.requireForRoomJoin
+  },
+  security: {
+    // Off unless an admin explicitly turned it on
+    requireTwoFactorForAdmins: settings.security?.requireTwoFactorForAdmins === true
+  },
+  updatedBy: settings.updatedBy,
+  updatedAt: settings.updatedAt
+});
+
+// Helper function to flatten the editable settings into their dotted paths for audit diffs
+const editableValues = (settings) => {
+  const formatted = formatSettings(settings);
+  return EDITABLE_SETTINGS.reduce((values, path) => {
+    values[path] = path.split('.').reduce((obj, key) => obj?.[key], formatted);
+    return values;
+  }, {});
+};
+
+// @route   GET /api/settings/public
+// @desc    Get the policies clients need to know about
+// @access  Public
+router.get('/public', asyncHandler(async (req, res) => {
+  const settings = await Setting.getSettings();
+
+  const { verification, security } = formatSettings(settings);
+
+  sendSuccessResponse(res, { verification, security });
+}));
+
+// @route   GET /api/settings
+// @desc    Get application settings (admin only)
+// @access  Private (Admin)
+router.get('/', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+  const settings = await Setting.getSettings();
+
+  sendSuccessResponse(res, { settings: formatSettings(settings) });
+}));
+
+// @route   PUT /api/settings
+// @desc    Update application settings (admin only)
+// @access  Private (Admin)
+router.put('/', authenticateToken, requireAdmin, updateSettingsValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const updates = {};
+  EDITABLE_SETTINGS.forEach(path => {
+    const value = path.split('.').reduce((obj, key) => obj?.[key], req.body);
+    if (value !== undefined) {
+      updates[path] = value === true || value === 'true';
+    }
+  });
+
+  const before = editableValues(await Setting.getSettings());
+  const settings = await Setting.updateSettings(updates, req.user._id);
+
+  await auditService.record(req, {
+    action: 'settings.updated',
+    target: { type: 'settings', id: 'global', label: 'Application settings' },
+    before,
+    after: editableValues(settings)
+  });
+
+  logger.info('Settings updated by admin', {
+    updates,
+    updatedBy: req.user._id,
+    updatedByUsername: req.user.username
+  });
+
+  sendSuccessResponse(res, { settings: formatSettings(settings) }, 'Settings updated successfully');
+}));
+
+module.exports = router;
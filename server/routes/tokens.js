@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Room = require('../models/Room');
-const { authenticateToken, requireRoomAccess } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
 const { asyncHandler, sendSuccessResponse, sendErrorResponse, ValidationError, NotFoundError } = require('../middleware/errorHandler');
 const livekitService = require('../services/livekit');
 const { logger } = require('../utils/logger');
@@ -65,6 +65,15 @@ router.post('/room', authenticateToken, roomTokenValidation, handleValidationErr
     });
   }
 
+  // Banned users cannot reconnect
+  if (room.isBanned(req.user._id)) {
+    return sendErrorResponse(res, {
+      message: 'You have been banned from this room',
+      statusCode: 403,
+      code: 'USER_BANNED'
+    });
+  }
+
   // Check if user is a participant
   const isParticipant = room.isParticipant(req.user._id);
   if (!isParticipant) {
@@ -77,17 +86,19 @@ router.post('/room', authenticateToken, roomTokenValidation, handleValidationErr
 
   // Get participant role
   const participant = room.participants.find(p => 
-    p.user.toString() === req.user._id.toString() && p.isActive
+    p.user?.toString() === req.user._id.toString() && p.isActive
   );
 
   // Generate token
-  const tokenData = livekitService.generateRoomToken(
+  const tokenData = await livekitService.generateRoomToken(
     room.roomId,
     participantName || req.user.fullName,
     req.user._id.toString(),
     {
       isAdmin: room.owner.toString() === req.user._id.toString(),
       isModerator: ['owner', 'admin', 'moderator'].includes(participant.role),
+      canPublishData: participant.role === 'owner' || participant.permissions.canChat,
+      canShareScreen: participant.role === 'owner' || participant.permissions.canShareScreen,
       metadata: {
         userId: req.user._id.toString(),
         username: req.user.username,
@@ -137,7 +148,7 @@ router.post('/recording', authenticateToken, recordingTokenValidation, handleVal
 
   // Check if user is owner or admin
   const participant = room.participants.find(p => 
-    p.user.toString() === req.user._id.toString() && 
+    p.user?.toString() === req.user._id.toString() && 
     ['owner', 'admin'].includes(p.role) &&
     p.isActive
   );
@@ -160,7 +171,7 @@ router.post('/recording', authenticateToken, recordingTokenValidation, handleVal
   }
 
   // Generate recording token
-  const tokenData = livekitService.generateRecordingToken(room.roomId, {
+  const tokenData = await livekitService.generateRecordingToken(room.roomId, {
     metadata: {
       roomId: room.roomId,
       roomName: room.name,
@@ -211,7 +222,7 @@ router.post('/admin', authenticateToken, [
   }
 
   // Generate admin token
-  const tokenData = livekitService.generateAdminToken(room.roomId, {
+  const tokenData = await livekitService.generateAdminToken(room.roomId, {
     metadata: {
       roomId: room.roomId,
       roomName: room.name,
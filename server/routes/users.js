@@ -1,9 +1,15 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Room = require('../models/Room');
+const UserSession = require('../models/UserSession');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { asyncHandler, sendSuccessResponse, sendErrorResponse, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const auditService = require('../services/audit');
+const storageService = require('../services/storage');
 const { logger } = require('../utils/logger');
+const { buildWindow, bucketIndexExpression, countSeries } = require('../utils/timeseries');
 
 const router = express.Router();
 
@@ -25,6 +31,66 @@ const updateProfileValidation = [
     .withMessage('Preferences must be an object')
 ];
 
+const SORT_FIELDS = ['createdAt', 'lastLogin', 'username', 'email', 'role'];
+
+const listUsersValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('role')
+    .optional()
+    .isIn(['user', 'admin', 'moderator'])
+    .withMessage('Invalid role'),
+  query('isActive')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('isActive must be true or false'),
+  query('locked')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('locked must be true or false'),
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  query('sortBy')
+    .optional()
+    .isIn(SORT_FIELDS)
+    .withMessage(`Sort field must be one of ${SORT_FIELDS.join(', ')}`),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+const bulkStatusValidation = [
+  body('userIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('userIds must be an array of 1 to 100 user IDs'),
+  body('userIds.*')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const userIdValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const statsValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Days must be between 1 and 90')
+];
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -39,6 +105,48 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Fields of a user an admin can change, for audit diffs
+const auditedFields = (user) => ({
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  isActive: user.isActive,
+  isVerified: user.isVerified
+});
+
+// Avatar image types, keyed by MIME type, with the leading bytes each format starts with
+const AVATAR_TYPES = {
+  'image/png': { extension: 'png', matches: (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/jpeg': { extension: 'jpg', matches: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  'image/gif': { extension: 'gif', matches: (buf) => buf.subarray(0, 4).toString('latin1') === 'GIF8' },
+  'image/webp': { extension: 'webp', matches: (buf) => buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP' }
+};
+const MAX_AVATAR_SIZE = 2 * 1024 * 1024; // 2MB
+
+// Keep avatar uploads in memory; they go to the storage backend, never to local temp files
+const uploadAvatar = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AVATAR_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!AVATAR_TYPES[file.mimetype]) {
+      return cb(new ValidationError('Avatar must be a PNG, JPEG, GIF or WebP image'));
+    }
+    cb(null, true);
+  }
+}).single('avatar');
+
+// Helper function to remove a stored avatar without failing the request that replaced it
+const deleteStoredAvatar = async (key) => {
+  try {
+    await storageService.delete(key);
+  } catch (error) {
+    logger.warn('Failed to delete stored avatar', { key, error: error.message });
+  }
+};
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 // @route   GET /api/users/profile
 // @desc    Get current user profile
 // @access  Private
@@ -98,6 +206,66 @@ router.put('/profile', authenticateToken, updateProfileValidation, handleValidat
   }, 'Profile updated successfully');
 }));
 
+// @route   POST /api/users/profile/avatar
+// @desc    Upload a new avatar image (multipart field "avatar")
+// @access  Private
+router.post('/profile/avatar', authenticateToken, uploadAvatar, asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ValidationError('Choose an image to upload');
+  }
+
+  // The browser-supplied type is only a claim; check the file really is that image format
+  const type = AVATAR_TYPES[req.file.mimetype];
+  if (!type.matches(req.file.buffer)) {
+    throw new ValidationError('Avatar file is not a valid image');
+  }
+
+  const user = await User.findById(req.user._id).select('+avatarKey');
+  const previousKey = user.avatarKey;
+  const key = storageService.avatarKey(user._id, type.extension);
+
+  await storageService.put(key, req.file.buffer, { contentType: req.file.mimetype });
+
+  user.avatarKey = key;
+  user.avatar = storageService.avatarUrl(user._id);
+  await user.save();
+
+  if (previousKey) {
+    await deleteStoredAvatar(previousKey);
+  }
+
+  logger.info('User avatar updated', {
+    userId: user._id,
+    username: user.username,
+    size: req.file.size
+  });
+
+  sendSuccessResponse(res, { avatar: user.avatar }, 'Avatar updated successfully');
+}));
+
+// @route   DELETE /api/users/profile/avatar
+// @desc    Remove the current avatar
+// @access  Private
+router.delete('/profile/avatar', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+avatarKey');
+  const previousKey = user.avatarKey;
+
+  user.avatarKey = null;
+  user.avatar = null;
+  await user.save();
+
+  if (previousKey) {
+    await deleteStoredAvatar(previousKey);
+  }
+
+  logger.info('User avatar removed', {
+    userId: user._id,
+    username: user.username
+  });
+
+  sendSuccessResponse(res, { avatar: null }, 'Avatar removed successfully');
+}));
+
 // @route   GET /api/users/:userId
 // @desc    Get user by ID (admin only)
 // @access  Private (Admin)
@@ -113,44 +281,169 @@ router.get('/:userId', authenticateToken, requireAdmin, asyncHandler(async (req,
 }));
 
 // @route   GET /api/users
-// @desc    Get all users (admin only)
+// @desc    Search, filter, sort and page through users (admin only)
 // @access  Private (Admin)
-router.get('/', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, role, isActive, search } = req.query;
+router.get('/', authenticateToken, requireAdmin, listUsersValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { role, isActive, locked, search, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
   const skip = (page - 1) * limit;
 
   // Build query
   const query = {};
   if (role) query.role = role;
   if (isActive !== undefined) query.isActive = isActive === 'true';
-  if (search) {
-    query.$or = [
-      { username: { $regex: search, $options: 'i' } },
-      { email: { $regex: search, $options: 'i' } },
-      { firstName: { $regex: search, $options: 'i' } },
-      { lastName: { $regex: search, $options: 'i' } }
+  if (locked === 'true') query.lockUntil = { $gt: new Date() };
+  if (locked === 'false') query.$or = [{ lockUntil: null }, { lockUntil: { $lte: new Date() } }];
+  if (search && search.trim()) {
+    const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+    const searchQuery = [
+      { username: pattern },
+      { email: pattern },
+      { firstName: pattern },
+      { lastName: pattern }
     ];
+    if (query.$or) {
+      query.$and = [{ $or: query.$or }, { $or: searchQuery }];
+      delete query.$or;
+    } else {
+      query.$or = searchQuery;
+    }
   }
 
   const users = await User.find(query)
     .select('-password')
+    .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1, _id: 1 })
     .skip(skip)
-    .limit(parseInt(limit))
-    .sort({ createdAt: -1 });
+    .limit(limit);
 
   const total = await User.countDocuments(query);
 
   sendSuccessResponse(res, {
     users,
     pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
+      page,
+      limit,
       total,
       pages: Math.ceil(total / limit)
     }
   }, 'Users retrieved successfully');
 }));
 
+// Shared handler for activating or deactivating many users at once
+const setUsersActive = (isActive) => asyncHandler(async (req, res) => {
+  const selfId = req.user._id.toString();
+  const userIds = [...new Set(req.body.userIds)];
+
+  // Admins cannot deactivate themselves, in bulk or otherwise
+  const targetIds = isActive ? userIds : userIds.filter(id => id !== selfId);
+  const changing = await User.find({ _id: { $in: targetIds }, isActive: !isActive }).select('username isActive');
+  const result = await User.updateMany({ _id: { $in: targetIds } }, { $set: { isActive } });
+
+  for (const user of changing) {
+    await auditService.record(req, {
+      action: isActive ? 'user.activated' : 'user.deactivated',
+      target: { type: 'user', id: user._id, label: user.username },
+      before: { isActive: !isActive },
+      after: { isActive },
+      metadata: { bulk: true }
+    });
+  }
+
+  logger.info(`Users ${isActive ? 'activated' : 'deactivated'} in bulk by admin`, {
+    userIds: targetIds,
+    modified: result.modifiedCount,
+    updatedBy: req.user._id,
+    updatedByUsername: req.user.username
+  });
+
+  sendSuccessResponse(res, {
+    matched: result.matchedCount,
+    modified: result.modifiedCount,
+    skipped: userIds.length - targetIds.length
+  }, `Users ${isActive ? 'activated' : 'deactivated'} successfully`);
+});
+
+// @route   POST /api/users/bulk/activate
+// @desc    Activate several user accounts (admin only)
+// @access  Private (Admin)
+router.post('/bulk/activate', authenticateToken, requireAdmin, bulkStatusValidation, handleValidationErrors, setUsersActive(true));
+
+// @route   POST /api/users/bulk/deactivate
+// @desc    Deactivate several user accounts, skipping your own (admin only)
+// @access  Private (Admin)
+router.post('/bulk/deactivate', authenticateToken, requireAdmin, bulkStatusValidation, handleValidationErrors, setUsersActive(false));
+
+// @route   GET /api/users/:userId/activity
+// @desc    Get a user's rooms, recent call sessions and login history (admin only)
+// @access  Private (Admin)
+router.get('/:userId/activity', authenticateToken, requireAdmin, userIdValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.userId).select('_id');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const rooms = await Room.find({ $or: [{ owner: user._id }, { 'participants.user': user._id }] })
+    .select('roomId name type isActive owner participants.user participants.role participants.isActive createdAt')
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  // Most recent calls the user attended, one entry per join
+  const sessions = await Room.aggregate([
+    { $match: { 'sessions.participants.user': user._id } },
+    { $unwind: '$sessions' },
+    { $unwind: '$sessions.participants' },
+    { $match: { 'sessions.participants.user': user._id } },
+    { $sort: { 'sessions.participants.joinedAt': -1 } },
+    { $limit: 50 },
+    {
+      $project: {
+        _id: 0,
+        roomId: 1,
+        roomName: '$name',
+        sessionId: '$sessions.sessionId',
+        startedAt: '$sessions.startedAt',
+        endedAt: '$sessions.endedAt',
+        joinedAt: '$sessions.participants.joinedAt',
+        leftAt: '$sessions.participants.leftAt'
+      }
+    }
+  ]);
+
+  const logins = await UserSession.find({ user: user._id })
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  sendSuccessResponse(res, {
+    rooms: rooms.map(room => {
+      const participant = room.participants.find(p => p.user?.toString() === user._id.toString());
+      return {
+        id: room._id,
+        roomId: room.roomId,
+        name: room.name,
+        type: room.type,
+        isActive: room.isActive,
+        isOwner: room.owner.toString() === user._id.toString(),
+        role: participant ? participant.role : 'owner',
+        inCall: !!participant && participant.isActive,
+        createdAt: room.createdAt
+      };
+    }),
+    sessions,
+    logins: logins.map(login => ({
+      id: login._id,
+      deviceName: login.deviceName,
+      userAgent: login.userAgent,
+      ip: login.ip,
+      createdAt: login.createdAt,
+      lastUsedAt: login.lastUsedAt,
+      isActive: login.isActive,
+      revokedAt: login.revokedAt,
+      revokedReason: login.revokedReason
+    }))
+  }, 'User activity retrieved successfully');
+}));
+
 // @route   PUT /api/users/:userId
 // @desc    Update user (admin only)
 // @access  Private (Admin)
@@ -181,11 +474,22 @@ router.put('/:userId', authenticateToken, requireAdmin, [
   const { userId } = req.params;
   const { firstName, lastName, role, isActive, isVerified } = req.body;
 
+  // Prevent admin from taking away their own admin access
+  if (userId === req.user._id.toString() && ((role && role !== 'admin') || isActive === false)) {
+    return sendErrorResponse(res, {
+      message: 'You cannot remove your own admin access',
+      statusCode: 400,
+      code: 'SELF_DEMOTE_NOT_ALLOWED'
+    });
+  }
+
   const user = await User.findById(userId);
   if (!user) {
     throw new NotFoundError('User not found');
   }
 
+  const before = auditedFields(user);
+
   // Update user fields
   if (firstName) user.firstName = firstName;
   if (lastName) user.lastName = lastName;
@@ -195,6 +499,13 @@ router.put('/:userId', authenticateToken, requireAdmin, [
 
   await user.save();
 
+  await auditService.record(req, {
+    action: before.role !== user.role ? 'user.role_changed' : 'user.updated',
+    target: { type: 'user', id: user._id, label: user.username },
+    before,
+    after: auditedFields(user)
+  });
+
   logger.info('User updated by admin', {
     userId: user._id,
     username: user.username,
@@ -234,12 +545,21 @@ router.delete('/:userId', authenticateToken, requireAdmin, asyncHandler(async (r
     });
   }
 
-  const user = await User.findById(userId);
+  const user = await User.findById(userId).select('+avatarKey');
   if (!user) {
     throw new NotFoundError('User not found');
   }
 
   await User.findByIdAndDelete(userId);
+  if (user.avatarKey) {
+    await deleteStoredAvatar(user.avatarKey);
+  }
+
+  await auditService.record(req, {
+    action: 'user.deleted',
+    target: { type: 'user', id: user._id, label: user.username },
+    before: { ...auditedFields(user), email: user.email }
+  });
 
   logger.info('User deleted by admin', {
     deletedUserId: user._id,
@@ -262,9 +582,17 @@ router.post('/:userId/activate', authenticateToken, requireAdmin, asyncHandler(a
     throw new NotFoundError('User not found');
   }
 
+  const wasActive = user.isActive;
   user.isActive = true;
   await user.save();
 
+  await auditService.record(req, {
+    action: 'user.activated',
+    target: { type: 'user', id: user._id, label: user.username },
+    before: { isActive: wasActive },
+    after: { isActive: true }
+  });
+
   logger.info('User activated by admin', {
     userId: user._id,
     username: user.username,
@@ -295,9 +623,17 @@ router.post('/:userId/deactivate', authenticateToken, requireAdmin, asyncHandler
     throw new NotFoundError('User not found');
   }
 
+  const wasActive = user.isActive;
   user.isActive = false;
   await user.save();
 
+  await auditService.record(req, {
+    action: 'user.deactivated',
+    target: { type: 'user', id: user._id, label: user.username },
+    before: { isActive: wasActive },
+    after: { isActive: false }
+  });
+
   logger.info('User deactivated by admin', {
     userId: user._id,
     username: user.username,
@@ -308,10 +644,39 @@ router.post('/:userId/deactivate', authenticateToken, requireAdmin, asyncHandler
   sendSuccessResponse(res, null, 'User deactivated successfully');
 }));
 
+// @route   POST /api/users/:userId/unlock
+// @desc    Clear a lockout caused by repeated failed logins (admin only)
+// @access  Private (Admin)
+router.post('/:userId/unlock', authenticateToken, requireAdmin, userIdValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const before = { loginAttempts: user.loginAttempts, lockUntil: user.lockUntil };
+  await user.unlock();
+
+  await auditService.record(req, {
+    action: 'user.unlocked',
+    target: { type: 'user', id: user._id, label: user.username },
+    before,
+    after: { loginAttempts: 0, lockUntil: null }
+  });
+
+  logger.info('User unlocked by admin', {
+    userId: user._id,
+    username: user.username,
+    unlockedBy: req.user._id,
+    unlockedByUsername: req.user.username
+  });
+
+  sendSuccessResponse(res, null, 'User unlocked successfully');
+}));
+
 // @route   GET /api/users/stats/overview
-// @desc    Get user statistics overview (admin only)
+// @desc    Get user statistics overview with signups over the last `days` days (admin only)
 // @access  Private (Admin)
-router.get('/stats/overview', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+router.get('/stats/overview', authenticateToken, requireAdmin, statsValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const totalUsers = await User.countDocuments();
   const activeUsers = await User.countDocuments({ isActive: true });
   const verifiedUsers = await User.countDocuments({ isVerified: true });
@@ -325,6 +690,13 @@ router.get('/stats/overview', authenticateToken, requireAdmin, asyncHandler(asyn
   // Get users who logged in recently
   const recentLogins = await User.countDocuments({ lastLogin: { $gte: thirtyDaysAgo } });
 
+  // Signups per hour or day
+  const range = buildWindow(parseInt(req.query.days, 10) || 30);
+  const signupBuckets = await User.aggregate([
+    { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+    { $group: { _id: bucketIndexExpression('$createdAt', range), count: { $sum: 1 } } }
+  ]);
+
   sendSuccessResponse(res, {
     stats: {
       totalUsers,
@@ -334,7 +706,9 @@ router.get('/stats/overview', authenticateToken, requireAdmin, asyncHandler(asyn
       moderatorUsers,
       newUsers,
       recentLogins
-    }
+    },
+    interval: range.interval,
+    signups: countSeries(range, signupBuckets)
   }, 'User statistics retrieved successfully');
 }));
 
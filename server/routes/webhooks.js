@@ -0,0 +1,173 @@
+const express = require('express');
+const Room = require('../models/Room');
+const Recording = require('../models/Recording');
+const { asyncHandler, sendSuccessResponse, sendErrorResponse } = require('../middleware/errorHandler');
+const livekitService = require('../services/livekit');
+const socketGateway = require('../services/socket');
+const { deleteCache, getRedisClient } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const PROCESSED_EVENT_TTL = 24 * 60 * 60; // seconds an event id is remembered
+
+// LiveKit identities of registered users are their ObjectId strings
+const isUserIdentity = (identity) => /^[a-f0-9]{24}$/i.test(identity || '');
+
+// Guests join with a generated guest-<uuid> identity
+const isGuestIdentity = (identity) => /^guest-[a-f0-9-]{36}$/i.test(identity || '');
+
+// Convert a LiveKit unix timestamp (seconds) into a Date
+const toDate = (seconds) => (seconds ? new Date(Number(seconds) * 1000) : new Date());
+
+// Event handlers keyed by LiveKit webhook event name
+const eventHandlers = {
+  room_started: async (event, room) => {
+    await room.startSession(event.room.sid, toDate(event.room.creationTime));
+  },
+
+  room_finished: async (event, room) => {
+    room.isRecording = false;
+    await room.endSession();
+    socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.ROOM_UPDATED, {
+      roomId: room.roomId,
+      status: room.status,
+      currentParticipantsCount: 0
+    });
+    socketGateway.removeFromChat(room.roomId);
+  },
+
+  participant_joined: async (event, room) => {
+    const { identity } = event.participant;
+
+    if (isGuestIdentity(identity)) {
+      const guest = room.getParticipant(identity);
+      if (!guest) return;
+
+      // Disconnect guests whose link was revoked while their token is still valid
+      const link = room.guestLinks.id(guest.guestLink);
+      if (!link || link.revokedAt) {
+        await livekitService.removeParticipant(room.roomId, identity);
+        return;
+      }
+
+      await room.addGuestParticipant(identity);
+      socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.PARTICIPANT_JOINED, {
+        roomId: room.roomId,
+        guest: { id: identity, displayName: guest.displayName },
+        currentParticipantsCount: room.currentParticipantsCount
+      });
+      return;
+    }
+
+    if (!isUserIdentity(identity)) return;
+
+    // Disconnect banned users who still hold a valid token
+    if (room.isBanned(identity)) {
+      await livekitService.removeParticipant(room.roomId, identity);
+      return;
+    }
+
+    await room.addParticipant(identity);
+    socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.PARTICIPANT_JOINED, {
+      roomId: room.roomId,
+      userId: identity,
+      currentParticipantsCount: room.currentParticipantsCount
+    });
+    socketGateway.addToChat(room.roomId, identity);
+  },
+
+  participant_left: async (event, room) => {
+    const { identity } = event.participant;
+    const isGuest = isGuestIdentity(identity);
+    if (!isUserIdentity(identity) && !isGuest) return;
+
+    await room.removeParticipant(identity);
+    socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.PARTICIPANT_LEFT, {
+      roomId: room.roomId,
+      userId: isGuest ? undefined : identity,
+      guestId: isGuest ? identity : undefined,
+      currentParticipantsCount: room.currentParticipantsCount
+    });
+    if (!isGuest) {
+      socketGateway.removeFromChat(room.roomId, identity);
+    }
+  },
+
+  egress_ended: async (event, room) => {
+    const egress = livekitService.normalizeEgressInfo(event.egressInfo);
+
+    const recording = await Recording.findOne({ egressId: egress.egressId });
+    if (recording) {
+      recording.applyEgressInfo(egress);
+      if (!recording.endedAt) recording.endedAt = new Date();
+      await recording.save();
+      socketGateway.emitToRoom(room.roomId, socketGateway.EVENTS.RECORDING_UPDATED, recording.toPublicJSON());
+    }
+
+    room.isRecording = false;
+    await room.save();
+  }
+};
+
+// @route   POST /api/webhooks/livekit
+// @desc    Receive LiveKit server webhooks
+// @access  Public (signed by LiveKit)
+router.post('/livekit', express.text({ type: ['application/webhook+json', 'application/json'] }), asyncHandler(async (req, res) => {
+  let event;
+
+  try {
+    event = await livekitService.receiveWebhook(req.body, req.get('Authorization'));
+  } catch (error) {
+    logger.warn('Rejected LiveKit webhook', { error: error.message, ip: req.ip });
+    return sendErrorResponse(res, {
+      message: 'Invalid webhook signature',
+      statusCode: 401,
+      code: 'INVALID_WEBHOOK_SIGNATURE'
+    });
+  }
+
+  const handler = eventHandlers[event.event];
+  const roomName = event.room?.name || event.egressInfo?.roomName;
+
+  if (!handler || !roomName) {
+    return sendSuccessResponse(res, null, 'Webhook ignored');
+  }
+
+  const room = await Room.findOne({ roomId: roomName });
+  if (!room) {
+    logger.warn('LiveKit webhook for unknown room', { event: event.event, roomName });
+    return sendSuccessResponse(res, null, 'Webhook ignored');
+  }
+
+  // LiveKit retries deliveries, so only the first delivery of an event id is handled
+  const processedKey = `webhook:livekit:${event.id}`;
+  if (event.id) {
+    const claimed = await getRedisClient().set(processedKey, '1', { NX: true, EX: PROCESSED_EVENT_TTL });
+    if (!claimed) {
+      return sendSuccessResponse(res, null, 'Webhook already processed');
+    }
+  }
+
+  try {
+    await handler(event, room);
+  } catch (error) {
+    // Let the retry be handled
+    if (event.id) await getRedisClient().del(processedKey);
+    throw error;
+  }
+
+  // Clear room cache
+  await deleteCache(`room:${room.roomId}`);
+
+  logger.info('LiveKit webhook processed', {
+    event: event.event,
+    eventId: event.id,
+    roomId: room.roomId,
+    participant: event.participant?.identity
+  });
+
+  sendSuccessResponse(res, null, 'Webhook processed');
+}));
+
+module.exports = router;
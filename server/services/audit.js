@@ -0,0 +1,69 @@
+const AuditEvent = require('../models/AuditEvent');
+const { logger } = require('../utils/logger');
+
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 365;
+
+// Compare two plain values, including nested objects and dates
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+class AuditService {
+  get retentionDays() {
+    return RETENTION_DAYS;
+  }
+
+  // Reduce before/after snapshots to the fields that differ
+  diff(before, after) {
+    if (!before || !after) {
+      return { before: before || null, after: after || null };
+    }
+
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = { before: {}, after: {} };
+    keys.forEach(key => {
+      if (!isEqual(before[key], after[key])) {
+        changes.before[key] = before[key] === undefined ? null : before[key];
+        changes.after[key] = after[key] === undefined ? null : after[key];
+      }
+    });
+    return changes;
+  }
+
+  // Record an action taken during a request; failures are logged, never thrown, so they cannot undo the action
+  async record(req, { action, target, before = null, after = null, metadata = null, actor }) {
+    const actingUser = actor === undefined ? req.user : actor;
+
+    try {
+      return await AuditEvent.create({
+        actor: actingUser?._id || null,
+        actorUsername: actingUser?.username || null,
+        action,
+        target: {
+          type: target.type,
+          id: target.id ? target.id.toString() : null,
+          label: target.label || null
+        },
+        ip: req.ip || null,
+        userAgent: (req.get('user-agent') || '').slice(0, 500) || null,
+        changes: this.diff(before, after),
+        metadata
+      });
+    } catch (error) {
+      logger.error('Failed to record audit event:', { action, error: error.message });
+      return null;
+    }
+  }
+
+  // Drop events past the retention period
+  async purgeExpired() {
+    const deleted = await AuditEvent.purgeOlderThan(RETENTION_DAYS);
+    if (deleted > 0) {
+      logger.info('Expired audit events purged', { deleted, retentionDays: RETENTION_DAYS });
+    }
+    return { deleted };
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
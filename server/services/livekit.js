@@ -1,20 +1,43 @@
-const { AccessToken } = require('livekit-server-sdk');
+const {
+  AccessToken,
+  WebhookReceiver,
+  RoomServiceClient,
+  EgressClient,
+  EncodedFileOutput,
+  EncodedFileType,
+  S3Upload,
+  TrackSource
+} = require('livekit-server-sdk');
+const storageService = require('./storage');
 const { logger } = require('../utils/logger');
 
+// EgressStatus enum values, in protocol order
+const EGRESS_STATUSES = ['starting', 'active', 'ending', 'complete', 'failed', 'aborted', 'limit_reached'];
+
+// Sources a participant may publish, with and without screen sharing
+const MEDIA_SOURCES = [TrackSource.CAMERA, TrackSource.MICROPHONE, TrackSource.SCREEN_SHARE];
+const CAMERA_SOURCES = [TrackSource.CAMERA, TrackSource.MICROPHONE];
+
 class LiveKitService {
   constructor() {
     this.apiKey = process.env.LIVEKIT_API_KEY;
     this.apiSecret = process.env.LIVEKIT_API_SECRET;
     this.livekitUrl = process.env.LIVEKIT_URL;
+    // Server APIs are served over HTTP(S); allow an explicit override (e.g. a separate egress host)
+    this.apiUrl = process.env.LIVEKIT_API_URL || (this.livekitUrl || '').replace(/^ws/, 'http');
 
     if (!this.apiKey || !this.apiSecret || !this.livekitUrl) {
       logger.error('LiveKit configuration missing. Please check environment variables.');
       throw new Error('LiveKit configuration incomplete');
     }
+
+    this.webhookReceiver = new WebhookReceiver(this.apiKey, this.apiSecret);
+    this.roomService = new RoomServiceClient(this.apiUrl, this.apiKey, this.apiSecret);
+    this.egressClient = new EgressClient(this.apiUrl, this.apiKey, this.apiSecret);
   }
 
   // Generate access token for room participation
-  generateRoomToken(roomName, participantName, participantIdentity, options = {}) {
+  async generateRoomToken(roomName, participantName, participantIdentity, options = {}) {
     try {
       const at = new AccessToken(this.apiKey, this.apiSecret, {
         identity: participantIdentity,
@@ -27,6 +50,7 @@ class LiveKitService {
         canSubscribe = true,
         canPublishData = true,
         canUpdateMetadata = true,
+        canShareScreen = true,
         isAdmin = false,
         isModerator = false
       } = options;
@@ -41,15 +65,16 @@ class LiveKitService {
         canSubscribe,
         canPublishData,
         canUpdateMetadata,
-        canPublishSources: ['camera', 'microphone', 'screen_share'],
-        canSubscribeSources: ['camera', 'microphone', 'screen_share'],
-        metadata: JSON.stringify({
-          role: isAdmin ? 'admin' : isModerator ? 'moderator' : 'participant',
-          ...options.metadata
-        })
+        canPublishSources: canShareScreen ? MEDIA_SOURCES : CAMERA_SOURCES
+      });
+
+      // Participant metadata is visible to everyone in the room
+      at.metadata = JSON.stringify({
+        role: isAdmin ? 'admin' : isModerator ? 'moderator' : 'participant',
+        ...options.metadata
       });
 
-      const token = at.toJwt();
+      const token = await at.toJwt();
       
       logger.info('Generated LiveKit token', {
         roomName,
@@ -72,7 +97,7 @@ class LiveKitService {
   }
 
   // Generate recording token
-  generateRecordingToken(roomName, options = {}) {
+  async generateRecordingToken(roomName, options = {}) {
     try {
       const at = new AccessToken(this.apiKey, this.apiSecret, {
         identity: `recorder-${Date.now()}`,
@@ -95,7 +120,7 @@ class LiveKitService {
         })
       });
 
-      const token = at.toJwt();
+      const token = await at.toJwt();
       
       logger.info('Generated LiveKit recording token', { roomName });
 
@@ -112,7 +137,7 @@ class LiveKitService {
   }
 
   // Generate admin token for room management
-  generateAdminToken(roomName, options = {}) {
+  async generateAdminToken(roomName, options = {}) {
     try {
       const at = new AccessToken(this.apiKey, this.apiSecret, {
         identity: `admin-${Date.now()}`,
@@ -128,7 +153,7 @@ class LiveKitService {
         canSubscribe: true,
         canPublishData: true,
         canUpdateMetadata: true,
-        canPublishSources: ['camera', 'microphone', 'screen_share'],
+        canPublishSources: MEDIA_SOURCES,
         canSubscribeSources: ['camera', 'microphone', 'screen_share'],
         metadata: JSON.stringify({
           role: 'admin',
@@ -136,7 +161,7 @@ class LiveKitService {
         })
       });
 
-      const token = at.toJwt();
+      const token = await at.toJwt();
       
       logger.info('Generated LiveKit admin token', { roomName });
 
@@ -255,54 +280,195 @@ class LiveKitService {
   // Get room information from LiveKit
   async getRoomInfo(roomName) {
     try {
-      const response = await fetch(`${this.livekitUrl}/twirp/livekit.RoomService/ListRooms`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.generateAdminToken(roomName).token}`
-        },
-        body: JSON.stringify({})
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        return data.rooms?.find(room => room.name === roomName) || null;
-      } else {
-        logger.error('Failed to get room info:', response.status);
-        return null;
-      }
+      const rooms = await this.roomService.listRooms([roomName]);
+      return rooms.find(room => room.name === roomName) || null;
     } catch (error) {
       logger.error('Error getting room info:', error);
       return null;
     }
   }
 
+  // List the participants currently connected to a room; null if LiveKit cannot be reached
+  async listParticipants(roomName) {
+    try {
+      return await this.roomService.listParticipants(roomName);
+    } catch (error) {
+      logger.error('Error listing room participants:', error);
+      return null;
+    }
+  }
+
   // Delete room from LiveKit
   async deleteRoom(roomName) {
     try {
-      const response = await fetch(`${this.livekitUrl}/twirp/livekit.RoomService/DeleteRoom`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.generateAdminToken(roomName).token}`
-        },
-        body: JSON.stringify({
-          room: roomName
-        })
-      });
+      await this.roomService.deleteRoom(roomName);
 
-      if (response.ok) {
-        logger.info('Room deleted from LiveKit:', roomName);
-        return true;
-      } else {
-        logger.error('Failed to delete room:', response.status);
-        return false;
-      }
+      logger.info('Room deleted from LiveKit:', roomName);
+      return true;
     } catch (error) {
       logger.error('Error deleting room:', error);
       return false;
     }
   }
+
+  // Get a participant currently connected to a room
+  async getParticipant(roomName, identity) {
+    try {
+      return await this.roomService.getParticipant(roomName, identity);
+    } catch (error) {
+      logger.warn('Participant not found in LiveKit room', { roomName, identity, error: error.message });
+      return null;
+    }
+  }
+
+  // Mute every published track of a participant matching a source (e.g. microphone, camera)
+  async muteParticipantTracks(roomName, identity, source = 'microphone') {
+    const participant = await this.getParticipant(roomName, identity);
+    if (!participant) return [];
+
+    const sourceName = source.toUpperCase();
+    const tracks = participant.tracks.filter(track =>
+      TrackSource[track.source] === sourceName && !track.muted
+    );
+
+    try {
+      await Promise.all(tracks.map(track =>
+        this.roomService.mutePublishedTrack(roomName, identity, track.sid, true)
+      ));
+
+      logger.info('Muted LiveKit participant tracks', { roomName, identity, source, count: tracks.length });
+      return tracks.map(track => track.sid);
+
+    } catch (error) {
+      logger.error('Error muting LiveKit participant:', error);
+      throw new Error('Failed to mute participant');
+    }
+  }
+
+  // Update a connected participant's metadata and publish permissions
+  async updateParticipant(roomName, identity, options = {}) {
+    const { metadata, canPublishData = true, canShareScreen = true } = options;
+
+    try {
+      const info = await this.roomService.updateParticipant(roomName, identity, {
+        metadata: JSON.stringify(metadata || {}),
+        permission: {
+          canSubscribe: true,
+          canPublish: true,
+          canPublishData,
+          canUpdateMetadata: true,
+          canPublishSources: canShareScreen ? MEDIA_SOURCES : CAMERA_SOURCES
+        }
+      });
+
+      logger.info('Updated LiveKit participant', { roomName, identity });
+      return info;
+
+    } catch (error) {
+      // The participant may not be connected right now
+      logger.warn('Error updating LiveKit participant', { roomName, identity, error: error.message });
+      return null;
+    }
+  }
+
+  // Disconnect a participant from a room
+  async removeParticipant(roomName, identity) {
+    try {
+      await this.roomService.removeParticipant(roomName, identity);
+
+      logger.info('Removed LiveKit participant', { roomName, identity });
+      return true;
+
+    } catch (error) {
+      // The participant may already have left
+      logger.warn('Error removing LiveKit participant', { roomName, identity, error: error.message });
+      return false;
+    }
+  }
+
+  // Verify the signature of a LiveKit webhook and parse its event
+  async receiveWebhook(body, authHeader) {
+    return this.webhookReceiver.receive(body, authHeader);
+  }
+
+  // Get egress file output configuration that writes a recording to a storage key
+  getRecordingOutput(storageKey) {
+    const { filepath, s3 } = storageService.getEgressDestination(storageKey);
+    return new EncodedFileOutput({
+      fileType: EncodedFileType.MP4,
+      filepath,
+      ...(s3 && { output: { case: 's3', value: new S3Upload(s3) } })
+    });
+  }
+
+  // Normalize an SDK EgressInfo (API response or webhook) into the fields we persist
+  normalizeEgressInfo(info = {}) {
+    // Older egress servers report the file through the deprecated `result` oneof
+    const file = (info.fileResults && info.fileResults[0])
+      || (info.result && info.result.case === 'file' ? info.result.value : {});
+    const status = EGRESS_STATUSES[info.status];
+
+    return {
+      egressId: info.egressId,
+      roomName: info.roomName,
+      status: status || 'starting',
+      error: info.error || null,
+      startedAt: info.startedAt ? new Date(Number(info.startedAt) / 1e6) : null,
+      endedAt: info.endedAt ? new Date(Number(info.endedAt) / 1e6) : null,
+      file: {
+        filename: file.filename || null,
+        location: file.location || null,
+        size: file.size ? Number(file.size) : 0,
+        duration: file.duration ? Math.round(Number(file.duration) / 1e9) : 0 // in seconds
+      }
+    };
+  }
+
+  // Start a room composite egress (server-side recording)
+  async startRoomCompositeEgress(roomName, storageKey, options = {}) {
+    const { layout = 'grid', audioOnly = false, videoOnly = false } = options;
+
+    try {
+      const info = await this.egressClient.startRoomCompositeEgress(roomName, {
+        file: this.getRecordingOutput(storageKey)
+      }, { layout, audioOnly, videoOnly });
+
+      const egress = this.normalizeEgressInfo(info);
+      logger.info('Started LiveKit egress', { roomName, egressId: egress.egressId });
+      return egress;
+
+    } catch (error) {
+      logger.error('Error starting LiveKit egress:', error);
+      throw new Error('Failed to start recording');
+    }
+  }
+
+  // Stop a running egress
+  async stopEgress(egressId) {
+    try {
+      const info = await this.egressClient.stopEgress(egressId);
+
+      const egress = this.normalizeEgressInfo(info);
+      logger.info('Stopped LiveKit egress', { egressId, status: egress.status });
+      return egress;
+
+    } catch (error) {
+      logger.error('Error stopping LiveKit egress:', error);
+      throw new Error('Failed to stop recording');
+    }
+  }
+
+  // List egresses for a room
+  async listEgress(roomName, active = false) {
+    try {
+      const items = await this.egressClient.listEgress({ roomName, active });
+      return items.map(info => this.normalizeEgressInfo(info));
+
+    } catch (error) {
+      logger.error('Error listing LiveKit egress:', error);
+      return [];
+    }
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,103 @@
+const { v4: uuidv4 } = require('uuid');
+const { getRedisClient } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+// Knock tickets are forgotten if nobody acts on them within this window
+const TICKET_TTL = 15 * 60; // 15 minutes
+
+class LobbyService {
+  // Redis hash holding one ticket per knocking user, keyed by user id
+  getLobbyKey(roomId) {
+    return `lobby:${roomId}`;
+  }
+
+  // Store a ticket and refresh the lobby expiry
+  async saveTicket(roomId, ticket) {
+    const client = getRedisClient();
+    const key = this.getLobbyKey(roomId);
+
+    await client
+      .multi()
+      .hSet(key, ticket.userId, JSON.stringify(ticket))
+      .expire(key, TICKET_TTL)
+      .exec();
+
+    return ticket;
+  }
+
+  // Get the ticket of a user, if any
+  async getTicket(roomId, userId) {
+    const value = await getRedisClient().hGet(this.getLobbyKey(roomId), userId.toString());
+    return value ? JSON.parse(value) : null;
+  }
+
+  // Create a pending ticket for a user, reusing a pending one if present
+  async requestToJoin(roomId, user) {
+    const existing = await this.getTicket(roomId, user._id);
+    if (existing && existing.status === 'pending') {
+      return { ticket: existing, created: false };
+    }
+
+    const ticket = await this.saveTicket(roomId, {
+      ticketId: uuidv4(),
+      roomId,
+      userId: user._id.toString(),
+      username: user.username,
+      fullName: user.fullName,
+      avatar: user.avatar,
+      status: 'pending',
+      requestedAt: new Date().toISOString()
+    });
+
+    logger.info('Lobby join requested', { roomId, userId: ticket.userId, ticketId: ticket.ticketId });
+
+    return { ticket, created: true };
+  }
+
+  // List tickets waiting for a decision, oldest first
+  async listPending(roomId) {
+    const entries = await getRedisClient().hGetAll(this.getLobbyKey(roomId));
+
+    return Object.values(entries)
+      .map(value => JSON.parse(value))
+      .filter(ticket => ticket.status === 'pending')
+      .sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt));
+  }
+
+  // Admit or deny a pending ticket; returns null if it no longer exists
+  async resolveTicket(roomId, ticketId, status, resolvedBy) {
+    const entries = await getRedisClient().hGetAll(this.getLobbyKey(roomId));
+    const ticket = Object.values(entries)
+      .map(value => JSON.parse(value))
+      .find(t => t.ticketId === ticketId);
+
+    if (!ticket || ticket.status !== 'pending') {
+      return null;
+    }
+
+    ticket.status = status;
+    ticket.resolvedBy = resolvedBy.toString();
+    ticket.resolvedAt = new Date().toISOString();
+
+    await this.saveTicket(roomId, ticket);
+
+    logger.info(`Lobby join request ${status}`, { roomId, userId: ticket.userId, ticketId, resolvedBy });
+
+    return ticket;
+  }
+
+  // Remove a user's ticket once it has been used or withdrawn
+  async removeTicket(roomId, userId) {
+    await getRedisClient().hDel(this.getLobbyKey(roomId), userId.toString());
+  }
+
+  // Drop every ticket of a room
+  async clear(roomId) {
+    await getRedisClient().del(this.getLobbyKey(roomId));
+  }
+}
+
+// Create singleton instance
+const lobbyService = new LobbyService();
+
+module.exports = lobbyService;
@@ -0,0 +1,299 @@
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const { getRedisClient } = require('../config/redis');
+const { templates } = require('../utils/emailTemplates');
+const { logger } = require('../utils/logger');
+
+// Redis keys
+const QUEUE_KEY = 'mail:queue'; // list of jobs ready to send
+const RETRY_KEY = 'mail:retry'; // sorted set of jobs scored by next attempt time
+const FAILED_KEY = 'mail:failed'; // list of jobs that ran out of attempts
+const WORKERS_KEY = 'mail:workers'; // set of worker ids that may hold jobs
+const processingKey = (workerId) => `mail:processing:${workerId}`; // jobs a worker has taken but not finished
+const heartbeatKey = (workerId) => `mail:worker:${workerId}`; // expires when a worker stops responding
+
+const MAX_FAILED_JOBS = 1000;
+const BASE_RETRY_DELAY = 30 * 1000; // 30 seconds, doubled on every attempt
+const MAX_RETRY_DELAY = 60 * 60 * 1000; // 1 hour
+const POLL_TIMEOUT = 5; // seconds to block waiting for a job
+const HEARTBEAT_TTL = 60; // seconds before a silent worker's jobs are handed to others
+const HEARTBEAT_INTERVAL = 15 * 1000;
+const RECOVERY_INTERVAL = 60 * 1000;
+
+class MailService {
+  constructor() {
+    this.from = process.env.MAIL_FROM || `"Video Call App" <${process.env.SMTP_USER || 'no-reply@localhost'}>`;
+    this.maxAttempts = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+    this.transporter = this.createTransport();
+    this.workerId = uuidv4();
+    this.worker = null;
+    this.running = false;
+    this.lastRecovery = 0;
+  }
+
+  // Build the nodemailer transport; MAIL_TRANSPORT=json renders messages without sending them
+  createTransport() {
+    if (process.env.MAIL_TRANSPORT === 'json') {
+      return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      // Local SMTP sinks (e.g. Mailpit, MailHog) accept mail without credentials
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+
+  // Get the absolute client URL for a path
+  getClientUrl(path) {
+    return `${(process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '')}${path}`;
+  }
+
+  // Send a rendered message immediately; icalEvent adds a calendar invite nodemailer understands
+  async send({ to, subject, html, text, icalEvent }) {
+    const info = await this.transporter.sendMail({ from: this.from, to, subject, html, text, icalEvent });
+
+    if (process.env.MAIL_TRANSPORT === 'json') {
+      logger.debug('Email rendered (JSON transport)', { email: JSON.parse(info.message) });
+    }
+
+    logger.info('Email sent', { to, subject, messageId: info.messageId });
+    return info;
+  }
+
+  // Render a template and queue it for delivery; extra fields (e.g. icalEvent) are sent as-is
+  async enqueue(template, to, data, extra = {}) {
+    if (!templates[template]) {
+      throw new Error(`Unknown email template "${template}"`);
+    }
+
+    const job = {
+      id: uuidv4(),
+      template,
+      message: { to, ...templates[template](data), ...extra },
+      attempts: 0,
+      createdAt: new Date().toISOString()
+    };
+
+    await getRedisClient().lPush(QUEUE_KEY, JSON.stringify(job));
+    logger.debug('Email queued', { jobId: job.id, template, to });
+    return job.id;
+  }
+
+  // Start the delivery worker
+  async start() {
+    if (this.running) return;
+
+    // Blocking moves need a connection of their own
+    this.blockingClient = getRedisClient().duplicate();
+    this.blockingClient.on('error', (error) => logger.error('Mail queue Redis error:', error));
+    await this.blockingClient.connect();
+
+    await this.sendHeartbeat();
+    await getRedisClient().sAdd(WORKERS_KEY, this.workerId);
+    this.heartbeat = setInterval(() => {
+      this.sendHeartbeat().catch(error => logger.error('Mail queue heartbeat failed:', error));
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+
+    // Jobs held by workers that crashed mid-delivery go back on the queue
+    await this.recoverStaleJobs();
+
+    this.running = true;
+    this.worker = this.run();
+    logger.info('Mail queue worker started', { workerId: this.workerId });
+  }
+
+  // Stop the delivery worker
+  async stop() {
+    this.running = false;
+    clearInterval(this.heartbeat);
+    if (this.blockingClient) {
+      await this.blockingClient.disconnect();
+      this.blockingClient = null;
+    }
+    await this.worker;
+
+    // A move interrupted by the disconnect may have left a job behind
+    const client = getRedisClient();
+    await this.requeueJobs(this.workerId);
+    await client.sRem(WORKERS_KEY, this.workerId);
+    await client.del(heartbeatKey(this.workerId));
+  }
+
+  // Mark this worker as alive
+  sendHeartbeat() {
+    return getRedisClient().set(heartbeatKey(this.workerId), Date.now().toString(), { EX: HEARTBEAT_TTL });
+  }
+
+  // Worker loop: move due retries back to the queue, then deliver the next job
+  async run() {
+    while (this.running) {
+      try {
+        await this.promoteDueRetries();
+        if (Date.now() - this.lastRecovery >= RECOVERY_INTERVAL) {
+          await this.recoverStaleJobs();
+        }
+
+        // The job stays in this worker's processing list until delivery has been handled
+        const item = await this.blockingClient.blMove(QUEUE_KEY, processingKey(this.workerId), 'RIGHT', 'LEFT', POLL_TIMEOUT);
+        if (item) {
+          await this.deliver(JSON.parse(item));
+          await getRedisClient().lRem(processingKey(this.workerId), 1, item);
+        }
+      } catch (error) {
+        if (!this.running) break;
+        logger.error('Mail queue worker error:', error);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  // Put the jobs of workers whose heartbeat has expired back onto the queue
+  async recoverStaleJobs() {
+    const client = getRedisClient();
+    this.lastRecovery = Date.now();
+
+    for (const workerId of await client.sMembers(WORKERS_KEY)) {
+      if (workerId === this.workerId || await client.exists(heartbeatKey(workerId))) continue;
+
+      const count = await this.requeueJobs(workerId);
+      await client.sRem(WORKERS_KEY, workerId);
+      if (count) {
+        logger.warn('Requeued emails from a stopped mail worker', { workerId, count });
+      }
+    }
+  }
+
+  // Move every job in a worker's processing list to the front of the queue; returns how many moved
+  async requeueJobs(workerId) {
+    const client = getRedisClient();
+    let count = 0;
+
+    // Each move is atomic, so two instances recovering the same worker never duplicate a job
+    while (await client.lMove(processingKey(workerId), QUEUE_KEY, 'LEFT', 'RIGHT')) {
+      count += 1;
+    }
+    return count;
+  }
+
+  // Move retries whose delay has elapsed back onto the queue
+  async promoteDueRetries() {
+    const client = getRedisClient();
+    const due = await client.zRangeByScore(RETRY_KEY, 0, Date.now(), { LIMIT: { offset: 0, count: 50 } });
+
+    for (const item of due) {
+      // Only the instance that removes the entry requeues it
+      if (await client.zRem(RETRY_KEY, item)) {
+        await client.lPush(QUEUE_KEY, item);
+      }
+    }
+  }
+
+  // Attempt delivery of a job, scheduling a retry on failure
+  async deliver(job) {
+    job.attempts += 1;
+
+    try {
+      await this.send(job.message);
+    } catch (error) {
+      job.lastError = error.message;
+      const client = getRedisClient();
+
+      if (job.attempts >= this.maxAttempts) {
+        await client.multi()
+          .lPush(FAILED_KEY, JSON.stringify(job))
+          .lTrim(FAILED_KEY, 0, MAX_FAILED_JOBS - 1)
+          .exec();
+        logger.error('Email delivery failed permanently', {
+          jobId: job.id,
+          template: job.template,
+          to: job.message.to,
+          attempts: job.attempts,
+          error: error.message
+        });
+        return;
+      }
+
+      const delay = Math.min(BASE_RETRY_DELAY * 2 ** (job.attempts - 1), MAX_RETRY_DELAY);
+      await client.zAdd(RETRY_KEY, { score: Date.now() + delay, value: JSON.stringify(job) });
+      logger.warn('Email delivery failed, will retry', {
+        jobId: job.id,
+        template: job.template,
+        attempts: job.attempts,
+        retryInMs: delay,
+        error: error.message
+      });
+    }
+  }
+
+  // Password reset link
+  sendPasswordReset(user, token) {
+    return this.enqueue('passwordReset', user.email, {
+      name: user.firstName || user.username,
+      resetUrl: this.getClientUrl(`/reset-password?token=${encodeURIComponent(token)}`),
+      expiresInMinutes: 60
+    });
+  }
+
+  // Email verification link
+  sendEmailVerification(user, token) {
+    return this.enqueue('emailVerification', user.email, {
+      name: user.firstName || user.username,
+      verifyUrl: this.getClientUrl(`/verify-email?token=${encodeURIComponent(token)}`),
+      expiresInHours: 24
+    });
+  }
+
+  // Room invitation notice
+  sendRoomInvitation(user, room, inviter, invitation) {
+    return this.enqueue('roomInvitation', user.email, {
+      name: user.firstName || user.username,
+      inviterName: inviter.fullName || inviter.username,
+      roomName: room.name,
+      invitationsUrl: this.getClientUrl('/dashboard'),
+      expiresAt: invitation.expiresAt
+    });
+  }
+
+  // Upcoming meeting reminder
+  sendMeetingReminder(user, meeting, minutesBefore) {
+    return this.enqueue('meetingReminder', user.email, {
+      name: user.firstName || user.username,
+      title: meeting.title,
+      startsAt: meeting.startsAt,
+      timeZone: meeting.timeZone,
+      joinUrl: this.getClientUrl(`/room/${meeting.roomId}`),
+      minutesBefore
+    });
+  }
+
+  // Meeting invitation, update or cancellation with an .ics invite attached
+  sendMeetingInvitation(recipient, meeting, organizer, { method = 'REQUEST', isUpdate = false, schedule, ics }) {
+    const template = method === 'CANCEL' ? 'meetingCancelled' : 'meetingInvitation';
+
+    return this.enqueue(template, recipient.email, {
+      name: recipient.firstName || recipient.username || recipient.name || recipient.email,
+      organizerName: organizer.fullName || organizer.username,
+      title: meeting.title,
+      startsAt: meeting.startsAt,
+      timeZone: meeting.timeZone,
+      schedule,
+      joinUrl: this.getClientUrl(`/room/${meeting.roomId}`),
+      isUpdate
+    }, {
+      icalEvent: { method, filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics', content: ics }
+    });
+  }
+}
+
+// Create singleton instance
+const mailService = new MailService();
+
+module.exports = mailService;
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const mailService = require('./mail');
+const { buildCalendar } = require('../utils/ical');
+const { describeRRule } = require('../utils/recurrence');
+const { logger } = require('../utils/logger');
+
+const REMINDER_MINUTES = parseInt(process.env.MEETING_REMINDER_MINUTES) || 15;
+const FEED_HISTORY = 30 * 24 * 60 * 60 * 1000; // keep ended and cancelled meetings in feeds for 30 days
+
+// base64url HMAC used for calendar feed URLs
+const sign = (value) => crypto
+  .createHmac('sha256', process.env.CALENDAR_FEED_SECRET || process.env.JWT_SECRET)
+  .update(value)
+  .digest('base64url');
+
+class MeetingService {
+  // Public server URL, used for links calendar apps fetch directly
+  get apiUrl() {
+    return (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+  }
+
+  // Client link that opens the meeting's room
+  getJoinUrl(meeting) {
+    return mailService.getClientUrl(`/room/${meeting.roomId}`);
+  }
+
+  // Single-event calendar used for invites and downloads
+  buildInvite(meeting, method = 'REQUEST') {
+    return buildCalendar([meeting.toICalEvent(this.getJoinUrl(meeting))], { method });
+  }
+
+  // Secret calendar feed URL; bumping the user's feed version invalidates older URLs
+  getFeedUrl(user) {
+    const token = sign(`${user._id}:${user.calendarFeedVersion || 0}`);
+    return `${this.apiUrl}/api/meetings/feed/${user._id}/${token}.ics`;
+  }
+
+  // Find the user a feed URL belongs to, or null if the token is wrong or was reset
+  async findFeedUser(userId, token) {
+    const user = await User.findOne({ _id: userId, isActive: true }).select('+calendarFeedVersion');
+    if (!user) return null;
+
+    const expected = Buffer.from(sign(`${user._id}:${user.calendarFeedVersion || 0}`));
+    const actual = Buffer.from(String(token));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return user;
+  }
+
+  // Calendar with every meeting a user organizes or attends, including recent cancellations
+  async buildFeed(user) {
+    const since = new Date(Date.now() - FEED_HISTORY);
+    const meetings = await Meeting.find({
+      $and: [
+        { $or: [{ organizer: user._id }, { 'attendees.user': user._id }] },
+        { $or: [{ seriesEndsAt: null }, { seriesEndsAt: { $gt: since } }] },
+        { $or: [{ status: 'scheduled' }, { cancelledAt: { $gt: since } }] }
+      ]
+    })
+      .populate('organizer', 'username firstName lastName email')
+      .populate('attendees.user', 'username firstName lastName email');
+
+    return buildCalendar(
+      meetings.map(meeting => meeting.toICalEvent(this.getJoinUrl(meeting))),
+      { name: `${process.env.APP_NAME || 'Video Call App'} meetings` }
+    );
+  }
+
+  // People to email about a meeting: attendees other than the organizer, with an address
+  getRecipients(meeting, attendees = meeting.attendees) {
+    const organizerId = meeting.organizer._id.toString();
+
+    return attendees
+      .filter(a => !a.user || a.user._id.toString() !== organizerId)
+      .map(a => a.user || { email: a.email, name: a.name })
+      .filter(recipient => recipient.email);
+  }
+
+  // Email invites, updates or cancellations (organizer and attendees populated)
+  async sendInvitations(meeting, { method = 'REQUEST', isUpdate = false, recipients } = {}) {
+    const ics = this.buildInvite(meeting, method);
+    const schedule = meeting.recurrence ? describeRRule(meeting.recurrence) : null;
+
+    // A mail queue outage should not fail the request
+    await Promise.all((recipients || this.getRecipients(meeting)).map(recipient =>
+      mailService.sendMeetingInvitation(recipient, meeting, meeting.organizer, { method, isUpdate, schedule, ics })
+        .catch(error => logger.error('Failed to queue meeting email:', error))
+    ));
+  }
+
+  // Cancel a meeting and email a CANCEL to its attendees (organizer and attendees populated)
+  async cancel(meeting) {
+    meeting.status = 'cancelled';
+    meeting.cancelledAt = new Date();
+    meeting.sequence += 1;
+    await meeting.save();
+
+    await this.sendInvitations(meeting, { method: 'CANCEL' });
+    return meeting;
+  }
+
+  // Cancel every scheduled meeting in a room, e.g. when the room is deleted
+  async cancelForRoom(roomId) {
+    const meetings = await Meeting.find({ room: roomId, status: 'scheduled' })
+      .populate('organizer', 'username firstName lastName email')
+      .populate('attendees.user', 'username firstName lastName email');
+
+    for (const meeting of meetings) {
+      await this.cancel(meeting);
+    }
+
+    return meetings.length;
+  }
+
+  // Email reminders for occurrences starting within the reminder window; each occurrence is claimed once
+  async sendReminders() {
+    const now = new Date();
+    const until = new Date(now.getTime() + REMINDER_MINUTES * 60 * 1000);
+    const meetings = await Meeting.findActiveBefore(until, now)
+      .populate('organizer', 'username firstName lastName email')
+      .populate('attendees.user', 'username firstName lastName email');
+
+    let sent = 0;
+    for (const meeting of meetings) {
+      const occurrence = meeting.getOccurrences({ from: now, to: until, limit: 2 }).find(o => o.startsAt >= now);
+      if (!occurrence) continue;
+
+      const claimed = await Meeting.updateOne(
+        {
+          _id: meeting._id,
+          $or: [{ reminderSentFor: null }, { reminderSentFor: { $lt: occurrence.startsAt } }]
+        },
+        { $set: { reminderSentFor: occurrence.startsAt } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const minutesBefore = Math.max(1, Math.round((occurrence.startsAt - now) / 60000));
+      const recipients = [
+        meeting.organizer,
+        ...this.getRecipients(meeting, meeting.attendees.filter(a => a.status !== 'declined'))
+      ];
+
+      await Promise.all(recipients.map(recipient => mailService.sendMeetingReminder(
+        recipient,
+        { title: meeting.title, startsAt: occurrence.startsAt, timeZone: meeting.timeZone, roomId: meeting.roomId },
+        minutesBefore
+      ).catch(error => logger.error('Failed to queue meeting reminder:', error))));
+
+      sent += recipients.length;
+    }
+
+    return { sent };
+  }
+}
+
+// Create singleton instance
+const meetingService = new MeetingService();
+
+module.exports = meetingService;
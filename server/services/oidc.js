@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { setCache, getRedisClient } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+const STATE_TTL = 10 * 60; // 10 minutes to finish signing in at the provider
+const METADATA_TTL = 60 * 60 * 1000; // refetch discovery and keys hourly
+const CLOCK_TOLERANCE = 60; // seconds
+
+// Codes the client may be told about; any other failure is reported as OIDC_LOGIN_FAILED
+const CLIENT_ERROR_CODES = ['OIDC_PROVIDER_ERROR', 'OIDC_INVALID_STATE', 'OIDC_INVALID_ID_TOKEN', 'OIDC_EMAIL_NOT_VERIFIED', 'OIDC_ACCOUNT_NOT_VERIFIED'];
+
+// base64url without padding, as used by PKCE
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// Error carrying a code that is passed back to the client
+class OidcError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+  }
+}
+
+class OidcService {
+  constructor() {
+    this.discovery = null;
+    this.jwks = null;
+  }
+
+  get config() {
+    return {
+      issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET,
+      redirectUri: process.env.OIDC_REDIRECT_URI ||
+        `http://localhost:${process.env.PORT || 5000}/api/auth/oidc/callback`,
+      scopes: process.env.OIDC_SCOPES || 'openid email profile',
+      providerName: process.env.OIDC_PROVIDER_NAME || 'SSO'
+    };
+  }
+
+  // SSO is available once an issuer and client are configured
+  isEnabled() {
+    const { issuer, clientId } = this.config;
+    return !!(issuer && clientId);
+  }
+
+  // Map a sign-in failure to a code that is safe to put in the client redirect
+  clientErrorCode(error) {
+    return CLIENT_ERROR_CODES.includes(error && error.code) ? error.code : 'OIDC_LOGIN_FAILED';
+  }
+
+  // Fetch JSON from the provider
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      const detail = body?.error_description || body?.error || response.statusText;
+      throw new OidcError(`OIDC request to ${url} failed: ${detail}`, 'OIDC_PROVIDER_ERROR');
+    }
+
+    return body;
+  }
+
+  // Provider metadata from the discovery document
+  async getDiscovery() {
+    if (this.discovery && this.discovery.fetchedAt > Date.now() - METADATA_TTL) {
+      return this.discovery.metadata;
+    }
+
+    const { issuer } = this.config;
+    const metadata = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+      throw new OidcError('OIDC discovery issuer does not match OIDC_ISSUER', 'OIDC_PROVIDER_ERROR');
+    }
+
+    this.discovery = { metadata, fetchedAt: Date.now() };
+    return metadata;
+  }
+
+  // Find the provider signing key for a key id, refetching the key set once for unknown ids
+  async getSigningKey(kid) {
+    const findKey = () => this.jwks.keys.find(key => !kid || key.kid === kid);
+
+    if (!this.jwks || this.jwks.fetchedAt <= Date.now() - METADATA_TTL || !findKey()) {
+      const { jwks_uri: jwksUri } = await this.getDiscovery();
+      const { keys } = await this.fetchJson(jwksUri);
+      this.jwks = { keys, fetchedAt: Date.now() };
+    }
+
+    const jwk = findKey();
+    if (!jwk) {
+      throw new OidcError('No matching OIDC signing key', 'OIDC_INVALID_ID_TOKEN');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  // Build the provider login URL; PKCE verifier and nonce are kept server-side until the callback
+  async createAuthorizationUrl(redirectTo) {
+    const { clientId, redirectUri, scopes } = this.config;
+    const { authorization_endpoint: authorizationEndpoint } = await this.getDiscovery();
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await setCache(`oidc-state:${state}`, { nonce, codeVerifier, redirectTo }, STATE_TTL);
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return `${authorizationEndpoint}?${params.toString()}`;
+  }
+
+  // Exchange the authorization code and return the verified ID token claims
+  async handleCallback({ code, state }) {
+    // States are single use
+    const value = typeof state === 'string' && await getRedisClient().getDel(`oidc-state:${state}`);
+    if (!value) {
+      throw new OidcError('Sign-in request expired or is invalid', 'OIDC_INVALID_STATE');
+    }
+    const stored = JSON.parse(value);
+
+    const { clientId, clientSecret, redirectUri } = this.config;
+    const metadata = await this.getDiscovery();
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: stored.codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    // Confidential clients authenticate with HTTP Basic; public clients rely on PKCE alone
+    if (clientSecret) {
+      const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_id', clientId);
+    }
+
+    const tokens = await this.fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+    if (!tokens.id_token) {
+      throw new OidcError('Provider did not return an ID token', 'OIDC_INVALID_ID_TOKEN');
+    }
+
+    const claims = await this.verifyIdToken(tokens.id_token, stored.nonce);
+
+    // Some providers only put profile claims in the userinfo response
+    if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+      const userInfo = await this.fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+      });
+      if (userInfo.sub === claims.sub) {
+        Object.assign(claims, userInfo, { sub: claims.sub });
+      }
+    }
+
+    return { claims, redirectTo: stored.redirectTo };
+  }
+
+  // Verify signature, issuer, audience, expiry and nonce of an ID token
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new OidcError('Malformed ID token', 'OIDC_INVALID_ID_TOKEN');
+    }
+
+    const { issuer, clientId } = this.config;
+    const key = await this.getSigningKey(decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'ES512'],
+        issuer: [issuer, `${issuer}/`],
+        audience: clientId,
+        clockTolerance: CLOCK_TOLERANCE
+      });
+    } catch (error) {
+      logger.warn('OIDC ID token rejected', { error: error.message });
+      throw new OidcError('Invalid ID token', 'OIDC_INVALID_ID_TOKEN');
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new OidcError('ID token nonce mismatch', 'OIDC_INVALID_ID_TOKEN');
+    }
+
+    return claims;
+  }
+}
+
+// Create singleton instance
+const oidcService = new OidcService();
+
+module.exports = oidcService;
+module.exports.OidcError = OidcError;
@@ -0,0 +1,57 @@
+const { getRedisClient } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+class Scheduler {
+  constructor() {
+    this.tasks = new Map();
+    this.timers = [];
+  }
+
+  // Register a recurring task; runs at most once per interval across all instances
+  register(name, intervalMs, task) {
+    if (this.tasks.has(name)) {
+      throw new Error(`Task "${name}" is already registered`);
+    }
+    this.tasks.set(name, { intervalMs, task });
+  }
+
+  // Start every registered task; each runs once right away, so long intervals do not delay the first run
+  start() {
+    this.tasks.forEach(({ intervalMs, task }, name) => {
+      this.run(name, intervalMs, task);
+
+      const timer = setInterval(() => this.run(name, intervalMs, task), intervalMs);
+      timer.unref();
+      this.timers.push(timer);
+    });
+
+    logger.info('Scheduler started', { tasks: Array.from(this.tasks.keys()) });
+  }
+
+  // Stop every running task
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  // Run a task if this instance wins the Redis lock for the current interval
+  async run(name, intervalMs, task) {
+    try {
+      const acquired = await getRedisClient().set(`scheduler:${name}`, process.pid.toString(), {
+        NX: true,
+        PX: Math.max(intervalMs - 1000, 1000)
+      });
+      if (!acquired) return;
+
+      const result = await task();
+      logger.debug('Scheduled task completed', { name, result });
+    } catch (error) {
+      logger.error(`Scheduled task "${name}" failed:`, error);
+    }
+  }
+}
+
+// Create singleton instance
+const scheduler = new Scheduler();
+
+module.exports = scheduler;
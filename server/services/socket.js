@@ -0,0 +1,186 @@
+const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const Room = require('../models/Room');
+const { verifyAuthToken } = require('../middleware/auth');
+const { getRedisClient } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+// Events pushed to clients
+const EVENTS = {
+  ROOM_UPDATED: 'room:updated',
+  ROOM_DELETED: 'room:deleted',
+  PARTICIPANT_JOINED: 'room:participant_joined',
+  PARTICIPANT_LEFT: 'room:participant_left',
+  PARTICIPANT_MUTED: 'room:participant_muted',
+  PARTICIPANT_REMOVED: 'room:participant_removed',
+  PARTICIPANT_UPDATED: 'room:participant_updated',
+  RECORDING_UPDATED: 'recording:updated',
+  INVITATION_RECEIVED: 'invitation:received',
+  INVITATION_UPDATED: 'invitation:updated',
+  JOIN_REQUESTED: 'lobby:join_requested',
+  JOIN_REQUEST_RESOLVED: 'lobby:join_request_resolved',
+  CHAT_MESSAGE: 'chat:message'
+};
+
+// Channel names
+const userChannel = (userId) => `user:${userId}`;
+const roomChannel = (roomId) => `room:${roomId}`;
+// Chat goes out on its own channel, open only to those allowed to read the room's chat history
+const chatChannel = (roomId) => `chat:${roomId}`;
+
+class SocketGateway {
+  constructor() {
+    this.io = null;
+  }
+
+  // Attach Socket.IO to the HTTP server, sharing state across instances through Redis
+  async initialize(httpServer) {
+    this.io = new Server(httpServer, {
+      cors: {
+        origin: process.env.CLIENT_URL || 'http://localhost:3000',
+        credentials: true
+      }
+    });
+
+    try {
+      const pubClient = getRedisClient().duplicate();
+      const subClient = pubClient.duplicate();
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+      this.io.adapter(createAdapter(pubClient, subClient));
+      logger.info('Socket.IO Redis adapter attached');
+    } catch (error) {
+      logger.error('Socket.IO Redis adapter unavailable, running single-instance:', error);
+    }
+
+    // Authenticate with the same JWT used by the REST API
+    this.io.use(async (socket, next) => {
+      try {
+        const authHeader = socket.handshake.headers.authorization;
+        const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+        socket.user = await verifyAuthToken(token);
+        next();
+      } catch (error) {
+        logger.warn('Socket authentication failed', { error: error.message, ip: socket.handshake.address });
+        next(new Error('Authentication failed'));
+      }
+    });
+
+    this.io.on('connection', (socket) => this.handleConnection(socket));
+
+    return this.io;
+  }
+
+  // Wire up a newly authenticated socket
+  handleConnection(socket) {
+    const userId = socket.user._id.toString();
+    socket.join(userChannel(userId));
+
+    logger.debug('Socket connected', { socketId: socket.id, userId });
+
+    socket.on('room:subscribe', async (roomId, ack) => {
+      try {
+        const allowed = await this.canSubscribeToRoom(socket.user, roomId);
+        if (!allowed) {
+          return typeof ack === 'function' && ack({ success: false, error: 'Room access denied' });
+        }
+
+        socket.join(roomChannel(roomId));
+        return typeof ack === 'function' && ack({ success: true });
+      } catch (error) {
+        logger.error('Room subscribe error:', error);
+        return typeof ack === 'function' && ack({ success: false, error: 'Subscription failed' });
+      }
+    });
+
+    socket.on('room:unsubscribe', (roomId, ack) => {
+      socket.leave(roomChannel(roomId));
+      return typeof ack === 'function' && ack({ success: true });
+    });
+
+    socket.on('chat:subscribe', async (roomId, ack) => {
+      try {
+        const allowed = await this.canReadChat(socket.user, roomId);
+        if (!allowed) {
+          return typeof ack === 'function' && ack({ success: false, error: 'Chat access denied' });
+        }
+
+        socket.join(chatChannel(roomId));
+        return typeof ack === 'function' && ack({ success: true });
+      } catch (error) {
+        logger.error('Chat subscribe error:', error);
+        return typeof ack === 'function' && ack({ success: false, error: 'Subscription failed' });
+      }
+    });
+
+    socket.on('chat:unsubscribe', (roomId, ack) => {
+      socket.leave(chatChannel(roomId));
+      return typeof ack === 'function' && ack({ success: true });
+    });
+
+    socket.on('disconnect', (reason) => {
+      logger.debug('Socket disconnected', { socketId: socket.id, userId, reason });
+    });
+  }
+
+  // Check whether a user may listen to a room channel
+  async canSubscribeToRoom(user, roomId) {
+    const room = await Room.findOne({ roomId });
+    if (!room) return false;
+
+    if (user.role === 'admin') return true;
+    // Closed rooms and banned users get no live updates, whatever the room type
+    if (!room.isActive || room.isBanned(user._id)) return false;
+    if (room.type === 'public') return true;
+    if (room.owner.toString() === user._id.toString()) return true;
+
+    return room.participants.some(p => p.user?.toString() === user._id.toString());
+  }
+
+  // Check whether a user may receive a room's chat; the same rule as reading its history
+  async canReadChat(user, roomId) {
+    const room = await Room.findOne({ roomId });
+    if (!room) return false;
+
+    if (user.role === 'admin') return true;
+    if (room.owner.toString() === user._id.toString()) return true;
+
+    return !room.isBanned(user._id) && room.isParticipant(user._id);
+  }
+
+  // Push an event to every connection of a user
+  emitToUser(userId, event, payload) {
+    if (!this.io) return;
+    this.io.to(userChannel(userId.toString())).emit(event, payload);
+  }
+
+  // Push an event to everyone subscribed to a room
+  emitToRoom(roomId, event, payload) {
+    if (!this.io) return;
+    this.io.to(roomChannel(roomId)).emit(event, payload);
+  }
+
+  // Push an event to everyone receiving a room's chat
+  emitToChat(roomId, event, payload) {
+    if (!this.io) return;
+    this.io.to(chatChannel(roomId)).emit(event, payload);
+  }
+
+  // Start sending a room's chat to every connection of a user who joined the call
+  addToChat(roomId, userId) {
+    if (!this.io) return;
+    this.io.in(userChannel(userId.toString())).socketsJoin(chatChannel(roomId));
+  }
+
+  // Stop sending a room's chat to a user who left the call, or to everyone when the call ended
+  removeFromChat(roomId, userId) {
+    if (!this.io) return;
+    const connections = userId ? this.io.in(userChannel(userId.toString())) : this.io.in(chatChannel(roomId));
+    connections.socketsLeave(chatChannel(roomId));
+  }
+}
+
+// Create singleton instance
+const socketGateway = new SocketGateway();
+
+module.exports = socketGateway;
+module.exports.EVENTS = EVENTS;
@@ -0,0 +1,34 @@
+// Interface every storage backend implements. Keys are slash-separated paths
+// relative to the backend's root (a directory or a bucket).
+class StorageProvider {
+  constructor(driver) {
+    this.driver = driver;
+  }
+
+  // Store a buffer under a key, replacing any existing object
+  async put(key, body, options = {}) {
+    throw new Error(`${this.driver} storage does not implement put()`);
+  }
+
+  // Remove an object; missing objects are not an error
+  async delete(key) {
+    throw new Error(`${this.driver} storage does not implement delete()`);
+  }
+
+  // Get { size } for an object, or null if it does not exist
+  async stat(key) {
+    throw new Error(`${this.driver} storage does not implement stat()`);
+  }
+
+  // Get a URL that serves the object until expiresAt (a Date), optionally as a named download
+  async getSignedUrl(key, { expiresAt, filename } = {}) {
+    throw new Error(`${this.driver} storage does not implement getSignedUrl()`);
+  }
+
+  // Get { filepath, s3? } for the LiveKit EncodedFileOutput that makes egress write a file to this key
+  getEgressDestination(key) {
+    throw new Error(`${this.driver} storage does not implement getEgressDestination()`);
+  }
+}
+
+module.exports = StorageProvider;
@@ -0,0 +1,122 @@
+const { v4: uuidv4 } = require('uuid');
+const LocalStorageProvider = require('./local');
+const S3StorageProvider = require('./s3');
+const { logger } = require('../../utils/logger');
+
+const URL_TTL = parseInt(process.env.STORAGE_URL_TTL_SECONDS) || 15 * 60; // seconds a download link stays valid
+
+// Keep download names to characters every browser and Content-Disposition parser accepts
+const safeFilename = (name) => name.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'download';
+
+class StorageService {
+  constructor() {
+    this.provider = this.createProvider();
+    logger.info('File storage configured', { driver: this.provider.driver });
+  }
+
+  // Pick the backend from STORAGE_DRIVER, falling back to S3 whenever a bucket is configured
+  createProvider() {
+    const driver = process.env.STORAGE_DRIVER || (process.env.AWS_S3_BUCKET ? 's3' : 'local');
+
+    if (driver === 's3') {
+      const endpoint = process.env.AWS_S3_ENDPOINT || null;
+      return new S3StorageProvider({
+        bucket: process.env.AWS_S3_BUCKET,
+        region: process.env.AWS_REGION || 'us-east-1',
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        endpoint,
+        forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE
+          ? process.env.AWS_S3_FORCE_PATH_STYLE === 'true'
+          : !!endpoint
+      });
+    }
+
+    if (driver !== 'local') {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"; use local or s3`);
+    }
+
+    return new LocalStorageProvider({
+      root: process.env.STORAGE_LOCAL_PATH || 'storage',
+      egressRoot: process.env.STORAGE_EGRESS_PATH || null,
+      baseUrl: `${this.apiUrl}/api/files/local`,
+      secret: this.getSigningSecret()
+    });
+  }
+
+  // Key for signing local download URLs; sharing JWT_SECRET works but ties download links to token signing
+  getSigningSecret() {
+    if (process.env.STORAGE_SIGNING_SECRET) {
+      return process.env.STORAGE_SIGNING_SECRET;
+    }
+
+    if (!process.env.JWT_SECRET) {
+      throw new Error('STORAGE_SIGNING_SECRET must be set to sign local download URLs');
+    }
+
+    logger.warn('STORAGE_SIGNING_SECRET is not set; signing download URLs with JWT_SECRET. Set a dedicated secret.');
+    return process.env.JWT_SECRET;
+  }
+
+  get driver() {
+    return this.provider.driver;
+  }
+
+  // Public server URL, used for links browsers fetch directly
+  get apiUrl() {
+    return (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+  }
+
+  // Key a room recording is written to
+  recordingKey(roomId, recordingId, format = 'mp4') {
+    const prefix = process.env.RECORDING_OUTPUT_PREFIX || 'recordings';
+    return `${prefix}/${roomId}/${recordingId}.${format}`;
+  }
+
+  // Fresh key for an uploaded avatar, so caches never serve the previous image
+  avatarKey(userId, extension) {
+    return `avatars/${userId}/${uuidv4()}.${extension}`;
+  }
+
+  // Stable avatar URL stored on the user; it redirects to a signed URL for the current image
+  avatarUrl(userId) {
+    return `${this.apiUrl}/api/files/avatars/${userId}?v=${Date.now()}`;
+  }
+
+  put(key, body, options) {
+    return this.provider.put(key, body, options);
+  }
+
+  delete(key) {
+    return this.provider.delete(key);
+  }
+
+  stat(key) {
+    return this.provider.stat(key);
+  }
+
+  // Time-limited download link for a stored object
+  async getSignedUrl(key, { filename, ttl = URL_TTL } = {}) {
+    const expiresAt = new Date(Date.now() + ttl * 1000);
+    const url = await this.provider.getSignedUrl(key, {
+      expiresAt,
+      filename: filename ? safeFilename(filename) : undefined
+    });
+    return { url, expiresAt };
+  }
+
+  getEgressDestination(key) {
+    return this.provider.getEgressDestination(key);
+  }
+
+  // Check a signed local download link; null when the link is invalid or files are not stored locally
+  verifyLocalDownload(key, query) {
+    if (this.driver !== 'local') return null;
+    return this.provider.verifySignedUrl(key, query);
+  }
+}
+
+// Create singleton instance
+const storageService = new StorageService();
+
+module.exports = storageService;
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const StorageProvider = require('./base');
+
+// Stores objects as files under a directory and serves them through signed API URLs
+class LocalStorageProvider extends StorageProvider {
+  constructor({ root, egressRoot, baseUrl, secret }) {
+    super('local');
+    this.root = path.resolve(root);
+    // Where the LiveKit egress service sees the same directory, e.g. a shared volume
+    this.egressRoot = egressRoot || this.root;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.secret = secret;
+  }
+
+  // Absolute path of a key; keys may not escape the storage root
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // base64url HMAC over everything a download URL grants
+  sign(key, expires, filename) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${key}\n${expires}\n${filename || ''}`)
+      .digest('base64url');
+  }
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    return { key, size: body.length };
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.stat(this.resolve(key));
+      return stats.isFile() ? { size: stats.size } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async getSignedUrl(key, { expiresAt, filename } = {}) {
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+    const params = new URLSearchParams({ expires: String(expires) });
+    if (filename) params.set('filename', filename);
+    params.set('signature', this.sign(key, expires, filename));
+
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}/${encodedKey}?${params}`;
+  }
+
+  // Check a signed download request; returns the file to send, or null if the link is forged or expired
+  verifySignedUrl(key, { expires, filename, signature }) {
+    const expiresAt = parseInt(expires, 10);
+    if (!expiresAt || expiresAt * 1000 < Date.now() || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt, filename));
+    const actual = Buffer.from(String(signature));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return { path: this.resolve(key), filename: filename || null, expiresAt: new Date(expiresAt * 1000) };
+  }
+
+  getEgressDestination(key) {
+    return { filepath: path.posix.join(this.egressRoot, key) };
+  }
+}
+
+module.exports = LocalStorageProvider;
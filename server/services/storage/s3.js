@@ -0,0 +1,77 @@
+const AWS = require('aws-sdk');
+const StorageProvider = require('./base');
+
+// Stores objects in an S3 bucket; any S3-compatible server (MinIO, LocalStack, Ceph) works through `endpoint`
+class S3StorageProvider extends StorageProvider {
+  constructor({ bucket, region, accessKeyId, secretAccessKey, endpoint, forcePathStyle }) {
+    super('s3');
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.endpoint = endpoint || null;
+    // Self-hosted servers rarely have per-bucket DNS, so they need path-style URLs
+    this.forcePathStyle = forcePathStyle;
+
+    this.client = new AWS.S3({
+      region,
+      accessKeyId,
+      secretAccessKey,
+      signatureVersion: 'v4',
+      s3ForcePathStyle: forcePathStyle,
+      ...(this.endpoint && { endpoint: this.endpoint })
+    });
+  }
+
+  async put(key, body, { contentType } = {}) {
+    await this.client.putObject({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ...(contentType && { ContentType: contentType })
+    }).promise();
+    return { key, size: body.length };
+  }
+
+  async delete(key) {
+    await this.client.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+
+  async stat(key) {
+    try {
+      const head = await this.client.headObject({ Bucket: this.bucket, Key: key }).promise();
+      return { size: head.ContentLength };
+    } catch (error) {
+      if (error.code === 'NotFound' || error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async getSignedUrl(key, { expiresAt, filename } = {}) {
+    return this.client.getSignedUrlPromise('getObject', {
+      Bucket: this.bucket,
+      Key: key,
+      Expires: Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000)),
+      ...(filename && { ResponseContentDisposition: `attachment; filename="${filename}"` })
+    });
+  }
+
+  // Egress uploads the finished file itself, so it gets the same bucket and credentials
+  getEgressDestination(key) {
+    return {
+      filepath: key,
+      s3: {
+        accessKey: this.accessKeyId,
+        secret: this.secretAccessKey,
+        region: this.region,
+        bucket: this.bucket,
+        ...(this.endpoint && {
+          endpoint: this.endpoint,
+          forcePathStyle: this.forcePathStyle
+        })
+      }
+    };
+  }
+}
+
+module.exports = S3StorageProvider;
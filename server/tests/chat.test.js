@@ -0,0 +1,151 @@
+const { EventEmitter } = require('events');
+const { FakeRedisClient } = require('./helpers/fakeRedis');
+const { startApp, queryResult } = require('./helpers/app');
+const { buildUser, stubUsers, bearer } = require('./helpers/auth');
+
+let mockRedis;
+jest.mock('../config/redis', () => ({
+  getRedisClient: () => mockRedis,
+  setCache: (key, value, ttl) => mockRedis.setEx(key, ttl, JSON.stringify(value)),
+  getCache: async (key) => JSON.parse(await mockRedis.get(key)),
+  deleteCache: (key) => mockRedis.del(key)
+}));
+
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const socketGateway = require('../services/socket');
+const roomRoutes = require('../routes/rooms');
+
+// Records which channels events went to and which connections were moved between channels
+const createFakeIo = () => {
+  const io = { emitted: [], joined: [], left: [] };
+  io.to = (channel) => ({ emit: (event, payload) => io.emitted.push({ channel, event, payload }) });
+  io.in = (connections) => ({
+    socketsJoin: (channel) => io.joined.push({ connections, channel }),
+    socketsLeave: (channel) => io.left.push({ connections, channel })
+  });
+  return io;
+};
+
+// Minimal socket: handlers registered by the gateway plus the channels it was put in
+const createFakeSocket = (user) => {
+  const socket = new EventEmitter();
+  socket.id = `socket-${user._id}`;
+  socket.user = user;
+  socket.channels = new Set();
+  socket.join = (channel) => socket.channels.add(channel);
+  socket.leave = (channel) => socket.channels.delete(channel);
+  socket.request = (event, ...args) => new Promise(resolve => socket.emit(event, ...args, resolve));
+  return socket;
+};
+
+describe('room chat delivery', () => {
+  let owner;
+  let member;
+  let formerMember;
+  let bannedMember;
+  let outsider;
+  let siteAdmin;
+  let room;
+
+  beforeEach(() => {
+    mockRedis = new FakeRedisClient();
+    [owner, member, formerMember, bannedMember, outsider] = [1, 2, 3, 4, 5].map(() => buildUser());
+    siteAdmin = buildUser({ role: 'admin' });
+    stubUsers(owner, member, formerMember, bannedMember, outsider, siteAdmin);
+
+    room = new Room({ name: 'Town hall', roomId: 'ROOM1', type: 'public', owner: owner._id });
+    room.participants.push(
+      { user: member._id, role: 'participant' },
+      { user: formerMember._id, role: 'participant', isActive: false },
+      { user: bannedMember._id, role: 'participant', isActive: false }
+    );
+    room.bannedUsers.push({ user: bannedMember._id, bannedBy: owner._id });
+
+    jest.spyOn(Room, 'findOne').mockImplementation(() => queryResult(room));
+    jest.spyOn(Room.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    socketGateway.io = createFakeIo();
+  });
+
+  afterEach(() => {
+    socketGateway.io = null;
+    jest.restoreAllMocks();
+  });
+
+  describe('chat:subscribe', () => {
+    const subscribe = async (user) => {
+      const socket = createFakeSocket(user);
+      socketGateway.handleConnection(socket);
+      const ack = await socket.request('chat:subscribe', 'ROOM1');
+      return { ack, inChat: socket.channels.has('chat:ROOM1') };
+    };
+
+    test('admits the owner, site admins and active participants', async () => {
+      for (const user of [owner, siteAdmin, member]) {
+        await expect(subscribe(user)).resolves.toEqual({ ack: { success: true }, inChat: true });
+      }
+    });
+
+    test('refuses outsiders of a public room, former participants and banned users', async () => {
+      for (const user of [outsider, formerMember, bannedMember]) {
+        await expect(subscribe(user)).resolves.toEqual({
+          ack: { success: false, error: 'Chat access denied' },
+          inChat: false
+        });
+      }
+    });
+
+    test('outsiders can still follow the public room channel without receiving chat', async () => {
+      const socket = createFakeSocket(outsider);
+      socketGateway.handleConnection(socket);
+
+      await expect(socket.request('room:subscribe', 'ROOM1')).resolves.toEqual({ success: true });
+      expect([...socket.channels]).toEqual([`user:${outsider._id}`, 'room:ROOM1']);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    const request = async (method, path, user, body) => {
+      const response = await fetch(`${app.url}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: bearer(user) },
+        body: body && JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    beforeAll(async () => {
+      app = await startApp({ '/api/rooms': roomRoutes });
+    });
+
+    afterAll(() => app.close());
+
+    test('new messages go to the chat channel, not the room channel', async () => {
+      jest.spyOn(Message, 'create').mockImplementation(async (fields) => {
+        const message = new Message(fields);
+        message.populate = () => Promise.resolve(message);
+        return message;
+      });
+
+      const { status } = await request('POST', '/api/rooms/ROOM1/messages', member, { content: 'Hello' });
+
+      expect(status).toBe(201);
+      expect(socketGateway.io.emitted).toEqual([expect.objectContaining({
+        channel: 'chat:ROOM1',
+        event: socketGateway.EVENTS.CHAT_MESSAGE,
+        payload: expect.objectContaining({ content: 'Hello' })
+      })]);
+    });
+
+    test('leaving the room stops chat delivery to all of the user\'s connections', async () => {
+      const { status } = await request('POST', '/api/rooms/ROOM1/leave', member);
+
+      expect(status).toBe(200);
+      expect(socketGateway.io.left).toEqual([{ connections: `user:${member._id}`, channel: 'chat:ROOM1' }]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { FakeRedisClient } = require('./helpers/fakeRedis');
+const { startApp, queryResult } = require('./helpers/app');
+
+let mockRedis;
+jest.mock('../config/redis', () => ({
+  getRedisClient: () => mockRedis,
+  deleteCache: (key) => mockRedis.del(key)
+}));
+
+const Room = require('../models/Room');
+const socketGateway = require('../services/socket');
+const guestRoutes = require('../routes/guest');
+
+describe('POST /api/guest/:token/join', () => {
+  let app;
+  let storedRoom;
+
+  const join = async (token, displayName = 'Visitor') => {
+    const response = await fetch(`${app.url}/api/guest/${token}/join`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ displayName })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const createLink = async (options = {}) => {
+    const { link, token } = await storedRoom.createGuestLink({
+      role: 'participant',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...options
+    }, storedRoom.owner);
+    return { link, token };
+  };
+
+  beforeAll(async () => {
+    app = await startApp({ '/api/guest': guestRoutes });
+  });
+
+  afterAll(() => app.close());
+
+  beforeEach(() => {
+    mockRedis = new FakeRedisClient();
+    storedRoom = new Room({ name: 'Open house', roomId: 'ROOM1', owner: new mongoose.Types.ObjectId() });
+
+    // Every lookup gets its own copy, like separate queries; only updateOne changes the stored room
+    jest.spyOn(Room, 'findOne').mockImplementation(() => queryResult(Room.hydrate(storedRoom.toObject())));
+    jest.spyOn(Room.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Room, 'updateOne').mockImplementation(async (filter, update) => {
+      const match = filter.guestLinks.$elemMatch;
+      const link = storedRoom.guestLinks.id(match._id);
+      const claimable = link && !link.revokedAt && link.expiresAt > match.expiresAt.$gt &&
+        (!match.uses || link.uses < match.uses.$lt);
+      if (claimable) link.uses += update.$inc['guestLinks.$.uses'];
+      return { modifiedCount: claimable ? 1 : 0 };
+    });
+    jest.spyOn(socketGateway, 'emitToRoom').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a single-use link admits one guest and is exhausted afterwards', async () => {
+    const { link, token } = await createLink({ maxUses: 1, role: 'viewer' });
+
+    const first = await join(token, 'Grace');
+    expect(first.status).toBe(200);
+    expect(first.body.data.guest).toMatchObject({ displayName: 'Grace', role: 'viewer' });
+    expect(first.body.data.guest.id).toMatch(/^guest-/);
+    expect(first.body.data.token).toEqual(expect.any(String));
+    expect(link.uses).toBe(1);
+
+    const second = await join(token, 'Mallory');
+    expect(second.status).toBe(410);
+    expect(second.body.error.code).toBe('GUEST_LINK_EXHAUSTED');
+    expect(link.uses).toBe(1);
+  });
+
+  test('concurrent redemptions of a single-use link admit exactly one guest', async () => {
+    const { link, token } = await createLink({ maxUses: 1 });
+
+    const results = await Promise.all([join(token, 'Grace'), join(token, 'Mallory')]);
+
+    expect(results.map(r => r.status).sort()).toEqual([200, 410]);
+    expect(results.find(r => r.status === 410).body.error.code).toBe('GUEST_LINK_EXHAUSTED');
+    expect(link.uses).toBe(1);
+  });
+
+  test('links without a use limit can be redeemed repeatedly', async () => {
+    const { link, token } = await createLink();
+
+    expect((await join(token)).status).toBe(200);
+    expect((await join(token)).status).toBe(200);
+    expect(link.uses).toBe(2);
+  });
+
+  test('revoked, expired and unknown links are refused', async () => {
+    const revoked = await createLink();
+    revoked.link.revokedAt = new Date();
+    const expired = await createLink({ expiresAt: new Date(Date.now() - 1000) });
+
+    const results = await Promise.all([join(revoked.token), join(expired.token), join('not-a-real-token')]);
+
+    expect(results.map(r => [r.status, r.body.error.code])).toEqual([
+      [410, 'GUEST_LINK_REVOKED'],
+      [410, 'GUEST_LINK_EXPIRED'],
+      [404, 'GUEST_LINK_NOT_FOUND']
+    ]);
+    expect(revoked.link.uses).toBe(0);
+  });
+});
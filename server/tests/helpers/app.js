@@ -0,0 +1,32 @@
+const express = require('express');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+// Serve routers on a random local port the way server/index.js mounts them
+const startApp = async (mounts) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(mounts).forEach(([path, router]) => app.use(path, router));
+  app.use(errorHandler);
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+// Stand-in for a Mongoose query that resolves to `value`; chained modifiers are ignored
+const queryResult = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    exec: () => Promise.resolve(value)
+  };
+  ['populate', 'select', 'sort', 'skip', 'limit', 'lean'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+module.exports = { startApp, queryResult };
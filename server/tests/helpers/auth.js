@@ -0,0 +1,27 @@
+const User = require('../../models/User');
+const { queryResult } = require('./app');
+
+let userCount = 0;
+
+// In-memory user document; nothing is written to the database
+const buildUser = (fields = {}) => {
+  userCount += 1;
+  return new User({
+    username: `user${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: 'password123',
+    firstName: 'Test',
+    lastName: `User${userCount}`,
+    ...fields
+  });
+};
+
+// Let authenticateToken (and any other User.findById lookup) resolve the given users
+const stubUsers = (...users) => jest.spyOn(User, 'findById').mockImplementation(id =>
+  queryResult(users.find(user => user._id.toString() === id.toString()) || null)
+);
+
+// Authorization header carrying an access token for the user
+const bearer = (user, sessionId = 'test-session') => `Bearer ${user.generateAuthToken(sessionId)}`;
+
+module.exports = { buildUser, stubUsers, bearer };
@@ -0,0 +1,221 @@
+// In-memory stand-in for the subset of the node-redis v4 client the services use.
+// Clients made with duplicate() share the same data, like connections to one server.
+const createStore = () => ({ strings: new Map(), lists: new Map(), sets: new Map(), zsets: new Map(), hashes: new Map() });
+const TYPES = ['strings', 'lists', 'sets', 'zsets', 'hashes'];
+
+class FakeRedisClient {
+  constructor(store = createStore()) {
+    this.store = store;
+    this.waiters = [];
+    this.connected = true;
+  }
+
+  on() {
+    return this;
+  }
+
+  duplicate() {
+    const client = new FakeRedisClient(this.store);
+    client.connected = false;
+    return client;
+  }
+
+  async connect() {
+    this.connected = true;
+  }
+
+  // Pending blocking calls fail the way they do when the socket closes
+  async disconnect() {
+    this.connected = false;
+    this.waiters.splice(0).forEach(waiter => waiter.reject(new Error('The client is closed')));
+  }
+
+  list(key) {
+    if (!this.store.lists.has(key)) this.store.lists.set(key, []);
+    return this.store.lists.get(key);
+  }
+
+  members(key) {
+    if (!this.store.sets.has(key)) this.store.sets.set(key, new Set());
+    return this.store.sets.get(key);
+  }
+
+  zset(key) {
+    if (!this.store.zsets.has(key)) this.store.zsets.set(key, new Map());
+    return this.store.zsets.get(key);
+  }
+
+  hash(key) {
+    if (!this.store.hashes.has(key)) this.store.hashes.set(key, new Map());
+    return this.store.hashes.get(key);
+  }
+
+  // Supports the NX option; expiry options are accepted but keys never expire
+  async set(key, value, { NX } = {}) {
+    if (NX && this.store.strings.has(key)) return null;
+    this.store.strings.set(key, String(value));
+    return 'OK';
+  }
+
+  async setEx(key, ttl, value) {
+    return this.set(key, value);
+  }
+
+  async get(key) {
+    return this.store.strings.has(key) ? this.store.strings.get(key) : null;
+  }
+
+  async getDel(key) {
+    const value = await this.get(key);
+    this.store.strings.delete(key);
+    return value;
+  }
+
+  // Keys never expire
+  async expire() {
+    return 1;
+  }
+
+  async exists(key) {
+    return TYPES.some(type => this.store[type].has(key)) ? 1 : 0;
+  }
+
+  async del(key) {
+    const existed = await this.exists(key);
+    TYPES.forEach(type => this.store[type].delete(key));
+    return existed;
+  }
+
+  async lPush(key, value) {
+    return this.list(key).unshift(value);
+  }
+
+  async lRange(key, start, stop) {
+    const items = this.list(key);
+    return items.slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  async lLen(key) {
+    return this.list(key).length;
+  }
+
+  async lTrim(key, start, stop) {
+    this.store.lists.set(key, this.list(key).slice(start, stop === -1 ? undefined : stop + 1));
+    return 'OK';
+  }
+
+  async lRem(key, count, value) {
+    const items = this.list(key);
+    const index = items.indexOf(value);
+    if (index === -1) return 0;
+    items.splice(index, 1);
+    return 1;
+  }
+
+  async lMove(source, destination, from, to) {
+    const items = this.list(source);
+    if (!items.length) return null;
+    const value = from === 'LEFT' ? items.shift() : items.pop();
+    if (to === 'LEFT') this.list(destination).unshift(value);
+    else this.list(destination).push(value);
+    return value;
+  }
+
+  // Poll instead of blocking; resolves null after `timeout` seconds like the real command
+  async blMove(source, destination, from, to, timeout) {
+    if (!this.connected) throw new Error('The client is closed');
+    const deadline = Date.now() + timeout * 1000;
+    return new Promise((resolve, reject) => {
+      const waiter = { reject };
+      this.waiters.push(waiter);
+
+      const poll = async () => {
+        if (!this.waiters.includes(waiter)) return;
+        const value = await this.lMove(source, destination, from, to);
+        if (value !== null || Date.now() >= deadline) {
+          this.waiters.splice(this.waiters.indexOf(waiter), 1);
+          resolve(value);
+          return;
+        }
+        setTimeout(poll, 10);
+      };
+      poll();
+    });
+  }
+
+  async sAdd(key, value) {
+    const set = this.members(key);
+    const added = set.has(value) ? 0 : 1;
+    set.add(value);
+    return added;
+  }
+
+  async sRem(key, value) {
+    return this.members(key).delete(value) ? 1 : 0;
+  }
+
+  async sMembers(key) {
+    return [...this.members(key)];
+  }
+
+  async zAdd(key, { score, value }) {
+    this.zset(key).set(value, score);
+    return 1;
+  }
+
+  async zRem(key, value) {
+    return this.zset(key).delete(value) ? 1 : 0;
+  }
+
+  async zRangeByScore(key, min, max, { LIMIT } = {}) {
+    const items = [...this.zset(key).entries()]
+      .filter(([, score]) => score >= min && score <= max)
+      .sort((a, b) => a[1] - b[1])
+      .map(([value]) => value);
+    return LIMIT ? items.slice(LIMIT.offset, LIMIT.offset + LIMIT.count) : items;
+  }
+
+  async hSet(key, field, value) {
+    const hash = this.hash(key);
+    const added = hash.has(field) ? 0 : 1;
+    hash.set(field, String(value));
+    return added;
+  }
+
+  async hGet(key, field) {
+    const hash = this.hash(key);
+    return hash.has(field) ? hash.get(field) : null;
+  }
+
+  async hGetAll(key) {
+    return Object.fromEntries(this.hash(key));
+  }
+
+  async hDel(key, field) {
+    return this.hash(key).delete(field) ? 1 : 0;
+  }
+
+  multi() {
+    const commands = [];
+    const chain = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async () => {
+            const results = [];
+            for (const [command, args] of commands) {
+              results.push(await this[command](...args));
+            }
+            return results;
+          };
+        }
+        return (...args) => {
+          commands.push([name, args]);
+          return chain;
+        };
+      }
+    });
+    return chain;
+  }
+}
+
+module.exports = { FakeRedisClient };
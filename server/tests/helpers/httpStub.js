@@ -0,0 +1,51 @@
+const http = require('http');
+
+// Start an HTTP server on a random local port that answers every request with `handler`.
+// Each request is recorded with its parsed body so tests can assert what was sent.
+const startStub = async (handler) => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      const raw = Buffer.concat(chunks);
+      const request = {
+        method: req.method,
+        url: req.url,
+        path: req.url.split('?')[0],
+        headers: req.headers,
+        raw,
+        body: null
+      };
+      if ((req.headers['content-type'] || '').includes('json') && raw.length) {
+        request.body = JSON.parse(raw.toString());
+      }
+      requests.push(request);
+
+      try {
+        await handler(request, res);
+      } catch (error) {
+        res.statusCode = 500;
+        res.end(error.message);
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+// Reply with a JSON body
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+module.exports = { startStub, sendJson };
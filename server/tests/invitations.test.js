@@ -0,0 +1,138 @@
+const { FakeRedisClient } = require('./helpers/fakeRedis');
+const { startApp, queryResult } = require('./helpers/app');
+const { buildUser, stubUsers, bearer } = require('./helpers/auth');
+
+let mockRedis;
+jest.mock('../config/redis', () => ({
+  getRedisClient: () => mockRedis,
+  setCache: (key, value, ttl) => mockRedis.setEx(key, ttl, JSON.stringify(value)),
+  getCache: async (key) => JSON.parse(await mockRedis.get(key)),
+  deleteCache: (key) => mockRedis.del(key)
+}));
+
+const Room = require('../models/Room');
+const socketGateway = require('../services/socket');
+const invitationRoutes = require('../routes/invitations');
+const roomRoutes = require('../routes/rooms');
+
+describe('invitations', () => {
+  let app;
+  let owner;
+  let invitee;
+  let moderator;
+  let member;
+  let room;
+  let invitation;
+  let emitToUser;
+
+  const request = async (method, path, user, body) => {
+    const response = await fetch(`${app.url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: bearer(user) },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    app = await startApp({ '/api/invitations': invitationRoutes, '/api/rooms': roomRoutes });
+  });
+
+  afterAll(() => app.close());
+
+  beforeEach(() => {
+    mockRedis = new FakeRedisClient();
+    owner = buildUser();
+    invitee = buildUser();
+    moderator = buildUser();
+    member = buildUser();
+    stubUsers(owner, invitee, moderator, member);
+
+    room = new Room({ name: 'Planning', roomId: 'ROOM1', type: 'private', owner: owner._id });
+    room.participants.push(
+      { user: moderator._id, role: 'moderator' },
+      { user: member._id, role: 'participant' }
+    );
+    room.invitedUsers.push({
+      user: invitee._id,
+      invitedBy: owner._id,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    invitation = room.invitedUsers[0];
+
+    // Only match the room when the query asks for one of its invitations addressed to the user
+    jest.spyOn(Room, 'findOne').mockImplementation((filter) => {
+      const match = filter.invitedUsers?.$elemMatch;
+      if (match) {
+        const found = room.invitedUsers.some(i =>
+          i._id.toString() === match._id.toString() && i.user.toString() === match.user.toString()
+        );
+        return queryResult(found ? room : null);
+      }
+      return queryResult(filter.roomId === room.roomId ? room : null);
+    });
+    jest.spyOn(Room.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    emitToUser = jest.spyOn(socketGateway, 'emitToUser').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('the invitee accepts a pending invitation and the inviter is told', async () => {
+    const { status, body } = await request('POST', `/api/invitations/${invitation._id}/accept`, invitee);
+
+    expect(status).toBe(200);
+    expect(body.data.invitation.status).toBe('accepted');
+    expect(room.hasAcceptedInvitation(invitee._id)).toBe(true);
+    expect(emitToUser).toHaveBeenCalledWith(
+      owner._id,
+      socketGateway.EVENTS.INVITATION_UPDATED,
+      expect.objectContaining({ roomId: 'ROOM1', status: 'accepted' })
+    );
+  });
+
+  test('the invitee declines a pending invitation', async () => {
+    const { status, body } = await request('POST', `/api/invitations/${invitation._id}/decline`, invitee);
+
+    expect(status).toBe(200);
+    expect(body.data.invitation.status).toBe('declined');
+    expect(room.hasAcceptedInvitation(invitee._id)).toBe(false);
+  });
+
+  test('an invitation can only be answered once', async () => {
+    await request('POST', `/api/invitations/${invitation._id}/decline`, invitee);
+    const { status, body } = await request('POST', `/api/invitations/${invitation._id}/accept`, invitee);
+
+    expect(status).toBe(400);
+    expect(body.error.code).toBe('INVITATION_NOT_PENDING');
+    expect(invitation.status).toBe('declined');
+  });
+
+  test('an expired invitation cannot be accepted', async () => {
+    invitation.expiresAt = new Date(Date.now() - 1000);
+
+    const { status, body } = await request('POST', `/api/invitations/${invitation._id}/accept`, invitee);
+
+    expect(status).toBe(400);
+    expect(body.error.code).toBe('INVITATION_NOT_PENDING');
+    expect(invitation.status).toBe('pending');
+  });
+
+  test('another user cannot answer someone else\'s invitation', async () => {
+    const { status } = await request('POST', `/api/invitations/${invitation._id}/accept`, member);
+
+    expect(status).toBe(404);
+    expect(invitation.status).toBe('pending');
+  });
+
+  test('moderators can list a room\'s invitations but ordinary participants cannot', async () => {
+    const allowed = await request('GET', '/api/rooms/ROOM1/invitations', moderator);
+    const denied = await request('GET', '/api/rooms/ROOM1/invitations', member);
+
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.data.invitations).toHaveLength(1);
+    expect(denied.status).toBe(403);
+    expect(denied.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+});
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { startStub, sendJson } = require('./helpers/httpStub');
+
+const API_KEY = 'test-key';
+const API_SECRET = 'test-secret-that-is-long-enough-for-hs256';
+
+describe('LiveKit service', () => {
+  let stub;
+  let reply;
+  let storageRoot;
+  let livekitService;
+  let storageService;
+
+  beforeAll(async () => {
+    stub = await startStub((req, res) => reply(req, res));
+    storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'egress-test-'));
+
+    process.env.LIVEKIT_API_KEY = API_KEY;
+    process.env.LIVEKIT_API_SECRET = API_SECRET;
+    process.env.LIVEKIT_URL = 'ws://livekit.invalid';
+    process.env.LIVEKIT_API_URL = stub.url;
+    process.env.STORAGE_DRIVER = 'local';
+    process.env.STORAGE_LOCAL_PATH = storageRoot;
+    process.env.STORAGE_EGRESS_PATH = '/out';
+    process.env.STORAGE_SIGNING_SECRET = 'storage-secret';
+
+    livekitService = require('../services/livekit');
+    storageService = require('../services/storage');
+  });
+
+  afterAll(async () => {
+    await stub.close();
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+  });
+
+  test('mutes only the unmuted tracks of the requested source', async () => {
+    reply = (req, res) => {
+      if (req.path.endsWith('/GetParticipant')) {
+        return sendJson(res, 200, {
+          identity: 'user-1',
+          tracks: [
+            { sid: 'TR_mic', type: 'AUDIO', source: 'MICROPHONE', muted: false },
+            { sid: 'TR_cam', type: 'VIDEO', source: 'CAMERA', muted: false },
+            { sid: 'TR_mic_old', type: 'AUDIO', source: 'MICROPHONE', muted: true }
+          ]
+        });
+      }
+      return sendJson(res, 200, { track: { sid: req.body.trackSid, muted: true } });
+    };
+
+    const muted = await livekitService.muteParticipantTracks('room-1', 'user-1', 'microphone');
+
+    expect(muted).toEqual(['TR_mic']);
+    expect(stub.requests.map(request => request.path)).toEqual([
+      '/twirp/livekit.RoomService/GetParticipant',
+      '/twirp/livekit.RoomService/MutePublishedTrack'
+    ]);
+    expect(stub.requests[1].body).toEqual({ room: 'room-1', identity: 'user-1', trackSid: 'TR_mic', muted: true });
+  });
+
+  test('starts a room composite egress that writes to the storage key', async () => {
+    reply = (req, res) => sendJson(res, 200, {
+      egress_id: 'EG_start',
+      room_name: 'room-1',
+      status: 'EGRESS_STARTING',
+      started_at: '1700000000000000000'
+    });
+
+    const egress = await livekitService.startRoomCompositeEgress('room-1', 'recordings/room-1/rec-1.mp4', {
+      layout: 'speaker',
+      audioOnly: true
+    });
+
+    expect(egress).toMatchObject({
+      egressId: 'EG_start',
+      roomName: 'room-1',
+      status: 'starting',
+      error: null,
+      startedAt: new Date(1700000000000),
+      endedAt: null
+    });
+
+    expect(stub.requests).toHaveLength(1);
+    const [request] = stub.requests;
+    expect(request.method).toBe('POST');
+    expect(request.path).toBe('/twirp/livekit.Egress/StartRoomCompositeEgress');
+    expect(request.body).toMatchObject({
+      roomName: 'room-1',
+      layout: 'speaker',
+      audioOnly: true,
+      fileOutputs: [{
+        fileType: 'MP4',
+        filepath: '/out/recordings/room-1/rec-1.mp4'
+      }]
+    });
+    expect(request.body.fileOutputs[0].s3).toBeUndefined();
+
+    const token = request.headers.authorization.replace(/^Bearer /, '');
+    const claims = jwt.verify(token, API_SECRET);
+    expect(claims.iss).toBe(API_KEY);
+    expect(claims.video).toMatchObject({ roomRecord: true });
+  });
+
+  test('sends S3 credentials when recordings are stored in a bucket', async () => {
+    const S3StorageProvider = require('../services/storage/s3');
+    const localProvider = storageService.provider;
+    storageService.provider = new S3StorageProvider({
+      bucket: 'recordings',
+      region: 'eu-west-1',
+      accessKeyId: 'AKIATEST',
+      secretAccessKey: 's3-secret',
+      endpoint: 'http://minio:9000',
+      forcePathStyle: true
+    });
+    reply = (req, res) => sendJson(res, 200, { egress_id: 'EG_s3', status: 'EGRESS_STARTING' });
+
+    try {
+      await livekitService.startRoomCompositeEgress('room-1', 'recordings/room-1/rec-2.mp4');
+    } finally {
+      storageService.provider = localProvider;
+    }
+
+    expect(stub.requests[0].body.fileOutputs[0]).toMatchObject({
+      fileType: 'MP4',
+      filepath: 'recordings/room-1/rec-2.mp4',
+      s3: {
+        accessKey: 'AKIATEST',
+        secret: 's3-secret',
+        region: 'eu-west-1',
+        bucket: 'recordings',
+        endpoint: 'http://minio:9000',
+        forcePathStyle: true
+      }
+    });
+  });
+
+  test('normalizes the file result of a stopped egress', async () => {
+    reply = (req, res) => sendJson(res, 200, {
+      egress_id: 'EG_stop',
+      room_name: 'room-1',
+      status: 'EGRESS_COMPLETE',
+      started_at: '1700000000000000000',
+      ended_at: '1700000065000000000',
+      file_results: [{
+        filename: '/out/recordings/room-1/rec-1.mp4',
+        location: '/out/recordings/room-1/rec-1.mp4',
+        size: '2048',
+        duration: '65000000000'
+      }]
+    });
+
+    const egress = await livekitService.stopEgress('EG_stop');
+
+    expect(stub.requests[0].path).toBe('/twirp/livekit.Egress/StopEgress');
+    expect(stub.requests[0].body).toEqual({ egressId: 'EG_stop' });
+    expect(egress).toMatchObject({
+      egressId: 'EG_stop',
+      status: 'complete',
+      endedAt: new Date(1700000065000),
+      file: {
+        filename: '/out/recordings/room-1/rec-1.mp4',
+        location: '/out/recordings/room-1/rec-1.mp4',
+        size: 2048,
+        duration: 65
+      }
+    });
+  });
+
+  test('lists the active egresses of a room', async () => {
+    reply = (req, res) => sendJson(res, 200, {
+      items: [
+        { egress_id: 'EG_a', room_name: 'room-1', status: 'EGRESS_ACTIVE' },
+        { egress_id: 'EG_b', room_name: 'room-1', status: 'EGRESS_ENDING' }
+      ]
+    });
+
+    const items = await livekitService.listEgress('room-1', true);
+
+    expect(stub.requests[0].body).toEqual({ roomName: 'room-1', active: true });
+    expect(items.map(item => [item.egressId, item.status])).toEqual([
+      ['EG_a', 'active'],
+      ['EG_b', 'ending']
+    ]);
+  });
+
+  test('surfaces egress server errors', async () => {
+    reply = (req, res) => sendJson(res, 500, { code: 'internal', msg: 'no egress workers available' });
+
+    await expect(
+      livekitService.startRoomCompositeEgress('room-1', 'recordings/room-1/rec-3.mp4')
+    ).rejects.toThrow('Failed to start recording');
+    await expect(livekitService.stopEgress('EG_missing')).rejects.toThrow('Failed to stop recording');
+    await expect(livekitService.listEgress('room-1')).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,148 @@
+const { FakeRedisClient } = require('./helpers/fakeRedis');
+const { startApp, queryResult } = require('./helpers/app');
+const { buildUser, stubUsers, bearer } = require('./helpers/auth');
+
+let mockRedis;
+jest.mock('../config/redis', () => ({
+  getRedisClient: () => mockRedis,
+  setCache: (key, value, ttl) => mockRedis.setEx(key, ttl, JSON.stringify(value)),
+  getCache: async (key) => JSON.parse(await mockRedis.get(key)),
+  deleteCache: (key) => mockRedis.del(key)
+}));
+
+const Room = require('../models/Room');
+const socketGateway = require('../services/socket');
+const roomRoutes = require('../routes/rooms');
+
+describe('room lobby', () => {
+  let app;
+  let owner;
+  let moderator;
+  let member;
+  let knocker;
+  let room;
+  let emitToUser;
+
+  const request = async (method, path, user, body) => {
+    const response = await fetch(`${app.url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: bearer(user) },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const knock = async () => {
+    const { status, body } = await request('POST', '/api/rooms/ROOM1/join', knocker, {});
+    expect(status).toBe(202);
+    return body.data.ticket;
+  };
+
+  beforeAll(async () => {
+    app = await startApp({ '/api/rooms': roomRoutes });
+  });
+
+  afterAll(() => app.close());
+
+  beforeEach(() => {
+    mockRedis = new FakeRedisClient();
+    owner = buildUser({ isVerified: true });
+    moderator = buildUser({ isVerified: true });
+    member = buildUser({ isVerified: true });
+    knocker = buildUser({ isVerified: true });
+    stubUsers(owner, moderator, member, knocker);
+
+    room = new Room({
+      name: 'Standup',
+      roomId: 'ROOM1',
+      owner: owner._id,
+      settings: { requireApprovalToJoin: true }
+    });
+    room.participants.push(
+      { user: moderator._id, role: 'moderator' },
+      { user: member._id, role: 'participant' }
+    );
+
+    jest.spyOn(Room, 'findOne').mockImplementation(() => queryResult(room));
+    jest.spyOn(Room.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    emitToUser = jest.spyOn(socketGateway, 'emitToUser').mockImplementation(() => {});
+    jest.spyOn(socketGateway, 'emitToRoom').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('joining a room that requires approval creates a pending ticket and notifies moderators', async () => {
+    const ticket = await knock();
+
+    expect(ticket.status).toBe('pending');
+    expect(room.isParticipant(knocker._id)).toBe(false);
+    [owner, moderator].forEach(user => {
+      expect(emitToUser).toHaveBeenCalledWith(
+        user._id.toString(),
+        socketGateway.EVENTS.JOIN_REQUESTED,
+        expect.objectContaining({ ticketId: ticket.ticketId })
+      );
+    });
+    expect(emitToUser).not.toHaveBeenCalledWith(member._id.toString(), expect.anything(), expect.anything());
+
+    const { body } = await request('GET', '/api/rooms/ROOM1/lobby', moderator);
+    expect(body.data.tickets.map(t => t.ticketId)).toEqual([ticket.ticketId]);
+  });
+
+  test('an admitted user gets a token on their next join attempt, once', async () => {
+    const ticket = await knock();
+
+    const admit = await request('POST', `/api/rooms/ROOM1/lobby/${ticket.ticketId}/admit`, moderator);
+    expect(admit.status).toBe(200);
+    expect(emitToUser).toHaveBeenCalledWith(
+      knocker._id.toString(),
+      socketGateway.EVENTS.JOIN_REQUEST_RESOLVED,
+      { roomId: 'ROOM1', ticketId: ticket.ticketId, status: 'admitted' }
+    );
+
+    const join = await request('POST', '/api/rooms/ROOM1/join', knocker, {});
+    expect(join.status).toBe(200);
+    expect(join.body.data.token).toEqual(expect.any(String));
+    expect(room.isParticipant(knocker._id)).toBe(true);
+    expect(await mockRedis.hGet('lobby:ROOM1', knocker._id.toString())).toBeNull();
+  });
+
+  test('a denied user is turned away and may knock again afterwards', async () => {
+    const ticket = await knock();
+
+    const deny = await request('POST', `/api/rooms/ROOM1/lobby/${ticket.ticketId}/deny`, owner);
+    expect(deny.status).toBe(200);
+
+    const join = await request('POST', '/api/rooms/ROOM1/join', knocker, {});
+    expect(join.status).toBe(403);
+    expect(join.body.error.code).toBe('JOIN_REQUEST_DENIED');
+    expect(room.isParticipant(knocker._id)).toBe(false);
+
+    const retry = await knock();
+    expect(retry.ticketId).not.toBe(ticket.ticketId);
+  });
+
+  test('a ticket can only be resolved once', async () => {
+    const ticket = await knock();
+
+    await request('POST', `/api/rooms/ROOM1/lobby/${ticket.ticketId}/deny`, moderator);
+    const { status } = await request('POST', `/api/rooms/ROOM1/lobby/${ticket.ticketId}/admit`, owner);
+
+    expect(status).toBe(404);
+    expect(JSON.parse(await mockRedis.hGet('lobby:ROOM1', knocker._id.toString())).status).toBe('denied');
+  });
+
+  test('ordinary participants cannot view or resolve the lobby', async () => {
+    const ticket = await knock();
+
+    const list = await request('GET', '/api/rooms/ROOM1/lobby', member);
+    const admit = await request('POST', `/api/rooms/ROOM1/lobby/${ticket.ticketId}/admit`, member);
+
+    expect(list.status).toBe(403);
+    expect(admit.status).toBe(403);
+    expect(admit.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    expect(JSON.parse(await mockRedis.hGet('lobby:ROOM1', knocker._id.toString())).status).toBe('pending');
+  });
+});
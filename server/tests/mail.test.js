@@ -0,0 +1,140 @@
+const { FakeRedisClient } = require('./helpers/fakeRedis');
+
+let mockRedis;
+jest.mock('../config/redis', () => ({ getRedisClient: () => mockRedis }));
+
+process.env.MAIL_TRANSPORT = 'json';
+process.env.MAIL_FROM = '"Video Call App" <no-reply@example.com>';
+process.env.MAIL_MAX_ATTEMPTS = '2';
+process.env.CLIENT_URL = 'https://app.example.com';
+
+const mailService = require('../services/mail');
+
+const user = { email: 'ada@example.com', firstName: 'Ada', username: 'ada' };
+
+// Poll until the worker has caught up
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the mail worker');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const queuedJob = (overrides = {}) => JSON.stringify({
+  id: 'job-1',
+  template: 'passwordReset',
+  message: { to: user.email, subject: 'Reset your password', html: '<p>Reset</p>', text: 'Reset' },
+  attempts: 0,
+  createdAt: new Date().toISOString(),
+  ...overrides
+});
+
+describe('mail queue', () => {
+  let sent;
+
+  beforeEach(() => {
+    mockRedis = new FakeRedisClient();
+    sent = [];
+    // The JSON transport renders the full message without any network access
+    jest.spyOn(mailService.transporter, 'sendMail').mockImplementation(async function (options) {
+      const info = await jest.requireActual('nodemailer')
+        .createTransport({ jsonTransport: true })
+        .sendMail(options);
+      sent.push(JSON.parse(info.message));
+      return info;
+    });
+  });
+
+  afterEach(async () => {
+    await mailService.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('renders a queued template through the transport', async () => {
+    await mailService.start();
+    await mailService.sendPasswordReset(user, 'abc/123');
+
+    await waitFor(() => sent.length === 1);
+
+    expect(sent[0]).toMatchObject({
+      from: { address: 'no-reply@example.com', name: 'Video Call App' },
+      to: [{ address: 'ada@example.com' }],
+      subject: expect.stringContaining('Reset your')
+    });
+    expect(sent[0].html).toContain('https://app.example.com/reset-password?token=abc%2F123');
+    expect(sent[0].text).toContain('Hi Ada,');
+  });
+
+  test('keeps a job in the processing list until delivery finishes', async () => {
+    let finishDelivery;
+    mailService.transporter.sendMail.mockImplementation(() => new Promise(resolve => {
+      finishDelivery = () => resolve({ messageId: 'm-1', message: '{}' });
+    }));
+
+    await mailService.start();
+    await mailService.enqueue('passwordReset', user.email, { name: 'Ada', resetUrl: 'https://x' });
+
+    const processing = `mail:processing:${mailService.workerId}`;
+    await waitFor(() => finishDelivery);
+    expect(await mockRedis.lLen('mail:queue')).toBe(0);
+    expect(await mockRedis.lLen(processing)).toBe(1);
+
+    finishDelivery();
+    await waitFor(async () => (await mockRedis.lLen(processing)) === 0);
+  });
+
+  test('requeues jobs left behind by a worker that stopped responding', async () => {
+    // A worker crashed after taking the job; its heartbeat has expired
+    await mockRedis.sAdd('mail:workers', 'crashed-worker');
+    await mockRedis.lPush('mail:processing:crashed-worker', queuedJob());
+
+    await mailService.start();
+    await waitFor(() => sent.length === 1);
+
+    expect(sent[0].subject).toBe('Reset your password');
+    expect(await mockRedis.lLen('mail:processing:crashed-worker')).toBe(0);
+    expect(await mockRedis.sMembers('mail:workers')).toEqual([mailService.workerId]);
+  });
+
+  test('leaves jobs held by a live worker alone', async () => {
+    await mockRedis.sAdd('mail:workers', 'busy-worker');
+    await mockRedis.set('mail:worker:busy-worker', Date.now());
+    await mockRedis.lPush('mail:processing:busy-worker', queuedJob());
+
+    await mailService.start();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(sent).toHaveLength(0);
+    expect(await mockRedis.lLen('mail:processing:busy-worker')).toBe(1);
+  });
+
+  test('schedules a retry and then gives up after the last attempt', async () => {
+    mailService.transporter.sendMail.mockRejectedValue(new Error('Connection refused'));
+
+    await mailService.start();
+    await mockRedis.lPush('mail:queue', queuedJob());
+
+    await waitFor(async () => (await mockRedis.zRangeByScore('mail:retry', 0, Infinity)).length === 1);
+    const [retry] = await mockRedis.zRangeByScore('mail:retry', 0, Infinity);
+    expect(JSON.parse(retry)).toMatchObject({ id: 'job-1', attempts: 1, lastError: 'Connection refused' });
+    expect(await mockRedis.lLen(`mail:processing:${mailService.workerId}`)).toBe(0);
+
+    // Make the retry due now rather than waiting for the worker's next poll
+    await mockRedis.zAdd('mail:retry', { score: 0, value: retry });
+    await mailService.promoteDueRetries();
+    await waitFor(async () => (await mockRedis.lLen('mail:failed')) === 1);
+
+    const [failed] = await mockRedis.lRange('mail:failed', 0, -1);
+    expect(JSON.parse(failed)).toMatchObject({ id: 'job-1', attempts: 2 });
+    expect(await mockRedis.zRangeByScore('mail:retry', 0, Infinity)).toEqual([]);
+  });
+
+  test('deregisters the worker when stopped', async () => {
+    await mailService.start();
+    await mailService.stop();
+
+    expect(await mockRedis.sMembers('mail:workers')).toEqual([]);
+    expect(await mockRedis.exists(`mail:worker:${mailService.workerId}`)).toBe(0);
+  });
+});
@@ -0,0 +1,125 @@
+const { FakeRedisClient } = require('./helpers/fakeRedis');
+const { startApp, queryResult } = require('./helpers/app');
+const { buildUser, stubUsers, bearer } = require('./helpers/auth');
+
+let mockRedis;
+jest.mock('../config/redis', () => ({
+  getRedisClient: () => mockRedis,
+  setCache: (key, value, ttl) => mockRedis.setEx(key, ttl, JSON.stringify(value)),
+  getCache: async (key) => JSON.parse(await mockRedis.get(key)),
+  deleteCache: (key) => mockRedis.del(key)
+}));
+
+const Room = require('../models/Room');
+const User = require('../models/User');
+const livekitService = require('../services/livekit');
+const socketGateway = require('../services/socket');
+const roomRoutes = require('../routes/rooms');
+
+describe('room moderation', () => {
+  let app;
+  let owner;
+  let admin;
+  let moderator;
+  let member;
+  let peer;
+  let room;
+  let muteTracks;
+  let removeFromCall;
+
+  const request = async (user, action, target, body = {}) => {
+    const response = await fetch(`${app.url}/api/rooms/ROOM1/participants/${target._id}/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: bearer(user) },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    app = await startApp({ '/api/rooms': roomRoutes });
+  });
+
+  afterAll(() => app.close());
+
+  beforeEach(() => {
+    mockRedis = new FakeRedisClient();
+    [owner, admin, moderator, member, peer] = [1, 2, 3, 4, 5].map(() => buildUser());
+    stubUsers(owner, admin, moderator, member, peer);
+
+    room = new Room({ name: 'Standup', roomId: 'ROOM1', owner: owner._id });
+    room.participants.push(
+      { user: owner._id, role: 'owner' },
+      { user: admin._id, role: 'admin', permissions: { canKick: true } },
+      { user: moderator._id, role: 'moderator', permissions: { canKick: true } },
+      // An owner may hand out canKick; it still must not let a participant act on peers
+      { user: member._id, role: 'participant', permissions: { canKick: true } },
+      { user: peer._id, role: 'participant' }
+    );
+
+    jest.spyOn(Room, 'findOne').mockImplementation(() => queryResult(room));
+    jest.spyOn(Room.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User, 'exists').mockImplementation(() => queryResult({ _id: peer._id }));
+    muteTracks = jest.spyOn(livekitService, 'muteParticipantTracks').mockResolvedValue(['TR_1']);
+    removeFromCall = jest.spyOn(livekitService, 'removeParticipant').mockResolvedValue();
+    jest.spyOn(socketGateway, 'emitToRoom').mockImplementation(() => {});
+    jest.spyOn(socketGateway, 'emitToUser').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a participant cannot mute a peer', async () => {
+    const { status, body } = await request(member, 'mute', peer);
+
+    expect(status).toBe(403);
+    expect(body.error.code).toBe('CANNOT_MODERATE_PARTICIPANT');
+    expect(muteTracks).not.toHaveBeenCalled();
+  });
+
+  test('a participant cannot kick or ban a peer', async () => {
+    const kick = await request(member, 'kick', peer);
+    const ban = await request(member, 'ban', peer);
+
+    expect(kick.status).toBe(403);
+    expect(ban.status).toBe(403);
+    expect(removeFromCall).not.toHaveBeenCalled();
+    expect(room.isParticipant(peer._id)).toBe(true);
+    expect(room.isBanned(peer._id)).toBe(false);
+  });
+
+  test('a moderator can mute and kick a participant', async () => {
+    const mute = await request(moderator, 'mute', peer);
+    expect(mute.status).toBe(200);
+    expect(muteTracks).toHaveBeenCalledWith('ROOM1', peer._id.toString(), 'microphone');
+
+    const kick = await request(moderator, 'kick', peer);
+    expect(kick.status).toBe(200);
+    expect(removeFromCall).toHaveBeenCalledWith('ROOM1', peer._id.toString());
+    expect(room.isParticipant(peer._id)).toBe(false);
+  });
+
+  test('moderators cannot act on participants of the same rank', async () => {
+    const other = buildUser();
+    stubUsers(owner, admin, moderator, member, peer, other);
+    room.participants.push({ user: other._id, role: 'moderator', permissions: { canKick: true } });
+
+    const { status } = await request(moderator, 'kick', other);
+
+    expect(status).toBe(403);
+    expect(room.isParticipant(other._id)).toBe(true);
+  });
+
+  test('higher ranks can act on lower ones but never on the owner', async () => {
+    const ban = await request(admin, 'ban', moderator);
+    expect(ban.status).toBe(200);
+    expect(room.isBanned(moderator._id)).toBe(true);
+
+    const kickOwner = await request(admin, 'kick', owner);
+    expect(kickOwner.status).toBe(403);
+
+    const kickAdmin = await request(owner, 'kick', admin);
+    expect(kickAdmin.status).toBe(200);
+  });
+});
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { FakeRedisClient } = require('./helpers/fakeRedis');
+const { startStub, sendJson } = require('./helpers/httpStub');
+const { queryResult } = require('./helpers/app');
+const { buildUser } = require('./helpers/auth');
+
+let mockRedis;
+jest.mock('../config/redis', () => ({
+  getRedisClient: () => mockRedis,
+  setCache: (key, value, ttl) => mockRedis.setEx(key, ttl, JSON.stringify(value)),
+  getCache: async (key) => JSON.parse(await mockRedis.get(key)),
+  deleteCache: (key) => mockRedis.del(key)
+}));
+
+const oidcService = require('../services/oidc');
+const User = require('../models/User');
+const authRoutes = require('../routes/auth');
+
+const CLIENT_ID = 'video-call-app';
+const CLIENT_SECRET = 'client-secret';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Minimal OpenID provider: discovery, key set and a token endpoint that checks PKCE
+const createIssuer = async () => {
+  const issuer = {
+    authorizations: new Map(),
+    tokenResponse: null,
+    idTokenClaims: {}
+  };
+
+  issuer.stub = await startStub((req, res) => {
+    const base = issuer.stub.url;
+
+    if (req.path === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: base,
+        authorization_endpoint: `${base}/authorize`,
+        token_endpoint: `${base}/token`,
+        jwks_uri: `${base}/jwks`
+      });
+    }
+
+    if (req.path === '/jwks') {
+      return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] });
+    }
+
+    if (req.path === '/token') {
+      if (issuer.tokenResponse) return issuer.tokenResponse(req, res);
+
+      const form = new URLSearchParams(req.raw.toString());
+      const authorization = issuer.authorizations.get(form.get('code'));
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (!authorization || challenge !== authorization.codeChallenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+
+      const idToken = jwt.sign({
+        sub: 'provider-user-1',
+        email: 'ada@example.com',
+        email_verified: true,
+        nonce: authorization.nonce,
+        ...issuer.idTokenClaims
+      }, privateKey, { algorithm: 'RS256', keyid: 'key-1', issuer: base, audience: CLIENT_ID, expiresIn: '5m' });
+
+      return sendJson(res, 200, { access_token: 'access-token', token_type: 'Bearer', id_token: idToken });
+    }
+
+    res.statusCode = 404;
+    res.end();
+  });
+
+  // Act as the browser: follow the login URL and have the provider issue a code for it
+  issuer.authorize = (authorizationUrl) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(8).toString('hex');
+    issuer.authorizations.set(code, {
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge')
+    });
+    return { code, state: params.get('state') };
+  };
+
+  return issuer;
+};
+
+describe('OpenID Connect sign-in', () => {
+  let issuer;
+
+  beforeAll(async () => {
+    issuer = await createIssuer();
+    process.env.OIDC_ISSUER = issuer.stub.url;
+    process.env.OIDC_CLIENT_ID = CLIENT_ID;
+    process.env.OIDC_CLIENT_SECRET = CLIENT_SECRET;
+    process.env.OIDC_REDIRECT_URI = 'http://localhost:5000/api/auth/oidc/callback';
+    process.env.CLIENT_URL = 'http://localhost:3000';
+  });
+
+  afterAll(() => issuer.stub.close());
+
+  beforeEach(() => {
+    mockRedis = new FakeRedisClient();
+    oidcService.discovery = null;
+    oidcService.jwks = null;
+    issuer.stub.requests.length = 0;
+    issuer.tokenResponse = null;
+    issuer.idTokenClaims = {};
+  });
+
+  test('builds a PKCE authorization URL and returns verified claims on callback', async () => {
+    const authorizationUrl = await oidcService.createAuthorizationUrl('/room/ABC123');
+    const url = new URL(authorizationUrl);
+
+    expect(`${url.origin}${url.pathname}`).toBe(`${issuer.stub.url}/authorize`);
+    expect(Object.fromEntries(url.searchParams)).toMatchObject({
+      response_type: 'code',
+      client_id: CLIENT_ID,
+      redirect_uri: process.env.OIDC_REDIRECT_URI,
+      scope: 'openid email profile',
+      code_challenge_method: 'S256'
+    });
+
+    const { claims, redirectTo } = await oidcService.handleCallback(issuer.authorize(authorizationUrl));
+
+    expect(redirectTo).toBe('/room/ABC123');
+    expect(claims).toMatchObject({ sub: 'provider-user-1', email: 'ada@example.com', aud: CLIENT_ID });
+
+    const tokenRequest = issuer.stub.requests.find(request => request.path === '/token');
+    const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+    expect(tokenRequest.headers.authorization).toBe(expectedAuth);
+  });
+
+  test('rejects a state that was already used', async () => {
+    const callback = issuer.authorize(await oidcService.createAuthorizationUrl('/dashboard'));
+    await oidcService.handleCallback(callback);
+
+    await expect(oidcService.handleCallback(callback)).rejects.toMatchObject({ code: 'OIDC_INVALID_STATE' });
+  });
+
+  test('rejects an ID token issued for another client', async () => {
+    const callback = issuer.authorize(await oidcService.createAuthorizationUrl('/dashboard'));
+
+    issuer.tokenResponse = (req, res) => {
+      const { nonce } = issuer.authorizations.get(callback.code);
+      const idToken = jwt.sign({ sub: 'provider-user-1', nonce }, privateKey, {
+        algorithm: 'RS256', keyid: 'key-1', issuer: issuer.stub.url, audience: 'someone-else', expiresIn: '5m'
+      });
+      sendJson(res, 200, { id_token: idToken });
+    };
+
+    await expect(oidcService.handleCallback(callback)).rejects.toMatchObject({ code: 'OIDC_INVALID_ID_TOKEN' });
+  });
+
+  test('rejects an ID token whose nonce does not match the request', async () => {
+    issuer.idTokenClaims = { nonce: 'replayed-nonce' };
+    const callback = issuer.authorize(await oidcService.createAuthorizationUrl('/dashboard'));
+
+    await expect(oidcService.handleCallback(callback)).rejects.toMatchObject({ code: 'OIDC_INVALID_ID_TOKEN' });
+  });
+
+  test('reports token endpoint failures as provider errors', async () => {
+    issuer.tokenResponse = (req, res) => sendJson(res, 400, { error: 'invalid_client' });
+    const callback = issuer.authorize(await oidcService.createAuthorizationUrl('/dashboard'));
+
+    await expect(oidcService.handleCallback(callback)).rejects.toMatchObject({ code: 'OIDC_PROVIDER_ERROR' });
+  });
+
+  describe('callback redirect', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      const app = express();
+      app.use('/api/auth', authRoutes);
+      server = app.listen(0, '127.0.0.1');
+      await new Promise(resolve => server.once('listening', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const callbackError = async (query) => {
+      const response = await fetch(`${baseUrl}/api/auth/oidc/callback?${new URLSearchParams(query)}`, { redirect: 'manual' });
+      expect(response.status).toBe(302);
+      return new URL(response.headers.get('location')).searchParams.get('ssoError');
+    };
+
+    test('passes known sign-in failures through to the client', async () => {
+      await expect(callbackError({ code: 'abc', state: 'unknown' })).resolves.toBe('OIDC_INVALID_STATE');
+      await expect(callbackError({ error: 'access_denied' })).resolves.toBe('OIDC_ACCESS_DENIED');
+    });
+
+    test('does not leak internal error codes', async () => {
+      const callback = issuer.authorize(await oidcService.createAuthorizationUrl('/dashboard'));
+      jest.spyOn(User, 'findOrCreateFromOidc').mockRejectedValue(
+        Object.assign(new Error('E11000 duplicate key error collection: users'), { code: 11000 })
+      );
+
+      await expect(callbackError(callback)).resolves.toBe('OIDC_LOGIN_FAILED');
+    });
+
+    test('tells the client when an unverified account already uses the email', async () => {
+      const callback = issuer.authorize(await oidcService.createAuthorizationUrl('/dashboard'));
+      const existing = buildUser({ email: 'ada@example.com', isVerified: false });
+      jest.spyOn(User, 'findOne').mockImplementation(filter => queryResult(filter.email ? existing : null));
+
+      await expect(callbackError(callback)).resolves.toBe('OIDC_ACCOUNT_NOT_VERIFIED');
+    });
+  });
+
+  describe('account linking', () => {
+    const claims = { sub: 'provider-user-1', email: 'Ada@Example.com', email_verified: true };
+    let save;
+
+    beforeEach(() => {
+      save = jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('links the identity to a verified account with the same email', async () => {
+      const existing = buildUser({ email: 'ada@example.com', isVerified: true });
+      jest.spyOn(User, 'findOne').mockImplementation(filter => queryResult(filter.email ? existing : null));
+
+      const result = await User.findOrCreateFromOidc('https://issuer.example.com', claims);
+
+      expect(result).toMatchObject({ user: existing, created: false, linked: true });
+      expect(existing.identities.map(i => i.subject)).toEqual(['provider-user-1']);
+      expect(save).toHaveBeenCalled();
+    });
+
+    test('refuses to take over an unverified account registered with the same email', async () => {
+      const existing = buildUser({ email: 'ada@example.com', isVerified: false });
+      jest.spyOn(User, 'findOne').mockImplementation(filter => queryResult(filter.email ? existing : null));
+
+      await expect(User.findOrCreateFromOidc('https://issuer.example.com', claims))
+        .rejects.toMatchObject({ code: 'OIDC_ACCOUNT_NOT_VERIFIED' });
+      expect(existing.identities).toHaveLength(0);
+      expect(existing.isVerified).toBe(false);
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { FakeRedisClient } = require('./helpers/fakeRedis');
+const { startApp, queryResult } = require('./helpers/app');
+const { buildUser, stubUsers, bearer } = require('./helpers/auth');
+
+let mockRedis;
+jest.mock('../config/redis', () => ({
+  getRedisClient: () => mockRedis,
+  setCache: (key, value, ttl) => mockRedis.setEx(key, ttl, JSON.stringify(value)),
+  getCache: async (key) => JSON.parse(await mockRedis.get(key)),
+  deleteCache: (key) => mockRedis.del(key)
+}));
+
+const Room = require('../models/Room');
+const livekitService = require('../services/livekit');
+const socketGateway = require('../services/socket');
+const roomRoutes = require('../routes/rooms');
+
+describe('PUT /api/rooms/:roomId/participants/:userId/role', () => {
+  let app;
+  let owner;
+  let admin;
+  let member;
+  let room;
+  let updateParticipant;
+  let emitToRoom;
+
+  const changeRole = async (user, target, role) => {
+    const response = await fetch(`${app.url}/api/rooms/ROOM1/participants/${target._id}/role`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', Authorization: bearer(user) },
+      body: JSON.stringify({ role })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    app = await startApp({ '/api/rooms': roomRoutes });
+  });
+
+  afterAll(() => app.close());
+
+  beforeEach(() => {
+    mockRedis = new FakeRedisClient();
+    [owner, admin, member] = [1, 2, 3].map(() => buildUser());
+    stubUsers(owner, admin, member);
+
+    room = new Room({ name: 'Standup', roomId: 'ROOM1', owner: owner._id });
+    room.participants.push(
+      { user: owner._id, role: 'owner' },
+      { user: admin._id, role: 'admin' },
+      { user: member._id, role: 'participant' }
+    );
+
+    jest.spyOn(Room, 'findOne').mockImplementation(() => queryResult(room));
+    jest.spyOn(Room.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    updateParticipant = jest.spyOn(livekitService, 'updateParticipant').mockResolvedValue();
+    emitToRoom = jest.spyOn(socketGateway, 'emitToRoom').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('the owner promotes a participant and the change reaches LiveKit and the room', async () => {
+    const { status, body } = await changeRole(owner, member, 'moderator');
+
+    expect(status).toBe(200);
+    expect(body.data.participant.role).toBe('moderator');
+    expect(room.getParticipant(member._id).role).toBe('moderator');
+    expect(updateParticipant).toHaveBeenCalledWith('ROOM1', member._id.toString(), expect.objectContaining({
+      metadata: expect.objectContaining({ role: 'moderator' })
+    }));
+    expect(emitToRoom).toHaveBeenCalledWith(
+      'ROOM1',
+      socketGateway.EVENTS.PARTICIPANT_UPDATED,
+      expect.objectContaining({ role: 'moderator' })
+    );
+  });
+
+  test('the owner demotes an admin', async () => {
+    const { status } = await changeRole(owner, admin, 'participant');
+
+    expect(status).toBe(200);
+    expect(room.getParticipant(admin._id).role).toBe('participant');
+  });
+
+  test('only the owner can change roles', async () => {
+    const { status, body } = await changeRole(admin, member, 'admin');
+
+    expect(status).toBe(403);
+    expect(body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    expect(room.getParticipant(member._id).role).toBe('participant');
+    expect(updateParticipant).not.toHaveBeenCalled();
+  });
+
+  test('the owner\'s own role cannot be changed here', async () => {
+    const { status, body } = await changeRole(owner, owner, 'participant');
+
+    expect(status).toBe(400);
+    expect(body.error.code).toBe('CANNOT_CHANGE_OWNER_ROLE');
+    expect(room.getParticipant(owner._id).role).toBe('owner');
+  });
+
+  test('roles outside admin, moderator and participant are rejected', async () => {
+    const { status } = await changeRole(owner, member, 'owner');
+
+    expect(status).toBe(400);
+    expect(room.getParticipant(member._id).role).toBe('participant');
+  });
+
+  test('changing the role of someone who never joined is a 404', async () => {
+    const { status } = await changeRole(owner, buildUser(), 'moderator');
+
+    expect(status).toBe(404);
+  });
+});
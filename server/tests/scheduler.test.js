@@ -0,0 +1,55 @@
+const { FakeRedisClient } = require('./helpers/fakeRedis');
+
+let mockRedis;
+jest.mock('../config/redis', () => ({ getRedisClient: () => mockRedis }));
+
+const scheduler = require('../services/scheduler');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Let the runs started by scheduler.start() settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('scheduler', () => {
+  beforeEach(() => {
+    mockRedis = new FakeRedisClient();
+    scheduler.tasks.clear();
+  });
+
+  afterEach(() => scheduler.stop());
+
+  test('runs every task once at startup instead of waiting a full interval', async () => {
+    const purge = jest.fn().mockResolvedValue(3);
+    scheduler.register('purge-audit-events', DAY, purge);
+
+    scheduler.start();
+    await flush();
+
+    expect(purge).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs a task on only one instance per interval', async () => {
+    const purge = jest.fn().mockResolvedValue(0);
+    scheduler.register('purge-audit-events', DAY, purge);
+
+    // Another instance already holds this interval's lock
+    await mockRedis.set('scheduler:purge-audit-events', 'other-instance', { NX: true });
+    scheduler.start();
+    await flush();
+
+    expect(purge).not.toHaveBeenCalled();
+  });
+
+  test('keeps running other tasks when one fails', async () => {
+    const failing = jest.fn().mockRejectedValue(new Error('Database unavailable'));
+    const sweep = jest.fn().mockResolvedValue(0);
+    scheduler.register('failing-task', DAY, failing);
+    scheduler.register('sweep-expired-invitations', DAY, sweep);
+
+    scheduler.start();
+    await flush();
+
+    expect(failing).toHaveBeenCalledTimes(1);
+    expect(sweep).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,139 @@
+const { FakeRedisClient } = require('./helpers/fakeRedis');
+const { startApp, queryResult } = require('./helpers/app');
+const { buildUser, stubUsers } = require('./helpers/auth');
+
+let mockRedis;
+jest.mock('../config/redis', () => ({
+  getRedisClient: () => mockRedis,
+  setCache: (key, value, ttl) => mockRedis.setEx(key, ttl, JSON.stringify(value)),
+  getCache: async (key) => JSON.parse(await mockRedis.get(key)),
+  deleteCache: (key) => mockRedis.del(key)
+}));
+
+const UserSession = require('../models/UserSession');
+const authRoutes = require('../routes/auth');
+
+describe('login sessions', () => {
+  let app;
+  let user;
+  let sessions;
+
+  const request = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${app.url}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const refresh = (refreshToken) => request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+  const login = async () => {
+    const { session, refreshToken } = await UserSession.createForUser(user);
+    return { sessionId: session._id.toString(), token: user.generateAuthToken(session._id), refreshToken };
+  };
+
+  beforeAll(async () => {
+    app = await startApp({ '/api/auth': authRoutes });
+  });
+
+  afterAll(() => app.close());
+
+  beforeEach(() => {
+    mockRedis = new FakeRedisClient();
+    user = buildUser();
+    stubUsers(user);
+
+    // Sessions are kept as plain objects so every lookup gets its own document, like separate queries
+    sessions = new Map();
+    const load = (id) => sessions.has(id.toString()) ? UserSession.hydrate({ ...sessions.get(id.toString()) }) : null;
+    jest.spyOn(UserSession.prototype, 'save').mockImplementation(function () {
+      sessions.set(this._id.toString(), this.toObject());
+      return Promise.resolve(this);
+    });
+    jest.spyOn(UserSession, 'findById').mockImplementation(id => queryResult(load(id)));
+    jest.spyOn(UserSession, 'findOne').mockImplementation(({ _id }) => queryResult(load(_id)));
+    jest.spyOn(UserSession, 'updateOne').mockImplementation(async ({ _id, ...filter }, { $set }) => {
+      const stored = sessions.get(_id.toString());
+      const matches = stored && Object.entries(filter).every(([key, value]) => stored[key] === value);
+      if (matches) Object.assign(stored, $set);
+      return { modifiedCount: matches ? 1 : 0 };
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('refreshing rotates the refresh token and issues a working access token', async () => {
+    const { refreshToken } = await login();
+
+    const first = await refresh(refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.data.refreshToken).not.toBe(refreshToken);
+
+    const me = await request('GET', '/api/auth/me', { token: first.body.data.token });
+    expect(me.status).toBe(200);
+
+    const second = await refresh(first.body.data.refreshToken);
+    expect(second.status).toBe(200);
+  });
+
+  test('reusing a rotated refresh token revokes the whole family', async () => {
+    const { sessionId, token, refreshToken } = await login();
+    const rotated = await refresh(refreshToken);
+
+    const reuse = await refresh(refreshToken);
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.error.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(sessions.get(sessionId).revokedReason).toBe('reuse_detected');
+
+    // Neither the latest refresh token nor access tokens of the family work any more
+    const latest = await refresh(rotated.body.data.refreshToken);
+    expect(latest.status).toBe(401);
+    expect(latest.body.error.code).toBe('SESSION_REVOKED');
+
+    for (const accessToken of [token, rotated.body.data.token]) {
+      const me = await request('GET', '/api/auth/me', { token: accessToken });
+      expect(me.status).toBe(401);
+      expect(me.body.error).toBe('Session revoked');
+    }
+  });
+
+  test('logging out revokes the session and its access tokens', async () => {
+    const { sessionId, token, refreshToken } = await login();
+    const other = await login();
+
+    const logout = await request('POST', '/api/auth/logout', { token });
+    expect(logout.status).toBe(200);
+    expect(sessions.get(sessionId).revokedReason).toBe('logout');
+
+    // A fresh token of the session is refused too, not just the blacklisted one
+    const me = await request('GET', '/api/auth/me', { token: user.generateAuthToken(sessionId) });
+    expect(me.status).toBe(401);
+
+    const rotated = await refresh(refreshToken);
+    expect(rotated.status).toBe(401);
+    expect(rotated.body.error.code).toBe('SESSION_REVOKED');
+
+    // Other devices stay signed in
+    expect((await request('GET', '/api/auth/me', { token: other.token })).status).toBe(200);
+    expect((await refresh(other.refreshToken)).status).toBe(200);
+  });
+
+  test('revocations are remembered for as long as access tokens live', async () => {
+    process.env.JWT_EXPIRES_IN = '2h';
+    try {
+      const setEx = jest.spyOn(mockRedis, 'setEx');
+      const { sessionId, token } = await login();
+
+      await request('POST', '/api/auth/logout', { token });
+
+      expect(setEx).toHaveBeenCalledWith(`revoked-session:${sessionId}`, 2 * 60 * 60, 'true');
+    } finally {
+      delete process.env.JWT_EXPIRES_IN;
+    }
+  });
+});
@@ -0,0 +1,11 @@
+// Configuration every test file starts from; files override what they exercise before requiring modules
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET ??= 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET ??= 'test-jwt-refresh-secret';
+process.env.STORAGE_SIGNING_SECRET ??= 'test-storage-signing-secret';
+process.env.LIVEKIT_API_KEY ??= 'test-livekit-key';
+process.env.LIVEKIT_API_SECRET ??= 'test-livekit-secret-that-is-long-enough';
+process.env.LIVEKIT_URL ??= 'ws://livekit.invalid';
+
+// There is no database in tests; a query that was not stubbed fails at once instead of waiting for a connection
+require('mongoose').set('bufferCommands', false);
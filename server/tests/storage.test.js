@@ -0,0 +1,276 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { startStub } = require('./helpers/httpStub');
+const LocalStorageProvider = require('../services/storage/local');
+const S3StorageProvider = require('../services/storage/s3');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_PATH = storageRoot;
+process.env.STORAGE_SIGNING_SECRET = 'storage-signing-secret';
+process.env.API_URL = 'http://api.test';
+
+const storageService = require('../services/storage');
+const fileRoutes = require('../routes/files');
+const { logger } = require('../utils/logger');
+
+afterAll(() => fs.rmSync(storageRoot, { recursive: true, force: true }));
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+// Split a signed URL into the key and query the download route receives
+const parseSignedUrl = (signedUrl, baseUrl) => {
+  const url = new URL(signedUrl);
+  const key = decodeURIComponent(url.pathname.slice(new URL(baseUrl).pathname.length + 1));
+  return { key, query: Object.fromEntries(url.searchParams) };
+};
+
+describe('LocalStorageProvider', () => {
+  const baseUrl = 'http://api.test/api/files/local';
+  const provider = new LocalStorageProvider({ root: storageRoot, baseUrl, secret: 'local-secret' });
+  const key = 'recordings/ROOM1/rec 1.mp4';
+
+  beforeAll(() => provider.put(key, Buffer.from('video bytes')));
+
+  test('stores, describes and deletes files under its root', async () => {
+    await provider.put('avatars/u1/a.png', Buffer.from('png'));
+    expect(await provider.stat('avatars/u1/a.png')).toEqual({ size: 3 });
+
+    await provider.delete('avatars/u1/a.png');
+    expect(await provider.stat('avatars/u1/a.png')).toBeNull();
+    await expect(provider.delete('avatars/u1/a.png')).resolves.toBeUndefined();
+  });
+
+  test('refuses keys that escape the storage root', async () => {
+    await expect(provider.put('../outside.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    expect(() => provider.resolve('recordings/../../etc/passwd')).toThrow('Invalid storage key');
+  });
+
+  test('verifies the URLs it signs', async () => {
+    const expiresAt = inMinutes(15);
+    const signedUrl = await provider.getSignedUrl(key, { expiresAt, filename: 'meeting.mp4' });
+    const { key: signedKey, query } = parseSignedUrl(signedUrl, baseUrl);
+
+    expect(signedKey).toBe(key);
+    expect(provider.verifySignedUrl(signedKey, query)).toEqual({
+      path: path.join(storageRoot, key),
+      filename: 'meeting.mp4',
+      expiresAt: new Date(Math.floor(expiresAt.getTime() / 1000) * 1000)
+    });
+  });
+
+  test('rejects expired links', async () => {
+    const signedUrl = await provider.getSignedUrl(key, { expiresAt: inMinutes(-1) });
+    const { query } = parseSignedUrl(signedUrl, baseUrl);
+
+    expect(provider.verifySignedUrl(key, query)).toBeNull();
+  });
+
+  test('rejects tampered links', async () => {
+    const signedUrl = await provider.getSignedUrl(key, { expiresAt: inMinutes(15), filename: 'meeting.mp4' });
+    const { query } = parseSignedUrl(signedUrl, baseUrl);
+    const otherSecret = new LocalStorageProvider({ root: storageRoot, baseUrl, secret: 'another-secret' });
+
+    expect(provider.verifySignedUrl('recordings/ROOM1/other.mp4', query)).toBeNull();
+    expect(provider.verifySignedUrl(key, { ...query, filename: 'renamed.exe' })).toBeNull();
+    expect(provider.verifySignedUrl(key, { ...query, expires: String(Number(query.expires) + 3600) })).toBeNull();
+    expect(provider.verifySignedUrl(key, { ...query, signature: query.signature.slice(0, -1) })).toBeNull();
+    expect(provider.verifySignedUrl(key, { ...query, signature: undefined })).toBeNull();
+    expect(otherSecret.verifySignedUrl(key, query)).toBeNull();
+  });
+
+  test('points egress at the shared directory', () => {
+    const shared = new LocalStorageProvider({ root: storageRoot, egressRoot: '/out', baseUrl, secret: 'local-secret' });
+    expect(shared.getEgressDestination(key)).toEqual({ filepath: `/out/${key}` });
+  });
+});
+
+describe('storage signing secret', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  test('uses the dedicated secret when set', () => {
+    expect(storageService.getSigningSecret()).toBe('storage-signing-secret');
+  });
+
+  test('warns when falling back to JWT_SECRET', () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    delete process.env.STORAGE_SIGNING_SECRET;
+    process.env.JWT_SECRET = 'jwt-secret';
+
+    expect(storageService.getSigningSecret()).toBe('jwt-secret');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('STORAGE_SIGNING_SECRET is not set'));
+  });
+
+  test('refuses to sign without any secret', () => {
+    delete process.env.STORAGE_SIGNING_SECRET;
+    delete process.env.JWT_SECRET;
+
+    expect(() => storageService.getSigningSecret()).toThrow('STORAGE_SIGNING_SECRET must be set');
+  });
+});
+
+describe('GET /api/files/local/*', () => {
+  const key = 'recordings/ROOM1/rec-2.mp4';
+  let server;
+  let apiUrl;
+
+  beforeAll(async () => {
+    await storageService.put(key, Buffer.from('recording'));
+
+    const app = express();
+    app.use('/api/files', fileRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    apiUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  // Request a signed URL against the test server instead of API_URL
+  const download = (signedUrl) => {
+    const url = new URL(signedUrl);
+    return fetch(`${apiUrl}${url.pathname}${url.search}`);
+  };
+
+  test('serves a file through a valid link', async () => {
+    const { url, expiresAt } = await storageService.getSignedUrl(key, { filename: 'Team sync.mp4' });
+    expect(url.startsWith('http://api.test/api/files/local/recordings/ROOM1/rec-2.mp4?')).toBe(true);
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+    const response = await download(url);
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('recording');
+    expect(response.headers.get('content-disposition')).toContain('filename="Team-sync.mp4"');
+  });
+
+  test('rejects expired and tampered links', async () => {
+    const { url: expired } = await storageService.getSignedUrl(key, { ttl: -60 });
+    const { url: valid } = await storageService.getSignedUrl(key);
+    const tampered = valid.replace('rec-2.mp4', 'rec-3.mp4');
+
+    for (const url of [expired, tampered]) {
+      const response = await download(url);
+      expect(response.status).toBe(403);
+      expect((await response.json()).error.code).toBe('INVALID_DOWNLOAD_LINK');
+    }
+  });
+
+  test('reports a signed link to a missing file as not found', async () => {
+    const { url } = await storageService.getSignedUrl('recordings/ROOM1/missing.mp4');
+
+    const response = await download(url);
+
+    expect(response.status).toBe(404);
+    expect((await response.json()).error.code).toBe('FILE_NOT_FOUND');
+  });
+});
+
+describe('S3StorageProvider against a local S3 stand-in', () => {
+  const objects = new Map();
+  let s3;
+  let provider;
+
+  beforeAll(async () => {
+    // Path-style S3: /<bucket>/<key>
+    s3 = await startStub((req, res) => {
+      const url = new URL(req.url, 'http://s3.local');
+      const objectPath = decodeURIComponent(url.pathname);
+      const object = objects.get(objectPath);
+
+      if (req.method === 'PUT') {
+        objects.set(objectPath, { body: req.raw, contentType: req.headers['content-type'] });
+        res.writeHead(200, { ETag: '"etag"' });
+        return res.end();
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(objectPath);
+        res.writeHead(204);
+        return res.end();
+      }
+      if (!object) {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        return res.end(req.method === 'HEAD' ? undefined : '<Error><Code>NoSuchKey</Code></Error>');
+      }
+      if (req.method === 'HEAD') {
+        res.writeHead(200, { 'Content-Length': object.body.length, 'Content-Type': object.contentType });
+        return res.end();
+      }
+
+      const disposition = url.searchParams.get('response-content-disposition');
+      res.writeHead(200, {
+        'Content-Type': object.contentType,
+        ...(disposition && { 'Content-Disposition': disposition })
+      });
+      res.end(object.body);
+    });
+
+    provider = new S3StorageProvider({
+      bucket: 'video-call-app',
+      region: 'eu-west-1',
+      accessKeyId: 'AKIATEST',
+      secretAccessKey: 's3-secret',
+      endpoint: s3.url,
+      forcePathStyle: true
+    });
+  });
+
+  afterAll(() => s3.close());
+
+  test('uploads, describes and deletes objects with signed requests', async () => {
+    await provider.put('avatars/u1/a.png', Buffer.from('png-bytes'), { contentType: 'image/png' });
+
+    const upload = s3.requests.find(request => request.method === 'PUT');
+    expect(upload.path).toBe('/video-call-app/avatars/u1/a.png');
+    expect(upload.headers.authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=AKIATEST\/\d{8}\/eu-west-1\/s3\/aws4_request/);
+    expect(objects.get('/video-call-app/avatars/u1/a.png').contentType).toBe('image/png');
+
+    expect(await provider.stat('avatars/u1/a.png')).toEqual({ size: 9 });
+
+    await provider.delete('avatars/u1/a.png');
+    expect(await provider.stat('avatars/u1/a.png')).toBeNull();
+  });
+
+  test('issues pre-signed download URLs that expire', async () => {
+    await provider.put('recordings/ROOM1/rec.mp4', Buffer.from('video'), { contentType: 'video/mp4' });
+
+    const signedUrl = await provider.getSignedUrl('recordings/ROOM1/rec.mp4', {
+      expiresAt: inMinutes(15),
+      filename: 'meeting.mp4'
+    });
+    const url = new URL(signedUrl);
+
+    expect(url.origin).toBe(s3.url);
+    expect(url.pathname).toBe('/video-call-app/recordings/ROOM1/rec.mp4');
+    expect(url.searchParams.get('X-Amz-Credential')).toMatch(/^AKIATEST\//);
+    expect(Number(url.searchParams.get('X-Amz-Expires'))).toBeGreaterThanOrEqual(899);
+    expect(Number(url.searchParams.get('X-Amz-Expires'))).toBeLessThanOrEqual(900);
+    expect(url.searchParams.get('X-Amz-Signature')).toMatch(/^[a-f0-9]{64}$/);
+
+    const response = await fetch(signedUrl);
+    expect(await response.text()).toBe('video');
+    expect(response.headers.get('content-disposition')).toBe('attachment; filename="meeting.mp4"');
+  });
+
+  test('hands egress the bucket and credentials', () => {
+    expect(provider.getEgressDestination('recordings/ROOM1/rec.mp4')).toEqual({
+      filepath: 'recordings/ROOM1/rec.mp4',
+      s3: {
+        accessKey: 'AKIATEST',
+        secret: 's3-secret',
+        region: 'eu-west-1',
+        bucket: 'video-call-app',
+        endpoint: s3.url,
+        forcePathStyle: true
+      }
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { AccessToken } = require('livekit-server-sdk');
+const { FakeRedisClient } = require('./helpers/fakeRedis');
+const { startApp, queryResult } = require('./helpers/app');
+
+let mockRedis;
+jest.mock('../config/redis', () => ({
+  getRedisClient: () => mockRedis,
+  deleteCache: (key) => mockRedis.del(key)
+}));
+
+const API_KEY = 'webhook-key';
+const API_SECRET = 'webhook-secret-that-is-long-enough-for-hs256';
+
+process.env.LIVEKIT_API_KEY = API_KEY;
+process.env.LIVEKIT_API_SECRET = API_SECRET;
+process.env.LIVEKIT_URL = 'ws://livekit.invalid';
+
+const Room = require('../models/Room');
+const User = require('../models/User');
+const socketGateway = require('../services/socket');
+const webhookRoutes = require('../routes/webhooks');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+// LiveKit signs the SHA-256 of the body into a JWT sent as the Authorization header
+const sign = async (body, secret = API_SECRET) => {
+  const at = new AccessToken(API_KEY, secret);
+  at.sha256 = crypto.createHash('sha256').update(body).digest('base64');
+  return at.toJwt();
+};
+
+const webhookEvent = (event, id, extra = {}) => JSON.stringify({
+  id,
+  event,
+  createdAt: String(Math.floor(Date.now() / 1000)),
+  room: { sid: 'RM_1', name: 'ROOM1' },
+  ...extra
+});
+
+describe('POST /api/webhooks/livekit', () => {
+  let app;
+  let room;
+  let save;
+  let emit;
+
+  const deliver = async (body, authorization) => {
+    const response = await fetch(`${app.url}/api/webhooks/livekit`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/webhook+json',
+        ...(authorization !== undefined && { Authorization: authorization })
+      },
+      body
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    app = await startApp({ '/api/webhooks': webhookRoutes });
+  });
+
+  afterAll(() => app.close());
+
+  beforeEach(() => {
+    mockRedis = new FakeRedisClient();
+    room = new Room({ name: 'Standup', roomId: 'ROOM1', owner: new mongoose.Types.ObjectId() });
+    jest.spyOn(Room, 'findOne').mockImplementation(() => queryResult(room));
+    save = jest.spyOn(Room.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    emit = jest.spyOn(socketGateway, 'emitToRoom').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('rejects deliveries without a valid signature', async () => {
+    const body = webhookEvent('participant_joined', 'EV_unsigned', { participant: { identity: userId } });
+
+    const unsigned = await deliver(body);
+    const wrongSecret = await deliver(body, await sign(body, 'not-the-livekit-secret-at-all-really'));
+    const otherBody = await deliver(body, await sign(body.replace('EV_unsigned', 'EV_other')));
+
+    for (const response of [unsigned, wrongSecret, otherBody]) {
+      expect(response.status).toBe(401);
+      expect(response.body.error.code).toBe('INVALID_WEBHOOK_SIGNATURE');
+    }
+    expect(room.participants).toHaveLength(0);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('applies a participant_joined event once however often it is delivered', async () => {
+    const body = webhookEvent('participant_joined', 'EV_join', { participant: { identity: userId } });
+    const authorization = await sign(body);
+
+    const first = await deliver(body, authorization);
+    const retry = await deliver(body, authorization);
+
+    expect(first.status).toBe(200);
+    expect(first.body.message).toBe('Webhook processed');
+    expect(retry.status).toBe(200);
+    expect(retry.body.message).toBe('Webhook already processed');
+
+    expect(room.participants).toHaveLength(1);
+    expect(room.participants[0]).toMatchObject({ isActive: true });
+    expect(room.participants[0].user.toString()).toBe(userId);
+    expect(room.stats.totalParticipants).toBe(1);
+    expect(room.sessions).toHaveLength(1);
+    expect(room.sessions[0].participants).toHaveLength(1);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(emit).toHaveBeenCalledTimes(1);
+  });
+
+  test('applies a participant_left event once however often it is delivered', async () => {
+    await room.addParticipant(userId);
+    const rollup = jest.spyOn(User, 'bulkWrite').mockResolvedValue({});
+
+
+    const body = webhookEvent('participant_left', 'EV_left', { participant: { identity: userId } });
+    const authorization = await sign(body);
+    await deliver(body, authorization);
+    await deliver(body, authorization);
+
+    expect(room.participants[0].isActive).toBe(false);
+    expect(room.currentParticipantsCount).toBe(0);
+    expect(room.sessions[0].endedAt).toBeInstanceOf(Date);
+    expect(room.stats.totalSessions).toBe(1);
+    expect(rollup).toHaveBeenCalledTimes(1);
+    expect(emit).toHaveBeenCalledTimes(1);
+  });
+
+  test('handles a redelivery whose first attempt failed', async () => {
+    const body = webhookEvent('participant_joined', 'EV_flaky', { participant: { identity: userId } });
+    const authorization = await sign(body);
+    save.mockRejectedValueOnce(new Error('Database unavailable'));
+
+    const failed = await deliver(body, authorization);
+    const retry = await deliver(body, authorization);
+
+    expect(failed.status).toBe(500);
+    expect(retry.status).toBe(200);
+    expect(retry.body.message).toBe('Webhook processed');
+    expect(room.participants[0].isActive).toBe(true);
+  });
+});
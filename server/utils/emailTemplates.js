@@ -0,0 +1,127 @@
+// Email templates. Each template returns { subject, html, text }.
+
+const APP_NAME = process.env.APP_NAME || 'Video Call App';
+
+// Escape user-provided values before placing them in HTML
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Format a date for email bodies, in the given time zone when there is one
+const formatDate = (date, timeZone) => {
+  if (!timeZone) return new Date(date).toUTCString();
+
+  const formatted = new Intl.DateTimeFormat('en-US', { dateStyle: 'full', timeStyle: 'short', timeZone }).format(new Date(date));
+  return `${formatted} (${timeZone})`;
+};
+
+// Wrap body paragraphs and an optional call-to-action in the shared HTML layout
+const layout = ({ heading, paragraphs, action, footer }) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;">
+      <tr>
+        <td style="padding:32px;">
+          <h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(heading)}</h1>
+          ${paragraphs.map(p => `<p style="margin:0 0 16px;font-size:15px;line-height:1.5;">${escapeHtml(p)}</p>`).join('\n          ')}
+          ${action ? `<p style="margin:24px 0;">
+            <a href="${escapeHtml(action.url)}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;font-weight:bold;">${escapeHtml(action.label)}</a>
+          </p>
+          <p style="margin:0 0 16px;font-size:13px;color:#6b7280;">If the button does not work, copy this link into your browser:<br>${escapeHtml(action.url)}</p>` : ''}
+          ${footer ? `<p style="margin:24px 0 0;font-size:13px;color:#6b7280;">${escapeHtml(footer)}</p>` : ''}
+        </td>
+      </tr>
+    </table>
+    <p style="text-align:center;font-size:12px;color:#9ca3af;">${escapeHtml(APP_NAME)}</p>
+  </body>
+</html>`;
+
+// Plain-text counterpart of the layout
+const textLayout = ({ heading, paragraphs, action, footer }) => [
+  heading,
+  '',
+  ...paragraphs.flatMap(p => [p, '']),
+  ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+  ...(footer ? [footer, ''] : []),
+  `-- ${APP_NAME}`
+].join('\n');
+
+// Render both formats from one content description
+const render = (subject, content) => ({
+  subject,
+  html: layout(content),
+  text: textLayout(content)
+});
+
+const templates = {
+  passwordReset: ({ name, resetUrl, expiresInMinutes = 60 }) => render(`Reset your ${APP_NAME} password`, {
+    heading: 'Reset your password',
+    paragraphs: [
+      `Hi ${name},`,
+      `We received a request to reset your password. The link below is valid for ${expiresInMinutes} minutes.`
+    ],
+    action: { label: 'Reset password', url: resetUrl },
+    footer: 'If you did not request a password reset, you can ignore this email.'
+  }),
+
+  emailVerification: ({ name, verifyUrl, expiresInHours = 24 }) => render(`Verify your ${APP_NAME} email address`, {
+    heading: 'Verify your email address',
+    paragraphs: [
+      `Hi ${name},`,
+      `Please confirm your email address to finish setting up your account. The link below is valid for ${expiresInHours} hours.`
+    ],
+    action: { label: 'Verify email', url: verifyUrl },
+    footer: 'If you did not create an account, you can ignore this email.'
+  }),
+
+  roomInvitation: ({ name, inviterName, roomName, invitationsUrl, expiresAt }) => render(`${inviterName} invited you to "${roomName}"`, {
+    heading: `You're invited to ${roomName}`,
+    paragraphs: [
+      `Hi ${name},`,
+      `${inviterName} invited you to join the room "${roomName}".`,
+      `The invitation expires on ${formatDate(expiresAt)}.`
+    ],
+    action: { label: 'View invitation', url: invitationsUrl }
+  }),
+
+  meetingReminder: ({ name, title, startsAt, timeZone, joinUrl, minutesBefore }) => render(`Reminder: "${title}" starts in ${minutesBefore} minutes`, {
+    heading: `${title} starts soon`,
+    paragraphs: [
+      `Hi ${name},`,
+      `Your meeting "${title}" starts at ${formatDate(startsAt, timeZone)}.`
+    ],
+    action: { label: 'Join meeting', url: joinUrl }
+  }),
+
+  meetingInvitation: ({ name, organizerName, title, startsAt, timeZone, schedule, joinUrl, isUpdate }) => render(
+    isUpdate ? `Updated: "${title}"` : `${organizerName} invited you to "${title}"`, {
+      heading: isUpdate ? `${title} has changed` : `You're invited to ${title}`,
+      paragraphs: [
+        `Hi ${name},`,
+        isUpdate
+          ? `${organizerName} updated the meeting "${title}".`
+          : `${organizerName} invited you to the meeting "${title}".`,
+        `It starts on ${formatDate(startsAt, timeZone)}${schedule ? ` and repeats: ${schedule}` : ''}.`,
+        'The attached invitation adds the meeting to your calendar.'
+      ],
+      action: { label: 'Join meeting', url: joinUrl }
+    }
+  ),
+
+  meetingCancelled: ({ name, organizerName, title, startsAt, timeZone }) => render(`Cancelled: "${title}"`, {
+    heading: `${title} has been cancelled`,
+    paragraphs: [
+      `Hi ${name},`,
+      `${organizerName} cancelled the meeting "${title}" that was scheduled for ${formatDate(startsAt, timeZone)}.`,
+      'The attached update removes the meeting from your calendar.'
+    ]
+  })
+};
+
+module.exports = {
+  templates,
+  escapeHtml
+};
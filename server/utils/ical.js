@@ -0,0 +1,133 @@
+// iCalendar (RFC 5545) output for meeting invites and calendar feeds.
+
+const { getZonedParts } = require('./recurrence');
+
+const PRODID = '-//Video Call App//Meetings//EN';
+const MAX_LINE_OCTETS = 75;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Escape a TEXT value
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Quote a parameter value such as CN when it contains separators; double quotes are not allowed
+const paramValue = (value) => {
+  const clean = String(value ?? '').replace(/"/g, '');
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+};
+
+// Fold content lines longer than 75 octets without splitting multi-byte characters
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// Date-time in UTC form, e.g. 20261019T140000Z
+const formatUtc = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+// DTSTART/DTEND property in the event's time zone so recurrences follow local DST
+const formatDateProperty = (name, date, timeZone) => {
+  if (!timeZone || timeZone === 'UTC') {
+    return `${name}:${formatUtc(date)}`;
+  }
+
+  const p = getZonedParts(new Date(date), timeZone);
+  return `${name};TZID=${timeZone}:${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+};
+
+const PARTSTATS = {
+  pending: 'NEEDS-ACTION',
+  accepted: 'ACCEPTED',
+  declined: 'DECLINED',
+  tentative: 'TENTATIVE'
+};
+
+// Content lines for one VEVENT
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(event.updatedAt || new Date())}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    formatDateProperty('DTSTART', event.startsAt, event.timeZone),
+    formatDateProperty('DTEND', event.endsAt, event.timeZone)
+  ];
+
+  if (event.recurrence) {
+    lines.push(`RRULE:${event.recurrence}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+
+  const description = [event.description, event.url && `Join: ${event.url}`].filter(Boolean).join('\n\n');
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+    lines.push(`LOCATION:${escapeText(event.url)}`);
+  }
+
+  if (event.organizer?.email) {
+    lines.push(`ORGANIZER;CN=${paramValue(event.organizer.name)}:mailto:${event.organizer.email}`);
+  }
+
+  (event.attendees || []).filter(attendee => attendee.email).forEach(attendee => {
+    const partstat = PARTSTATS[attendee.status] || PARTSTATS.pending;
+    lines.push(`ATTENDEE;CN=${paramValue(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT;PARTSTAT=${partstat};RSVP=TRUE:mailto:${attendee.email}`);
+  });
+
+  lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Full VCALENDAR document; method is REQUEST or CANCEL for invites and omitted for feeds
+const buildCalendar = (events, { method, name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  events.forEach(event => lines.push(...buildEvent(event)));
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatUtc,
+  buildCalendar
+};
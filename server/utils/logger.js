@@ -46,6 +46,9 @@ const fileFormat = winston.format.combine(
   winston.format.json(),
 );
 
+// Test runs only log to the console so they leave no files behind
+const writeLogFiles = process.env.NODE_ENV !== 'test';
+
 // Define transports
 const transports = [
   // Console transport
@@ -54,8 +57,10 @@ const transports = [
       winston.format.colorize(),
       winston.format.simple()
     )
-  }),
-  
+  })
+];
+
+const createFileTransports = () => [
   // Error log file
   new winston.transports.DailyRotateFile({
     filename: path.join(__dirname, '../../logs/error-%DATE%.log'),
@@ -89,6 +94,10 @@ const transports = [
   })
 ];
 
+if (writeLogFiles) {
+  transports.push(...createFileTransports());
+}
+
 // Create the logger
 const logger = winston.createLogger({
   level: level(),
@@ -106,27 +115,29 @@ logger.stream = {
 };
 
 // Handle uncaught exceptions and unhandled rejections
-logger.exceptions.handle(
-  new winston.transports.DailyRotateFile({
-    filename: path.join(__dirname, '../../logs/exceptions-%DATE%.log'),
-    datePattern: 'YYYY-MM-DD',
-    format: fileFormat,
-    maxSize: '20m',
-    maxFiles: '14d',
-    zippedArchive: true
-  })
-);
+if (writeLogFiles) {
+  logger.exceptions.handle(
+    new winston.transports.DailyRotateFile({
+      filename: path.join(__dirname, '../../logs/exceptions-%DATE%.log'),
+      datePattern: 'YYYY-MM-DD',
+      format: fileFormat,
+      maxSize: '20m',
+      maxFiles: '14d',
+      zippedArchive: true
+    })
+  );
 
-logger.rejections.handle(
-  new winston.transports.DailyRotateFile({
-    filename: path.join(__dirname, '../../logs/rejections-%DATE%.log'),
-    datePattern: 'YYYY-MM-DD',
-    format: fileFormat,
-    maxSize: '20m',
-    maxFiles: '14d',
-    zippedArchive: true
-  })
-);
+  logger.rejections.handle(
+    new winston.transports.DailyRotateFile({
+      filename: path.join(__dirname, '../../logs/rejections-%DATE%.log'),
+      datePattern: 'YYYY-MM-DD',
+      format: fileFormat,
+      maxSize: '20m',
+      maxFiles: '14d',
+      zippedArchive: true
+    })
+  );
+}
 
 // Utility functions
 const logRequest = (req, res, next) => {
@@ -0,0 +1,251 @@
+// Time zone and recurrence helpers for scheduled meetings.
+// Supports the RRULE subset FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY (weekly), COUNT and UNTIL.
+// Occurrences keep their wall-clock time in the meeting's time zone across DST changes.
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const MAX_PERIODS = 5000; // stop expanding open-ended rules eventually
+const MAX_COUNT = 1000;
+
+// Check an IANA time zone name (e.g. Europe/Berlin)
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock components of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  return parts.reduce((acc, part) => {
+    if (part.type !== 'literal') acc[part.type] = parseInt(part.value, 10);
+    return acc;
+  }, {});
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const getOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Instant for wall-clock components in a time zone
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getOffset(new Date(wallTime), timeZone);
+  const candidate = wallTime - offset;
+
+  // Near a DST change the offset at the result can differ from the first guess
+  const correctedOffset = getOffset(new Date(candidate), timeZone);
+  return new Date(correctedOffset === offset ? candidate : wallTime - correctedOffset);
+};
+
+// Parse an RRULE value (with or without the "RRULE:" prefix); throws on unsupported rules
+const parseRRule = (value) => {
+  const rule = { interval: 1 };
+  const source = String(value).trim().replace(/^RRULE:/i, '');
+
+  source.split(';').filter(Boolean).forEach(part => {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.toUpperCase();
+    const val = rawValue.toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(val)) {
+          throw new Error(`Unsupported FREQ "${rawValue}"; use ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = val;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(val, 10);
+        if (!(rule.interval >= 1 && rule.interval <= 365)) {
+          throw new Error('INTERVAL must be between 1 and 365');
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = val.split(',');
+        if (!rule.byDay.every(day => WEEKDAYS.includes(day))) {
+          throw new Error(`BYDAY must list days from ${WEEKDAYS.join(', ')}`);
+        }
+        break;
+      case 'COUNT':
+        rule.count = parseInt(val, 10);
+        if (!(rule.count >= 1 && rule.count <= MAX_COUNT)) {
+          throw new Error(`COUNT must be between 1 and ${MAX_COUNT}`);
+        }
+        break;
+      case 'UNTIL': {
+        const match = val.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+        if (!match) {
+          throw new Error('UNTIL must be a date (YYYYMMDD) or UTC date-time (YYYYMMDDTHHMMSSZ)');
+        }
+        const [, y, mo, d, h = '23', mi = '59', s = '59'] = match;
+        rule.until = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+        break;
+      }
+      case 'WKST':
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part "${rawKey}"`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new Error('RRULE requires FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('RRULE cannot have both COUNT and UNTIL');
+  }
+  if (rule.byDay && rule.freq !== 'WEEKLY') {
+    throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+  }
+
+  return rule;
+};
+
+// Serialize a parsed rule back into a canonical RRULE value
+const formatRRule = (rule) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${WEEKDAYS.filter(day => rule.byDay.includes(day)).join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) {
+    const u = rule.until;
+    parts.push(`UNTIL=${u.getUTCFullYear()}${pad(u.getUTCMonth() + 1)}${pad(u.getUTCDate())}T${pad(u.getUTCHours())}${pad(u.getUTCMinutes())}${pad(u.getUTCSeconds())}Z`);
+  }
+
+  return parts.join(';');
+};
+
+const DAY_NAMES = { MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday', SU: 'Sunday' };
+const UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+
+// Human-readable summary of a rule, e.g. "every 2 weeks on Monday, Wednesday, 10 times"
+const describeRRule = (rrule) => {
+  const rule = parseRRule(rrule);
+  const unit = UNITS[rule.freq];
+  let text = rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`;
+
+  if (rule.byDay) text += ` on ${WEEKDAYS.filter(day => rule.byDay.includes(day)).map(day => DAY_NAMES[day]).join(', ')}`;
+  if (rule.count) text += `, ${rule.count} times`;
+  if (rule.until) text += `, until ${rule.until.toISOString().slice(0, 10)}`;
+
+  return text;
+};
+
+// Yield occurrence start instants in order, beginning with startsAt
+function* iterateStarts(startsAt, timeZone, rrule) {
+  if (!rrule) {
+    yield startsAt;
+    return;
+  }
+
+  const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  const base = getZonedParts(startsAt, timeZone);
+  const baseDay = Date.UTC(base.year, base.month - 1, base.day); // floating calendar day
+  const baseWeekday = (new Date(baseDay).getUTCDay() + 6) % 7; // Monday = 0
+
+  const atWallTime = (day) => {
+    const d = new Date(day);
+    return zonedTimeToUtc({
+      year: d.getUTCFullYear(),
+      month: d.getUTCMonth() + 1,
+      day: d.getUTCDate(),
+      hour: base.hour,
+      minute: base.minute,
+      second: base.second
+    }, timeZone);
+  };
+
+  let emitted = 0;
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    let days = [];
+
+    if (rule.freq === 'DAILY') {
+      days = [baseDay + period * rule.interval * DAY];
+    } else if (rule.freq === 'WEEKLY') {
+      const weekStart = baseDay - baseWeekday * DAY + period * rule.interval * 7 * DAY;
+      const weekdays = rule.byDay ? rule.byDay.map(day => WEEKDAYS.indexOf(day)) : [baseWeekday];
+      days = weekdays
+        .sort((a, b) => a - b)
+        .map(index => weekStart + index * DAY)
+        .filter(day => day >= baseDay);
+    } else if (rule.freq === 'MONTHLY') {
+      const day = Date.UTC(base.year, base.month - 1 + period * rule.interval, base.day);
+      // Months without this day of the month are skipped, as RFC 5545 requires
+      if (new Date(day).getUTCDate() === base.day) days = [day];
+    }
+
+    for (const day of days) {
+      const start = atWallTime(day);
+      if (rule.until && start > rule.until) return;
+
+      yield start;
+      emitted += 1;
+      if (rule.count && emitted >= rule.count) return;
+    }
+  }
+}
+
+// Occurrences ({ startsAt, endsAt }) overlapping [from, to), at most limit of them
+const getOccurrences = ({ startsAt, endsAt, timeZone, recurrence }, { from = new Date(0), to, limit = 100 } = {}) => {
+  const duration = endsAt - startsAt;
+  const occurrences = [];
+
+  for (const start of iterateStarts(startsAt, timeZone, recurrence)) {
+    if (to && start >= to) break;
+
+    const end = new Date(start.getTime() + duration);
+    if (end > from) {
+      occurrences.push({ startsAt: start, endsAt: end });
+      if (occurrences.length >= limit) break;
+    }
+  }
+
+  return occurrences;
+};
+
+// End of the last occurrence, or null when the series never ends
+const getSeriesEnd = ({ startsAt, endsAt, timeZone, recurrence }) => {
+  if (!recurrence) return endsAt;
+
+  const rule = parseRRule(recurrence);
+  if (!rule.count && !rule.until) return null;
+
+  let last = null;
+  for (const start of iterateStarts(startsAt, timeZone, rule)) {
+    last = start;
+  }
+  return last ? new Date(last.getTime() + (endsAt - startsAt)) : endsAt;
+};
+
+module.exports = {
+  WEEKDAYS,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseRRule,
+  formatRRule,
+  describeRRule,
+  getOccurrences,
+  getSeriesEnd
+};
@@ -0,0 +1,94 @@
+// Bucketed time series for the admin dashboard.
+// Windows of up to two days use hourly buckets, longer ones daily buckets (UTC).
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Window covering the last `days` days, ending at the close of the current bucket
+const buildWindow = (days, now = new Date()) => {
+  const bucketMs = days <= 2 ? HOUR : DAY;
+  const end = Math.ceil((now.getTime() + 1) / bucketMs) * bucketMs;
+
+  return {
+    start: new Date(end - days * DAY),
+    end: new Date(end),
+    now,
+    bucketMs,
+    interval: bucketMs === HOUR ? 'hour' : 'day'
+  };
+};
+
+// One zeroed point per bucket
+const emptySeries = (range, fields) => {
+  const count = Math.round((range.end - range.start) / range.bucketMs);
+  return Array.from({ length: count }, (_, index) => ({
+    date: new Date(range.start.getTime() + index * range.bucketMs),
+    ...fields
+  }));
+};
+
+// Aggregation expression giving the bucket index of a date field
+const bucketIndexExpression = (field, range) => ({
+  $floor: { $divide: [{ $subtract: [field, range.start] }, range.bucketMs] }
+});
+
+// Series from aggregation results shaped as { _id: bucketIndex, count }
+const countSeries = (range, buckets) => {
+  const series = emptySeries(range, { count: 0 });
+  buckets.forEach(({ _id, count }) => {
+    if (series[_id]) series[_id].count = count;
+  });
+  return series;
+};
+
+// Peak number of overlapping intervals and total overlap in minutes per bucket.
+// Intervals are { start, end }; a missing end means still running.
+const intervalSeries = (range, intervals) => {
+  const series = emptySeries(range, { concurrent: 0, minutes: 0 });
+  const rangeStart = range.start.getTime();
+  const rangeEnd = Math.min(range.end.getTime(), range.now.getTime());
+  const events = [];
+
+  intervals.forEach(({ start, end }) => {
+    const from = Math.max(new Date(start).getTime(), rangeStart);
+    const to = Math.min(end ? new Date(end).getTime() : rangeEnd, rangeEnd);
+    if (to <= from) return;
+
+    events.push([from, 1], [to, -1]);
+
+    for (let index = Math.floor((from - rangeStart) / range.bucketMs); index < series.length; index += 1) {
+      const bucketStart = rangeStart + index * range.bucketMs;
+      if (bucketStart >= to) break;
+      const overlap = Math.min(to, bucketStart + range.bucketMs) - Math.max(from, bucketStart);
+      series[index].minutes += overlap / 60000;
+    }
+  });
+
+  // Sweep start/end events in time order; ends sort before starts at the same instant
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let current = 0;
+  let bucket = 0;
+  events.forEach(([time, delta]) => {
+    // An interval ending exactly on a bucket boundary belongs to the earlier bucket only
+    const at = delta < 0 ? time - 1 : time;
+    const index = Math.min(Math.floor((at - rangeStart) / range.bucketMs), series.length - 1);
+    while (bucket < index) {
+      bucket += 1;
+      series[bucket].concurrent = Math.max(series[bucket].concurrent, current);
+    }
+    current += delta;
+    series[index].concurrent = Math.max(series[index].concurrent, current);
+  });
+
+  series.forEach(point => {
+    point.minutes = Math.round(point.minutes);
+  });
+  return series;
+};
+
+module.exports = {
+  buildWindow,
+  bucketIndexExpression,
+  countSeries,
+  intervalSeries
+};